@@ -0,0 +1,199 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - audit log unit test
+ *
+ * Validate recording of the calc() attempts, queries & exports
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioMockTransport, RadioResultCache, RadioAuditLog, RadioMemoryAuditLog, RadioFileAuditLog, RadioCsv } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+function create_calculator(audit, options = {})
+{
+	return new RadioCodeCalculator(VALID_ACTIVATION_KEY, Object.assign({ "transport": new RadioMockTransport(), "audit": audit }, options));
+}
+
+test("test_audit_calc()", () =>
+{
+	const audit = new RadioMemoryAuditLog();
+	const radioCodeApi = create_calculator(audit, { "cache": new RadioResultCache() });
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456", "", { "user": "john" })
+	.then(() => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456"))
+	.then(() => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "12345X").catch(error => error))
+	.then(error =>
+	{
+		expect(error.error).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+
+		// info & list aren't recorded
+		return radioCodeApi.list().then(() => audit.read());
+	})
+	.then(records =>
+	{
+		expect(records.map(record => [ record["radio_model"], record["serial"], record["error"], record["code"], record["cached"], record["user"] ])).toEqual([
+			[ "ford-m-series", "123456", RadioErrors.SUCCESS, "2487", false, "john" ],
+			[ "ford-m-series", "123456", RadioErrors.SUCCESS, "2487", true, null ],
+			[ "ford-m-series", "12345X", RadioErrors.INVALID_SERIAL_PATTERN, null, false, null ]
+		]);
+
+		expect(Date.parse(records[0]["timestamp"])).toBeLessThanOrEqual(Date.now());
+		expect(records[0]["extra"]).toBe("");
+	});
+});
+
+test("test_audit_hash_serials()", () =>
+{
+	const audit = new RadioMemoryAuditLog({ "hash_serials": true, "salt": "shop-1" });
+
+	return create_calculator(audit).calc(RadioModels.FORD_M_SERIES, "123456")
+	.then(() => audit.read())
+	.then(records =>
+	{
+		expect(records[0]["serial"]).toMatch(/^sha256:[0-9a-f]{64}$/);
+		expect(records[0]["serial"]).not.toContain("123456");
+
+		// the same serial gives the same hash, different salt gives a different one
+		return Promise.all([ audit.hash_serial("123456"), new RadioMemoryAuditLog().hash_serial("123456") ]).then(([ hash, unsalted ]) =>
+		{
+			expect(hash).toBe(records[0]["serial"]);
+			expect(unsalted).toBe("sha256:8d969eef6ecad3c29a3a629280e686cf0c3f5d5a86aff3ca12020c923adc6c92");
+
+			// the record isn't lost if the serial number can't be hashed
+			const unhashed = new RadioMemoryAuditLog({ "hash_serials": true });
+
+			unhashed.hash_serial = () => Promise.reject(new Error("Hashing is not supported"));
+
+			return unhashed.record({ "radio_model": "ford-m-series", "serial": "123456", "error": RadioErrors.SUCCESS, "code": "2487" }).then(() => unhashed.read());
+		})
+		.then(records =>
+		{
+			expect(records).toHaveLength(1);
+			expect(records[0]).toMatchObject({ "radio_model": "ford-m-series", "serial": null, "code": "2487" });
+		});
+	});
+});
+
+test("test_audit_query()", () =>
+{
+	const audit = new RadioMemoryAuditLog();
+
+	const records = [
+		{ "timestamp": "2024-05-01T10:00:00.000Z", "radio_model": "ford-m-series", "serial": "123456", "extra": "", "error": 0, "code": "2487", "cached": false, "user": "john" },
+		{ "timestamp": "2024-05-15T10:00:00.000Z", "radio_model": "renault-dacia", "serial": "Z999", "extra": "", "error": 0, "code": "0101", "cached": false, "user": null },
+		{ "timestamp": "2024-06-01T10:00:00.000Z", "radio_model": "ford-m-series", "serial": "12345X", "extra": "", "error": 5, "code": null, "cached": false, "user": "john" }
+	];
+
+	const serials = (found) => found.map(record => record["serial"]);
+
+	return Promise.all(records.map(record => audit.append(record))).then(() => Promise.all([
+		audit.query(),
+		audit.query({ "from": "2024-05-10", "to": new Date("2024-06-01T10:00:00.000Z") }),
+		audit.query({ "radio_model": RadioModels.FORD_M_SERIES }),
+		audit.query({ "radio_model": [ "renault-dacia", "ford-v-series" ] }),
+		audit.query({ "outcome": "success" }),
+		audit.query({ "outcome": "failure" }),
+		audit.query({ "outcome": RadioErrors.INVALID_SERIAL_PATTERN, "user": "john" }),
+		audit.query({ "to": Date.parse("2024-04-30") })
+	]))
+	.then(results =>
+	{
+		expect(results.map(serials)).toEqual([
+			[ "123456", "Z999", "12345X" ],
+			[ "Z999", "12345X" ],
+			[ "123456", "12345X" ],
+			[ "Z999" ],
+			[ "123456", "Z999" ],
+			[ "12345X" ],
+			[ "12345X" ],
+			[]
+		]);
+
+		expect(() => RadioAuditLog.matches(records[0], { "from": "yesterday" })).toThrow(RangeError);
+	});
+});
+
+test("test_audit_export()", () =>
+{
+	const audit = new RadioMemoryAuditLog();
+
+	return audit.append({ "timestamp": "2024-05-01T10:00:00.000Z", "radio_model": "ford-m-series", "serial": "123456", "extra": "a,\"b\"", "error": 0, "code": "2487", "cached": false, "user": null })
+	.then(() => Promise.all([ audit.export_csv(), audit.export_csv({ "outcome": "failure" }, ";"), audit.export_json({ "outcome": "success" }) ]))
+	.then(([ csv, empty, json ]) =>
+	{
+		expect(csv).toBe("timestamp,radio_model,serial,extra,error,code,cached,user\r\n2024-05-01T10:00:00.000Z,ford-m-series,123456,\"a,\"\"b\"\"\",0,2487,false,\r\n");
+		expect(empty).toBe("timestamp;radio_model;serial;extra;error;code;cached;user\r\n");
+		expect(JSON.parse(json)[0]["code"]).toBe("2487");
+
+		expect(RadioCsv.escape(" padded")).toBe("\" padded\"");
+		expect(RadioCsv.escape("a;b", ";")).toBe("\"a;b\"");
+		expect(RadioCsv.escape(null)).toBe("");
+	});
+});
+
+test("test_audit_file()", () =>
+{
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "radio-audit-"));
+	const file_path = path.join(directory, "logs", "radio-codes.jsonl");
+	const radioCodeApi = create_calculator(new RadioFileAuditLog(file_path));
+
+	return new RadioFileAuditLog(file_path).read().then(records =>
+	{
+		expect(records).toEqual([]);
+
+		return Promise.all([ radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456"), radioCodeApi.calc(RadioModels.JAGUAR_ALPINE, "99999") ]);
+	})
+	.then(() =>
+	{
+		const lines = fs.readFileSync(file_path, "utf8").trim().split("\n");
+
+		expect(lines).toHaveLength(2);
+		expect(JSON.parse(lines[0])["radio_model"]).toBe("ford-m-series");
+
+		// read back by another instance
+		return new RadioFileAuditLog(file_path).query({ "radio_model": "jaguar-alpine" });
+	})
+	.then(records =>
+	{
+		expect(records).toHaveLength(1);
+		expect(records[0]["code"]).toBe("6125");
+
+		fs.rmSync(directory, { "recursive": true });
+	});
+});
+
+test("test_audit_errors()", () =>
+{
+	// audit log failures don't break the requests
+	const audit = new RadioAuditLog();
+	const radioCodeApi = create_calculator(audit);
+	const errors = [];
+
+	radioCodeApi.on("audit_error", error => errors.push(error.message));
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(errors).toEqual([ "RadioAuditLog.append() is not implemented" ]);
+	});
+});
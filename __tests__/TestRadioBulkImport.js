@@ -0,0 +1,252 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - bulk import unit test
+ *
+ * Validate the CSV parsing, the columns mapping & resuming of the bulk imports
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RadioCodeCalculator, RadioErrors, RadioMockTransport, RadioConnectionError, RadioBulkImport, RadioCsv } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * Mock transport which goes offline after the given number of requests
+ */
+class FlakyTransport extends RadioMockTransport
+{
+	constructor(online_requests)
+	{
+		super();
+
+		this.online_requests = online_requests;
+	}
+
+	send(url, params, signal = null)
+	{
+		if (this.online_requests-- <= 0)
+			return Promise.reject(new Error("ECONNREFUSED"));
+
+		return super.send(url, params, signal);
+	}
+}
+
+function create_calculator(transport = new RadioMockTransport())
+{
+	return new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": { "retries": 0 } });
+}
+
+const INPUT = [
+	"Model;Serial;Extra;Plate",
+	"FORD_M_SERIES;123456;;WX 12345",
+	"jaguar-alpine; 99999 ;;\"WX \"\"1\"\"\"",
+	"RENAULT_DACIA;12;;",
+	"unknown-radio;1234;;",
+	";123456;;",
+	"ford-v-series;654321"
+].join("\r\n");
+
+test("test_csv_parse()", () =>
+{
+	expect(RadioCsv.parse("\uFEFFa,b\r\n\"1,2\",\"x\"\"y\"\n\n\"multi\nline\",\n")).toEqual([ [ "a", "b" ], [ "1,2", "x\"y" ], [ "multi\nline", "" ] ]);
+	expect(RadioCsv.parse("a;b\n1;2")).toEqual([ [ "a", "b" ], [ "1", "2" ] ]);
+	expect(RadioCsv.parse("a\tb\n1\t2", "\t")).toEqual([ [ "a", "b" ], [ "1", "2" ] ]);
+
+	expect(RadioCsv.detect_delimiter("\"a;b\",c,d\n1;2;3;4")).toBe(",");
+	expect(RadioCsv.detect_delimiter("a\tb;c\td")).toBe("\t");
+	expect(RadioCsv.detect_delimiter("serial")).toBe(",");
+
+	// formatted rows are parsed back
+	const rows = [ [ "a", "b c", "" ], [ "1,2", "x\"y", "multi\r\nline" ] ];
+
+	expect(RadioCsv.parse(RadioCsv.format(rows.slice(1), [ 0, 1, 2 ]).replace(/^.*\r\n/, ""))).toEqual(rows.slice(1));
+});
+
+test("test_bulk_csv()", () =>
+{
+	const bulk = new RadioBulkImport(create_calculator());
+
+	return bulk.process_csv(INPUT).then(output =>
+	{
+		const rows = RadioCsv.parse(output, ";");
+
+		expect(rows[0]).toEqual([ "Model", "Serial", "Extra", "Plate", "code", "error_code", "error_message" ]);
+
+		// the input columns are kept as they were
+		expect(rows[2].slice(0, 4)).toEqual([ "jaguar-alpine", " 99999 ", "", "WX \"1\"" ]);
+
+		expect(rows.slice(1).map(row => row.slice(4, 6))).toEqual([
+			[ "2487", "0" ],
+			[ "6125", "0" ],
+			[ "", String(RadioErrors.INVALID_SERIAL_LENGTH) ],
+			[ "", String(RadioErrors.INVALID_RADIO_MODEL) ],
+			[ "", String(RadioErrors.INVALID_RADIO_MODEL) ],
+			[ "", String(RadioErrors.INVALID_SERIAL_NOT_SUPPORTED) ]
+		]);
+
+		expect(rows[1][6]).toBe("");
+		expect(rows[3][6]).toBe("Invalid serial number length");
+	});
+});
+
+test("test_bulk_columns()", () =>
+{
+	const transport = new RadioMockTransport();
+	const input = "Radio,Serial number,Other\nford-m-series,123456,1\n";
+
+	return new RadioBulkImport(create_calculator(transport), { "columns": { "radio_model": "RADIO", "serial": 1 } }).process_csv(input).then(output =>
+	{
+		expect(output).toBe("Radio,Serial number,Other,code,error_code,error_message\r\nford-m-series,123456,1,2487,0,\r\n");
+		expect(transport.requests[0]["extra"]).toBe("");
+
+		// detected columns
+		expect(new RadioBulkImport(null).map_columns([ "Serial Number", "Radio Model" ])).toEqual({ "radio_model": 1, "serial": 0, "extra": -1 });
+
+		expect(() => new RadioBulkImport(null).map_columns([ "Serial" ])).toThrow("Column \"radio_model\" not found in the CSV header");
+		expect(() => new RadioBulkImport(null, { "columns": { "extra": "Supplier" } }).map_columns([ "Model", "Serial" ])).toThrow("Column \"Supplier\" not found");
+
+		return new RadioBulkImport(null).process_csv("").catch(error => error);
+	})
+	.then(error => expect(error.message).toBe("CSV header not found"));
+});
+
+test("test_bulk_file_resume()", () =>
+{
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "radio-bulk-"));
+	const input_path = path.join(directory, "fleet.csv");
+	const output_path = path.join(directory, "out", "fleet-codes.csv");
+
+	fs.writeFileSync(input_path, INPUT);
+
+	// only the first 2 requests succeed, the rest of the file has to be resumed
+	const transport = new FlakyTransport(2);
+	const bulk = new RadioBulkImport(create_calculator(transport), { "concurrency": 1, "chunk_size": 2 });
+
+	return bulk.process_file(input_path, output_path).catch(error => error).then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+
+		const written = RadioCsv.parse(fs.readFileSync(output_path, "utf8"), ";");
+
+		// header, 2 successful rows, the invalid serial number (validated offline) & the failed request
+		expect(written).toHaveLength(5);
+		expect(written[3][5]).toBe(String(RadioErrors.INVALID_SERIAL_LENGTH));
+		expect(written[4][5]).toBe(String(RadioErrors.ERROR_CONNECTION));
+
+		transport.online_requests = 100;
+
+		return bulk.process_file(input_path, output_path);
+	})
+	.then(summary =>
+	{
+		expect(summary).toEqual({ "total": 6, "skipped": 3, "processed": 3, "succeeded": 0, "failed": 3 });
+
+		const written = RadioCsv.parse(fs.readFileSync(output_path, "utf8"), ";");
+
+		expect(written).toHaveLength(7);
+		expect(written.slice(1).map(row => row[0])).toEqual([ "FORD_M_SERIES", "jaguar-alpine", "RENAULT_DACIA", "unknown-radio", "", "ford-v-series" ]);
+		expect(written[4][5]).toBe(String(RadioErrors.INVALID_RADIO_MODEL));
+
+		// nothing left to do
+		return bulk.process_file(input_path, output_path);
+	})
+	.then(summary =>
+	{
+		expect(summary["processed"]).toBe(0);
+
+		// start over
+		return bulk.process_file(input_path, output_path, { "resume": false });
+	})
+	.then(summary =>
+	{
+		expect(summary).toEqual({ "total": 6, "skipped": 0, "processed": 6, "succeeded": 2, "failed": 4 });
+
+		fs.writeFileSync(output_path, "Other;Header\n");
+
+		return bulk.process_file(input_path, output_path).catch(error => error);
+	})
+	.then(error =>
+	{
+		expect(error.message).toMatch(/doesn't match the input file columns/);
+
+		fs.rmSync(directory, { "recursive": true });
+	});
+});
+
+test("test_bulk_file_fatal_chunk()", () =>
+{
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "radio-bulk-"));
+	const input_path = path.join(directory, "fleet.csv");
+	const output_path = path.join(directory, "fleet-codes.csv");
+
+	fs.writeFileSync(input_path, [ "Model;Serial", "FORD_M_SERIES;123456", "jaguar-alpine;99999", "FORD_M_SERIES;=1+2", "renault-dacia;Z999" ].join("\r\n"));
+
+	// only the second request fails, the rows processed after it in the same chunk are kept
+	const transport = new RadioMockTransport();
+	const send = transport.send.bind(transport);
+
+	let failed = false;
+
+	transport.send = (url, params, signal) =>
+	{
+		if (params["radio_model"] !== "jaguar-alpine" || failed)
+			return send(url, params, signal);
+
+		failed = true;
+
+		return Promise.reject(new Error("ECONNRESET"));
+	};
+
+	const bulk = new RadioBulkImport(create_calculator(transport), { "concurrency": 1, "chunk_size": 10 });
+
+	return bulk.process_file(input_path, output_path).catch(error => error).then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+
+		const output = fs.readFileSync(output_path, "utf8");
+		const written = RadioCsv.parse(output, ";");
+
+		expect(written.slice(1).map(row => row[3])).toEqual([ String(RadioErrors.SUCCESS), String(RadioErrors.ERROR_CONNECTION), String(RadioErrors.INVALID_SERIAL_LENGTH), String(RadioErrors.SUCCESS) ]);
+		expect(transport.requests).toHaveLength(2);
+
+		// the formulas are written as text
+		expect(output).toContain("FORD_M_SERIES;'=1+2;");
+		expect(RadioCsv.escape("@SUM(A1)")).toBe("'@SUM(A1)");
+		expect(RadioCsv.escape("-1")).toBe("-1");
+
+		return bulk.process_file(input_path, output_path);
+	})
+	.then(summary =>
+	{
+		// only the failed row is sent again
+		expect(summary).toEqual({ "total": 4, "skipped": 3, "processed": 1, "succeeded": 1, "failed": 0 });
+		expect(transport.requests).toHaveLength(3);
+
+		const written = RadioCsv.parse(fs.readFileSync(output_path, "utf8"), ";");
+
+		expect(written).toHaveLength(5);
+		expect(written[2]).toEqual([ "jaguar-alpine", "99999", "6125", String(RadioErrors.SUCCESS), "" ]);
+		expect(fs.readdirSync(directory).sort()).toEqual([ "fleet-codes.csv", "fleet.csv" ]);
+
+		fs.rmSync(directory, { "recursive": true });
+	});
+});
@@ -0,0 +1,174 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - command line interface unit test
+ *
+ * Validate the radio-code commands, outputs & exit codes
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RadioErrors, RadioMockTransport } from "radio-code-calculator";
+import { RadioCli } from "../src/RadioCli.mjs";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * @var string empty config file (the tests must not read the user's config file)
+ */
+const EMPTY_CONFIG = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "radio-code-")), "empty.json");
+
+fs.writeFileSync(EMPTY_CONFIG, "{}");
+
+afterAll(() => fs.rmSync(path.dirname(EMPTY_CONFIG), { "recursive": true }));
+
+/**
+ * Create the command line interface writing to the string buffers
+ */
+function create_cli(env = {})
+{
+	const output = { "stdout": "", "stderr": "" };
+
+	const cli = new RadioCli({
+		"env": Object.assign({ "RADIO_CODE_CALCULATOR_CONFIG": EMPTY_CONFIG }, env),
+		"stdout": { write: text => { output["stdout"] += text; } },
+		"stderr": { write: text => { output["stderr"] += text; } },
+		"calculator_options": { "transport": new RadioMockTransport({ "keys": [VALID_ACTIVATION_KEY] }) }
+	});
+
+	return { cli, output };
+}
+
+test("test_cli_calc()", () =>
+{
+	const { cli, output } = create_cli({ "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY });
+
+	return cli.run([ "calc", "FORD_M_SERIES", "123456" ]).then(exit_code =>
+	{
+		expect(exit_code).toBe(0);
+		expect(output["stdout"]).toContain("ford-m-series");
+		expect(output["stdout"]).toMatch(/Code\s+: 2487/);
+	});
+});
+
+test("test_cli_calc_json()", () =>
+{
+	const { cli, output } = create_cli();
+
+	return cli.run([ "calc", "ford-m-series", "123456", "--json", "--key", VALID_ACTIVATION_KEY ]).then(exit_code =>
+	{
+		expect(exit_code).toBe(0);
+		expect(JSON.parse(output["stdout"])).toEqual({ "error": RadioErrors.SUCCESS, "code": "2487" });
+	});
+});
+
+test("test_cli_exit_codes()", () =>
+{
+	const cases = [
+		[ [ "calc", "ford-m-series", "12345A" ], { "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY }, RadioErrors.INVALID_SERIAL_PATTERN ],
+		[ [ "login" ], { "RADIO_CODE_CALCULATOR_KEY": "AAAA-BBBB-CCCC-DDDD" }, RadioErrors.INVALID_LICENSE ],
+		[ [ "login" ], {}, RadioErrors.INVALID_LICENSE ],
+		[ [ "info", "unknown-model" ], { "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY }, RadioErrors.INVALID_RADIO_MODEL ],
+		[ [ "unknown-command" ], {}, RadioErrors.INVALID_COMMAND ],
+		[ [ "calc", "ford-m-series" ], {}, RadioErrors.INVALID_INPUT ],
+	];
+
+	return Promise.all(cases.map(([argv, env, expected]) =>
+	{
+		const { cli, output } = create_cli(env);
+
+		return cli.run(argv).then(exit_code =>
+		{
+			expect(exit_code).toBe(expected);
+			expect(output["stderr"]).toContain(`error code ${expected}`);
+		});
+	}));
+});
+
+test("test_cli_validate()", () =>
+{
+	const valid = create_cli();
+	const invalid = create_cli();
+
+	return Promise.all([
+		valid.cli.run([ "validate", "renault-dacia", "Z999" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(0);
+			expect(valid.output["stdout"]).toMatch(/Result\s+: Valid/);
+		}),
+		invalid.cli.run([ "validate", "FORD_M_SERIES", "1", "--json" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+			expect(JSON.parse(invalid.output["stdout"])["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+		}),
+	]);
+});
+
+test("test_cli_list_info_login()", () =>
+{
+	const list = create_cli({ "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY });
+	const info = create_cli({ "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY });
+	const login = create_cli({ "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY });
+
+	return Promise.all([
+		list.cli.run([ "list" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(0);
+			expect(list.output["stdout"].split("\n")[0]).toMatch(/^RADIO MODEL\s+SERIAL\s+PATTERN\s+EXTRA$/);
+			expect(list.output["stdout"]).toContain("jaguar-alpine");
+		}),
+		info.cli.run([ "info", "jaguar-alpine", "--json" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(0);
+			expect(JSON.parse(info.output["stdout"])["serial_max_len"]).toBe(5);
+		}),
+		login.cli.run([ "login" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(0);
+			expect(login.output["stdout"]).toMatch(/License type\s+: Personal/);
+		}),
+	]);
+});
+
+test("test_cli_config_file()", () =>
+{
+	const missing = create_cli({ "RADIO_CODE_CALCULATOR_CONFIG": EMPTY_CONFIG + ".missing" });
+
+	const config_path = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "radio-code-")), "config.json");
+
+	fs.writeFileSync(config_path, JSON.stringify({ "key": VALID_ACTIVATION_KEY }));
+
+	const { cli, output } = create_cli();
+
+	return Promise.all([
+		cli.run([ "login", "--config", config_path, "--json" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(0);
+			expect(JSON.parse(output["stdout"])["activationStatus"]).toBe(true);
+
+			fs.rmSync(path.dirname(config_path), { "recursive": true });
+		}),
+		missing.cli.run([ "login" ]).then(exit_code =>
+		{
+			expect(exit_code).toBe(RadioErrors.INVALID_INPUT);
+			expect(missing.output["stderr"]).toContain("Cannot read the config file");
+		}),
+	]);
+});
@@ -4,10 +4,15 @@
  *
  * Radio Code Calculator API - WebApi interface unit test
  *
- * Validate Radio Code Calculator Web API responses
+ * Validate Radio Code Calculator Web API responses (replayed from the recorded
+ * fixtures, so the tests run offline)
  *
  * Run with npm test
  *
+ * Re-record the fixtures with the live Web API:
+ *
+ * RADIO_CODE_CALCULATOR_RECORD=1 RADIO_CODE_CALCULATOR_KEY=<your key> npm test -- TestRadioCodeCalculator
+ *
  * Version      : v.1.1.6
  * JS           : ES6
  * Dependencies : form-data, node-fetch
@@ -21,26 +26,70 @@
  *
 /*****************************************************************************/
 
+import { fileURLToPath } from 'url';
+
 //
 // include Radio Code Calculator API module (via composer autoloader)
 //
-import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels } from "radio-code-calculator";
+import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels, RadioReplayTransport, RadioLicenseError, RadioModelError, RadioCommandError, RadioValidationError, RadioConnectionError } from "radio-code-calculator";
 
 //
-// make sure to provide valid activation key in order to run the tests
+// activation key used in the replay mode (the recorded key is stored under this key)
 //
 const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
 
+//
+// activation key used to record the fixtures
+//
+const RECORD_ACTIVATION_KEY = process.env["RADIO_CODE_CALCULATOR_KEY"] === undefined ? VALID_ACTIVATION_KEY : process.env["RADIO_CODE_CALCULATOR_KEY"];
+
+/**
+ * @var string fixture file with the recorded Web API exchanges
+ */
+const FIXTURE_FILE = fileURLToPath(new URL("fixtures/RadioCodeCalculator.json", import.meta.url));
+
+/**
+ * @var RadioReplayTransport recorded Web API exchanges (the live Web API in the record mode)
+ */
+const transport = new RadioReplayTransport(FIXTURE_FILE, { "key_aliases": { [RECORD_ACTIVATION_KEY]: VALID_ACTIVATION_KEY } });
+
 /**
  * @var RadioCodeCalculator global instance of RadioCodeCalculator
  */
-let myRadioCodeCalculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY);
+let myRadioCodeCalculator = new RadioCodeCalculator(transport.mode === RadioReplayTransport.MODE_RECORD ? RECORD_ACTIVATION_KEY : VALID_ACTIVATION_KEY, { "transport": transport });
+
+/**
+ * @var Set RadioErrors codes returned by the tests so far
+ */
+const returned_errors = new Set();
+
+/**
+ * Expect the request to be rejected with the given error code
+ *
+ * @param Promise request Web API request
+ * @param int error_code Expected RadioErrors value
+ * @param function error_class Expected RadioError subclass
+ * @return Promise Rejected RadioError
+ */
+function expect_error(request, error_code, error_class)
+{
+	return request.then(result => { throw new Error(`Request should fail with error code ${error_code}, got ${JSON.stringify(result)}`); }, error =>
+	{
+		expect(error).toBeInstanceOf(error_class);
+		expect(error).toHaveProperty('error');
+		expect(error['error']).toBe(error_code);
+
+		returned_errors.add(error['error']);
+
+		return error;
+	});
+}
 
 test("test_login()", () =>
 {
 	// login to the service
-	myRadioCodeCalculator.login().then(result => {
-
+	return myRadioCodeCalculator.login().then(result =>
+	{
 		expect(result).not.toBeNull();
 		expect(result).toHaveProperty('error');
 		expect(result['error']).toBe(RadioErrors.SUCCESS);
@@ -48,33 +97,43 @@ test("test_login()", () =>
 		expect(result["license"]).toHaveProperty("userName");
 		expect(result["license"]).toHaveProperty("type");
 		expect(result["license"]).toHaveProperty("expirationDate");
-	}).catch(error => expect(error).toBeNull());
+
+		returned_errors.add(result['error']);
+
+		// the license status is cached after the login
+		return myRadioCodeCalculator.license_status();
+	})
+	.then(status =>
+	{
+		expect(status.is_valid()).toBe(true);
+		expect(myRadioCodeCalculator.is_license_fresh()).toBe(true);
+	});
 });
 
 test("test_login_invalid()", () =>
 {
 	// provide invalid license key
-	let radioCodeApi = new RadioCodeCalculator("AAAA-BBBB-CCCC-DDDD");
+	let radioCodeApi = new RadioCodeCalculator("AAAA-BBBB-CCCC-DDDD", { "transport": transport });
 
 	// login to the service
-	radioCodeApi.login().then(result => {})
-	.catch(result =>
+	return expect_error(radioCodeApi.login(), RadioErrors.INVALID_LICENSE, RadioLicenseError).then(() =>
 	{
-		expect(result).not.toBeNull();
-		expect(result).toHaveProperty('error');
-		expect(result['error']).toBe(RadioErrors.INVALID_LICENSE);
+		// the cached license status is inactive
+		return radioCodeApi.license_status();
+	})
+	.then(status =>
+	{
+		expect(status.is_valid()).toBe(false);
+		expect(status.is_expired()).toBe(false);
 	});
 });
 
 test("test_invalid_radio_model()", () =>
 {
-	// login to the service
-	myRadioCodeCalculator.calc("INVALID RADIO MODEL", "1234").then(result => {})
-	.catch(result =>
+	// calculate the code for the unknown radio model
+	return expect_error(myRadioCodeCalculator.calc("INVALID RADIO MODEL", "1234"), RadioErrors.INVALID_RADIO_MODEL, RadioModelError).then(error =>
 	{
-		expect(result).not.toBeNull();
-		expect(result).toHaveProperty('error');
-		expect(result['error']).toBe(RadioErrors.INVALID_RADIO_MODEL);
+		expect(error.radio_model).toBe("INVALID RADIO MODEL");
 	});
 });
 
@@ -84,13 +143,17 @@ test("test_radio_command()", () =>
 	const params = [];
 	params["command"] = "INVALID COMMAND";
 
-	myRadioCodeCalculator.post_request(params).then(result => {})
-	.catch(result =>
-	{
-		expect(result).not.toBeNull();
-		expect(result).toHaveProperty('error');
-		expect(result['error']).toBe(RadioErrors.INVALID_COMMAND);
-	});
+	return expect_error(myRadioCodeCalculator.post_request(params), RadioErrors.INVALID_COMMAND, RadioCommandError);
+});
+
+test("test_invalid_input()", () =>
+{
+	// send the calc command without the serial number
+	const params = [];
+	params["command"] = "calc";
+	params["radio_model"] = RadioModels.FORD_M_SERIES.name;
+
+	return expect_error(myRadioCodeCalculator.post_request(params), RadioErrors.INVALID_INPUT, RadioValidationError);
 });
 
 test("test_radio_codes()", () =>
@@ -113,7 +176,7 @@ test("test_radio_codes()", () =>
 		[ RadioModels.JAGUAR_ALPINE, "99999", "6125"],
 	];
 
-	codes.forEach(params =>
+	return Promise.all(codes.map(params =>
 	{
 		let model = params[0];
 		let seed = params[1];
@@ -123,34 +186,217 @@ test("test_radio_codes()", () =>
 		expect(model.validate(seed)).toBe(RadioErrors.SUCCESS);
 
 		// validate radio code for the given serial number
-		myRadioCodeCalculator.calc(model, seed).then(result =>
+		return myRadioCodeCalculator.calc(model, seed).then(result =>
 		{
 			expect(result).not.toBeNull();
 			expect(result).toHaveProperty('error');
 			expect(result['error']).toBe(RadioErrors.SUCCESS);
 			expect(result['code']).toBe(key);
-		}).catch(error => expect(error).toBeNull());
-	});
+		});
+	}));
 });
 
 test("test_radio_code_len()", () =>
 {
 	// invalid radio serial length
-	myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "1").then(result => {}).catch(result =>
+	return expect_error(myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "1"), RadioErrors.INVALID_SERIAL_LENGTH, RadioValidationError).then(error =>
 	{
-		expect(result).not.toBeNull();
-		expect(result).toHaveProperty('error');
-		expect(result['error']).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+		// the Web API returns the radio model parameters with the validation errors
+		expect(error.response["serialMaxLen"]).toBe(6);
 	});
 });
 
 test("test_radio_code_pattern()", () =>
 {
 	// calculate the code with invalid regex pattern
-	myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "12345A").then(result => {}).catch(result =>
+	return expect_error(myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "12345A"), RadioErrors.INVALID_SERIAL_PATTERN, RadioValidationError);
+});
+
+test("test_radio_code_not_supported()", () =>
+{
+	// valid serial number the radio code cannot be generated for
+	return expect_error(myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "654321"), RadioErrors.INVALID_SERIAL_NOT_SUPPORTED, RadioValidationError);
+});
+
+test("test_info()", () =>
+{
+	// download the parameters of the selected radio calculator
+	return myRadioCodeCalculator.info(RadioModels.JEEP_CHEROKEE).then(result =>
 	{
-		expect(result).not.toBeNull();
-		expect(result).toHaveProperty('error');
-		expect(result['error']).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+		expect(result['error']).toBe(RadioErrors.SUCCESS);
+		expect(result["radioModel"]).toBeInstanceOf(RadioModel);
+		expect(result["radioModel"].name).toBe("jeep-cherokee");
+		expect(result["radioModel"].serial_max_len).toBe(14);
+		expect(result["radioModel"].validate("TQ1AA1500E2884")).toBe(RadioErrors.SUCCESS);
+
+		return expect_error(myRadioCodeCalculator.info("INVALID RADIO MODEL"), RadioErrors.INVALID_RADIO_MODEL, RadioModelError);
+	});
+});
+
+test("test_list()", () =>
+{
+	// download the list of the supported radio calculators
+	return myRadioCodeCalculator.list().then(result =>
+	{
+		expect(result['error']).toBe(RadioErrors.SUCCESS);
+
+		const names = result["radioModels"].map(radio_model => radio_model.name);
+
+		RadioModels.all().forEach(radio_model => expect(names).toContain(radio_model.name));
+
+		// the downloaded parameters match the predefined radio models
+		result["radioModels"].forEach(radio_model =>
+		{
+			const predefined = RadioModels.by_name(radio_model.name);
+
+			if (predefined !== null)
+				expect(radio_model.serial_max_len).toBe(predefined.serial_max_len);
+		});
+	});
+});
+
+test("test_connection_error()", () =>
+{
+	// the cancelled requests are never sent
+	return expect_error(myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "123456", "", { "signal": AbortSignal.abort() }), RadioErrors.ERROR_CONNECTION, RadioConnectionError).then(error =>
+	{
+		expect(error.message).toBe("Request has been aborted");
 	});
 });
+
+test("test_calc_batch_offline_validation()", () =>
+{
+	// radio model with the extra data (e.g. a supplier code)
+	let model = new RadioModel("test-radio", 4, "/^([0-9]{4})$/", 2, "/^([A-Z]{2})$/");
+
+	// jobs rejected by the offline validation never reach the Web API
+	let jobs = [
+		{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "1" },
+		{ "radio_model": "ford-m-series", "serial": "12345A" },
+		{ "radio_model": RadioModels.RENAULT_DACIA, "serial": "1234", "extra": "" },
+		{ "radio_model": model, "serial": "1234", "extra": "A" },
+		{ "radio_model": model, "serial": "1234", "extra": "a1" },
+		{ "radio_model": RadioModels.FIAT_VP, "serial": "2063" },
+	];
+
+	return myRadioCodeCalculator.calc_batch(jobs, 2).then(results =>
+	{
+		expect(results).toHaveLength(jobs.length);
+
+		expect(results[0]["job"]).toBe(jobs[0]);
+		expect(results[0]["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+		expect(results[1]["error"]).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+		expect(results[2]["error"]).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+		expect(results[2]["code"]).toBeNull();
+		expect(results[3]["error"]).toBe(RadioErrors.INVALID_EXTRA_LENGTH);
+		expect(results[4]["error"]).toBe(RadioErrors.INVALID_EXTRA_PATTERN);
+		expect(results[5]["error"]).toBe(RadioErrors.SUCCESS);
+		expect(results[5]["code"]).toBe("1341");
+
+		results.forEach(result => returned_errors.add(result["error"]));
+	});
+});
+
+test("test_validate_report()", () =>
+{
+	// valid serial number
+	let report = RadioModels.RENAULT_DACIA.validate_report("Z999");
+
+	expect(report["valid"]).toBe(true);
+	expect(report["error"]).toBe(RadioErrors.SUCCESS);
+	expect(report["serial"]["invalid_positions"]).toEqual([]);
+	expect(report["extra"]).toBeNull();
+
+	// lower case letter & confused O/0 characters
+	report = RadioModels.RENAULT_DACIA.validate_report("z9O9");
+
+	expect(report["error"]).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+	expect(report["serial"]["expected_length"]).toBe(4);
+	expect(report["serial"]["actual_length"]).toBe(4);
+	expect(report["serial"]["invalid_positions"]).toEqual([
+		{ "position": 0, "character": "z", "expected": "[A-Z]" },
+		{ "position": 2, "character": "O", "expected": "[0-9]" },
+	]);
+	expect(report["serial"]["suggestion"]).toBe("Z909");
+	expect(report["serial"]["confusions"]).toEqual([ { "position": 2, "character": "O", "replacement": "0" } ]);
+
+	// surrounding white spaces
+	report = RadioModels.FORD_M_SERIES.validate_report(" 123456 ");
+
+	expect(report["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+	expect(report["serial"]["suggestion"]).toBe("123456");
+
+	// no suggestion possible
+	report = RadioModels.JEEP_CHEROKEE.validate_report("TQ1AA1500E288");
+
+	expect(report["serial"]["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+	expect(report["serial"]["suggestion"]).toBeNull();
+});
+
+test("test_validate_report_extra()", () =>
+{
+	let model = new RadioModel("test-radio", 4, "/^([0-9]{4})$/", 2, "/^([A-Z]{2})$/");
+
+	// both fields are always reported
+	let report = model.validate_report("12A4", "a1");
+
+	expect(report["error"]).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+	expect(report["serial"]["invalid_positions"]).toEqual([ { "position": 2, "character": "A", "expected": "[0-9]" } ]);
+	expect(report["extra"]["error"]).toBe(RadioErrors.INVALID_EXTRA_PATTERN);
+	expect(report["extra"]["suggestion"]).toBe("AI");
+
+	expect(model.validate("1234", "AB")).toBe(RadioErrors.SUCCESS);
+	expect(model.validate("1234", "A")).toBe(RadioErrors.INVALID_EXTRA_LENGTH);
+});
+
+test("test_normalize()", () =>
+{
+	// separators & label prefixes
+	expect(RadioModels.FORD_M_SERIES.normalize(" M-123 456 ")).toEqual({ "serial": "123456", "extra": null });
+	expect(RadioModels.FORD_V_SERIES.normalize("v123456")["serial"]).toBe("123456");
+
+	// the prefix is removed only if the serial number is too long
+	expect(RadioModels.FORD_V_SERIES.normalize("V12345")["serial"]).toBe("V12345");
+
+	// case folding
+	expect(RadioModels.RENAULT_DACIA.normalize("z-999")["serial"]).toBe("Z999");
+	expect(RadioModels.TOYOTA_ERC.normalize("1021 1376 ab8e 0d25")["serial"]).toBe("10211376ab8e0d25");
+
+	// optional normalization in the offline validation
+	expect(RadioModels.FORD_M_SERIES.validate("M123456")).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+	expect(RadioModels.FORD_M_SERIES.validate("M123456", null, { "normalize": true })).toBe(RadioErrors.SUCCESS);
+
+	let report = RadioModels.RENAULT_DACIA.validate_report("z 999", null, { "normalize": true });
+
+	expect(report["valid"]).toBe(true);
+	expect(report["normalized"]["serial"]).toBe("Z999");
+});
+
+test("test_calc_normalize()", () =>
+{
+	return Promise.all([
+		myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "M 123-456", "", { "normalize": true }).then(result =>
+		{
+			expect(result["code"]).toBe("2487");
+			expect(result["normalized"]).toEqual({ "serial": "123456", "extra": "" });
+		}),
+		myRadioCodeCalculator.calc("renault-dacia", "z999", "", { "normalize": true }).then(result =>
+		{
+			expect(result["code"]).toBe("0060");
+			expect(result["normalized"]["serial"]).toBe("Z999");
+		}),
+		myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "M 12345A", "", { "normalize": true }).then(() => { throw new Error("calc() should fail"); }, error =>
+		{
+			expect(error["error"]).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+			expect(error["normalized"]["serial"]).toBe("12345A");
+		}),
+	]);
+});
+
+test("test_error_codes()", () =>
+{
+	// every RadioErrors code has been returned by the tests above
+	const error_codes = Object.keys(RadioErrors).map(name => RadioErrors[name]).filter(value => typeof value === "number");
+
+	expect([...returned_errors].sort((a, b) => a - b)).toEqual(error_codes.sort((a, b) => a - b));
+});
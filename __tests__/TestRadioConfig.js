@@ -0,0 +1,187 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - configuration loader unit test
+ *
+ * Validate the settings resolution order, the config files, the activation
+ * key format & the redaction of the activation key
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+
+import { RadioCodeCalculator, RadioConfig, RadioErrors, RadioError, RadioLicenseError, RadioModels, RadioMockTransport, RadioTransport, RadioResultCache, RadioFileStorage } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * @var string temporary directory with the project & home directories
+ */
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "radio-code-"));
+
+const PROJECT_DIR = path.join(TEMP_DIR, "project");
+const HOME_DIR = path.join(TEMP_DIR, "home");
+
+fs.mkdirSync(PROJECT_DIR);
+fs.mkdirSync(HOME_DIR);
+
+afterAll(() => fs.rmSync(TEMP_DIR, { "recursive": true }));
+
+/**
+ * Load the configuration without the user's environment & config files
+ */
+function load(options = {})
+{
+	return RadioConfig.load(Object.assign({ "env": {}, "cwd": PROJECT_DIR, "home": HOME_DIR }, options));
+}
+
+test("test_config_resolution()", () =>
+{
+	const home_config = path.join(HOME_DIR, ".radio-code-calculator.json");
+	const project_config = path.join(PROJECT_DIR, ".radio-code-calculatorrc");
+
+	expect(load().toJSON()).toEqual({ "key": null, "api_url": null, "timeout": null, "cache": null, "rate_limit": null, "file": null,
+		"sources": { "key": null, "api_url": null, "timeout": null, "cache": null, "rate_limit": null } });
+
+	fs.writeFileSync(home_config, JSON.stringify({ "key": "HOME-HOME-HOME-HOME", "api_url": "https://home.example.com/api", "timeout": 5000 }));
+
+	let config = load();
+
+	expect(config.file).toBe(home_config);
+	expect(config.key).toBe("HOME-HOME-HOME-HOME");
+	expect(config.timeout).toBe(5000);
+
+	// the project config file goes first
+	fs.writeFileSync(project_config, "# project settings\nkey = \"PROJ-PROJ-PROJ-PROJ\"\ncache = 3600000\nrate_limit = 5/2000\n");
+
+	config = load();
+
+	expect(config.file).toBe(project_config);
+	expect(config.toJSON()).toMatchObject({ "api_url": null, "cache": { "ttl": 3600000 }, "rate_limit": { "requests": 5, "interval": 2000 } });
+
+	// environment variables override the config file, the options override both
+	config = load({ "env": { "RADIO_CODE_CALCULATOR_KEY": " ENVK-ENVK-ENVK-ENVK\n", "RADIO_CODE_CALCULATOR_TIMEOUT": "1000", "RADIO_CODE_CALCULATOR_CACHE": "off" }, "timeout": 2000 });
+
+	expect(config.key).toBe("ENVK-ENVK-ENVK-ENVK");
+	expect(config.timeout).toBe(2000);
+	expect(config.cache).toBeNull();
+	expect(config.sources).toEqual({ "key": "env", "api_url": null, "timeout": "options", "cache": null, "rate_limit": "file" });
+
+	// explicit config file or none at all
+	expect(load({ "config": home_config }).key).toBe("HOME-HOME-HOME-HOME");
+	expect(load({ "env": { "RADIO_CODE_CALCULATOR_CONFIG": home_config } }).file).toBe(home_config);
+	expect(load({ "config": false }).file).toBeNull();
+
+	fs.rmSync(project_config);
+	fs.rmSync(home_config);
+});
+
+test("test_config_errors()", () =>
+{
+	const invalid_config = path.join(TEMP_DIR, "invalid.json");
+
+	fs.writeFileSync(invalid_config, "{ \"key\": ");
+
+	expect(() => load({ "config": invalid_config })).toThrow(`Cannot read the config file "${invalid_config}"`);
+	expect(() => load({ "config": invalid_config + ".missing" })).toThrow(RadioError);
+
+	expect(() => load({ "env": { "RADIO_CODE_CALCULATOR_TIMEOUT": "10s" } })).toThrow("Invalid \"timeout\" setting in the RADIO_CODE_CALCULATOR_TIMEOUT environment variable");
+	expect(() => load({ "api_url": "ftp://example.com" })).toThrow("Invalid \"api_url\" setting in the options");
+	expect(() => load({ "rate_limit": "5/0" })).toThrow(RadioError);
+	expect(() => load({ "cache": "sometimes" })).toThrow(RadioError);
+
+	// the invalid key isn't included in the message
+	let error = null;
+
+	try
+	{
+		load({ "env": { "RADIO_CODE_CALCULATOR_KEY": "my secret key" } });
+	}
+	catch (e)
+	{
+		error = e;
+	}
+
+	expect(error).toBeInstanceOf(RadioLicenseError);
+	expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+	expect(error.message).toBe("Invalid activation key format in the RADIO_CODE_CALCULATOR_KEY environment variable (expected XXXX-XXXX-XXXX-XXXX)");
+
+	expect(load({ "key": "my secret key", "validate_key": false }).key).toBe("my secret key");
+});
+
+test("test_config_calculator_options()", () =>
+{
+	const options = load({ "api_url": "https://example.com/api", "timeout": "2500", "cache": { "ttl": 1000, "file": path.join(TEMP_DIR, "cache.json") }, "rate_limit": 10 }).calculator_options();
+
+	expect(options["api_url"]).toBe("https://example.com/api");
+	expect(options["policy"]).toEqual({ "timeout": 2500 });
+	expect(options["cache"]).toBeInstanceOf(RadioResultCache);
+	expect(options["cache"]._storage).toBeInstanceOf(RadioFileStorage);
+	expect(options["rate_limit"]).toEqual({ "requests": 10, "interval": 1000 });
+
+	expect(load().calculator_options()).toEqual({});
+	expect(load({ "cache": "yes" }).calculator_options()["cache"]).toBeInstanceOf(RadioResultCache);
+});
+
+test("test_from_environment()", () =>
+{
+	const env = { "RADIO_CODE_CALCULATOR_KEY": VALID_ACTIVATION_KEY, "RADIO_CODE_CALCULATOR_API_URL": "https://example.com/api" };
+
+	const calculator = RadioCodeCalculator.fromEnvironment({ "env": env, "config": false }, { "transport": new RadioMockTransport({ "keys": [VALID_ACTIVATION_KEY] }) });
+
+	expect(calculator.API_URL).toBe("https://example.com/api");
+
+	expect(() => RadioCodeCalculator.fromEnvironment({ "env": {}, "config": false })).toThrow("Activation key is not provided (set the RADIO_CODE_CALCULATOR_KEY environment variable");
+
+	return calculator.calc(RadioModels.FORD_M_SERIES, "123456").then(result => expect(result["code"]).toBe("2487"));
+});
+
+test("test_key_redaction()", () =>
+{
+	/**
+	 * Transport including the request parameters in its errors
+	 */
+	class LeakyTransport extends RadioTransport
+	{
+		send(url, params, signal = null)
+		{
+			return Promise.reject(new TypeError("Request failed: " + JSON.stringify(params)));
+		}
+	}
+
+	const calculator = new RadioCodeCalculator("SECR-ETKE-YABC-1234", { "transport": new LeakyTransport(), "policy": { "retries": 0 } });
+	const config = load({ "key": "SECR-ETKE-YABC-1234" });
+
+	for (const logged of [ JSON.stringify(calculator), util.inspect(calculator), JSON.stringify(config), util.inspect(config) ])
+		expect(logged).not.toContain("SECR-ETKE-YABC");
+
+	expect(JSON.parse(JSON.stringify(calculator))["key"]).toBe("****-****-****-1234");
+	expect(JSON.parse(JSON.stringify(config))["key"]).toBe("****-****-****-1234");
+
+	// the key is still available to the instance
+	expect(config.key).toBe("SECR-ETKE-YABC-1234");
+
+	return calculator.login().then(() => { throw new Error("Login should fail"); }, error =>
+	{
+		expect(error.error).toBe(RadioErrors.ERROR_CONNECTION);
+		expect(error.cause.message).toContain("****-****-****-1234");
+		expect(util.inspect(error)).not.toContain("SECR-ETKE-YABC");
+	});
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - package entry points unit test
+ *
+ * Smoke test of the ES module, CommonJS and browser & edge runtimes builds
+ * (built with npm run build before the tests)
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+import { RadioCodeCalculator, RadioFetchTransport } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * Run the script in a separate Node.js process (so the package "exports" are resolved by Node.js itself)
+ *
+ * @param array node_options Node.js options
+ * @param string script Script source
+ * @return object Script output decoded from JSON
+ */
+function run_node(node_options, script)
+{
+	const output = execFileSync(process.execPath, node_options.concat([ "-e", script ]), {
+		"cwd": path.resolve("."),
+		"env": Object.assign({}, process.env, { "NODE_OPTIONS": "" }),
+		"encoding": "utf8",
+		"timeout": 30000
+	});
+
+	return JSON.parse(output);
+}
+
+test("test_entry_esm()", () =>
+{
+	const result = run_node([ "--input-type=module" ], `
+		import { RadioCodeCalculator, RadioModels, RadioMockTransport } from "radio-code-calculator";
+
+		const radioCodeApi = new RadioCodeCalculator("${VALID_ACTIVATION_KEY}", { "transport": new RadioMockTransport() });
+
+		radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result => console.log(JSON.stringify(result)));
+	`);
+
+	expect(result["code"]).toBe("2487");
+});
+
+test("test_entry_cjs()", () =>
+{
+	const result = run_node([ "--input-type=commonjs" ], `
+		const { RadioCodeCalculator, RadioModels, RadioMockTransport } = require("radio-code-calculator");
+
+		const radioCodeApi = new RadioCodeCalculator("${VALID_ACTIVATION_KEY}", { "transport": new RadioMockTransport() });
+
+		radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result => console.log(JSON.stringify(result)));
+	`);
+
+	expect(result["code"]).toBe("2487");
+});
+
+test("test_entry_validation()", () =>
+{
+	const script = (import_line) => `
+		${import_line}
+
+		console.log(JSON.stringify({ "error": RadioModels.FORD_M_SERIES.validate("12345"), "expected": RadioErrors.INVALID_SERIAL_LENGTH }));
+	`;
+
+	for (const result of [
+		run_node([ "--input-type=module" ], script(`import { RadioErrors, RadioModels } from "radio-code-calculator/validation";`)),
+		run_node([ "--input-type=commonjs" ], script(`const { RadioErrors, RadioModels } = require("radio-code-calculator/validation");`))
+	])
+		expect(result["error"]).toBe(result["expected"]);
+});
+
+test("test_entry_browser()", () =>
+{
+	// the build mustn't depend on any Node.js modules
+	const build = fs.readFileSync(path.resolve("dist/radio-code-calculator.browser.mjs"), "utf8");
+
+	expect(build).not.toMatch(/\bfrom\s+["'](node-fetch|form-data|fs|path|node:\w+)["']|\brequire\(/);
+
+	// the default transport uses the global fetch() & FormData
+	const result = run_node([ "--input-type=module", "--conditions=browser" ], `
+		globalThis.fetch = (url, init) => Promise.resolve({ "ok": true, "json": () => Promise.resolve({
+			"error": 0, "code": "2487", "url": url, "form": init.body instanceof FormData ? Object.fromEntries(init.body.entries()) : null
+		}) });
+
+		const { RadioCodeCalculator, RadioModels, RadioFileStorage, RadioMemoryAuditLog } = await import("radio-code-calculator");
+
+		const radioCodeApi = new RadioCodeCalculator("${VALID_ACTIVATION_KEY}");
+
+		const result = await radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456");
+		const storage_error = await new RadioFileStorage("radio.json").get("key").catch(error => error.message);
+		const hash = await new RadioMemoryAuditLog().hash_serial("123456");
+
+		console.log(JSON.stringify(Object.assign(result, { "storage_error": storage_error, "hash": hash })));
+	`);
+
+	expect(result["code"]).toBe("2487");
+	expect(result["url"]).toBe(new RadioCodeCalculator().API_URL);
+	expect(result["form"]).toEqual({ "key": VALID_ACTIVATION_KEY, "command": "calc", "radio_model": "ford-m-series", "serial": "123456", "extra": "" });
+	expect(result["storage_error"]).toBe("RadioFileStorage is not supported on the browser platform");
+
+	// the serial numbers are hashed with the Web Crypto API
+	expect(result["hash"]).toBe("sha256:8d969eef6ecad3c29a3a629280e686cf0c3f5d5a86aff3ca12020c923adc6c92");
+});
+
+test("test_fetch_transport_options()", () =>
+{
+	let request = null;
+
+	// custom fetch() & FormData implementations
+	class TestFormData
+	{
+		fields = {};
+
+		append(name, value)
+		{
+			this.fields[name] = value;
+		}
+	}
+
+	const transport = new RadioFetchTransport({
+		"FormData": TestFormData,
+		"fetch": (url, init) =>
+		{
+			request = init;
+			return Promise.resolve({ "ok": false, "status": 503, "statusText": "Service Unavailable" });
+		}
+	});
+
+	return transport.send("http://localhost:8080/v1", { "command": "login" }).then(() => { throw new Error("not rejected"); }, error =>
+	{
+		expect(error.status).toBe(503);
+		expect(request["method"]).toBe("POST");
+		expect(request["body"].fields).toEqual({ "command": "login" });
+		expect(request["headers"]).toBeUndefined();
+	});
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - error classes unit test
+ *
+ * Validate the error classes mapped from the RadioErrors codes
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioTransport, RadioMockTransport,
+	RadioError, RadioConnectionError, RadioLicenseError, RadioValidationError, RadioModelError, RadioCommandError } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+let myRadioCodeCalculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new RadioMockTransport() });
+
+test("test_error_classes()", () =>
+{
+	let cases = [
+		[ RadioErrors.ERROR_CONNECTION, RadioConnectionError ],
+		[ RadioErrors.INVALID_INPUT, RadioValidationError ],
+		[ RadioErrors.INVALID_COMMAND, RadioCommandError ],
+		[ RadioErrors.INVALID_RADIO_MODEL, RadioModelError ],
+		[ RadioErrors.INVALID_SERIAL_LENGTH, RadioValidationError ],
+		[ RadioErrors.INVALID_SERIAL_PATTERN, RadioValidationError ],
+		[ RadioErrors.INVALID_SERIAL_NOT_SUPPORTED, RadioValidationError ],
+		[ RadioErrors.INVALID_EXTRA_LENGTH, RadioValidationError ],
+		[ RadioErrors.INVALID_EXTRA_PATTERN, RadioValidationError ],
+		[ RadioErrors.INVALID_LICENSE, RadioLicenseError ],
+	];
+
+	cases.forEach(([code, ErrorClass]) =>
+	{
+		let error = RadioError.from_code(code);
+
+		expect(error).toBeInstanceOf(ErrorClass);
+		expect(error).toBeInstanceOf(RadioError);
+		expect(error).toBeInstanceOf(Error);
+		expect(error.error).toBe(code);
+		expect(error.name).toBe(ErrorClass.name);
+		expect(error.message).toBe(RadioError.describe(code));
+	});
+});
+
+test("test_validation_error_details()", () =>
+{
+	return myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "1").then(() => { throw new Error("calc() should fail"); }, error =>
+	{
+		expect(error).toBeInstanceOf(RadioValidationError);
+		expect(error["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+		expect(error.radio_model).toBe("ford-m-series");
+		expect(error.serial_max_len).toBe(6);
+		expect(error.serial_regex_pattern["js"]).toBe("/^([0-9]{6})$/");
+
+		// raw Web API response fields are kept
+		expect(error["serialMaxLen"]).toBe(6);
+	});
+});
+
+test("test_license_errors()", () =>
+{
+	let missingKey = new RadioCodeCalculator(null, { "transport": new RadioMockTransport() });
+	let invalidKey = new RadioCodeCalculator("AAAA-BBBB-CCCC-DDDD", { "transport": new RadioMockTransport({ "keys": [VALID_ACTIVATION_KEY] }) });
+
+	return Promise.all([
+		missingKey.login().then(() => { throw new Error("login() should fail"); }, error => expect(error).toBeInstanceOf(RadioLicenseError)),
+		invalidKey.list().then(() => { throw new Error("list() should fail"); }, error =>
+		{
+			expect(error).toBeInstanceOf(RadioLicenseError);
+			expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+		}),
+	]);
+});
+
+test("test_model_error()", () =>
+{
+	return myRadioCodeCalculator.info("unknown-model").then(() => { throw new Error("info() should fail"); }, error =>
+	{
+		expect(error).toBeInstanceOf(RadioModelError);
+		expect(error.radio_model).toBe("unknown-model");
+	});
+});
+
+test("test_connection_error()", () =>
+{
+	class FailingTransport extends RadioTransport
+	{
+		send(url, params)
+		{
+			return Promise.reject(new Error("connection refused"));
+		}
+	}
+
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new FailingTransport(), "policy": { "retries": 0 } });
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(() => { throw new Error("calc() should fail"); }, error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(error.error).toBe(RadioErrors.ERROR_CONNECTION);
+		expect(error.cause.message).toBe("connection refused");
+		expect(error.error_message.message).toBe("connection refused");
+	});
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - event emitter unit test
+ *
+ * Validate the event emitter shared by the calculator & the bulk jobs
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioJob, RadioEvents } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+test("test_events()", () =>
+{
+	const emitter = new RadioEvents();
+	const calls = [];
+
+	const first = (...args) => calls.push([ "first", ...args ]);
+	const second = () => calls.push([ "second" ]);
+
+	expect(emitter.on("event", first).on("event", second)).toBe(emitter);
+
+	expect(emitter.emit("event", 1, 2)).toBe(true);
+	expect(calls).toEqual([ [ "first", 1, 2 ], [ "second" ] ]);
+
+	// unknown events & removed listeners
+	expect(emitter.emit("unknown")).toBe(false);
+	expect(emitter.off("event", first).off("unknown", first)).toBe(emitter);
+
+	emitter.emit("event");
+
+	expect(calls).toHaveLength(3);
+});
+
+test("test_events_listener_error()", () =>
+{
+	const emitter = new RadioEvents();
+	let called = false;
+
+	// the listener errors are ignored & the remaining listeners are called
+	emitter.on("event", () => { throw new Error("listener error"); }).on("event", () => { called = true; });
+
+	expect(emitter.emit("event")).toBe(true);
+	expect(called).toBe(true);
+});
+
+test("test_events_shared()", () =>
+{
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY);
+	const job = new RadioJob(calculator, []);
+
+	expect(calculator).toBeInstanceOf(RadioEvents);
+	expect(job).toBeInstanceOf(RadioEvents);
+
+	// every instance has its own listeners
+	const listener = () => {};
+
+	calculator.on("retry", listener);
+
+	expect(job.emit("retry")).toBe(false);
+	expect(new RadioCodeCalculator(VALID_ACTIVATION_KEY).emit("retry")).toBe(false);
+	expect(calculator.emit("retry")).toBe(true);
+});
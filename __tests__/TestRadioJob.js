@@ -0,0 +1,220 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - bulk calculation jobs unit test
+ *
+ * Validate the progress events, pause, resume, cancellation & the async
+ * iteration of the results (the Web API is emulated with the mock transport)
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioMockTransport, RadioJob } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * Mock transport answering after a delay (the abort signal is honored)
+ */
+class SlowTransport extends RadioMockTransport
+{
+	send(url, params, signal = null)
+	{
+		this.requests.push(Object.assign({}, params));
+
+		return new Promise((fulfilled, rejected) =>
+		{
+			const timer = setTimeout(() => fulfilled(this.handle(params)), 20);
+
+			if (signal !== null)
+				signal.addEventListener("abort", () => { clearTimeout(timer); rejected(signal.reason); }, { "once": true });
+		});
+	}
+}
+
+/**
+ * Fleet order jobs (the invalid serial numbers never reach the Web API)
+ *
+ * @param int count Number of the valid jobs
+ * @return array A list of jobs
+ */
+function fleet_jobs(count)
+{
+	const jobs = [];
+
+	for (let i = 0; i < count; i++)
+		jobs.push({ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456", "extra": "", "vehicle": i });
+
+	jobs.push({ "radio_model": RadioModels.FORD_M_SERIES, "serial": "12345A", "vehicle": count });
+
+	return jobs;
+}
+
+/**
+ * Wait for the given time
+ *
+ * @param int delay Delay in milliseconds
+ * @return Promise Resolved after the delay
+ */
+function sleep(delay)
+{
+	return new Promise(fulfilled => setTimeout(fulfilled, delay));
+}
+
+test("test_job_progress()", () =>
+{
+	const transport = new SlowTransport({ "keys": [VALID_ACTIVATION_KEY] });
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+	const jobs = fleet_jobs(4);
+
+	const job = calculator.calc_job(jobs, { "concurrency": 2 });
+	const progress = [];
+	const finished = [];
+
+	job.on("progress", entry => progress.push(entry)).on("done", entry => finished.push(entry));
+
+	expect(job.state()).toBe(RadioJob.STATE_PENDING);
+	expect(job.progress()).toMatchObject({ "total": 5, "done": 0, "remaining": 5, "elapsed": 0, "eta": null });
+
+	const started = job.start();
+
+	expect(job.start()).toBe(started);
+	expect(job.state()).toBe(RadioJob.STATE_RUNNING);
+
+	return started.then(results =>
+	{
+		expect(results.map(result => [ result["job"]["vehicle"], result["error"], result["code"] ])).toEqual([
+			[ 0, RadioErrors.SUCCESS, "2487" ], [ 1, RadioErrors.SUCCESS, "2487" ], [ 2, RadioErrors.SUCCESS, "2487" ], [ 3, RadioErrors.SUCCESS, "2487" ], [ 4, RadioErrors.INVALID_SERIAL_PATTERN, null ]
+		]);
+
+		expect(transport.requests).toHaveLength(4);
+
+		expect(progress.map(entry => [ entry["done"], entry["remaining"] ])).toEqual([ [ 1, 4 ], [ 2, 3 ], [ 3, 2 ], [ 4, 1 ], [ 5, 0 ] ]);
+		expect(progress[1]["eta"]).toBeGreaterThan(0);
+		expect(progress[4]["eta"]).toBe(0);
+
+		expect(job.state()).toBe(RadioJob.STATE_DONE);
+		expect(job.is_finished()).toBe(true);
+		expect(finished).toEqual([ expect.objectContaining({ "state": RadioJob.STATE_DONE, "total": 5, "done": 5, "succeeded": 4, "failed": 1, "remaining": 0, "running": 0 }) ]);
+	});
+});
+
+test("test_job_iterator()", async () =>
+{
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new SlowTransport({ "keys": [VALID_ACTIVATION_KEY] }) });
+	const vehicles = [];
+
+	// the results are streamed as they are completed (not in the jobs order)
+	for await (const result of calculator.calc_job(fleet_jobs(3), { "concurrency": 3 }))
+		vehicles.push(result["job"]["vehicle"]);
+
+	expect(vehicles).toHaveLength(4);
+	expect(vehicles.slice().sort()).toEqual([ 0, 1, 2, 3 ]);
+
+	// leaving the loop early cancels the job
+	const job = calculator.calc_job(fleet_jobs(6), { "concurrency": 1 });
+
+	for await (const result of job)
+	{
+		if (result["error"] === RadioErrors.SUCCESS)
+			break;
+	}
+
+	return job.start().then(results =>
+	{
+		expect(job.state()).toBe(RadioJob.STATE_CANCELLED);
+		expect(results.filter(result => result !== null)).toHaveLength(1);
+	});
+});
+
+test("test_job_pause_resume()", () =>
+{
+	const transport = new SlowTransport({ "keys": [VALID_ACTIVATION_KEY] });
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+	const events = [];
+
+	const job = new RadioJob(calculator, fleet_jobs(4), { "concurrency": 1 });
+
+	job.on("paused", () => events.push("paused")).on("resumed", () => events.push("resumed"));
+
+	// pause after the first result
+	job.on("result", () =>
+	{
+		if (events.length === 0)
+			job.pause();
+	});
+
+	const finished = job.start();
+
+	return sleep(100).then(() =>
+	{
+		expect(job.state()).toBe(RadioJob.STATE_PAUSED);
+		expect(transport.requests).toHaveLength(1);
+		expect(job.progress()).toMatchObject({ "done": 1, "remaining": 4, "running": 0 });
+
+		// the paused time isn't counted
+		expect(job.progress()["elapsed"]).toBeLessThan(90);
+
+		job.resume();
+
+		return finished;
+	})
+	.then(results =>
+	{
+		expect(events).toEqual([ "paused", "resumed" ]);
+		expect(results.every(result => result !== null)).toBe(true);
+		expect(transport.requests).toHaveLength(4);
+		expect(job.state()).toBe(RadioJob.STATE_DONE);
+	});
+});
+
+test("test_job_cancel()", () =>
+{
+	const transport = new SlowTransport({ "keys": [VALID_ACTIVATION_KEY] });
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+	const controller = new AbortController();
+	const cancelled = [];
+
+	const job = calculator.calc_job(fleet_jobs(10), { "concurrency": 2, "signal": controller.signal });
+
+	job.on("cancelled", progress => cancelled.push(progress));
+
+	// cancel when the first requests are done & the next ones are running
+	job.on("progress", progress =>
+	{
+		if (progress["done"] === 3)
+			controller.abort();
+	});
+
+	return job.start().then(results =>
+	{
+		expect(job.state()).toBe(RadioJob.STATE_CANCELLED);
+		expect(cancelled).toHaveLength(1);
+
+		// the aborted requests are not reported
+		const processed = results.filter(result => result !== null);
+
+		expect(processed.length).toBe(3);
+		expect(processed.every(result => result["error"] !== RadioErrors.ERROR_CONNECTION)).toBe(true);
+		expect(job.progress()).toMatchObject({ "state": RadioJob.STATE_CANCELLED, "total": 11, "done": 3, "remaining": 8, "running": 0, "eta": null });
+		expect(transport.requests.length).toBeLessThan(8);
+
+		// cancelling before the start
+		const aborted = calculator.calc_job(fleet_jobs(2), { "signal": AbortSignal.abort() });
+
+		return aborted.start().then(results => expect(results).toEqual([ null, null, null ]));
+	});
+});
@@ -0,0 +1,182 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - pool of activation keys unit test
+ *
+ * Validate the key selection strategies, the failover to the next key after
+ * INVALID_LICENSE & the per-key statistics (the Web API is emulated with the
+ * mock transport)
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import util from 'util';
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioMockTransport, RadioLicenseError, RadioKeyPool } from "radio-code-calculator";
+
+const PERSONAL_KEY = "AAAA-AAAA-AAAA-1111";
+const COMPANY_KEY = "BBBB-BBBB-BBBB-2222";
+const EXPIRED_KEY = "CCCC-CCCC-CCCC-3333";
+
+/**
+ * Calculate the radio codes one after another
+ *
+ * @param RadioCodeCalculator calculator Calculator instance
+ * @param int count Number of the requests
+ * @return Promise A list of the results
+ */
+function calc_sequence(calculator, count)
+{
+	const results = [];
+
+	let sequence = Promise.resolve();
+
+	for (let i = 0; i < count; i++)
+		sequence = sequence.then(() => calculator.calc(RadioModels.FORD_M_SERIES, "123456")).then(result => results.push(result));
+
+	return sequence.then(() => results);
+}
+
+test("test_key_pool_round_robin()", () =>
+{
+	const transport = new RadioMockTransport({ "keys": [ PERSONAL_KEY, COMPANY_KEY ] });
+	const calculator = new RadioCodeCalculator([ PERSONAL_KEY, COMPANY_KEY ], { "transport": transport });
+
+	return calc_sequence(calculator, 4).then(results =>
+	{
+		expect(results.map(result => result["code"])).toEqual([ "2487", "2487", "2487", "2487" ]);
+		expect(transport.requests.map(params => params["key"])).toEqual([ PERSONAL_KEY, COMPANY_KEY, PERSONAL_KEY, COMPANY_KEY ]);
+
+		expect(calculator.key_stats()).toEqual([
+			expect.objectContaining({ "name": "****-****-****-1111", "key": "****-****-****-1111", "healthy": true, "requests": 2, "succeeded": 2, "failed": 0, "last_error": RadioErrors.SUCCESS }),
+			expect.objectContaining({ "name": "****-****-****-2222", "key": "****-****-****-2222", "healthy": true, "requests": 2, "succeeded": 2, "failed": 0, "last_error": RadioErrors.SUCCESS })
+		]);
+
+		expect(calculator.key_stats()[0]["last_used"]).toBeInstanceOf(Date);
+	});
+});
+
+test("test_key_pool_failover()", () =>
+{
+	const transport = new RadioMockTransport({ "keys": [ PERSONAL_KEY, COMPANY_KEY ] });
+
+	const pool = new RadioKeyPool([
+		{ "key": EXPIRED_KEY, "name": "company (expired)", "priority": 10 },
+		{ "key": COMPANY_KEY, "name": "company", "priority": 10 },
+		{ "key": PERSONAL_KEY, "name": "personal" }
+	], { "strategy": RadioKeyPool.STRATEGY_PRIORITY });
+
+	const calculator = new RadioCodeCalculator(pool, { "transport": transport });
+	const failovers = [];
+	const license_events = [];
+
+	calculator.on("key_failover", details => failovers.push(details)).on("license_invalid", status => license_events.push(status));
+
+	return calc_sequence(calculator, 3).then(results =>
+	{
+		expect(results.map(result => result["code"])).toEqual([ "2487", "2487", "2487" ]);
+
+		// the expired key is tried once, then only the healthy key with the highest priority is used
+		expect(transport.requests.map(params => params["key"])).toEqual([ EXPIRED_KEY, COMPANY_KEY, COMPANY_KEY, COMPANY_KEY ]);
+
+		expect(failovers).toHaveLength(1);
+		expect(failovers[0]).toMatchObject({ "command": "calc", "attempt": 0, "error": RadioErrors.INVALID_LICENSE, "params": { "key": "****-****-****-3333" } });
+
+		expect(calculator.key_stats().map(entry => [ entry["name"], entry["healthy"], entry["requests"], entry["failed"] ])).toEqual([
+			[ "company (expired)", false, 1, 1 ], [ "company", true, 3, 0 ], [ "personal", true, 0, 0 ]
+		]);
+
+		expect(calculator.key_stats()[0]["unhealthy_since"]).toBeInstanceOf(Date);
+		expect(license_events).toHaveLength(0);
+
+		// the remaining keys expire as well
+		transport.keys = [];
+
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456").then(() => { throw new Error("Request should fail"); }, error => error);
+	})
+	.then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioLicenseError);
+		expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+		expect(transport.requests.slice(4).map(params => params["key"])).toEqual([ COMPANY_KEY, PERSONAL_KEY ]);
+		expect(license_events).toHaveLength(1);
+
+		// no requests are sent without the healthy keys
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456").then(() => { throw new Error("Request should fail"); }, error => error);
+	})
+	.then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioLicenseError);
+		expect(error.message).toBe("All the activation keys from the pool have been rejected");
+		expect(transport.requests).toHaveLength(6);
+
+		// the renewed key is accepted again
+		transport.keys = [ PERSONAL_KEY ];
+		pool.mark_healthy(PERSONAL_KEY);
+
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456");
+	})
+	.then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(pool.stats()[2]).toMatchObject({ "healthy": true, "requests": 2, "succeeded": 1, "failed": 1 });
+	});
+});
+
+test("test_key_pool_recheck()", () =>
+{
+	const pool = new RadioKeyPool([ PERSONAL_KEY, COMPANY_KEY ], { "recheck_after": 60000 });
+
+	pool.record(PERSONAL_KEY, RadioErrors.INVALID_LICENSE);
+
+	expect(pool.select()).toBe(COMPANY_KEY);
+	expect(pool.select()).toBe(COMPANY_KEY);
+	expect(pool.select([ COMPANY_KEY ])).toBeNull();
+
+	// the unhealthy key is tried again after the recheck time
+	pool.entry(PERSONAL_KEY)["unhealthy_since"] = new Date(Date.now() - 60000);
+
+	expect(pool.select([ COMPANY_KEY ])).toBe(PERSONAL_KEY);
+
+	// the connection errors don't change the key health, the Web API errors mean the key has been accepted
+	pool.record(PERSONAL_KEY, RadioErrors.ERROR_CONNECTION);
+	expect(pool.stats()[0]["healthy"]).toBe(false);
+
+	pool.record(PERSONAL_KEY, RadioErrors.INVALID_SERIAL_LENGTH);
+	expect(pool.stats()[0]).toMatchObject({ "healthy": true, "unhealthy_since": null, "requests": 3, "succeeded": 0, "failed": 3 });
+
+	expect(new RadioKeyPool([ PERSONAL_KEY ], { "recheck_after": 0 }).mark_unhealthy(PERSONAL_KEY).select()).toBeNull();
+});
+
+test("test_key_pool_errors()", () =>
+{
+	expect(() => new RadioKeyPool([])).toThrow(RangeError);
+	expect(() => new RadioKeyPool([ PERSONAL_KEY, PERSONAL_KEY ])).toThrow("Key pool contains duplicated activation keys");
+	expect(() => new RadioKeyPool([ PERSONAL_KEY ], { "strategy": "random" })).toThrow("Unknown key pool strategy \"random\"");
+	expect(() => new RadioKeyPool([ { "name": "no key" } ])).toThrow(RangeError);
+
+	const calculator = new RadioCodeCalculator([ PERSONAL_KEY, COMPANY_KEY ], { "key_pool": { "strategy": RadioKeyPool.STRATEGY_PRIORITY } });
+
+	// the activation keys are never logged
+	for (const logged of [ JSON.stringify(calculator), util.inspect(calculator), JSON.stringify(calculator._key_pool), util.inspect(calculator._key_pool) ])
+	{
+		expect(logged).not.toContain(PERSONAL_KEY);
+		expect(logged).not.toContain(COMPANY_KEY);
+	}
+
+	expect(calculator.toJSON()).toEqual({ "api_url": calculator.API_URL, "keys": [ "****-****-****-1111", "****-****-****-2222" ] });
+	expect(new RadioCodeCalculator(PERSONAL_KEY).key_stats()).toBeNull();
+});
@@ -0,0 +1,241 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - license status unit test
+ *
+ * Validate the license status parsing, caching & the license events
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioLicenseError, RadioLicenseType, RadioLicenseStatus, RadioMockTransport } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * Format the date in YYYY-MM-DD format
+ *
+ * @param int days Number of days from today
+ * @return string Date
+ */
+function date_from_today(days)
+{
+	return new Date(Date.now() + days * RadioLicenseStatus.DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Create the calculator with the license events recorded
+ *
+ * @param RadioMockTransport transport Mock transport
+ * @param object license Optional license monitoring settings
+ * @return object { calculator, events }
+ */
+function create_calculator(transport, license = {})
+{
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "license": license });
+	const events = [];
+
+	for (const event of [ "license_expiring", "license_invalid" ])
+		calculator.on(event, status => events.push([ event, status.days_remaining() ]));
+
+	return { "calculator": calculator, "events": events };
+}
+
+test("test_license_status_parse()", () =>
+{
+	const checked_at = Date.UTC(2024, 5, 10, 12);
+	const status = new RadioLicenseStatus({ "activationStatus": true, "userName": "PELock", "type": 1, "expirationDate": "2024-06-12" }, checked_at);
+
+	expect(status.type).toBe(RadioLicenseType.COMPANY);
+	expect(status.type_name).toBe("Company");
+	expect(status.expiration_date.toISOString()).toBe("2024-06-12T00:00:00.000Z");
+
+	// valid until the end of the expiration day
+	expect(status.days_remaining(checked_at)).toBe(2);
+	expect(status.days_remaining(Date.UTC(2024, 5, 12, 23, 59))).toBe(0);
+	expect(status.is_valid(Date.UTC(2024, 5, 12, 23, 59))).toBe(true);
+	expect(status.days_remaining(Date.UTC(2024, 5, 13))).toBe(-1);
+	expect(status.is_expired(Date.UTC(2024, 5, 13))).toBe(true);
+	expect(status.is_valid(Date.UTC(2024, 5, 13))).toBe(false);
+
+	expect(status.is_expiring(1, checked_at)).toBe(false);
+	expect(status.is_expiring(2, checked_at)).toBe(true);
+	expect(status.is_expiring(2, Date.UTC(2024, 5, 13))).toBe(false);
+
+	expect(JSON.parse(JSON.stringify(status))).toMatchObject({ "active": true, "type_name": "Company", "expiration_date": "2024-06-12" });
+
+	expect(RadioLicenseType.describe(RadioLicenseType.PERSONAL)).toBe("Personal");
+	expect(RadioLicenseType.describe(null)).toBe("Unknown");
+
+	expect(RadioLicenseStatus.parse_date("2024-02-31")).toBeNull();
+	expect(RadioLicenseStatus.parse_date("")).toBeNull();
+
+	// unknown expiration date never expires
+	const invalid = RadioLicenseStatus.invalid();
+
+	expect(invalid.error).toBe(RadioErrors.INVALID_LICENSE);
+	expect(invalid.days_remaining()).toBeNull();
+	expect(invalid.is_expired()).toBe(false);
+	expect(invalid.is_valid()).toBe(false);
+});
+
+test("test_license_status_cached()", () =>
+{
+	const transport = new RadioMockTransport({ "license": { "type": 0, "expirationDate": date_from_today(100) } });
+	const { calculator, events } = create_calculator(transport);
+
+	return calculator.license_status().then(status =>
+	{
+		expect(status.type_name).toBe("Personal");
+		expect(status.days_remaining()).toBe(100);
+
+		return calculator.license_status();
+	})
+	.then(status =>
+	{
+		expect(transport.requests).toHaveLength(1);
+
+		// login always refreshes the cached status
+		return calculator.login().then(() => calculator.license_status()).then(refreshed => expect(refreshed).not.toBe(status));
+	})
+	.then(() => calculator.license_status({ "force": true }))
+	.then(() =>
+	{
+		expect(transport.requests).toHaveLength(3);
+		expect(events).toEqual([]);
+	});
+});
+
+test("test_license_status_ttl()", () =>
+{
+	const transport = new RadioMockTransport();
+	const { calculator } = create_calculator(transport, { "ttl": 0 });
+
+	return calculator.license_status()
+	.then(() => calculator.license_status())
+	.then(() => expect(transport.requests).toHaveLength(2));
+});
+
+test("test_license_expiring()", () =>
+{
+	const transport = new RadioMockTransport({ "license": { "expirationDate": date_from_today(5) } });
+	const { calculator, events } = create_calculator(transport, { "warning_days": 7 });
+
+	return calculator.login().then(() =>
+	{
+		expect(events).toEqual([ [ "license_expiring", 5 ] ]);
+
+		// the requests are still sent
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456");
+	})
+	.then(result => expect(result["code"]).toBe("2487"));
+});
+
+test("test_license_invalid_key()", () =>
+{
+	const transport = new RadioMockTransport({ "keys": [] });
+	const { calculator, events } = create_calculator(transport);
+
+	return calculator.license_status().then(status =>
+	{
+		expect(status.is_valid()).toBe(false);
+		expect(events).toEqual([ [ "license_invalid", null ] ]);
+
+		// only the expired licenses are blocked, the rejected key is still sent
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456").catch(error => error);
+	})
+	.then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioLicenseError);
+		expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+		expect(error.message).toBe("Invalid license key");
+		expect(transport.requests).toHaveLength(2);
+
+		// the event is emitted only once
+		return calculator.license_status({ "force": true });
+	})
+	.then(() => expect(events).toHaveLength(1));
+});
+
+test("test_license_invalid_response()", () =>
+{
+	// the status is updated by the rejected requests too
+	const transport = new RadioMockTransport({ "keys": [] });
+	const { calculator, events } = create_calculator(transport);
+
+	return calculator.info(RadioModels.FORD_M_SERIES).catch(error => error).then(error =>
+	{
+		expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+		expect(events).toEqual([ [ "license_invalid", null ] ]);
+
+		// the rejected key doesn't block the next requests (e.g. when the license has been renewed)
+		transport.keys = [ VALID_ACTIVATION_KEY ];
+
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456");
+	})
+	.then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(transport.requests).toHaveLength(2);
+	});
+});
+
+test("test_license_expired()", () =>
+{
+	// license has expired since the last check
+	const transport = new RadioMockTransport({ "license": { "expirationDate": date_from_today(-1) } });
+	const { calculator, events } = create_calculator(transport);
+
+	return calculator.login().then(() =>
+	{
+		expect(events).toEqual([ [ "license_invalid", -1 ] ]);
+
+		return calculator.calc(RadioModels.FORD_M_SERIES, "123456").catch(error => error);
+	})
+	.then(error =>
+	{
+		expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+		expect(error.message).toBe("License has expired on " + date_from_today(-1));
+		expect(error.radio_model).toBe("ford-m-series");
+		expect(transport.requests).toHaveLength(1);
+
+		// not enforced
+		const { calculator } = create_calculator(transport, { "enforce": false });
+
+		return calculator.login().then(() => calculator.calc(RadioModels.FORD_M_SERIES, "123456"));
+	})
+	.then(result => expect(result["code"]).toBe("2487"));
+});
+
+test("test_license_events()", () =>
+{
+	const calculator = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new RadioMockTransport() });
+	const statuses = [];
+	const listener = status => statuses.push(status);
+
+	// listener errors don't break the requests
+	calculator.on("license", () => { throw new Error("listener error"); }).on("license", listener);
+
+	return calculator.login().then(() =>
+	{
+		expect(statuses).toHaveLength(1);
+
+		calculator.off("license", listener);
+
+		return calculator.login();
+	})
+	.then(() => expect(statuses).toHaveLength(1));
+});
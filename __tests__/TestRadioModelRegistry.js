@@ -0,0 +1,193 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - supported radio models registry unit test
+ *
+ * Validate the cached catalog of the supported radio models
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels, RadioTransport, RadioMockTransport,
+	RadioModelRegistry, RadioMemoryStorage, RadioFileStorage } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * @var RadioModel radio model known only to the Web API (not in the RadioModels)
+ */
+const NEW_RADIO_MODEL = new RadioModel("new-radio", 8, "/^([A-Z]{2}[0-9]{6})$/");
+
+function create_calculator(transport)
+{
+	return new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": { "retries": 0 } });
+}
+
+class OfflineTransport extends RadioTransport
+{
+	send(url, params, signal = null)
+	{
+		return Promise.reject(new Error("offline"));
+	}
+}
+
+test("test_registry_download_once()", () =>
+{
+	let transport = new RadioMockTransport({ "radio_models": [ RadioModels.FORD_M_SERIES, NEW_RADIO_MODEL ] });
+	let registry = new RadioModelRegistry(create_calculator(transport));
+
+	return registry.get("new-radio").then(radio_model =>
+	{
+		expect(radio_model).toBeInstanceOf(RadioModel);
+		expect(radio_model.validate("AB123456")).toBe(RadioErrors.SUCCESS);
+		expect(registry.source).toBe("server");
+
+		return Promise.all([ registry.get("FORD_M_SERIES"), registry.get("renault-dacia") ]);
+	})
+	.then(([ ford, renault ]) =>
+	{
+		expect(ford.name).toBe("ford-m-series");
+		expect(renault).toBeNull();
+		expect(transport.requests).toHaveLength(1);
+	});
+});
+
+test("test_registry_storage_ttl()", () =>
+{
+	let storage = new RadioMemoryStorage();
+	let transport = new RadioMockTransport({ "radio_models": [ NEW_RADIO_MODEL ] });
+
+	return new RadioModelRegistry(create_calculator(transport), { "storage": storage }).load().then(() =>
+	{
+		// the second registry uses the stored list
+		let cached = new RadioModelRegistry(create_calculator(transport), { "storage": storage });
+
+		return cached.load().then(radio_models =>
+		{
+			expect(cached.source).toBe("cache");
+			expect(radio_models.map(radio_model => radio_model.name)).toEqual([ "new-radio" ]);
+			expect(transport.requests).toHaveLength(1);
+		});
+	})
+	.then(() =>
+	{
+		// expired list is downloaded again
+		let expired = new RadioModelRegistry(create_calculator(transport), { "storage": storage, "ttl": 0 });
+
+		return expired.load().then(() =>
+		{
+			expect(expired.source).toBe("server");
+			expect(transport.requests).toHaveLength(2);
+		});
+	});
+});
+
+test("test_registry_offline_fallback()", () =>
+{
+	let storage = new RadioMemoryStorage();
+	let offline = new RadioModelRegistry(create_calculator(new OfflineTransport()), { "storage": storage });
+
+	return offline.get("jaguar-alpine").then(radio_model =>
+	{
+		// predefined RadioModels
+		expect(offline.source).toBe("static");
+		expect(radio_model).toBe(RadioModels.JAGUAR_ALPINE);
+
+		return storage.set(RadioModelRegistry.DEFAULT_KEY, { "updated_at": 0, "supportedRadioModels": { "new-radio": NEW_RADIO_MODEL.to_params() } });
+	})
+	.then(() =>
+	{
+		// expired stored list
+		let stale = new RadioModelRegistry(create_calculator(new OfflineTransport()), { "storage": storage });
+
+		return stale.get("new-radio").then(radio_model =>
+		{
+			expect(stale.source).toBe("stale");
+			expect(radio_model.serial_max_len).toBe(8);
+		});
+	});
+});
+
+test("test_registry_file_storage()", () =>
+{
+	let directory = fs.mkdtempSync(path.join(os.tmpdir(), "radio-code-"));
+	let storage = new RadioFileStorage(path.join(directory, "cache", "radio-models.json"));
+	let transport = new RadioMockTransport({ "radio_models": [ NEW_RADIO_MODEL ] });
+
+	return new RadioModelRegistry(create_calculator(transport), { "storage": storage }).load().then(() =>
+	{
+		let cached = new RadioModelRegistry(null, { "storage": new RadioFileStorage(path.join(directory, "cache", "radio-models.json")) });
+
+		return cached.get("new-radio");
+	})
+	.then(radio_model =>
+	{
+		expect(radio_model.validate("AB123456")).toBe(RadioErrors.SUCCESS);
+		expect(radio_model.validate("AB12345X")).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+
+		fs.rmSync(directory, { "recursive": true });
+	});
+});
+
+test("test_registry_detect()", () =>
+{
+	// the downloaded list & the predefined radio models missing from it are checked
+	let registry = new RadioModelRegistry(create_calculator(new RadioMockTransport({ "radio_models": [ NEW_RADIO_MODEL ] })));
+
+	return registry.detect("AB123456").then(candidates =>
+	{
+		expect(candidates[0]["radio_model"].name).toBe("new-radio");
+		expect(candidates[0]["matched"]).toBe(true);
+		expect(candidates.filter(candidate => candidate["matched"])).toHaveLength(1);
+		expect(candidates).toHaveLength(RadioModelRegistry.static_radio_models().length + 1);
+
+		return registry.detect("Z999");
+	})
+	.then(candidates => expect(candidates.filter(candidate => candidate["matched"]).map(candidate => candidate["radio_model"].name)).toEqual([ "renault-dacia", "chrysler-dodge-vp" ]));
+});
+
+test("test_registry_by_brand()", () =>
+{
+	// the Web API doesn't return the metadata, only the predefined radio models have it
+	const new_radio = new RadioModel("new-radio", 8, "/^([A-Z]{2}[0-9]{6})$/", 0, null, null, { "display_name": "New Radio", "brands": [ "Ford", "Opel" ], "manufacturer": "Visteon" });
+
+	let registry = new RadioModelRegistry(create_calculator(new RadioMockTransport({ "radio_models": [ new_radio, RadioModels.FORD_M_SERIES, RadioModels.FIAT_VP ] })));
+
+	return registry.by_brand("ford").then(radio_models =>
+	{
+		expect(radio_models.map(radio_model => radio_model.name)).toEqual([ "ford-m-series" ]);
+		expect(radio_models[0].metadata()).toEqual(RadioModels.FORD_M_SERIES.metadata());
+
+		return registry.get("new-radio");
+	})
+	.then(radio_model =>
+	{
+		expect(radio_model.metadata()).toEqual({ "display_name": "new-radio", "brands": [], "manufacturer": null, "serial_location": null, "serial_example": null });
+
+		return registry.by_manufacturer("Visteon");
+	})
+	.then(radio_models =>
+	{
+		expect(radio_models).toHaveLength(1);
+
+		return registry.group_by("brand");
+	})
+	.then(groups => expect(Object.keys(groups)).toEqual([ "Fiat", "Ford" ]));
+});
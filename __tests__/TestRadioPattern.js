@@ -0,0 +1,183 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - regex dialects unit test
+ *
+ * Validate the conversion of the regex patterns between the JavaScript,
+ * PHP (PCRE) and Python dialects
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels, RadioModelError, RadioPattern, RadioPatternError, RadioMockTransport } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+test("test_parse_js()", () =>
+{
+	expect(RadioPattern.parse("/^([0-9]{6})$/")).toEqual(/^([0-9]{6})$/);
+	expect(RadioPattern.parse("/^([a-z]{4})$/i", "js")).toEqual(/^([a-z]{4})$/i);
+	expect(RadioPattern.parse("^[0-9]{4}$", "js")).toEqual(/^[0-9]{4}$/);
+
+	expect(() => RadioPattern.parse("", "js")).toThrow(SyntaxError);
+	expect(() => RadioPattern.parse("/^([0-9]{6}$/", "js")).toThrow(SyntaxError);
+	expect(() => RadioPattern.parse("/^[0-9]$/", "ruby")).toThrow('Regex patterns in "ruby" language are not supported');
+});
+
+test("test_parse_php()", () =>
+{
+	expect(RadioPattern.parse("/^([0-9]{6})$/", "php")).toEqual(/^([0-9]{6})$/);
+	expect(RadioPattern.parse("#^[a-z]{2}$#iD", "php")).toEqual(/^[a-z]{2}$/i);
+	expect(RadioPattern.parse("{^[0-9]{2}$}", "php")).toEqual(/^[0-9]{2}$/);
+	expect(RadioPattern.parse("/\\A[[:alnum:]]{4}\\z/", "php")).toEqual(/^[a-zA-Z0-9]{4}$/);
+	expect(RadioPattern.parse("/^(?P<digit>[0-9])(?P=digit)\\g{1}$/", "php")).toEqual(/^(?<digit>[0-9])\k<digit>\1$/);
+	expect(RadioPattern.parse("/^\\x{41}\\pL\\Q.*\\E$/", "php")).toEqual(/^\u{41}\p{L}\.\*$/u);
+	expect(RadioPattern.parse("/^ [0-9]{3} # digits\n \\# $/x", "php")).toEqual(/^[0-9]{3}\x23$/);
+	expect(RadioPattern.parse("/^[]a](?#comment)\\Z/", "php")).toEqual(/^[\]a](?=\n?$)/);
+	expect(RadioPattern.parse("/^\\h\\e$/", "php").test("\t\x1b")).toBe(true);
+
+	// constructs without a safe JavaScript equivalent
+	for (const pattern of [ "/^a++$/", "/^(?>a)$/", "/^(a)(?1)$/", "/^(?i:a)$/", "/^a$/U", "/^[[:^alpha:]]$/", "/^a\\Kb$/", "/^[\\h]$/", "a/" ])
+		expect(() => RadioPattern.parse(pattern, "php")).toThrow(SyntaxError);
+});
+
+test("test_parse_python()", () =>
+{
+	expect(RadioPattern.parse("^([0-9]{6})$", "python")).toEqual(/^([0-9]{6})$/);
+	expect(RadioPattern.parse("(?i)^[a-z]{2}\\Z", "python")).toEqual(/^[a-z]{2}$/i);
+	expect(RadioPattern.parse("(?a)^(?P<x>\\d)(?P=x)$", "python")).toEqual(/^(?<x>\d)\k<x>$/);
+	expect(RadioPattern.parse("^\\U0001F600$", "python")).toEqual(/^\u{1F600}$/u);
+
+	expect(() => RadioPattern.parse("(?L)^a$", "python")).toThrow(SyntaxError);
+});
+
+test("test_format()", () =>
+{
+	expect(RadioPattern.format(/^([0-9]{6})$/, "js")).toBe("/^([0-9]{6})$/");
+	expect(RadioPattern.format(/^([0-9]{6})$/, "php")).toBe("/^([0-9]{6})$/D");
+	expect(RadioPattern.format(/^([0-9]{6})$/, "python")).toBe("^([0-9]{6})\\Z");
+
+	expect(RadioPattern.format(/^(?<x>\d)\k<x>\/[^]$/i, "php")).toBe("/^(?<x>\\d)\\k<x>\\/[\\s\\S]$/iD");
+	expect(RadioPattern.format(/^(?<x>\d)\k<x>\/[^]$/i, "python")).toBe("(?ia)^(?P<x>\\d)(?P=x)/[\\s\\S]\\Z");
+	expect(RadioPattern.format(/^\u{1F600}\u0041$/u, "php")).toBe("/^\\x{1F600}\\x{41}$/uD");
+	expect(RadioPattern.format(/^\u{1F600}\u0041$/u, "python")).toBe("^\\U0001F600\\u0041\\Z");
+
+	expect(() => RadioPattern.format(/^\p{L}$/u, "python")).toThrow(SyntaxError);
+	expect(() => RadioPattern.format(/^[a]$/v, "php")).toThrow(SyntaxError);
+});
+
+test("test_round_trip()", () =>
+{
+	const samples = [ "", "0000", "Z999", "z999", "E3NE", "123456", "12345O", "1234567", "TQ1AA1500E2884", "123456\n" ];
+
+	// every predefined pattern converted to the other languages and back matches the same values
+	for (const radio_model of Object.values(RadioModels).filter(radio_model => radio_model instanceof RadioModel))
+	{
+		const rule = radio_model.serial_regex_pattern();
+
+		for (const language of RadioPattern.LANGUAGES)
+		{
+			const converted = RadioPattern.parse(RadioPattern.format(rule, language), language);
+
+			for (const sample of samples)
+				expect([ radio_model.name, language, sample, converted.test(sample) ]).toEqual([ radio_model.name, language, sample, rule.test(sample) ]);
+		}
+	}
+});
+
+test("test_pattern_fallback()", () =>
+{
+	// no JavaScript pattern - the PHP one is used
+	const radio_model = new RadioModel("custom", 4, { "php": "/^[[:digit:]]{4}$/D", "python": "^[0-9]{4}\\Z" });
+
+	expect(radio_model.serial_regex_pattern()).toEqual(/^[0-9]{4}$/);
+	expect(radio_model.select_regex_pattern(radio_model._serial_regex_patterns, "serial")["language"]).toBe("php");
+	expect(radio_model.validate("1234")).toBe(RadioErrors.SUCCESS);
+	expect(radio_model.validate("123A")).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+
+	// unusable PHP pattern - the Python one is used
+	const python_model = new RadioModel("custom", 4, { "php": "/^[0-9]++$/", "python": "(?i)^[a-z0-9]{4}$" });
+
+	expect(python_model.serial_regex_pattern()).toEqual(/^[a-z0-9]{4}$/i);
+
+	// the default language can be changed
+	const preferred = new RadioModel("custom", 4, { "js": "/^[0-9]{4}$/", "python": "^[a-z]{4}$" });
+
+	preferred.default_programming_language = "python";
+
+	expect(preferred.serial_regex_pattern()).toEqual(/^[a-z]{4}$/);
+});
+
+test("test_pattern_error()", () =>
+{
+	// no usable patterns - never silently accept any value
+	const radio_model = new RadioModel("custom", 4, { "php": "/^(?>[0-9]{4})$/", "java": "^\\p{Digit}{4}$" }, 2, {});
+
+	let error = null;
+
+	try
+	{
+		radio_model.validate("1234");
+	}
+	catch (e)
+	{
+		error = e;
+	}
+
+	expect(error).toBeInstanceOf(RadioPatternError);
+	expect(error).toBeInstanceOf(RadioModelError);
+	expect(error.error).toBe(RadioErrors.INVALID_RADIO_MODEL);
+	expect(error.field).toBe("serial");
+	expect(error.radio_model).toBe("custom");
+	expect(Object.keys(error.reasons)).toEqual([ "php", "java" ]);
+	expect(error.message).toMatch(/^No usable serial regex pattern for the "custom" radio model \(php: .*; java: .*\)$/);
+
+	expect(() => radio_model.extra_regex_pattern()).toThrow("No usable extra regex pattern for the \"custom\" radio model (no patterns provided)");
+});
+
+test("test_export_patterns()", () =>
+{
+	expect(RadioModels.FORD_M_SERIES.export_patterns("js")).toEqual({ "serial": "/^([0-9]{6})$/", "extra": null });
+	expect(RadioModels.FORD_M_SERIES.export_patterns("php")).toEqual({ "serial": "/^([0-9]{6})$/D", "extra": null });
+	expect(RadioModels.FORD_M_SERIES.export_patterns("python")).toEqual({ "serial": "^([0-9]{6})\\Z", "extra": null });
+
+	// the provided patterns are returned as they are
+	const radio_model = new RadioModel("custom", 4, { "js": "/^[0-9]{4}$/", "php": "~^\\d{4}$~" }, 2, { "python": "^[A-Z]{2}$" });
+
+	expect(radio_model.export_patterns("php")).toEqual({ "serial": "~^\\d{4}$~", "extra": "/^[A-Z]{2}$/D" });
+	expect(radio_model.export_patterns("js")).toEqual({ "serial": "/^[0-9]{4}$/", "extra": "/^[A-Z]{2}$/" });
+
+	const unicode_model = new RadioModel("custom", 1, "/^\\p{L}$/u");
+
+	expect(() => unicode_model.export_patterns("python")).toThrow(RadioPatternError);
+	expect(() => unicode_model.export_patterns("ruby")).toThrow('ruby: Regex patterns in "ruby" language are not supported');
+});
+
+test("test_calc_batch_pattern_error()", () =>
+{
+	const transport = new RadioMockTransport({ "keys": [ VALID_ACTIVATION_KEY ] });
+	const radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+
+	const broken = new RadioModel("ford-m-series", 6, { "php": "/^[0-9]{6}+$/U" });
+
+	return radioCodeApi.calc_batch([ { "radio_model": broken, "serial": "123456" }, { "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" } ]).then(results =>
+	{
+		expect(results[0]["error"]).toBe(RadioErrors.INVALID_RADIO_MODEL);
+		expect(results[0]["response"]).toBeInstanceOf(RadioPatternError);
+		expect(results[1]["code"]).toBe("2487");
+		expect(transport.requests.length).toBe(1);
+	});
+});
@@ -0,0 +1,219 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - rate limiter unit test
+ *
+ * Validate the token bucket rate limiter & the priority request queue
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioMockTransport, RadioConnectionError, RadioRateLimiter } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+test("test_rate_limit_tokens()", () =>
+{
+	const limiter = new RadioRateLimiter({ "requests": 2, "interval": 100 });
+	const started_at = Date.now();
+	const times = [];
+
+	const tasks = [ 0, 1, 2, 3 ].map(index => limiter.schedule(() => { times.push(Date.now() - started_at); return index; }));
+
+	// the burst is sent at once, the rest waits for the tokens
+	expect(limiter.size()).toBe(2);
+	expect(limiter.stats()).toMatchObject({ "queued": 2, "running": 2, "tokens": 0, "closed": false });
+
+	return Promise.all(tasks).then(results =>
+	{
+		expect(results).toEqual([ 0, 1, 2, 3 ]);
+		expect(times[1]).toBeLessThan(40);
+		expect(times[2]).toBeGreaterThanOrEqual(45);
+		expect(times[3]).toBeGreaterThanOrEqual(95);
+		expect(limiter.size()).toBe(0);
+	});
+});
+
+test("test_rate_limit_priorities()", () =>
+{
+	const limiter = new RadioRateLimiter({ "requests": 1, "interval": 10 });
+	const order = [];
+
+	const schedule = (name, priority) => limiter.schedule(() => order.push(name), priority === undefined ? {} : { "priority": priority });
+
+	return Promise.all([
+		schedule("first"),
+		schedule("batch 1", RadioRateLimiter.PRIORITY_LOW),
+		schedule("normal 1"),
+		schedule("batch 2", RadioRateLimiter.PRIORITY_LOW),
+		schedule("interactive", RadioRateLimiter.PRIORITY_HIGH),
+		schedule("normal 2")
+	])
+	.then(() => expect(order).toEqual([ "first", "interactive", "normal 1", "normal 2", "batch 1", "batch 2" ]));
+});
+
+test("test_rate_limit_max_queue()", () =>
+{
+	const limiter = new RadioRateLimiter({ "requests": 1, "interval": 10, "max_queue": 1 });
+
+	const tasks = [ 0, 1, 2 ].map(index => limiter.schedule(() => index).catch(error => error));
+
+	return Promise.all(tasks).then(results =>
+	{
+		expect(results.slice(0, 2)).toEqual([ 0, 1 ]);
+		expect(results[2]).toBeInstanceOf(RadioConnectionError);
+		expect(results[2].message).toBe("Request queue is full (1 requests)");
+	});
+});
+
+test("test_rate_limit_abort()", () =>
+{
+	const limiter = new RadioRateLimiter({ "requests": 1, "interval": 50 });
+	const controller = new AbortController();
+	let called = false;
+
+	const first = limiter.schedule(() => "first");
+	const aborted = limiter.schedule(() => { called = true; }, { "signal": controller.signal }).catch(error => error);
+
+	controller.abort(new Error("cancelled by user"));
+
+	return Promise.all([ first, aborted ]).then(([ result, error ]) =>
+	{
+		expect(result).toBe("first");
+		expect(error.message).toBe("cancelled by user");
+		expect(called).toBe(false);
+		expect(limiter.size()).toBe(0);
+
+		expect(() => new RadioRateLimiter({ "requests": 0 })).toThrow(RangeError);
+	});
+});
+
+test("test_rate_limit_drain()", () =>
+{
+	const limiter = new RadioRateLimiter({ "requests": 1, "interval": 10 });
+	const results = [ 0, 1, 2 ].map(index => limiter.schedule(() => index));
+
+	return limiter.drain().then(() =>
+	{
+		expect(limiter.stats()).toMatchObject({ "queued": 0, "running": 0, "closed": true });
+
+		return Promise.all(results);
+	})
+	.then(values =>
+	{
+		expect(values).toEqual([ 0, 1, 2 ]);
+
+		// new requests are rejected after the drain
+		return limiter.schedule(() => 3).catch(error => error);
+	})
+	.then(error => expect(error.message).toBe("Request queue has been drained"));
+});
+
+test("test_rate_limit_drain_cancel()", () =>
+{
+	const limiter = new RadioRateLimiter({ "requests": 1, "interval": 1000 });
+	const results = [ 0, 1, 2 ].map(index => limiter.schedule(() => index).catch(error => error));
+
+	return limiter.drain({ "cancel": true }).then(() => Promise.all(results)).then(values =>
+	{
+		expect(values[0]).toBe(0);
+		expect(values[1]).toBeInstanceOf(RadioConnectionError);
+		expect(values[2].message).toBe("Request has been cancelled");
+	});
+});
+
+test("test_rate_limit_drain_retry()", () =>
+{
+	// mock transport failing the first request
+	class FlakyTransport extends RadioMockTransport
+	{
+		send(url, params, signal = null)
+		{
+			if (this.requests.push(Object.assign({}, params)) === 1)
+				return Promise.reject(new Error("connection reset"));
+
+			return Promise.resolve(this.handle(params));
+		}
+	}
+
+	const transport = new FlakyTransport();
+	const radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "rate_limit": { "requests": 10, "interval": 100 }, "policy": { "retries": 1, "backoff_delay": 20, "jitter": 0 } });
+
+	const request = radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456");
+
+	// the retry of the admitted request is sent after the drain() call, drain() waits for it
+	const drained = radioCodeApi.drain().then(() => transport.requests.length);
+
+	return Promise.all([ request, drained ]).then(([ result, sent ]) =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(sent).toBe(2);
+
+		// the admission doesn't outlive the request
+		const limiter = new RadioRateLimiter();
+		const admission = limiter.admit();
+
+		limiter.drain();
+
+		return limiter.schedule(() => "retry", { "admission": admission }).then(value =>
+		{
+			expect(value).toBe("retry");
+			expect(limiter.admit()).toBeNull();
+
+			limiter.release(admission);
+
+			return limiter.schedule(() => "retry", { "admission": admission }).catch(error => error);
+		});
+	})
+	.then(error => expect(error.message).toBe("Request queue has been drained"));
+});
+
+test("test_rate_limit_calculator()", () =>
+{
+	const transport = new RadioMockTransport();
+	const radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "rate_limit": { "requests": 1, "interval": 10, "max_queue": 10 } });
+
+	const batch = radioCodeApi.calc_batch([
+		{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" },
+		{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" },
+		{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" }
+	], 3);
+
+	// the interactive request goes before the queued batch jobs
+	const interactive = radioCodeApi.calc(RadioModels.JAGUAR_ALPINE, "99999");
+
+	expect(radioCodeApi.queue_depth()).toBe(3);
+
+	return Promise.all([ batch, interactive ]).then(([ results, result ]) =>
+	{
+		expect(results.map(result => result["code"])).toEqual([ "2487", "2487", "2487" ]);
+		expect(result["code"]).toBeDefined();
+		expect(transport.requests.map(request => request["radio_model"])).toEqual([ "ford-m-series", "jaguar-alpine", "ford-m-series", "ford-m-series" ]);
+
+		return radioCodeApi.drain();
+	})
+	.then(() => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").catch(error => error))
+	.then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(error.error).toBe(RadioErrors.ERROR_CONNECTION);
+		expect(error.radio_model).toBe("ford-m-series");
+		expect(error.message).toBe("Request queue has been drained");
+
+		// without the rate limiter
+		expect(new RadioCodeCalculator(VALID_ACTIVATION_KEY).queue_depth()).toBe(0);
+	});
+});
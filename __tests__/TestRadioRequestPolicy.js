@@ -0,0 +1,291 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - request policy unit test
+ *
+ * Validate timeouts, retries with exponential backoff & abort signals
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioTransport, RadioMockTransport, RadioConnectionError, RadioValidationError } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * Transport replaying the given list of outcomes (responses or errors to reject with)
+ */
+class ScriptedTransport extends RadioTransport
+{
+	constructor(outcomes)
+	{
+		super();
+
+		this.outcomes = outcomes;
+		this.attempts = 0;
+	}
+
+	send(url, params, signal = null)
+	{
+		const outcome = this.outcomes[Math.min(this.attempts++, this.outcomes.length - 1)];
+
+		return outcome instanceof Error ? Promise.reject(outcome) : Promise.resolve(outcome);
+	}
+}
+
+/**
+ * Transport which never responds (unless aborted)
+ */
+class HangingTransport extends RadioTransport
+{
+	send(url, params, signal = null)
+	{
+		return new Promise((fulfilled, rejected) => {
+			signal.addEventListener("abort", () => rejected(new Error("aborted")));
+		});
+	}
+}
+
+function http_error(status)
+{
+	const error = new Error(`HTTP error ${status}`);
+	error.status = status;
+
+	return error;
+}
+
+const FAST_POLICY = { "backoff_delay": 1, "backoff_max_delay": 5 };
+
+test("test_retry_transport_failure()", () =>
+{
+	let transport = new ScriptedTransport([ new Error("ECONNRESET"), http_error(503), { "error": RadioErrors.SUCCESS, "code": "2487" } ]);
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": FAST_POLICY });
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(transport.attempts).toBe(3);
+	});
+});
+
+test("test_retry_limit()", () =>
+{
+	let transport = new ScriptedTransport([ new Error("ECONNRESET") ]);
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": Object.assign({ "retries": 3 }, FAST_POLICY) });
+
+	return radioCodeApi.login().then(() => { throw new Error("login() should fail"); }, error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(transport.attempts).toBe(4);
+	});
+});
+
+test("test_no_retry_on_4xx_and_api_errors()", () =>
+{
+	let http = new ScriptedTransport([ http_error(404) ]);
+	let api = new ScriptedTransport([ { "error": RadioErrors.INVALID_SERIAL_PATTERN } ]);
+
+	return Promise.all([
+		new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": http, "policy": FAST_POLICY }).list().then(() => { throw new Error("list() should fail"); }, error =>
+		{
+			expect(error).toBeInstanceOf(RadioConnectionError);
+			expect(http.attempts).toBe(1);
+		}),
+		new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": api, "policy": FAST_POLICY }).calc(RadioModels.FORD_M_SERIES, "12345A").then(() => { throw new Error("calc() should fail"); }, error =>
+		{
+			expect(error).toBeInstanceOf(RadioValidationError);
+			expect(api.attempts).toBe(1);
+		}),
+	]);
+});
+
+test("test_timeout()", () =>
+{
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new HangingTransport(), "policy": { "timeout": 20, "retries": 1, "backoff_delay": 1 } });
+
+	return radioCodeApi.info("ford-m-series").then(() => { throw new Error("info() should fail"); }, error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(error.cause.message).toBe("Request timed out after 20 ms");
+	});
+});
+
+test("test_timeout_without_abort_controller()", () =>
+{
+	// AbortController is missing on the old Node.js versions
+	const abort_controller = globalThis.AbortController;
+
+	delete globalThis.AbortController;
+
+	let transport = new ScriptedTransport([ { "error": RadioErrors.SUCCESS, "code": "2487" } ]);
+	let hanging = { "send": (url, params, signal) => { expect(signal).toBeNull(); return new Promise(() => {}); } };
+
+	let requests;
+
+	try
+	{
+		requests = [
+			new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport }).calc(RadioModels.FORD_M_SERIES, "123456"),
+			new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": hanging, "policy": { "timeout": 20, "retries": 0 } }).login().catch(error => error)
+		];
+	}
+	finally
+	{
+		globalThis.AbortController = abort_controller;
+	}
+
+	return Promise.all(requests).then(([ result, error ]) =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(error.cause.message).toBe("Request timed out after 20 ms");
+	});
+});
+
+test("test_abort_signal()", () =>
+{
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new HangingTransport(), "policy": { "timeout": 0 } });
+
+	let controller = new AbortController();
+
+	let request = radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456", "", { "signal": controller.signal });
+
+	controller.abort(new Error("cancelled by user"));
+
+	return request.then(() => { throw new Error("calc() should fail"); }, error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(error.message).toBe("Request has been aborted");
+		expect(error.cause.message).toBe("cancelled by user");
+	});
+});
+
+test("test_abort_during_backoff()", () =>
+{
+	let transport = new ScriptedTransport([ new Error("ECONNRESET") ]);
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": { "retries": 5, "backoff_delay": 60000, "jitter": 0 } });
+
+	let controller = new AbortController();
+
+	let request = radioCodeApi.login({ "signal": controller.signal });
+
+	setTimeout(() => controller.abort(new Error("shutdown")), 10);
+
+	return request.then(() => { throw new Error("login() should fail"); }, error =>
+	{
+		expect(error.message).toBe("Request has been aborted");
+		expect(transport.attempts).toBe(1);
+	});
+});
+
+test("test_request_events()", () =>
+{
+	let transport = new ScriptedTransport([ new Error("ECONNRESET"), { "error": RadioErrors.SUCCESS, "code": "2487" } ]);
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": FAST_POLICY });
+	let events = [];
+
+	for (const event of [ "before_request", "after_response", "retry", "error" ])
+		radioCodeApi.on(event, details => events.push([ event, details ]));
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(() =>
+	{
+		expect(events.map(([ event, details ]) => [ event, details["attempt"], details["error"] ])).toEqual([
+			[ "before_request", undefined, undefined ],
+			[ "retry", 0, RadioErrors.ERROR_CONNECTION ],
+			[ "after_response", 1, RadioErrors.SUCCESS ]
+		]);
+
+		const [ , request ] = events[0];
+		const [ , retry ] = events[1];
+		const [ , response ] = events[2];
+
+		// the activation key is never passed to the listeners
+		expect(request["command"]).toBe("calc");
+		expect(request["params"]).toEqual({ "key": "****-****-****-ABCD", "command": "calc", "radio_model": "ford-m-series", "serial": "123456", "extra": "" });
+		expect(retry["cause"].message).toBe("ECONNRESET");
+		expect(response["params"]["key"]).toBe("****-****-****-ABCD");
+		expect(response["response"]["code"]).toBe("2487");
+		expect(response["duration"]).toBeGreaterThanOrEqual(0);
+
+		events = [];
+
+		return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").catch(error => error);
+	})
+	.then(() => expect(events.map(([ event ]) => event)).toEqual([ "before_request", "after_response" ]));
+});
+
+test("test_request_events_error()", () =>
+{
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new RadioMockTransport() });
+	let errors = [];
+
+	radioCodeApi.on("error", details => errors.push(details));
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "12345X").catch(error => error).then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioValidationError);
+		expect(errors).toHaveLength(1);
+		expect(errors[0]["error"]).toBe(RadioErrors.INVALID_SERIAL_PATTERN);
+		expect(errors[0]["cause"]).toBe(error);
+
+		// rejected before sending
+		return new RadioCodeCalculator(null).on("error", details => errors.push(details)).login().catch(error => error);
+	})
+	.then(error =>
+	{
+		expect(error.error).toBe(RadioErrors.INVALID_LICENSE);
+		expect(errors[1]["params"]["key"]).toBeNull();
+	});
+});
+
+test("test_before_request_hooks()", () =>
+{
+	let transport = new RadioMockTransport();
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+
+	// several hooks, called in order
+	radioCodeApi.on("before_request", request => { request["params"]["serial"] = request["params"]["serial"].trim(); });
+	radioCodeApi.on("before_request", request =>
+	{
+		if (request["params"]["radio_model"] === RadioModels.JAGUAR_ALPINE.name)
+			request.cancel("Radio model is disabled");
+	});
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, " 123456 ").then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+
+		// the activation key is restored
+		expect(transport.requests[0]["key"]).toBe(VALID_ACTIVATION_KEY);
+		expect(transport.requests[0]["serial"]).toBe("123456");
+
+		return radioCodeApi.calc(RadioModels.JAGUAR_ALPINE, "99999").catch(error => error);
+	})
+	.then(error =>
+	{
+		expect(error).toBeInstanceOf(RadioConnectionError);
+		expect(error.message).toBe("Radio model is disabled");
+		expect(error.radio_model).toBe(RadioModels.JAGUAR_ALPINE.name);
+		expect(transport.requests).toHaveLength(1);
+	});
+});
+
+test("test_redact_key()", () =>
+{
+	expect(RadioCodeCalculator.redact_key("ABCD-ABCD-ABCD-WXYZ")).toBe("****-****-****-WXYZ");
+	expect(RadioCodeCalculator.redact_key("SHORTKEY")).toBe("********");
+	expect(RadioCodeCalculator.redact_key(null)).toBeNull();
+});
@@ -0,0 +1,142 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - radio code results cache unit test
+ *
+ * Validate caching of the generated radio codes
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RadioCodeCalculator, RadioErrors, RadioModels, RadioMockTransport, RadioResultCache } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+function create_calculator(transport, cache)
+{
+	return new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "cache": cache });
+}
+
+test("test_cache_hit()", () =>
+{
+	let transport = new RadioMockTransport();
+	let radioCodeApi = create_calculator(transport, new RadioResultCache());
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(result["cached"]).toBeUndefined();
+
+		return radioCodeApi.calc("ford-m-series", "123456");
+	})
+	.then(result =>
+	{
+		expect(result["code"]).toBe("2487");
+		expect(result["cached"]).toBe(true);
+		expect(transport.requests).toHaveLength(1);
+
+		// different extra data is a different cache key
+		return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456", "X").catch(error => error);
+	})
+	.then(() => expect(transport.requests).toHaveLength(2));
+});
+
+test("test_cache_bypass()", () =>
+{
+	let transport = new RadioMockTransport();
+	let radioCodeApi = create_calculator(transport, new RadioResultCache());
+
+	return radioCodeApi.calc(RadioModels.JAGUAR_ALPINE, "99999")
+	.then(() => radioCodeApi.calc(RadioModels.JAGUAR_ALPINE, "99999", "", { "bypass_cache": true }))
+	.then(result =>
+	{
+		expect(result["cached"]).toBeUndefined();
+		expect(transport.requests).toHaveLength(2);
+	});
+});
+
+test("test_cache_only_success()", () =>
+{
+	let cache = new RadioResultCache();
+	let invalidKey = create_calculator(new RadioMockTransport({ "keys": [] }), cache);
+	let transport = new RadioMockTransport();
+	let radioCodeApi = create_calculator(transport, cache);
+
+	return Promise.all([
+		invalidKey.calc(RadioModels.FORD_M_SERIES, "123456").catch(error => expect(error["error"]).toBe(RadioErrors.INVALID_LICENSE)),
+		radioCodeApi.calc(RadioModels.FORD_M_SERIES, "654321").catch(error => expect(error["error"]).toBe(RadioErrors.INVALID_SERIAL_NOT_SUPPORTED)),
+	])
+	.then(() => cache.size())
+	.then(size =>
+	{
+		expect(size).toBe(0);
+
+		return cache.set("ford-m-series", "1", "", { "error": RadioErrors.INVALID_SERIAL_LENGTH });
+	})
+	.then(() => cache.size())
+	.then(size => expect(size).toBe(0));
+});
+
+test("test_cache_ttl_eviction()", () =>
+{
+	let expiring = new RadioResultCache({ "ttl": 1 });
+	let limited = new RadioResultCache({ "max_entries": 2 });
+	let response = { "error": RadioErrors.SUCCESS, "code": "1234" };
+
+	return expiring.set("fiat-vp", "2063", "", response)
+	.then(() => new Promise(fulfilled => setTimeout(fulfilled, 5)))
+	.then(() => expiring.get("fiat-vp", "2063"))
+	.then(result =>
+	{
+		expect(result).toBeNull();
+
+		return limited.set("fiat-vp", "1", "", response)
+		.then(() => limited.set("fiat-vp", "2", "", response))
+		.then(() => limited.get("fiat-vp", "1"))
+		.then(() => limited.set("fiat-vp", "3", "", response));
+	})
+	.then(() => Promise.all([ limited.get("fiat-vp", "1"), limited.get("fiat-vp", "2"), limited.get("fiat-vp", "3"), limited.size() ]))
+	.then(([ first, second, third, size ]) =>
+	{
+		// the least recently used entry is evicted
+		expect(first["code"]).toBe("1234");
+		expect(second).toBeNull();
+		expect(third["code"]).toBe("1234");
+		expect(size).toBe(2);
+	});
+});
+
+test("test_cache_file()", () =>
+{
+	let directory = fs.mkdtempSync(path.join(os.tmpdir(), "radio-code-"));
+	let file_path = path.join(directory, "radio-codes.json");
+	let transport = new RadioMockTransport();
+
+	return create_calculator(transport, RadioResultCache.file(file_path)).calc(RadioModels.FIAT_DAIICHI, "6461")
+	.then(() => create_calculator(transport, RadioResultCache.file(file_path)).calc(RadioModels.FIAT_DAIICHI, "6461"))
+	.then(result =>
+	{
+		expect(result["code"]).toBe("8354");
+		expect(result["cached"]).toBe(true);
+		expect(transport.requests).toHaveLength(1);
+
+		fs.rmSync(directory, { "recursive": true });
+	});
+});
@@ -0,0 +1,186 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - HTTP REST server unit test
+ *
+ * Validate the routes, API tokens, HTTP status codes & the request log
+ * (the Web API is emulated with the mock transport)
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioMockTransport } from "radio-code-calculator";
+import { RadioServer } from "radio-code-calculator/server";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+/**
+ * Start the server on a free local port
+ *
+ * @param object options RadioServer options
+ * @param object transport_options RadioMockTransport options
+ * @return Promise { server, transport, log, request(method, path, body, token) }
+ */
+function start_server(options = {}, transport_options = { "keys": [VALID_ACTIVATION_KEY] })
+{
+	const transport = new RadioMockTransport(transport_options);
+	const log = [];
+
+	const server = new RadioServer(new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport }), Object.assign({ "logger": entry => log.push(entry) }, options));
+
+	return server.listen(0).then(address =>
+	{
+		const request = (method, path, body = undefined, token = null) =>
+		{
+			const headers = { "Content-Type": "application/json" };
+
+			if (token !== null)
+				headers["Authorization"] = "Bearer " + token;
+
+			return fetch(`http://127.0.0.1:${address["port"]}${path}`, { "method": method, "headers": headers, "body": body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body) })
+			.then(response => response.json().then(json => ({ "status": response.status, "headers": response.headers, "body": json })));
+		};
+
+		return { server, transport, log, request };
+	});
+}
+
+test("test_server_calc()", () =>
+{
+	return start_server().then(({ server, transport, log, request }) =>
+	{
+		return request("POST", "/calc", { "radio_model": "FORD_M_SERIES", "serial": "M 123-456", "normalize": true }).then(response =>
+		{
+			expect(response["status"]).toBe(200);
+			expect(response["body"]).toEqual({ "error": RadioErrors.SUCCESS, "radio_model": "ford-m-series", "code": "2487", "normalized": { "serial": "123456", "extra": "" } });
+
+			// the input is validated before it's sent to the Web API
+			return request("POST", "/calc", { "radio_model": "ford-m-series", "serial": "12345" });
+		})
+		.then(response =>
+		{
+			expect(response["status"]).toBe(422);
+			expect(response["body"]).toEqual({ "error": RadioErrors.INVALID_SERIAL_LENGTH, "error_message": "Invalid serial number length", "radio_model": "ford-m-series" });
+			expect(transport.requests.filter(params => params["command"] === "calc")).toHaveLength(1);
+
+			return request("POST", "/calc", { "radio_model": "unknown", "serial": "123456" });
+		})
+		.then(response =>
+		{
+			expect(response["status"]).toBe(404);
+			expect(response["body"]["error"]).toBe(RadioErrors.INVALID_RADIO_MODEL);
+
+			// the Web API errors
+			return request("POST", "/calc", { "radio_model": "ford-m-series", "serial": "654321" });
+		})
+		.then(response =>
+		{
+			expect(response["status"]).toBe(422);
+			expect(response["body"]["error"]).toBe(RadioErrors.INVALID_SERIAL_NOT_SUPPORTED);
+
+			return Promise.all([ request("POST", "/calc", "{ invalid"), request("POST", "/calc", { "radio_model": "ford-m-series" }), request("POST", "/calc", "x".repeat(RadioServer.DEFAULT_MAX_BODY + 1)) ]);
+		})
+		.then(responses =>
+		{
+			expect(responses.map(response => [ response["status"], response["body"]["error"] ])).toEqual([ [ 400, RadioErrors.INVALID_INPUT ], [ 400, RadioErrors.INVALID_INPUT ], [ 413, RadioErrors.INVALID_INPUT ] ]);
+
+			expect(log.map(entry => entry["status"]).sort()).toEqual([ 200, 400, 400, 404, 413, 422, 422 ]);
+			expect(log[0]).toMatchObject({ "client": null, "method": "POST", "path": "/calc", "status": 200, "error": RadioErrors.SUCCESS });
+		})
+		.finally(() => server.close());
+	});
+});
+
+test("test_server_models()", () =>
+{
+	return start_server().then(({ server, request }) =>
+	{
+		return request("GET", "/models").then(response =>
+		{
+			expect(response["status"]).toBe(200);
+			expect(response["body"]["supportedRadioModels"]["ford-m-series"]["serialMaxLen"]).toBe(6);
+
+			return request("GET", "/models/jeep-cherokee");
+		})
+		.then(response =>
+		{
+			expect(response["status"]).toBe(200);
+			expect(response["body"]).toMatchObject({ "error": RadioErrors.SUCCESS, "name": "jeep-cherokee", "serialMaxLen": 14, "metadata": { "display_name": "Jeep Cherokee" } });
+
+			return Promise.all([ request("GET", "/models/unknown"), request("DELETE", "/models"), request("GET", "/unknown"), request("GET", "/models/%E0") ]);
+		})
+		.then(responses =>
+		{
+			expect(responses.map(response => [ response["status"], response["body"]["error"] ])).toEqual([ [ 404, RadioErrors.INVALID_RADIO_MODEL ], [ 405, RadioErrors.INVALID_COMMAND ], [ 404, RadioErrors.INVALID_COMMAND ], [ 400, RadioErrors.INVALID_INPUT ] ]);
+			expect(responses[3]["body"]["error_message"]).toBe("Malformed radio model name encoding");
+			expect(responses[1]["headers"].get("allow")).toBe("GET, HEAD");
+		})
+		.finally(() => server.close());
+	});
+});
+
+test("test_server_license()", () =>
+{
+	return start_server().then(({ server, request }) =>
+	{
+		return request("GET", "/license").then(response =>
+		{
+			expect(response["status"]).toBe(200);
+			expect(response["body"]["license"]).toMatchObject({ "active": true, "type_name": "Personal", "expiration_date": "2099-12-31" });
+
+			// the activation key is never returned
+			expect(JSON.stringify(response["body"])).not.toContain(VALID_ACTIVATION_KEY);
+		})
+		.finally(() => server.close());
+	})
+	.then(() => start_server({}, { "keys": [] }))
+	.then(({ server, request }) =>
+	{
+		return Promise.all([ request("GET", "/license"), request("POST", "/calc", { "radio_model": "ford-m-series", "serial": "123456" }) ]).then(responses =>
+		{
+			expect(responses.map(response => [ response["status"], response["body"]["error"] ])).toEqual([ [ 503, RadioErrors.INVALID_LICENSE ], [ 503, RadioErrors.INVALID_LICENSE ] ]);
+		})
+		.finally(() => server.close());
+	});
+});
+
+test("test_server_tokens()", () =>
+{
+	return start_server({ "tokens": { "token-crm": "crm", "token-shop": "shop" } }).then(({ server, log, request }) =>
+	{
+		return Promise.all([ request("GET", "/models/fiat-vp"), request("GET", "/models/fiat-vp", undefined, "invalid"), request("GET", "/models/fiat-vp", undefined, "token-shop") ]).then(responses =>
+		{
+			expect(responses.map(response => response["status"])).toEqual([ 401, 401, 200 ]);
+			expect(responses[0]["headers"].get("www-authenticate")).toBe("Bearer");
+
+			expect(log.map(entry => entry["client"]).sort()).toEqual([ null, null, "shop" ]);
+		})
+		.finally(() => server.close());
+	});
+});
+
+test("test_server_http_status()", () =>
+{
+	expect(RadioServer.http_status(RadioErrors.SUCCESS)).toBe(200);
+	expect(RadioServer.http_status(RadioErrors.INVALID_INPUT)).toBe(400);
+	expect(RadioServer.http_status(RadioErrors.INVALID_RADIO_MODEL)).toBe(404);
+	expect(RadioServer.http_status(RadioErrors.INVALID_EXTRA_PATTERN)).toBe(422);
+	expect(RadioServer.http_status(RadioErrors.INVALID_LICENSE)).toBe(503);
+	expect(RadioServer.http_status(RadioErrors.ERROR_CONNECTION)).toBe(502);
+	expect(RadioServer.http_status(RadioErrors.INVALID_COMMAND)).toBe(502);
+
+	expect(RadioServer.radio_error_response(new Error("secret details"))).toEqual({ "status": 500, "body": { "error": RadioErrors.ERROR_CONNECTION, "error_message": "Internal server error" }, "headers": {} });
+});
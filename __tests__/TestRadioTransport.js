@@ -0,0 +1,351 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - WebApi transports unit test
+ *
+ * Validate the pluggable transports and the Web API emulation
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels, RadioTransport, RadioMockTransport, RadioReplayTransport, RadioValidationError } from "radio-code-calculator";
+
+const VALID_ACTIVATION_KEY = "ABCD-ABCD-ABCD-ABCD";
+
+test("test_custom_endpoint()", () =>
+{
+	// custom transport recording the endpoint & the parameters
+	class RecordingTransport extends RadioTransport
+	{
+		send(url, params)
+		{
+			this.url = url;
+			this.params = params;
+
+			return Promise.resolve({ "error": RadioErrors.SUCCESS, "code": "1234" });
+		}
+	}
+
+	let transport = new RecordingTransport();
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "api_url": "http://localhost:8080/v1" });
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result =>
+	{
+		expect(result["code"]).toBe("1234");
+		expect(transport.url).toBe("http://localhost:8080/v1");
+		expect(transport.params).toEqual({ "key": VALID_ACTIVATION_KEY, "command": "calc", "radio_model": "ford-m-series", "serial": "123456", "extra": "" });
+	});
+});
+
+test("test_transport_failure()", () =>
+{
+	// transport that cannot deliver any request
+	class FailingTransport extends RadioTransport
+	{
+		send(url, params)
+		{
+			return Promise.reject(new Error("connection refused"));
+		}
+	}
+
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new FailingTransport(), "policy": { "retries": 0 } });
+
+	return radioCodeApi.login().then(() => { throw new Error("login() should fail"); }, error =>
+	{
+		expect(error["error"]).toBe(RadioErrors.ERROR_CONNECTION);
+		expect(error["error_message"].message).toBe("connection refused");
+	});
+});
+
+test("test_mock_login()", () =>
+{
+	let transport = new RadioMockTransport({ "license": { "userName": "Workshop", "type": 1 } });
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+
+	return radioCodeApi.login().then(result =>
+	{
+		expect(result["error"]).toBe(RadioErrors.SUCCESS);
+		expect(result["license"]["userName"]).toBe("Workshop");
+		expect(result["license"]["type"]).toBe(1);
+		expect(result["license"]["activationStatus"]).toBe(true);
+		expect(transport.requests).toHaveLength(1);
+	});
+});
+
+test("test_mock_calc_errors()", () =>
+{
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new RadioMockTransport() });
+
+	let cases = [
+		[ "unknown-model", "1234", RadioErrors.INVALID_RADIO_MODEL ],
+		[ RadioModels.FORD_M_SERIES, "1", RadioErrors.INVALID_SERIAL_LENGTH ],
+		[ RadioModels.FORD_M_SERIES, "12345A", RadioErrors.INVALID_SERIAL_PATTERN ],
+		[ RadioModels.FORD_M_SERIES, "654321", RadioErrors.INVALID_SERIAL_NOT_SUPPORTED ],
+	];
+
+	return Promise.all(cases.map(([radio_model, serial, expected]) =>
+		radioCodeApi.calc(radio_model, serial).then(() => { throw new Error("calc() should fail"); }, error =>
+		{
+			expect(error["error"]).toBe(expected);
+		})
+	));
+});
+
+test("test_mock_calc_validation_details()", () =>
+{
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new RadioMockTransport() });
+
+	return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "1").catch(error =>
+	{
+		expect(error["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+		expect(error["serialMaxLen"]).toBe(6);
+		expect(error["serialRegexPattern"]["js"]).toBe("/^([0-9]{6})$/");
+	});
+});
+
+test("test_mock_info_list()", () =>
+{
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": new RadioMockTransport() });
+
+	return Promise.all([
+		radioCodeApi.info("jaguar-alpine").then(result =>
+		{
+			expect(result["radioModel"]).toBeInstanceOf(RadioModel);
+			expect(result["radioModel"].serial_max_len).toBe(5);
+			expect(result["radioModel"].validate("99999")).toBe(RadioErrors.SUCCESS);
+		}),
+		radioCodeApi.list().then(result =>
+		{
+			expect(result["radioModels"].length).toBeGreaterThanOrEqual(14);
+			expect(result["supportedRadioModels"]).toHaveProperty("renault-dacia");
+		}),
+		radioCodeApi.info("unknown-model").catch(error => expect(error["error"]).toBe(RadioErrors.INVALID_RADIO_MODEL)),
+	]);
+});
+
+test("test_mock_custom_codes()", () =>
+{
+	let transport = new RadioMockTransport({ "radio_models": [ RadioModels.FIAT_VP ], "codes": { "fiat-vp": { "1111": "2222" } } });
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+
+	return radioCodeApi.calc(RadioModels.FIAT_VP, "1111").then(result =>
+	{
+		expect(result["code"]).toBe("2222");
+
+		return radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456");
+	})
+	.then(() => { throw new Error("calc() should fail"); }, error => expect(error["error"]).toBe(RadioErrors.INVALID_RADIO_MODEL));
+});
+
+test("test_mock_handle_error()", () =>
+{
+	// radio model with the failing validation
+	class BrokenModel extends RadioModel
+	{
+		validate(serial, extra = null, options = {})
+		{
+			throw new Error("validation failed");
+		}
+	}
+
+	let transport = new RadioMockTransport({ "radio_models": [ new BrokenModel("broken-radio", 4, "/^([0-9]{4})$/") ] });
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport, "policy": { "retries": 1, "backoff_delay": 0 } });
+
+	// the error rejects the Promise instead of escaping send()
+	let sent = transport.send("", { "key": VALID_ACTIVATION_KEY, "command": "calc", "radio_model": "broken-radio", "serial": "1234" });
+
+	return expect(sent).rejects.toThrow("validation failed").then(() => radioCodeApi.calc("broken-radio", "1234")).then(() => { throw new Error("calc() should fail"); }, error =>
+	{
+		// the failed request goes through the retries
+		expect(error["error"]).toBe(RadioErrors.ERROR_CONNECTION);
+		expect(error.cause.message).toBe("validation failed");
+		expect(transport.requests).toHaveLength(3);
+	});
+});
+
+test("test_mock_calc_batch_malformed()", () =>
+{
+	let transport = new RadioMockTransport();
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+
+	// malformed jobs mixed with the valid ones
+	let jobs = [
+		{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" },
+		{ "radio_model": RadioModels.FORD_M_SERIES },
+		{ "radio_model": RadioModels.FORD_M_SERIES, "serial": null },
+		null,
+		{ "radio_model": undefined, "serial": "123456" },
+		{ "radio_model": "unknown-model", "serial": 123456 },
+		{ "radio_model": RadioModels.FIAT_VP, "serial": "2063" },
+	];
+
+	return radioCodeApi.calc_batch(jobs, 2, { "normalize": true }).then(results =>
+	{
+		expect(results.map(result => [ result["error"], result["code"] ])).toEqual([
+			[ RadioErrors.SUCCESS, "2487" ],
+			[ RadioErrors.INVALID_INPUT, null ],
+			[ RadioErrors.INVALID_INPUT, null ],
+			[ RadioErrors.INVALID_INPUT, null ],
+			[ RadioErrors.INVALID_INPUT, null ],
+			[ RadioErrors.INVALID_INPUT, null ],
+			[ RadioErrors.SUCCESS, "1341" ],
+		]);
+
+		expect(results[3]["job"]).toBeNull();
+		expect(results[1]["response"]).toBeInstanceOf(RadioValidationError);
+		expect(results[1]["response"].cause).toBeInstanceOf(TypeError);
+
+		// the malformed jobs never reach the Web API
+		expect(transport.requests).toHaveLength(2);
+	});
+});
+
+test("test_mock_calc_batch_concurrency()", () =>
+{
+	// mock transport answering after a delay & tracking the simultaneous requests
+	class SlowTransport extends RadioMockTransport
+	{
+		running = 0;
+		max_running = 0;
+
+		send(url, params, signal = null)
+		{
+			this.running++;
+			this.max_running = Math.max(this.max_running, this.running);
+
+			return new Promise(fulfilled => setTimeout(fulfilled, 10)).then(() =>
+			{
+				this.running--;
+
+				return super.send(url, params, signal);
+			});
+		}
+	}
+
+	let transport = new SlowTransport();
+	let radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": transport });
+
+	let jobs = Array.from({ "length": 7 }, () => ({ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" }));
+
+	return radioCodeApi.calc_batch(jobs, 3).then(results =>
+	{
+		expect(results.every(result => result["code"] === "2487")).toBe(true);
+		expect(transport.requests).toHaveLength(7);
+		expect(transport.max_running).toBe(3);
+	});
+});
+
+test("test_record_transport()", () =>
+{
+	const temp_dir = fs.mkdtempSync(path.join(os.tmpdir(), "radio-code-"));
+	const fixture = path.join(temp_dir, "fixtures", "calc.json");
+
+	const real_key = "REAL-REAL-REAL-9999";
+
+	// transport failing every other login with the request parameters in the message
+	class FlakyTransport extends RadioMockTransport
+	{
+		logins = 0;
+
+		send(url, params, signal = null)
+		{
+			if (params["command"] === "login" && this.logins++ % 2 === 0)
+				return Promise.reject(Object.assign(new Error("Server error for " + JSON.stringify(params)), { "status": 503 }));
+
+			return super.send(url, params, signal);
+		}
+	}
+
+	const recorder = new RadioReplayTransport(fixture, { "mode": RadioReplayTransport.MODE_RECORD, "transport": new FlakyTransport({ "keys": [ real_key ] }), "key_aliases": { [real_key]: VALID_ACTIVATION_KEY } });
+	const radioCodeApi = new RadioCodeCalculator(real_key, { "transport": recorder, "policy": { "retries": 1, "backoff_delay": 1 } });
+
+	return radioCodeApi.login()
+	.then(() => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456"))
+	.then(() => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "12345").catch(error => error))
+	.then(() => radioCodeApi.info(RadioModels.FORD_M_SERIES))
+	.then(() =>
+	{
+		const contents = fs.readFileSync(fixture, "utf8");
+
+		// the responses are recorded as received (without the fields added by the API calls)
+		expect(recorder.exchanges[4]["response"]).not.toHaveProperty("radioModel");
+
+		// the activation key is scrubbed
+		expect(contents).not.toContain("REAL-REAL");
+		expect(recorder.exchanges.map(exchange => exchange["request"]["key"])).toEqual(Array(5).fill("****-****-****-ABCD"));
+		expect(JSON.parse(contents)["exchanges"]).toEqual(recorder.exchanges);
+
+		expect(recorder.exchanges[0]["error"]).toEqual({ "message": "Server error for " + JSON.stringify({ "key": "****-****-****-ABCD", "command": "login" }), "status": 503 });
+		expect(recorder.exchanges[3]["response"]["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH);
+
+		// replay the recorded exchanges with the key used in the tests (including the failed attempt)
+		const player = new RadioReplayTransport(fixture, { "env": {} });
+		const replayed = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": player, "policy": { "retries": 1, "backoff_delay": 1 } });
+		const retries = [];
+
+		replayed.on("retry", details => retries.push(details["cause"]["status"]));
+
+		expect(player.mode).toBe(RadioReplayTransport.MODE_REPLAY);
+
+		return replayed.login().then(result =>
+		{
+			expect(result["license"]["userName"]).toBe("Radio Code Calculator");
+			expect(retries).toEqual([ 503 ]);
+
+			return replayed.calc(RadioModels.FORD_M_SERIES, "123456");
+		})
+		.then(result =>
+		{
+			expect(result["code"]).toBe("2487");
+
+			return replayed.calc(RadioModels.FORD_M_SERIES, "12345").then(() => { throw new Error("calc() should fail"); }, error => error);
+		})
+		.then(error => expect(error["error"]).toBe(RadioErrors.INVALID_SERIAL_LENGTH));
+	})
+	.finally(() => fs.rmSync(temp_dir, { "recursive": true }));
+});
+
+test("test_replay_transport()", () =>
+{
+	const request = { "key": "****-****-****-ABCD", "command": "calc", "radio_model": "ford-m-series", "serial": "123456", "extra": "" };
+
+	const player = new RadioReplayTransport(null, { "env": {}, "exchanges": [
+		{ "request": request, "response": { "error": RadioErrors.SUCCESS, "code": "1111" } },
+		{ "request": Object.assign({}, request, { "command": "calc" }), "response": { "error": RadioErrors.SUCCESS, "code": "2222" } },
+	] });
+
+	const radioCodeApi = new RadioCodeCalculator(VALID_ACTIVATION_KEY, { "transport": player, "policy": { "retries": 0 } });
+	const calc = () => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "123456").then(result => result["code"]);
+
+	// the repeated requests get the recorded responses in order, the last one is repeated
+	return calc().then(code => expect(code).toBe("1111"))
+	.then(() => calc()).then(code => expect(code).toBe("2222"))
+	.then(() => calc()).then(code => expect(code).toBe("2222"))
+	.then(() => radioCodeApi.calc(RadioModels.FORD_M_SERIES, "654321").then(() => { throw new Error("calc() should fail"); }, error => error))
+	.then(error =>
+	{
+		// requests without the recorded responses are never sent
+		expect(error["error"]).toBe(RadioErrors.ERROR_CONNECTION);
+		expect(error["error_message"].message).toContain("No recorded response for the \"calc\" request");
+
+		expect(new RadioReplayTransport(null, { "env": { "RADIO_CODE_CALCULATOR_RECORD": "1" } }).mode).toBe(RadioReplayTransport.MODE_RECORD);
+		expect(() => new RadioReplayTransport(null, { "mode": "live" })).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,297 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - offline validation unit test
+ *
+ * Validate the dependency-free validation module and the exported
+ * HTML attributes & JSON Schema constraints
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import path from 'path';
+
+import { RadioErrors, RadioModel, RadioModels } from "radio-code-calculator/validation";
+import * as RadioCodeCalculatorModule from "radio-code-calculator";
+
+/**
+ * Check the value against the HTML input attributes (the way the browsers do)
+ *
+ * @param object attributes HTML attributes
+ * @param string value Input value
+ * @return bool True if valid
+ */
+function html_valid(attributes, value)
+{
+	if (value.length === 0)
+		return attributes["required"] !== true;
+
+	if (value.length < attributes["minlength"] || value.length > attributes["maxlength"])
+		return false;
+
+	return attributes["pattern"] === undefined || new RegExp("^(?:" + attributes["pattern"] + ")$", "v").test(value);
+}
+
+/**
+ * Check the string value against the JSON Schema fragment (only the keywords used by json_schema())
+ *
+ * @param object schema JSON Schema
+ * @param mixed value Value
+ * @return bool True if valid
+ */
+function schema_valid(schema, value)
+{
+	const type = value === null ? "null" : typeof value;
+
+	if ("type" in schema && ![].concat(schema["type"]).includes(type))
+		return false;
+
+	if ("const" in schema && value !== schema["const"])
+		return false;
+
+	if (type === "string")
+	{
+		if (("minLength" in schema && value.length < schema["minLength"]) || ("maxLength" in schema && value.length > schema["maxLength"]))
+			return false;
+
+		if ("pattern" in schema && !new RegExp(schema["pattern"], "u").test(value))
+			return false;
+	}
+
+	if ("anyOf" in schema && !schema["anyOf"].some(sub_schema => schema_valid(sub_schema, value)))
+		return false;
+
+	if (type === "object")
+	{
+		if ((schema["required"] || []).some(property => !(property in value)))
+			return false;
+
+		return Object.keys(schema["properties"] || {}).every(property => !(property in value) || schema_valid(schema["properties"][property], value[property]));
+	}
+
+	return true;
+}
+
+const SAMPLES = [ "", "1", "123", "1234", "Z999", "z999", "E3NE", "123456", "12345O", "1234567", "TQ1AA1500E2884", "D4CDDC568498", "10211376ab8e0d25", "12 456" ];
+
+test("test_validation_dependencies()", () =>
+{
+	// the validation module & its imports mustn't import any packages
+	const sources = [ "src/RadioValidation.mjs", "src/RadioPattern.mjs" ].map(file_name => fs.readFileSync(path.resolve(file_name), "utf8"));
+
+	for (const source of sources)
+		expect(source).not.toMatch(/^\s*import\s.*from\s+["'](?!\.\/Radio(Pattern|Validation)\.mjs["'])/m);
+
+	// and it's re-exported by the main module
+	expect(RadioCodeCalculatorModule.RadioModels).toBe(RadioModels);
+	expect(RadioCodeCalculatorModule.RadioErrors).toBe(RadioErrors);
+});
+
+test("test_html_attributes()", () =>
+{
+	expect(RadioModels.RENAULT_DACIA.html_attributes()).toEqual({ "pattern": "^([A-Z]{1}[0-9]{3})$", "minlength": 4, "maxlength": 4, "required": true });
+	expect(RadioModels.RENAULT_DACIA.html_attributes("extra")).toBeNull();
+
+	expect(() => RadioModels.RENAULT_DACIA.html_attributes("code")).toThrow("Unknown field");
+
+	// the same results as validate()
+	for (const radio_model of Object.values(RadioModels).filter(radio_model => radio_model instanceof RadioModel))
+	{
+		const attributes = radio_model.html_attributes();
+
+		for (const serial of SAMPLES)
+			expect([ radio_model.name, serial, html_valid(attributes, serial) ]).toEqual([ radio_model.name, serial, serial.length > 0 && radio_model.validate(serial) === RadioErrors.SUCCESS ]);
+	}
+});
+
+test("test_html_attributes_extra()", () =>
+{
+	const radio_model = new RadioModel("custom", 4, "/^([0-9]{4})$/", 2, "/^([a-z]{2})$/i");
+	const attributes = radio_model.html_attributes("extra");
+
+	expect(attributes).toEqual({ "pattern": "^([a-zA-Z]{2})$", "minlength": 2, "maxlength": 2 });
+
+	for (const extra of [ "", "ab", "AB", "a1", "abc" ])
+		expect([ extra, html_valid(attributes, extra) ]).toEqual([ extra, radio_model.validate("1234", extra) === RadioErrors.SUCCESS ]);
+});
+
+test("test_json_schema()", () =>
+{
+	const radio_model = new RadioModel("custom", 4, "/^([0-9]{4})$/", 2, "/^([a-z]{2})$/i");
+
+	for (const candidate of [ radio_model, RadioModels.FORD_M_SERIES, RadioModels.JEEP_CHEROKEE, RadioModels.RENAULT_DACIA ])
+	{
+		const schema = candidate.json_schema();
+
+		// the schema is plain JSON
+		expect(JSON.parse(JSON.stringify(schema))).toEqual(schema);
+
+		for (const serial of SAMPLES)
+			for (const extra of [ undefined, null, "", "ab", "AB", "a1", "abc" ])
+			{
+				const input = { "radio_model": candidate.name, "serial": serial };
+
+				if (extra !== undefined)
+					input["extra"] = extra;
+
+				const expected = candidate.validate(serial, extra === undefined ? null : extra) === RadioErrors.SUCCESS;
+
+				expect([ candidate.name, serial, extra, schema_valid(schema, input) ]).toEqual([ candidate.name, serial, extra, expected ]);
+			}
+	}
+
+	// other radio models are rejected
+	expect(schema_valid(RadioModels.FORD_M_SERIES.json_schema(), { "radio_model": "ford-v-series", "serial": "123456" })).toBe(false);
+	expect(schema_valid(RadioModels.FORD_M_SERIES.json_schema(), { "radio_model": "ford-m-series" })).toBe(false);
+});
+
+test("test_portable_pattern()", () =>
+{
+	expect(RadioModel.portable_pattern(/^([A-Z]{1}[0-9]{3})$/)).toBe("^([A-Z]{1}[0-9]{3})$");
+	expect(RadioModel.portable_pattern(/^([a-f0-9]{4})$/i)).toBe("^([a-fA-F0-9]{4})$");
+	expect(RadioModel.portable_pattern(/^[^X]\d{2}ab(?:c)$/i)).toBe("^[^xX]\\d{2}[aA][bB](?:[cC])$");
+	expect(RadioModel.portable_pattern(/^\x41b\p{L}$/iu)).toBe("^\\x41[bB]\\p{L}$");
+	expect(RadioModel.portable_pattern("")).toBeNull();
+	expect(RadioModel.portable_pattern(null)).toBeNull();
+});
+
+test("test_serial_entropy()", () =>
+{
+	expect(RadioModels.RENAULT_DACIA.serial_entropy()).toBeCloseTo(Math.log2(26) + 3 * Math.log2(10));
+	expect(RadioModels.CHRYSLER_DODGE_VP.serial_entropy()).toBeCloseTo(4 * Math.log2(62));
+	expect(new RadioModel("custom", 2, "/^([a-z]{2})$/i").serial_entropy()).toBeCloseTo(2 * Math.log2(52));
+
+	// variable length patterns
+	expect(new RadioModel("custom", 4, "/^([0-9]+)$/").serial_entropy()).toBeNull();
+	expect(new RadioModel("custom", 4, "").serial_entropy()).toBeNull();
+});
+
+test("test_detect()", () =>
+{
+	const candidates = RadioModels.detect("Z999");
+	const matched = candidates.filter(candidate => candidate["matched"]);
+
+	// the most specific pattern first
+	expect(matched.map(candidate => candidate["radio_model"])).toEqual([ RadioModels.RENAULT_DACIA, RadioModels.CHRYSLER_DODGE_VP ]);
+	expect(matched[0]["reasons"]).toEqual([ "length 4 matches", "matches the pattern /^([A-Z]{1}[0-9]{3})$/" ]);
+
+	// every radio model is explained
+	expect(candidates).toHaveLength(Object.values(RadioModels).filter(radio_model => radio_model instanceof RadioModel).length);
+
+	const ruled_out = (name) => candidates.find(candidate => candidate["radio_model"].name === name);
+
+	expect(ruled_out("fiat-daiichi")).toMatchObject({ "matched": false, "error": RadioErrors.INVALID_SERIAL_PATTERN, "reasons": [ "length 4 matches", "doesn't match the pattern /^([0-9]{4})$/" ] });
+	expect(ruled_out("ford-m-series")).toMatchObject({ "matched": false, "error": RadioErrors.INVALID_SERIAL_LENGTH, "reasons": [ "expected 6 characters, got 4" ] });
+
+	// 4 digits are accepted by more radio models
+	expect(RadioModels.detect("1234").filter(candidate => candidate["matched"]).map(candidate => candidate["radio_model"].name).slice(-1)).toEqual([ "chrysler-dodge-vp" ]);
+});
+
+test("test_detect_hints()", () =>
+{
+	const ford = RadioModels.detect("M123456", { "brand": "Ford", "normalize": true });
+
+	expect(ford[0]).toMatchObject({ "radio_model": RadioModels.FORD_M_SERIES, "matched": true, "serial": "123456" });
+	expect(ford[0]["reasons"]).toEqual([ "brand \"Ford\" matches", "serial number normalized to \"123456\"", "length 6 matches", "matches the pattern /^([0-9]{6})$/" ]);
+	expect(ford.filter(candidate => candidate["matched"])).toHaveLength(1);
+	expect(ford.find(candidate => candidate["radio_model"] === RadioModels.FIAT_VP)["reasons"]).toEqual([ "brand \"Ford\" doesn't match" ]);
+
+	expect(RadioModels.matches_brand(RadioModels.CHRYSLER_DODGE_VP, "dodge")).toBe(true);
+	expect(RadioModels.matches_brand(RadioModels.CHRYSLER_DODGE_VP, "Chrysler Dodge")).toBe(true);
+	expect(RadioModels.matches_brand(RadioModels.FIAT_VP, "Ford")).toBe(false);
+
+	// extra data
+	const custom = new RadioModel("custom", 4, "/^([0-9]{4})$/", 2, "/^([a-z]{2})$/");
+
+	expect(RadioModels.detect("1234", { "radio_models": [ custom ] })[0]["reasons"]).toContain("requires extra data (2 characters)");
+	expect(RadioModels.detect("1234", { "radio_models": [ custom ], "extra": "12" })[0]).toMatchObject({ "matched": false, "error": RadioErrors.INVALID_EXTRA_PATTERN });
+	expect(RadioModels.detect("1234", { "radio_models": [ RadioModels.FIAT_VP ], "extra": "12" })[0]["reasons"]).toContain("extra data isn't used by this radio model");
+
+	// unusable regex patterns are ruled out
+	const unusable = new RadioModel("unusable", 4, { "php": "/^(?>[0-9]{4})$/" });
+
+	expect(RadioModels.detect("1234", { "radio_models": [ unusable ] })[0]).toMatchObject({ "matched": false, "error": RadioErrors.INVALID_RADIO_MODEL, "reasons": [ "no usable regex pattern" ] });
+});
+
+test("test_radio_model_metadata()", () =>
+{
+	for (const radio_model of RadioModels.all())
+	{
+		const metadata = radio_model.metadata();
+
+		expect(metadata["display_name"]).not.toBe(radio_model.name);
+		expect(metadata["brands"].length).toBeGreaterThan(0);
+		expect(metadata["serial_location"]).not.toBeNull();
+
+		// the examples are valid serial numbers
+		expect([ radio_model.name, radio_model.validate(metadata["serial_example"]) ]).toEqual([ radio_model.name, RadioErrors.SUCCESS ]);
+	}
+
+	// unknown metadata
+	const custom = new RadioModel("custom", 4, "/^([0-9]{4})$/");
+
+	expect(custom.metadata()).toEqual({ "display_name": "custom", "brands": [], "manufacturer": null, "serial_location": null, "serial_example": null });
+	expect(Object.keys(custom.to_params())).toEqual([ "serialMaxLen", "serialRegexPattern", "extraMaxLen", "extraRegexPattern" ]);
+
+	// the Web API doesn't return the metadata, the predefined one is used
+	const ford = RadioModel.from_params("ford-m-series", RadioModels.FORD_M_SERIES.to_params());
+
+	expect(ford.metadata()).toEqual(RadioModels.FORD_M_SERIES.metadata());
+	expect(Object.keys(RadioModels.FORD_M_SERIES.to_params())).toEqual([ "serialMaxLen", "serialRegexPattern", "extraMaxLen", "extraRegexPattern" ]);
+
+	const custom_metadata = new RadioModel("new-radio", 4, "/^([0-9]{4})$/", 0, null, null, { "brands": [ "Opel" ], "manufacturer": "Delphi", "serial_example": "1234" });
+
+	expect(custom_metadata.metadata()).toEqual({ "display_name": "new-radio", "brands": [ "Opel" ], "manufacturer": "Delphi", "serial_location": null, "serial_example": "1234" });
+	expect(RadioModel.from_params("new-radio", custom_metadata.to_params()).metadata()).toEqual({ "display_name": "new-radio", "brands": [], "manufacturer": null, "serial_location": null, "serial_example": null });
+
+	// the metadata fields are used when the Web API provides them, the predefined metadata otherwise
+	const provided = RadioModel.from_params("ford-m-series", Object.assign(RadioModels.FORD_M_SERIES.to_params(), { "displayName": "Ford M-Series", "serialLocation": null }));
+
+	expect(provided.display_name).toBe("Ford M-Series");
+	expect(provided.brands).toEqual([ "Ford" ]);
+	expect(provided.serial_location).toBe(RadioModels.FORD_M_SERIES.serial_location);
+
+	const server = RadioModel.from_params("new-radio", Object.assign(custom.to_params(), { "brands": "Opel / Vauxhall", "manufacturer": "Delphi", "serialExample": "1234" }));
+
+	expect(server.metadata()).toEqual({ "display_name": "new-radio", "brands": [ "Opel", "Vauxhall" ], "manufacturer": "Delphi", "serial_location": null, "serial_example": "1234" });
+	expect(RadioModel.metadata_from_params({ "displayName": "", "manufacturer": "Visteon" })).toEqual({ "manufacturer": "Visteon" });
+});
+
+test("test_radio_models_by_brand()", () =>
+{
+	expect(RadioModels.by_brand("Ford")).toEqual([ RadioModels.FORD_M_SERIES, RadioModels.FORD_V_SERIES, RadioModels.FORD_TRAVELPILOT ]);
+	expect(RadioModels.by_brand("ram")).toEqual([ RadioModels.CHRYSLER_DODGE_VP ]);
+	expect(RadioModels.by_brand("Jeep")).toEqual([ RadioModels.CHRYSLER_PANASONIC_TM9, RadioModels.JEEP_CHEROKEE ]);
+	expect(RadioModels.by_brand("Opel")).toEqual([]);
+
+	// brands metadata is used by the detection
+	expect(RadioModels.matches_brand(RadioModels.ECLIPSE_ESN, "Mitsubishi")).toBe(true);
+
+	expect(RadioModels.by_manufacturer("visteon").map(radio_model => radio_model.name)).toEqual([ "ford-m-series", "ford-v-series", "fiat-stilo-bravo-visteon" ]);
+
+	const custom = new RadioModel("custom", 4, "/^([0-9]{4})$/", 0, null, null, { "brands": [ "Opel" ], "manufacturer": "Visteon" });
+
+	expect(RadioModels.by_manufacturer("Visteon", [ custom, RadioModels.FIAT_VP ])).toEqual([ custom ]);
+
+	const brands = RadioModels.group_by("brand");
+
+	expect(Object.keys(brands)).toEqual([ "Chrysler", "Dacia", "Dodge", "Fiat", "Ford", "Jaguar", "Jeep", "Mitsubishi", "Nissan", "Ram", "Renault", "Toyota" ]);
+	expect(brands["Toyota"]).toEqual([ RadioModels.TOYOTA_ERC, RadioModels.ECLIPSE_ESN ]);
+	expect(RadioModels.group_by("manufacturer", [ custom, RadioModels.FIAT_VP, RadioModels.TOYOTA_ERC ])).toEqual({ "Continental": [ RadioModels.FIAT_VP ], "Visteon": [ custom ] });
+
+	expect(() => RadioModels.group_by("name")).toThrow("Unknown field \"name\"");
+});
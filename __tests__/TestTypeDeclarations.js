@@ -0,0 +1,156 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations unit test
+ *
+ * Validate the TypeScript declarations are in sync with the implementation
+ *
+ * Run with npm test
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : typescript
+ * Author       : Bartosz Wójcik (support@pelock.com);
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import fs from 'fs';
+import path from 'path';
+import ts from 'typescript';
+
+const SOURCE_DIR = path.resolve("src");
+
+// the platform bindings are internal (resolved with the "#radio-platform" import)
+const MODULES = fs.readdirSync(SOURCE_DIR).filter(file_name => file_name.endsWith(".mjs") && !file_name.startsWith("RadioPlatform"));
+
+/**
+ * Parse the exported classes from the declaration file
+ *
+ * @param string file_name Module file name (e.g. "RadioCodeCalculator.mjs")
+ * @return object Declared classes { name: { static: [], instance: [] } } & exported names
+ */
+function parse_declarations(file_name)
+{
+	const declaration_path = path.join(SOURCE_DIR, file_name.replace(/\.mjs$/, ".d.mts"));
+	const source = ts.createSourceFile(declaration_path, fs.readFileSync(declaration_path, "utf8"), ts.ScriptTarget.Latest);
+
+	const classes = {};
+	const exported = [];
+
+	const is_exported = node => (ts.getModifiers(node) || []).some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword);
+	const is_static = node => (ts.getModifiers(node) || []).some(modifier => modifier.kind === ts.SyntaxKind.StaticKeyword);
+
+	for (const statement of source.statements)
+	{
+		if (ts.isClassDeclaration(statement) && is_exported(statement))
+		{
+			const members = { "static": [], "instance": [] };
+
+			// instance fields are only created by the constructor, so only the methods are compared
+			for (const member of statement.members)
+			{
+				if (ts.isMethodDeclaration(member) || (ts.isPropertyDeclaration(member) && is_static(member)))
+					members[is_static(member) ? "static" : "instance"].push(member.name.getText(source));
+			}
+
+			classes[statement.name.text] = members;
+			exported.push(statement.name.text);
+		}
+		else if (ts.isVariableStatement(statement) && is_exported(statement))
+		{
+			statement.declarationList.declarations.forEach(declaration => exported.push(declaration.name.getText(source)));
+		}
+		else if (ts.isExportDeclaration(statement) && !statement.isTypeOnly && statement.exportClause !== undefined)
+		{
+			statement.exportClause.elements.filter(element => !element.isTypeOnly).forEach(element => exported.push(element.name.text));
+		}
+	}
+
+	return { "classes": classes, "exported": exported };
+}
+
+/**
+ * Read the member of the runtime class (including the well-known symbols, e.g. "[Symbol.asyncIterator]")
+ *
+ * @param object target Class or its prototype
+ * @param string name Declared member name
+ * @return mixed Member value
+ */
+function runtime_member(target, name)
+{
+	const symbol = /^\[Symbol\.(\w+)\]$/.exec(name);
+
+	return symbol === null ? target[name] : target[Symbol[symbol[1]]];
+}
+
+/**
+ * List the public methods of the runtime class (names starting with "_" are private)
+ *
+ * @param object target Class or its prototype
+ * @return array Method names
+ */
+function public_methods(target)
+{
+	return Object.getOwnPropertyNames(target).filter(name =>
+	{
+		if (name.startsWith("_") || name === "constructor")
+			return false;
+
+		const descriptor = Object.getOwnPropertyDescriptor(target, name);
+
+		return typeof descriptor.value === "function" && !/^class\b/.test(Function.prototype.toString.call(descriptor.value));
+	});
+}
+
+test.each(MODULES)("test_declarations_exports(%s)", async (file_name) =>
+{
+	const runtime = await import(path.join(SOURCE_DIR, file_name));
+	const declarations = parse_declarations(file_name);
+
+	expect(declarations.exported.sort()).toEqual(Object.keys(runtime).sort());
+});
+
+test.each(MODULES)("test_declarations_classes(%s)", async (file_name) =>
+{
+	const runtime = await import(path.join(SOURCE_DIR, file_name));
+	const declarations = parse_declarations(file_name);
+
+	for (const class_name of Object.keys(declarations.classes))
+	{
+		const runtime_class = runtime[class_name];
+		const declared = declarations.classes[class_name];
+
+		expect(typeof runtime_class).toBe("function");
+
+		// every declared member exists at runtime
+		for (const name of declared["static"])
+			expect([ class_name, name, name in runtime_class ]).toEqual([ class_name, name, true ]);
+
+		for (const name of declared["instance"])
+			expect([ class_name, name, typeof runtime_member(runtime_class.prototype, name) ]).toEqual([ class_name, name, "function" ]);
+
+		// every public runtime method is declared (overridden methods may be declared in the base class only)
+		for (const name of public_methods(runtime_class))
+			expect([ class_name, name, declared["static"].includes(name) ]).toEqual([ class_name, name, true ]);
+
+		for (const name of public_methods(runtime_class.prototype))
+		{
+			let is_declared = false;
+
+			for (let base = runtime_class; base !== null && base.prototype !== undefined; base = Object.getPrototypeOf(base))
+			{
+				if (base.name in declarations.classes && declarations.classes[base.name]["instance"].includes(name))
+					is_declared = true;
+			}
+
+			expect([ class_name, name, is_declared ]).toEqual([ class_name, name, true ]);
+		}
+	}
+});
@@ -0,0 +1,249 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations test
+ *
+ * Type-checked only (npm run typecheck), never executed
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import {
+	RadioCodeCalculator, RadioErrors, RadioErrorCode, RadioModel, RadioModels,
+	RadioError, RadioValidationError, RadioLicenseError,
+	RadioLoginResponse, RadioCalcResponse, RadioInfoResponse, RadioListResponse, RadioBatchResult, RadioValidationReport,
+	RadioMockTransport, RadioTransport, RadioResponse, RadioReplayTransport,
+	RadioModelRegistry, RadioFileStorage, RadioResultCache, RadioHtmlAttributes, RadioJsonSchema, RadioPattern,
+	RadioLicenseStatus, RadioLicenseType, RadioConfig, RadioKeyPool, RadioKeyStats, RadioJob, RadioJobProgress, RadioEvents
+} from "../../src/RadioCodeCalculator.mjs";
+
+import * as RadioValidation from "../../src/RadioValidation.mjs";
+
+import { RadioCli } from "../../src/RadioCli.mjs";
+import { RadioServer } from "../../src/RadioServer.mjs";
+
+/**
+ * Compile-time type equality assertion
+ */
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+function assert_type<T extends true>(): void {}
+
+const transport = new RadioMockTransport({ keys: [ "ABCD-ABCD-ABCD-ABCD" ] });
+
+const calculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", {
+	transport: transport,
+	api_url: "http://localhost:8080/v1",
+	policy: { retries: 3 },
+	cache: RadioResultCache.file("radio-codes.json", { ttl: 1000 })
+});
+
+// error codes are literal types
+const success: 0 = RadioErrors.SUCCESS;
+const license: RadioErrorCode = RadioErrors.INVALID_LICENSE;
+
+// Web API responses
+calculator.login().then((result: RadioLoginResponse) => {
+
+	const active: boolean = result.license.activationStatus;
+	const expiration: string = result.license.expirationDate;
+});
+
+calculator.calc(RadioModels.FORD_M_SERIES, "123456", "", { signal: new AbortController().signal, normalize: true, bypass_cache: false })
+.then((result: RadioCalcResponse) => {
+
+	const code: string = result.code;
+	const serial: string | undefined = result.normalized?.serial;
+
+}).catch((error: unknown) => {
+
+	if (error instanceof RadioValidationError)
+	{
+		const expected: number | null = error.serial_max_len;
+		const code: RadioErrorCode = error.error;
+	}
+	else if (error instanceof RadioLicenseError)
+	{
+		const message: string = error.message;
+	}
+});
+
+calculator.info("ford-m-series").then((result: RadioInfoResponse) => {
+
+	const model: RadioModel = result.radioModel;
+	const pattern: RegExp = model.serial_regex_pattern();
+});
+
+calculator.list().then((result: RadioListResponse) => {
+
+	const models: RadioModel[] = result.radioModels;
+	const length: number = result.supportedRadioModels["ford-m-series"].serialMaxLen;
+});
+
+// batch results keep the job type
+calculator.calc_batch([ { radio_model: "ford-m-series", serial: "123456", order: 1 } ], 2).then(results => {
+
+	assert_type<Equals<typeof results, RadioBatchResult<{ radio_model: string, serial: string, order: number }>[]>>();
+
+	const order: number = results[0].job.order;
+	const code: string | null = results[0].code;
+});
+
+// offline validation
+const error: RadioErrorCode = RadioModels.RENAULT_DACIA.validate("Z999", null, { normalize: true });
+const report: RadioValidationReport = RadioModels.RENAULT_DACIA.validate_report("z9O9");
+const suggestion: string | null = report.serial.suggestion;
+const model: RadioModel | null = RadioModels.by_name("ford-m-series");
+const custom = new RadioModel("custom", 4, "/^([0-9]{4})$/", 2, { js: "/^([A-Z]{2})$/" }, { case: "upper" });
+
+// the validation module holds the same classes
+const same_models: typeof RadioModels = RadioValidation.RadioModels;
+
+// error classes
+const from_code: RadioError = RadioError.from_code(RadioErrors.INVALID_SERIAL_PATTERN);
+
+// custom transports
+class MyTransport extends RadioTransport
+{
+	send(url: string, params: { [param: string]: string }, signal?: AbortSignal | null): Promise<RadioResponse>
+	{
+		return Promise.resolve({ error: RadioErrors.SUCCESS });
+	}
+}
+
+// supported radio models registry
+const registry = new RadioModelRegistry(calculator, { storage: new RadioFileStorage("radio-models.json"), ttl: 60000 });
+
+registry.get("FORD_M_SERIES", { force: true }).then((radio_model: RadioModel | null) => {});
+
+// command line interface
+new RadioCli({ env: {}, calculator_options: { transport: new MyTransport() } }).run([ "list", "--json" ]).then((exit_code: number) => {});
+
+// @ts-expect-error the radio serial number is required
+calculator.calc(RadioModels.FORD_M_SERIES);
+
+// @ts-expect-error unknown error codes are rejected
+const invalid: RadioErrorCode = 42;
+
+// HTML & JSON Schema constraints
+const attributes: RadioHtmlAttributes | null = RadioModels.FORD_M_SERIES.html_attributes("extra");
+const schema: RadioJsonSchema = RadioModels.FORD_M_SERIES.json_schema();
+
+// @ts-expect-error only the serial & extra fields are supported
+RadioModels.FORD_M_SERIES.html_attributes("code");
+
+// regex patterns in the other languages
+const python_patterns: { serial: string, extra: string | null } = RadioModels.FORD_M_SERIES.export_patterns("python");
+const rule: RegExp = RadioPattern.parse("/^[[:digit:]]{6}$/D", "php");
+
+// @ts-expect-error only the supported languages can be exported
+RadioModels.FORD_M_SERIES.export_patterns("ruby");
+
+// license status & events
+const monitored = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { license: { warning_days: 30 } });
+
+monitored.on("license_expiring", (status: RadioLicenseStatus) => status.days_remaining()).license_status({ force: true }).then(status =>
+{
+	const days: number | null = status.days_remaining();
+	const company: boolean = status.type === RadioLicenseType.COMPANY;
+});
+
+// @ts-expect-error unknown events are rejected
+monitored.on("license_renewed", () => {});
+
+// request hooks
+monitored.on("before_request", request =>
+{
+	if (request.params["radio_model"] === "ford-m-series")
+		request.cancel("Not allowed");
+})
+.on("after_response", details => console.log(details.command, details.duration, details.error));
+
+const redacted: string | null = RadioCodeCalculator.redact_key("ABCD-ABCD-ABCD-ABCD");
+
+// radio model detection
+const detected: RadioValidation.RadioModel | null = RadioModels.detect("Z999", { brand: "Renault", normalize: true }).filter(candidate => candidate.matched).map(candidate => candidate.radio_model)[0] ?? null;
+
+// radio model metadata
+const brands: string[] = RadioModels.FORD_M_SERIES.metadata().brands;
+const by_brand: { [brand: string]: RadioValidation.RadioModel[] } = RadioModels.group_by("brand");
+
+// @ts-expect-error only brands & manufacturers can be grouped
+RadioModels.group_by("serial_max_len");
+
+// HTTP REST server
+const server = new RadioServer(new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD"), { tokens: { "token": "crm" }, logger: entry => console.log(entry.client, entry.status, entry.duration) });
+
+server.listen(0).then(address => address?.port).then(() => server.close());
+
+// @ts-expect-error the API tokens are mapped to the client names
+new RadioServer(new RadioCodeCalculator(), { tokens: [ "token" ] });
+
+// configuration loader
+const configured: RadioCodeCalculator = RadioCodeCalculator.fromEnvironment({ timeout: 5000, config: false }, { transport: new RadioMockTransport() });
+const config = RadioConfig.load({ env: { "RADIO_CODE_CALCULATOR_KEY": "ABCD-ABCD-ABCD-ABCD" } });
+const key_source: "options" | "env" | "file" | null = config.sources.key;
+
+// @ts-expect-error the config file path or false
+RadioConfig.load({ config: true });
+
+// pool of activation keys
+const pooled = new RadioCodeCalculator(new RadioKeyPool([ "ABCD-ABCD-ABCD-ABCD", { key: "EFGH-EFGH-EFGH-EFGH", name: "company", priority: 10 } ], { strategy: RadioKeyPool.STRATEGY_PRIORITY }));
+
+pooled.on("key_failover", details => console.log(details.params["key"], details.error));
+
+const key_stats: RadioKeyStats[] | null = pooled.key_stats();
+
+new RadioCodeCalculator([ "ABCD-ABCD-ABCD-ABCD", "EFGH-EFGH-EFGH-EFGH" ], { key_pool: { recheck_after: 0 } });
+
+// @ts-expect-error unknown key selection strategy
+new RadioKeyPool([ "ABCD-ABCD-ABCD-ABCD" ], { strategy: "random" });
+
+// recorded Web API exchanges
+const replay = new RadioReplayTransport("__tests__/fixtures/calc.json", { key_aliases: { "REAL-REAL-REAL-REAL": "ABCD-ABCD-ABCD-ABCD" } });
+
+new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { transport: replay });
+
+replay.load().then(exchanges => exchanges.map(exchange => exchange.response?.error ?? exchange.error?.status));
+
+// @ts-expect-error only the record & replay modes
+new RadioReplayTransport(null, { mode: "live" });
+
+// bulk calculation jobs
+const fleet_job = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD").calc_job([ { radio_model: RadioModels.FORD_M_SERIES, serial: "123456", vehicle: "WF0XXX" } ], { concurrency: 2, signal: new AbortController().signal });
+
+fleet_job.on("progress", (progress: RadioJobProgress) => console.log(progress.done, progress.failed, progress.remaining, progress.eta))
+.on("result", result => console.log(result.job.vehicle, result.code));
+
+(async () =>
+{
+	for await (const result of fleet_job)
+		console.log(result.job.vehicle, result.error);
+})();
+
+fleet_job.pause().resume().cancel();
+
+const finished: boolean = fleet_job.state() === RadioJob.STATE_DONE || fleet_job.is_finished();
+
+// @ts-expect-error unknown job events are rejected
+fleet_job.on("finished", () => {});
+
+// custom event emitters
+class FleetMonitor extends RadioEvents<{ vehicle: [ vin: string, code: string | null ] }>
+{
+}
+
+const has_listeners: boolean = new FleetMonitor().on("vehicle", (vin, code) => console.log(vin.length, code)).emit("vehicle", "TQ1AA1500E2884", null);
+
+// @ts-expect-error the listener arguments are checked
+new FleetMonitor().emit("vehicle", 1234);
+
+// the calculator & the jobs share the event emitter
+const emitters: RadioEvents<any>[] = [ monitored, fleet_job ];
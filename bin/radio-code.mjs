@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - command line tool
+ *
+ * Run radio-code --help for the list of the commands & options.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCli } from "../src/RadioCli.mjs";
+
+new RadioCli().run(process.argv.slice(2)).then(exit_code => {
+	process.exitCode = exit_code;
+});
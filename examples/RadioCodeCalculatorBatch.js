@@ -0,0 +1,55 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - WebApi interface usage example
+ *
+ * In this example, we will demonstrate how to generate codes for multiple
+ * car radios at once, with a limited number of simultaneous requests.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : radio-code-calculator
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+//
+// include Radio Code Calculator API module
+//
+import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels } from "radio-code-calculator";
+
+//
+// create Radio Code Calculator API class instance (we are using our activation key)
+//
+let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD");
+
+//
+// list of the radios to unlock
+//
+let jobs = [
+	{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" },
+	{ "radio_model": RadioModels.RENAULT_DACIA, "serial": "Z999" },
+	{ "radio_model": "jaguar-alpine", "serial": "99999" },
+	{ "radio_model": RadioModels.FORD_M_SERIES, "serial": "12345A" },
+];
+
+//
+// generate radio codes (using Web API) with max. 2 simultaneous requests
+//
+myRadioCodeCalculator.calc_batch(jobs, 2).then((results) => {
+
+	results.forEach(result => {
+
+		if (result["error"] === RadioErrors.SUCCESS)
+			console.log(`Radio code for the serial ${result["job"]["serial"]} is ${result["code"]}`);
+		else
+			console.log(`Cannot generate radio code for the serial ${result["job"]["serial"]} (error code ${result["error"]})`);
+	});
+});
@@ -23,7 +23,7 @@
 //
 // include Radio Code Calculator API module
 //
-import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels } from "radio-code-calculator";
+import { RadioCodeCalculator, RadioErrors, RadioModel, RadioModels, RadioLicenseError, RadioValidationError, RadioConnectionError } from "radio-code-calculator";
 
 //
 // create Radio Code Calculator API class instance (we are using our activation key)
@@ -39,17 +39,14 @@ myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "123456").then((result) =>
 
 }).catch((error) => {
 
-	switch(error["error"])
-	{
-	case RadioErrors.INVALID_RADIO_MODEL: console.log("Invalid radio model (not supported)"); break;
-	case RadioErrors.INVALID_SERIAL_LENGTH: console.log("Invalid serial number length (expected " + result["serialMaxLen"] + " characters)"); break;
-	case RadioErrors.INVALID_SERIAL_PATTERN: console.log("Invalid serial number regular expression pattern (expected " + result["serialRegexPattern"]["php"] + " regex pattern)"); break;
-	case RadioErrors.INVALID_SERIAL_NOT_SUPPORTED: console.log("This serial number is not supported"); break;
-	case RadioErrors.INVALID_EXTRA_LENGTH: console.log("Invalid extra data length (expected " + result["extraMaxLen"] + " characters)"); break;
-	case RadioErrors.INVALID_EXTRA_PATTERN: console.log("Invalid extra data regular expression pattern (expected " + result["extraRegexPattern"]["php"] + " regex pattern"); break;
-	case RadioErrors.INVALID_INPUT: console.log("Invalid input data"); break;
-	case RadioErrors.INVALID_COMMAND: console.log("Invalid command sent to the Web API interface"); break;
-	case RadioErrors.INVALID_LICENSE: console.log("Invalid license key!"); break;
-	default: console.log(`Something unexpected happen while trying to login to the service (error code ${error}).`); break;
-	}
+	if (error instanceof RadioLicenseError)
+		console.log("Invalid license key!");
+	else if (error instanceof RadioValidationError && error.serial_max_len !== null)
+		console.log(`${error.message} (expected ${error.serial_max_len} characters)`);
+	else if (error instanceof RadioValidationError)
+		console.log(error.message);
+	else if (error instanceof RadioConnectionError)
+		console.log("Cannot connect to the Web API interface");
+	else
+		console.log(`${error.message} (error code ${error.error}).`);
 });
@@ -0,0 +1,115 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrorCode, RadioModel } from "./RadioValidation.mjs";
+
+/**
+ * Single calc() attempt
+ */
+export interface RadioAuditRecord
+{
+	/** time of the attempt (ISO 8601 string) */
+	timestamp: string;
+
+	radio_model: string;
+
+	/** radio serial number (or its "sha256:..." hash, null if it couldn't be hashed) */
+	serial: string | null;
+
+	extra: string;
+
+	/** one of the RadioErrors values */
+	error: RadioErrorCode;
+
+	/** generated radio code (null on errors) */
+	code: string | null;
+
+	/** true if the radio code was taken from the results cache */
+	cached: boolean;
+
+	/** user name passed in the calc() options */
+	user: string | null;
+}
+
+/**
+ * Audit log settings
+ */
+export interface RadioAuditLogOptions
+{
+	/** store the SHA-256 hashes of the serial numbers */
+	hash_serials?: boolean;
+
+	/** salt prepended to the serial numbers before hashing */
+	salt?: string;
+}
+
+/**
+ * Audit log query filter
+ */
+export interface RadioAuditFilter
+{
+	/** inclusive start of the date range */
+	from?: Date | string | number;
+
+	/** inclusive end of the date range */
+	to?: Date | string | number;
+
+	radio_model?: RadioModel | string | (RadioModel | string)[];
+
+	/** "success", "failure" or the RadioErrors value */
+	outcome?: "success" | "failure" | RadioErrorCode;
+
+	user?: string;
+}
+
+/**
+ * Base class for the audit logs
+ */
+export declare class RadioAuditLog
+{
+	static CSV_COLUMNS: string[];
+
+	constructor(options?: RadioAuditLogOptions);
+
+	append(record: RadioAuditRecord): Promise<void>;
+	read(): Promise<RadioAuditRecord[]>;
+
+	hash_serial(serial: string): Promise<string>;
+	record(attempt: { radio_model: string, serial: string, extra?: string | null, error: RadioErrorCode, code?: string | null, cached?: boolean, user?: string | null }): Promise<RadioAuditRecord>;
+
+	static filter_time(date: Date | string | number | null | undefined): number | null;
+	static matches(record: RadioAuditRecord, filter?: RadioAuditFilter): boolean;
+
+	query(filter?: RadioAuditFilter): Promise<RadioAuditRecord[]>;
+	export_csv(filter?: RadioAuditFilter, delimiter?: string): Promise<string>;
+	export_json(filter?: RadioAuditFilter): Promise<string>;
+}
+
+/**
+ * In-memory audit log
+ */
+export declare class RadioMemoryAuditLog extends RadioAuditLog
+{
+}
+
+/**
+ * Audit log stored in a JSON Lines file
+ */
+export declare class RadioFileAuditLog extends RadioAuditLog
+{
+	file_path: string;
+
+	constructor(file_path: string, options?: RadioAuditLogOptions);
+}
@@ -0,0 +1,323 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - audit log of the generated radio codes
+ *
+ * Records every calc() attempt (who, when, which radio model & serial number
+ * and the results) with the query & CSV/JSON export helpers.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPlatform } from "#radio-platform";
+
+import { RadioErrors } from "./RadioValidation.mjs";
+import { RadioCsv } from "./RadioCsv.mjs";
+
+/**
+ * Base class for the audit logs
+ *
+ * Subclasses only have to implement append() & read(), the records are kept
+ * in the chronological order.
+ *
+ * Audit record format:
+ *
+ * timestamp - time of the attempt (ISO 8601 string)
+ * radio_model - radio model name
+ * serial - radio serial number (or its "sha256:..." hash if hashing is enabled, null if it couldn't be hashed)
+ * extra - extra data
+ * error - one of the RadioErrors values
+ * code - generated radio code (null on errors)
+ * cached - true if the radio code was taken from the results cache
+ * user - optional user name passed in the calc() options
+ *
+ */
+export class RadioAuditLog
+{
+	/**
+	 * @var array columns of the exported CSV files
+	 */
+	static CSV_COLUMNS = [ "timestamp", "radio_model", "serial", "extra", "error", "code", "cached", "user" ];
+
+	/**
+	 * @var bool store the SHA-256 hashes of the serial numbers instead of the serial numbers
+	 */
+	_hash_serials = false;
+
+	/**
+	 * @var string salt prepended to the serial numbers before hashing
+	 */
+	_salt = "";
+
+	/**
+	 * Initialize the audit log
+	 *
+	 * @param object options Optional { hash_serials, salt }
+	 */
+	constructor(options = {})
+	{
+		if (options["hash_serials"] !== undefined)
+			this._hash_serials = options["hash_serials"] === true;
+
+		if (options["salt"] !== undefined)
+			this._salt = options["salt"];
+	}
+
+	/**
+	 * Append the record to the log
+	 *
+	 * @param object record Audit record
+	 * @return Promise Resolved when stored
+	 */
+	append(record)
+	{
+		return Promise.reject(new Error("RadioAuditLog.append() is not implemented"));
+	}
+
+	/**
+	 * Read all the records
+	 *
+	 * @return Promise List of the audit records
+	 */
+	read()
+	{
+		return Promise.reject(new Error("RadioAuditLog.read() is not implemented"));
+	}
+
+	/**
+	 * Hash the serial number (SHA-256 of the salt & the serial number)
+	 *
+	 * @param string serial Radio serial number
+	 * @return Promise Hash in "sha256:<hex>" format
+	 */
+	hash_serial(serial)
+	{
+		return RadioPlatform.sha256(this._salt + serial).then(hash => "sha256:" + hash);
+	}
+
+	/**
+	 * Record the calc() attempt
+	 *
+	 * The record is never dropped because of the hashing, if the serial number can't
+	 * be hashed (e.g. no Web Crypto API in the browser) it's stored as null instead.
+	 *
+	 * @param object attempt Attempt details { radio_model, serial, extra, error, code, cached, user }
+	 * @return Promise Stored audit record
+	 */
+	record(attempt)
+	{
+		const serial = attempt["serial"] === undefined ? "" : String(attempt["serial"]);
+
+		return (this._hash_serials ? this.hash_serial(serial).catch(() => null) : Promise.resolve(serial)).then(stored_serial =>
+		{
+			const record = {
+				"timestamp": new Date().toISOString(),
+				"radio_model": attempt["radio_model"],
+				"serial": stored_serial,
+				"extra": attempt["extra"] === undefined || attempt["extra"] === null ? "" : attempt["extra"],
+				"error": attempt["error"],
+				"code": attempt["code"] === undefined ? null : attempt["code"],
+				"cached": attempt["cached"] === true,
+				"user": attempt["user"] === undefined ? null : attempt["user"]
+			};
+
+			return this.append(record).then(() => record);
+		});
+	}
+
+	/**
+	 * Convert the date filter to the timestamp
+	 *
+	 * @param Date|string|int|undefined date Date, ISO 8601 string or milliseconds since epoch
+	 * @return int|null Milliseconds since epoch or null if not set
+	 */
+	static filter_time(date)
+	{
+		if (date === undefined || date === null)
+			return null;
+
+		const time = date instanceof Date ? date.getTime() : typeof date === "number" ? date : Date.parse(date);
+
+		if (Number.isNaN(time))
+			throw new RangeError(`Invalid date filter "${date}"`);
+
+		return time;
+	}
+
+	/**
+	 * Check if the record matches the filter
+	 *
+	 * @param object record Audit record
+	 * @param object filter Filter { from, to, radio_model, outcome, user }
+	 * @return bool True if matching
+	 */
+	static matches(record, filter = {})
+	{
+		const time = Date.parse(record["timestamp"]);
+		const from = RadioAuditLog.filter_time(filter["from"]);
+		const to = RadioAuditLog.filter_time(filter["to"]);
+
+		if ((from !== null && time < from) || (to !== null && time > to))
+			return false;
+
+		if (filter["radio_model"] !== undefined)
+		{
+			const names = [].concat(filter["radio_model"]).map(radio_model => typeof(radio_model) === "string" ? radio_model : radio_model.name);
+
+			if (!names.includes(record["radio_model"]))
+				return false;
+		}
+
+		const outcome = filter["outcome"];
+
+		if (outcome === "success" && record["error"] !== RadioErrors.SUCCESS)
+			return false;
+
+		if (outcome === "failure" && record["error"] === RadioErrors.SUCCESS)
+			return false;
+
+		if (typeof outcome === "number" && record["error"] !== outcome)
+			return false;
+
+		if (filter["user"] !== undefined && record["user"] !== filter["user"])
+			return false;
+
+		return true;
+	}
+
+	/**
+	 * Find the records matching the filter
+	 *
+	 * @param object filter Optional filter { from, to (inclusive dates), radio_model (name, RadioModel or a list), outcome ("success", "failure" or the RadioErrors value), user }
+	 * @return Promise List of the matching audit records
+	 */
+	query(filter = {})
+	{
+		return this.read().then(records => records.filter(record => RadioAuditLog.matches(record, filter)));
+	}
+
+	/**
+	 * Export the matching records as CSV
+	 *
+	 * @param object filter Optional filter (see query())
+	 * @param string delimiter Values delimiter
+	 * @return Promise CSV contents
+	 */
+	export_csv(filter = {}, delimiter = ",")
+	{
+		return this.query(filter).then(records => RadioCsv.format(records, RadioAuditLog.CSV_COLUMNS, delimiter));
+	}
+
+	/**
+	 * Export the matching records as JSON
+	 *
+	 * @param object filter Optional filter (see query())
+	 * @return Promise JSON array of the records
+	 */
+	export_json(filter = {})
+	{
+		return this.query(filter).then(records => JSON.stringify(records, null, 2));
+	}
+}
+
+/**
+ * In-memory audit log (lost when the application exits)
+ */
+export class RadioMemoryAuditLog extends RadioAuditLog
+{
+	/**
+	 * @var array stored records
+	 */
+	_records = [];
+
+	append(record)
+	{
+		this._records.push(Object.assign({}, record));
+
+		return Promise.resolve();
+	}
+
+	read()
+	{
+		return Promise.resolve(this._records.map(record => Object.assign({}, record)));
+	}
+}
+
+/**
+ * Audit log stored in a JSON Lines file, one record per line (not available in the browsers & edge runtimes)
+ *
+ * Usage:
+ *
+ * let audit = new RadioFileAuditLog("logs/radio-codes.jsonl", { "hash_serials": true });
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { "audit": audit });
+ *
+ */
+export class RadioFileAuditLog extends RadioAuditLog
+{
+	/**
+	 * @var string path to the JSONL file
+	 */
+	file_path = "";
+
+	/**
+	 * @var Promise last pending write (the writes are serialized)
+	 */
+	_pending = Promise.resolve();
+
+	/**
+	 * Initialize the file audit log
+	 *
+	 * @param string file_path Path to the JSONL file (created on the first write)
+	 * @param object options Optional { hash_serials, salt }
+	 */
+	constructor(file_path, options = {})
+	{
+		super(options);
+
+		this.file_path = file_path;
+	}
+
+	append(record)
+	{
+		if (RadioPlatform.fs === null)
+			return Promise.reject(new Error(`RadioFileAuditLog is not supported on the ${RadioPlatform.name} platform`));
+
+		const fs = RadioPlatform.fs;
+
+		const append = this._pending
+		.then(() => fs.mkdir(fs.dirname(this.file_path)))
+		.then(() => fs.append_file(this.file_path, JSON.stringify(record) + "\n"));
+
+		// the next write must wait for this one even if it fails
+		this._pending = append.catch(() => {});
+
+		return append;
+	}
+
+	read()
+	{
+		if (RadioPlatform.fs === null)
+			return Promise.reject(new Error(`RadioFileAuditLog is not supported on the ${RadioPlatform.name} platform`));
+
+		return this._pending.then(() => RadioPlatform.fs.read_file(this.file_path))
+		.then(contents => contents.split("\n").filter(line => line.trim() !== "").map(line => JSON.parse(line)), error =>
+		{
+			if (error.code === "ENOENT")
+				return [];
+
+			throw error;
+		});
+	}
+}
@@ -0,0 +1,99 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrorCode, RadioModel } from "./RadioValidation.mjs";
+import { RadioCodeCalculator, RadioCalcOptions, RadioBatchResult, RadioBatchJob } from "./RadioCodeCalculator.mjs";
+import { RadioModelRegistry } from "./RadioModelRegistry.mjs";
+
+/**
+ * Columns mapping (column names or zero-based indexes)
+ */
+export interface RadioBulkColumns
+{
+	radio_model?: string | number;
+	serial?: string | number;
+	extra?: string | number;
+}
+
+/**
+ * RadioBulkImport settings
+ */
+export interface RadioBulkImportOptions
+{
+	/** columns mapping (detected from the header if not provided) */
+	columns?: RadioBulkColumns;
+
+	/** values delimiter (detected if not provided) */
+	delimiter?: string;
+
+	/** max. number of simultaneous Web API requests */
+	concurrency?: number;
+
+	/** number of rows written at once */
+	chunk_size?: number;
+
+	/** registry used to find the radio models */
+	registry?: RadioModelRegistry;
+}
+
+/**
+ * Optional process_file() settings
+ */
+export interface RadioBulkFileOptions extends RadioCalcOptions
+{
+	/** skip the rows already present in the output file (default true) */
+	resume?: boolean;
+}
+
+/**
+ * Bulk import summary
+ */
+export interface RadioBulkSummary
+{
+	/** number of the input rows */
+	total: number;
+
+	/** number of the rows skipped (already present in the output file & not stopped by the fatal errors) */
+	skipped: number;
+
+	/** number of the rows processed now */
+	processed: number;
+
+	succeeded: number;
+	failed: number;
+}
+
+/**
+ * Bulk import of the CSV files
+ */
+export declare class RadioBulkImport
+{
+	static COLUMN_NAMES: { radio_model: string[], serial: string[], extra: string[] };
+	static OUTPUT_COLUMNS: string[];
+
+	constructor(calculator: RadioCodeCalculator, options?: RadioBulkImportOptions);
+
+	resolve_radio_model(name: string): RadioModel | string;
+	map_columns(header: string[]): { radio_model: number, serial: number, extra: number };
+	calc_rows(rows: string[][], mapping: { radio_model: number, serial: number, extra: number }, options?: RadioCalcOptions): Promise<RadioBatchResult<RadioBatchJob & { index: number }>[]>;
+
+	static is_fatal(error: RadioErrorCode): boolean;
+	static output_row(row: string[], columns: number, result: { error: RadioErrorCode, code: string | null, response: unknown }): string[];
+	static pending_rows(total: number, written: string[][], columns: number): number[];
+
+	process_rows(rows: string[][], header: string[], pending: number[], write: (rows: { index: number, row: string[] }[]) => Promise<void>, options?: RadioCalcOptions): Promise<RadioBulkSummary>;
+	process_csv(text: string, options?: RadioCalcOptions): Promise<string>;
+	process_file(input_path: string, output_path: string, options?: RadioBulkFileOptions): Promise<RadioBulkSummary>;
+}
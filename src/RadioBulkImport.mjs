@@ -0,0 +1,430 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - bulk import of the CSV files
+ *
+ * Calculate the radio codes for all the radio models & serial numbers listed
+ * in a CSV file (e.g. exported from a spreadsheet) and write the results to
+ * another CSV file, with the support for resuming the partially finished files.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPlatform } from "#radio-platform";
+
+import { RadioErrors, RadioError, RadioModel, RadioModels } from "./RadioValidation.mjs";
+import { RadioCsv } from "./RadioCsv.mjs";
+
+/**
+ * Bulk import of the CSV files
+ *
+ * Every row is validated offline first & only the valid rows are sent to the Web API
+ * (see calc_batch()). The output file holds all the input columns with the extra
+ * `code`, `error_code` & `error_message` columns, in the same order as the input rows.
+ *
+ * The results are written in chunks, the processing stops on the connection & license
+ * errors (the rows processed so far are kept) and it's resumed when started again with
+ * the same output file (only the missing rows & the rows stopped by these errors are
+ * processed again).
+ *
+ * Usage:
+ *
+ * let bulk = new RadioBulkImport(myRadioCodeCalculator, { "columns": { "radio_model": "Radio", "serial": "Serial number" } });
+ *
+ * bulk.process_file("fleet.csv", "fleet-codes.csv").then((summary) => { ... });
+ *
+ */
+export class RadioBulkImport
+{
+	/**
+	 * @var object column names recognized when the columns mapping isn't provided (lowercase)
+	 */
+	static COLUMN_NAMES = {
+		"radio_model": [ "radio_model", "radio model", "model", "radio" ],
+		"serial": [ "serial", "serial number", "serial_number", "radio_serial_number", "pre code", "precode" ],
+		"extra": [ "extra", "extra data", "extra_data", "radio_extra_data" ]
+	};
+
+	/**
+	 * @var array columns added to the output file
+	 */
+	static OUTPUT_COLUMNS = [ "code", "error_code", "error_message" ];
+
+	/**
+	 * @var RadioCodeCalculator Radio Code Calculator API class instance
+	 */
+	_calculator = null;
+
+	/**
+	 * @var object|null columns mapping { radio_model, serial, extra } (column names or indexes, null - detect)
+	 */
+	_columns = null;
+
+	/**
+	 * @var string|null values delimiter (null - detect from the input file)
+	 */
+	_delimiter = null;
+
+	/**
+	 * @var int max. number of simultaneous Web API requests
+	 */
+	_concurrency = 4;
+
+	/**
+	 * @var int number of rows written at once
+	 */
+	_chunk_size = 50;
+
+	/**
+	 * @var RadioModelRegistry|null registry used to find the radio models (null - predefined RadioModels only)
+	 */
+	_registry = null;
+
+	/**
+	 * Initialize the bulk import
+	 *
+	 * @param RadioCodeCalculator calculator Radio Code Calculator API class instance
+	 * @param object options Optional { columns, delimiter, concurrency, chunk_size, registry }
+	 */
+	constructor(calculator, options = {})
+	{
+		this._calculator = calculator;
+
+		if (options["columns"] !== undefined)
+			this._columns = options["columns"];
+
+		if (options["delimiter"] !== undefined)
+			this._delimiter = options["delimiter"];
+
+		if (options["concurrency"] !== undefined)
+			this._concurrency = options["concurrency"];
+
+		if (options["chunk_size"] !== undefined)
+			this._chunk_size = Math.max(1, options["chunk_size"]);
+
+		if (options["registry"] !== undefined)
+			this._registry = options["registry"];
+	}
+
+	/**
+	 * Find the radio model by its RadioModels key (FORD_M_SERIES) or its name (ford-m-series)
+	 *
+	 * @param string name Radio model key or name
+	 * @return RadioModel|string RadioModel class or the name itself if not known (validated by the Web API)
+	 */
+	resolve_radio_model(name)
+	{
+		if (this._registry !== null)
+		{
+			const found = this._registry.find(name);
+
+			if (found !== null)
+				return found;
+		}
+
+		if (RadioModels[name] instanceof RadioModel)
+			return RadioModels[name];
+
+		const radio_model = RadioModels.by_name(name);
+
+		return radio_model === null ? name : radio_model;
+	}
+
+	/**
+	 * Map the columns to the column indexes
+	 *
+	 * @param array header Header row
+	 * @return object Column indexes { radio_model, serial, extra (-1 if not present) }
+	 */
+	map_columns(header)
+	{
+		const names = header.map(name => name.trim().toLowerCase());
+		const mapping = {};
+
+		for (const field of [ "radio_model", "serial", "extra" ])
+		{
+			const column = this._columns === null ? undefined : this._columns[field];
+			let index = -1;
+
+			if (typeof column === "number")
+				index = column < header.length ? column : -1;
+			else if (typeof column === "string")
+				index = names.indexOf(column.trim().toLowerCase());
+			else
+				index = names.findIndex(name => RadioBulkImport.COLUMN_NAMES[field].includes(name));
+
+			if (index === -1 && (field !== "extra" || column !== undefined))
+				throw new Error(`Column "${column === undefined ? field : column}" not found in the CSV header`);
+
+			mapping[field] = index;
+		}
+
+		return mapping;
+	}
+
+	/**
+	 * Calculate the radio codes for the rows
+	 *
+	 * @param array rows Input rows
+	 * @param object mapping Column indexes
+	 * @param object options Optional calc() settings { signal, priority, bypass_cache, normalize, user }
+	 * @return Promise A list of results in { job, error, code, response } format (in the same order as the rows)
+	 */
+	calc_rows(rows, mapping, options = {})
+	{
+		const results = new Array(rows.length);
+		const jobs = [];
+
+		rows.forEach((row, index) =>
+		{
+			const value = (column) => column === -1 || row[column] === undefined ? "" : row[column].trim();
+			const job = { "radio_model": value(mapping["radio_model"]), "serial": value(mapping["serial"]), "extra": value(mapping["extra"]), "index": index };
+
+			if (job["radio_model"] === "")
+			{
+				results[index] = { "job": job, "error": RadioErrors.INVALID_RADIO_MODEL, "code": null, "response": null };
+				return;
+			}
+
+			job["radio_model"] = this.resolve_radio_model(job["radio_model"]);
+			jobs.push(job);
+		});
+
+		if (jobs.length === 0)
+			return Promise.resolve(results);
+
+		return this._calculator.calc_batch(jobs, this._concurrency, options).then(batch_results =>
+		{
+			batch_results.forEach(result => { results[result["job"]["index"]] = result; });
+
+			return results;
+		});
+	}
+
+	/**
+	 * Check if the error should stop the processing (the row can be processed again later)
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @return bool True if the processing has to be stopped
+	 */
+	static is_fatal(error)
+	{
+		return error === RadioErrors.ERROR_CONNECTION || error === RadioErrors.INVALID_LICENSE;
+	}
+
+	/**
+	 * Build the output row
+	 *
+	 * @param array row Input row
+	 * @param int columns Number of the input columns
+	 * @param object result Result in { job, error, code, response } format
+	 * @return array Output row
+	 */
+	static output_row(row, columns, result)
+	{
+		const output = row.slice(0, columns);
+
+		while (output.length < columns)
+			output.push("");
+
+		const message = result["error"] === RadioErrors.SUCCESS ? "" : result["response"] instanceof Error ? result["response"].message : RadioError.describe(result["error"]);
+
+		return output.concat([ result["code"] === null ? "" : result["code"], String(result["error"]), message ]);
+	}
+
+	/**
+	 * Find the rows to process (the rows missing in the output & the rows stopped by the fatal errors)
+	 *
+	 * @param int total Number of the input rows
+	 * @param array written Output rows already written (without the header)
+	 * @param int columns Number of the input columns
+	 * @return array Indexes of the rows to process (in ascending order)
+	 */
+	static pending_rows(total, written, columns)
+	{
+		const pending = [];
+
+		for (let index = 0; index < total; index++)
+		{
+			// the "error_code" column follows the "code" column
+			if (index >= written.length || RadioBulkImport.is_fatal(parseInt(written[index][columns + 1], 10)))
+				pending.push(index);
+		}
+
+		return pending;
+	}
+
+	/**
+	 * Process the input rows in chunks & pass the output rows to the writer
+	 *
+	 * The whole chunk is written even if the processing is stopped, the rows failed
+	 * with the fatal errors are written with their error codes, so only they have
+	 * to be processed again (see pending_rows()).
+	 *
+	 * @param array rows Input rows (without the header)
+	 * @param array header Header row
+	 * @param array pending Indexes of the rows to process (in ascending order)
+	 * @param function write Writer of the output rows in { index, row } format, returning a Promise
+	 * @param object options Optional calc() settings { signal, priority, bypass_cache, normalize, user }
+	 * @return Promise Summary { total, skipped, processed, succeeded, failed } (rejected with the RadioError that stopped the processing)
+	 */
+	process_rows(rows, header, pending, write, options = {})
+	{
+		const mapping = this.map_columns(header);
+		const summary = { "total": rows.length, "skipped": rows.length - pending.length, "processed": 0, "succeeded": 0, "failed": 0 };
+
+		const next = (start) =>
+		{
+			if (start >= pending.length)
+				return Promise.resolve(summary);
+
+			const indexes = pending.slice(start, start + this._chunk_size);
+			const chunk = indexes.map(index => rows[index]);
+
+			return this.calc_rows(chunk, mapping, options).then(results =>
+			{
+				const output_rows = results.map((result, position) => ({ "index": indexes[position], "row": RadioBulkImport.output_row(chunk[position], header.length, result) }));
+
+				return write(output_rows).then(() =>
+				{
+					const fatal = results.find(result => RadioBulkImport.is_fatal(result["error"]));
+
+					results.filter(result => !RadioBulkImport.is_fatal(result["error"])).forEach(result =>
+					{
+						summary[result["error"] === RadioErrors.SUCCESS ? "succeeded" : "failed"]++;
+						summary["processed"]++;
+					});
+
+					if (fatal !== undefined)
+						throw fatal["response"] instanceof RadioError ? fatal["response"] : RadioError.from_code(fatal["error"]);
+
+					return next(start + indexes.length);
+				});
+			});
+		};
+
+		return next(0);
+	}
+
+	/**
+	 * Process the CSV contents in memory (no resuming)
+	 *
+	 * @param string text Input CSV contents
+	 * @param object options Optional calc() settings { signal, priority, bypass_cache, normalize, user }
+	 * @return Promise Output CSV contents
+	 */
+	process_csv(text, options = {})
+	{
+		const delimiter = this._delimiter === null ? RadioCsv.detect_delimiter(text) : this._delimiter;
+		const rows = RadioCsv.parse(text, delimiter);
+
+		if (rows.length === 0)
+			return Promise.reject(new Error("CSV header not found"));
+
+		const header = rows.shift();
+		const lines = [ RadioCsv.format_row(header.concat(RadioBulkImport.OUTPUT_COLUMNS), delimiter) ];
+
+		return Promise.resolve().then(() => this.process_rows(rows, header, rows.map((row, index) => index), output_rows =>
+		{
+			output_rows.forEach(output => { lines[output["index"] + 1] = RadioCsv.format_row(output["row"], delimiter); });
+
+			return Promise.resolve();
+		}, options))
+		.then(() => lines.join("\r\n") + "\r\n");
+	}
+
+	/**
+	 * Process the CSV file & write the results to the output CSV file (not available in the browsers & edge runtimes)
+	 *
+	 * If the output file already exists (and `resume` isn't disabled), the rows already
+	 * present in the output file are skipped.
+	 *
+	 * @param string input_path Path to the input CSV file
+	 * @param string output_path Path to the output CSV file
+	 * @param object options Optional { resume (default true), signal, priority, bypass_cache, normalize, user }
+	 * @return Promise Summary { total, skipped, processed, succeeded, failed } (rejected with the RadioError that stopped the processing)
+	 */
+	process_file(input_path, output_path, options = {})
+	{
+		if (RadioPlatform.fs === null)
+			return Promise.reject(new Error(`RadioBulkImport files are not supported on the ${RadioPlatform.name} platform`));
+
+		const fs = RadioPlatform.fs;
+		const calc_options = Object.assign({}, options);
+
+		delete calc_options["resume"];
+
+		const not_found = (error) =>
+		{
+			if (error.code === "ENOENT")
+				return null;
+
+			throw error;
+		};
+
+		return Promise.all([
+			fs.read_file(input_path),
+			options["resume"] === false ? Promise.resolve(null) : fs.read_file(output_path).catch(not_found)
+		])
+		.then(([ input, output ]) =>
+		{
+			const delimiter = this._delimiter === null ? RadioCsv.detect_delimiter(input) : this._delimiter;
+			const rows = RadioCsv.parse(input, delimiter);
+
+			if (rows.length === 0)
+				throw new Error("CSV header not found");
+
+			const header = rows.shift();
+			const output_header = header.concat(RadioBulkImport.OUTPUT_COLUMNS);
+
+			let written = [];
+			let ready = null;
+
+			if (output === null || output.trim() === "")
+				ready = fs.mkdir(fs.dirname(output_path)).then(() => fs.write_file(output_path, RadioCsv.format_row(output_header, delimiter) + "\r\n"));
+			else
+			{
+				written = RadioCsv.parse(output, delimiter);
+
+				if (RadioCsv.format_row(written.shift(), delimiter) !== RadioCsv.format_row(output_header, delimiter))
+					throw new Error(`Output file "${output_path}" doesn't match the input file columns`);
+
+				ready = Promise.resolve();
+
+				// the output file might have been written without the final line break
+				if (!/[\r\n]$/.test(output))
+					ready = fs.append_file(output_path, "\r\n");
+			}
+
+			const pending = RadioBulkImport.pending_rows(rows.length, written, header.length);
+
+			return ready.then(() => this.process_rows(rows, header, pending, output_rows =>
+			{
+				const appended = output_rows.every(output => output["index"] >= written.length);
+
+				output_rows.forEach(output => { written[output["index"]] = output["row"]; });
+
+				const format = (lines) => lines.map(row => RadioCsv.format_row(row, delimiter) + "\r\n").join("");
+
+				if (appended)
+					return fs.append_file(output_path, format(output_rows.map(output => output["row"])));
+
+				// the rows processed again are replaced (written to a temporary file first)
+				const temp_path = output_path + fs.temp_suffix();
+
+				return fs.write_file(temp_path, format([ output_header ].concat(written))).then(() => fs.rename(temp_path, output_path));
+			}, calc_options));
+		});
+	}
+}
@@ -0,0 +1,77 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioCodeCalculatorOptions, RadioModel } from "./RadioCodeCalculator.mjs";
+
+/**
+ * Output stream (process.stdout compatible)
+ */
+export interface RadioCliStream
+{
+	write(text: string): unknown;
+}
+
+/**
+ * Optional RadioCli settings
+ */
+export interface RadioCliOptions
+{
+	env?: { [name: string]: string | undefined };
+	stdout?: RadioCliStream;
+	stderr?: RadioCliStream;
+	calculator_options?: RadioCodeCalculatorOptions;
+}
+
+/**
+ * Parsed command line options
+ */
+export interface RadioCliParsedOptions
+{
+	json: boolean;
+	help: boolean;
+	key: string | null;
+	config: string | null;
+	api_url: string | null;
+}
+
+/**
+ * Command line interface for the Radio Code Calculator API
+ */
+export declare class RadioCli
+{
+	static ENV_KEY: string;
+	static ENV_CONFIG: string;
+	static CONFIG_FILE: string;
+	static USAGE: string;
+
+	constructor(options?: RadioCliOptions);
+
+	static parse_arguments(argv: string[]): { command: string | null, args: string[], options: RadioCliParsedOptions };
+	static find_radio_model(name: string): RadioModel | null;
+	static exit_code(error: number): number;
+	static describe_radio_model(radio_model: RadioModel): { [field: string]: unknown };
+	static describe_pattern(radio_model: RadioModel, field: "serial" | "extra"): string;
+
+	run(argv: string[]): Promise<number>;
+	create_calculator(options: RadioCliParsedOptions): RadioCodeCalculator;
+	command_validate(args: string[], options: RadioCliParsedOptions): number;
+	output_calc(result: object, args: string[], options: RadioCliParsedOptions): void;
+	output_info(result: object, options: RadioCliParsedOptions): void;
+	output_list(result: object, options: RadioCliParsedOptions): void;
+	output_login(result: object, options: RadioCliParsedOptions): void;
+	fail(error: unknown, options: RadioCliParsedOptions): number;
+	write_json(value: unknown): void;
+	write_table(rows: string[][], separator?: string): void;
+}
@@ -0,0 +1,450 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - command line interface
+ *
+ * Generate radio unlocking codes, query the supported radio models & the
+ * license status from the command line.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrors, RadioError, RadioPatternError, RadioModel, RadioModels, RadioLicenseType, RadioLicenseStatus, RadioConfig } from "./RadioCodeCalculator.mjs";
+
+/**
+ * Command line interface for the Radio Code Calculator API
+ *
+ * The process exit code is the RadioErrors value of the command result
+ * (ERROR_CONNECTION is reported as 255).
+ *
+ * Usage:
+ *
+ * radio-code calc ford-m-series 123456
+ * radio-code validate FORD_M_SERIES 123456 --json
+ *
+ */
+export class RadioCli
+{
+	/**
+	 * @var string environment variable holding the activation key
+	 */
+	static ENV_KEY = RadioConfig.ENV["key"];
+
+	/**
+	 * @var string environment variable holding the path to the config file
+	 */
+	static ENV_CONFIG = RadioConfig.ENV["config"];
+
+	/**
+	 * @var string default config file name (in the project or the home directory)
+	 */
+	static CONFIG_FILE = RadioConfig.CONFIG_FILES[0];
+
+	/**
+	 * @var string usage information
+	 */
+	static USAGE = [
+		"Usage: radio-code <command> [arguments] [options]",
+		"",
+		"Commands:",
+		"  calc <radio-model> <serial> [extra]      generate the radio code",
+		"  validate <radio-model> <serial> [extra]  validate the serial number offline",
+		"  info <radio-model>                       show the radio model parameters",
+		"  list                                     list the supported radio models",
+		"  login                                    show the license information",
+		"",
+		"Options:",
+		"  --json             output the results as JSON",
+		"  --key <key>        activation key (default $" + "RADIO_CODE_CALCULATOR_KEY)",
+		"  --config <file>    config file with { \"key\", \"api_url\", \"timeout\", ... } (default ./.radio-code-calculator.json or ~/.radio-code-calculator.json)",
+		"  --api-url <url>    Web API endpoint URL",
+		"  --help             show this help",
+		"",
+		"The exit code is the RadioErrors value of the result (0 on success)."
+	].join("\n");
+
+	/**
+	 * @var object environment variables
+	 */
+	_env = {};
+
+	/**
+	 * @var object output stream for the results
+	 */
+	_stdout = null;
+
+	/**
+	 * @var object output stream for the errors
+	 */
+	_stderr = null;
+
+	/**
+	 * @var object extra options passed to the RadioCodeCalculator constructor (e.g. transport)
+	 */
+	_calculator_options = {};
+
+	/**
+	 * Initialize the command line interface
+	 *
+	 * @param object options Optional { env, stdout, stderr, calculator_options }
+	 */
+	constructor(options = {})
+	{
+		this._env = options["env"] === undefined ? process.env : options["env"];
+		this._stdout = options["stdout"] === undefined ? process.stdout : options["stdout"];
+		this._stderr = options["stderr"] === undefined ? process.stderr : options["stderr"];
+		this._calculator_options = options["calculator_options"] === undefined ? {} : options["calculator_options"];
+	}
+
+	/**
+	 * Parse the command line arguments
+	 *
+	 * @param array argv Command line arguments (without the node & script paths)
+	 * @return object { command, args, options }
+	 */
+	static parse_arguments(argv)
+	{
+		const args = [];
+		const options = { "json": false, "help": false, "key": null, "config": null, "api_url": null };
+
+		for (let i = 0; i < argv.length; i++)
+		{
+			const arg = argv[i];
+
+			switch (arg)
+			{
+			case "--json": options["json"] = true; break;
+			case "--help": case "-h": options["help"] = true; break;
+			case "--key": options["key"] = argv[++i]; break;
+			case "--config": options["config"] = argv[++i]; break;
+			case "--api-url": options["api_url"] = argv[++i]; break;
+			default: args.push(arg); break;
+			}
+		}
+
+		return { "command": args.length > 0 ? args.shift() : null, "args": args, "options": options };
+	}
+
+	/**
+	 * Find the radio model by its Web API name (ford-m-series) or RadioModels key (FORD_M_SERIES)
+	 *
+	 * @param string name Radio model name
+	 * @return RadioModel|null RadioModel class or null if unknown
+	 */
+	static find_radio_model(name)
+	{
+		if (RadioModels[name] instanceof RadioModel)
+			return RadioModels[name];
+
+		return RadioModels.by_name(name);
+	}
+
+	/**
+	 * Convert the RadioErrors value to the process exit code
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @return int Process exit code
+	 */
+	static exit_code(error)
+	{
+		return error & 0xff;
+	}
+
+	/**
+	 * Run the command
+	 *
+	 * @param array argv Command line arguments (without the node & script paths)
+	 * @return Promise Process exit code
+	 */
+	run(argv)
+	{
+		const { command, args, options } = RadioCli.parse_arguments(argv);
+
+		if (options["help"] || command === null)
+		{
+			this._stdout.write(RadioCli.USAGE + "\n");
+			return Promise.resolve(command === null && !options["help"] ? RadioCli.exit_code(RadioErrors.INVALID_COMMAND) : 0);
+		}
+
+		switch (command)
+		{
+		case "validate": return Promise.resolve(this.command_validate(args, options));
+		case "calc":
+		case "info":
+		case "list":
+		case "login": break;
+		default: return Promise.resolve(this.fail(new RadioError(RadioErrors.INVALID_COMMAND, `Unknown command "${command}"`), options));
+		}
+
+		const required = { "calc": 2, "info": 1, "list": 0, "login": 0 }[command];
+
+		if (args.length < required)
+			return Promise.resolve(this.fail(new RadioError(RadioErrors.INVALID_INPUT, `Missing arguments for the "${command}" command`), options));
+
+		let calculator;
+
+		try
+		{
+			calculator = this.create_calculator(options);
+		}
+		catch (error)
+		{
+			return Promise.resolve(this.fail(error instanceof RadioError ? error : new RadioError(RadioErrors.INVALID_INPUT, `Cannot read the config file (${error.message})`), options));
+		}
+
+		// accept the RadioModels keys as well (FORD_M_SERIES)
+		if (args.length > 0 && RadioCli.find_radio_model(args[0]) !== null)
+			args[0] = RadioCli.find_radio_model(args[0]).name;
+
+		let request;
+
+		switch (command)
+		{
+		case "calc": request = calculator.calc(args[0], args[1], args.length > 2 ? args[2] : "").then(result => this.output_calc(result, args, options)); break;
+		case "info": request = calculator.info(args[0]).then(result => this.output_info(result, options)); break;
+		case "list": request = calculator.list().then(result => this.output_list(result, options)); break;
+		case "login": request = calculator.login().then(result => this.output_login(result, options)); break;
+		}
+
+		return request.then(() => 0, error => this.fail(error, options));
+	}
+
+	/**
+	 * Create the RadioCodeCalculator instance with the activation key from the options, environment or the config file
+	 *
+	 * @param object options Parsed command line options
+	 * @return RadioCodeCalculator Radio Code Calculator API class instance
+	 * @throws RadioError if the config file or the activation key format is invalid
+	 */
+	create_calculator(options)
+	{
+		const config = RadioConfig.load({
+			"key": options["key"],
+			"api_url": options["api_url"],
+			"config": options["config"] === null ? undefined : options["config"],
+			"env": this._env
+		});
+
+		return new RadioCodeCalculator(config.key, Object.assign(config.calculator_options(), this._calculator_options));
+	}
+
+	/**
+	 * Validate the serial number offline
+	 *
+	 * @param array args Command arguments
+	 * @param object options Parsed command line options
+	 * @return int Process exit code
+	 */
+	command_validate(args, options)
+	{
+		if (args.length < 2)
+			return this.fail(new RadioError(RadioErrors.INVALID_INPUT, `Missing arguments for the "validate" command`), options);
+
+		const radio_model = RadioCli.find_radio_model(args[0]);
+
+		if (radio_model === null)
+			return this.fail(new RadioError(RadioErrors.INVALID_RADIO_MODEL, `Unknown radio model "${args[0]}"`), options);
+
+		const serial = args[1];
+		const extra = args.length > 2 ? args[2] : "";
+
+		const error = radio_model.validate(serial, extra);
+
+		if (options["json"])
+			this.write_json({ "error": error, "message": RadioError.describe(error), "radio_model": radio_model.name, "serial": serial, "extra": extra });
+		else
+			this.write_table([
+				[ "Radio model", radio_model.name ],
+				[ "Serial", serial ],
+				[ "Result", error === RadioErrors.SUCCESS ? "Valid" : RadioError.describe(error) ],
+			]);
+
+		return RadioCli.exit_code(error);
+	}
+
+	/**
+	 * Output the calc command results
+	 *
+	 * @param object result Web API results
+	 * @param array args Command arguments
+	 * @param object options Parsed command line options
+	 */
+	output_calc(result, args, options)
+	{
+		if (options["json"])
+			return this.write_json(result);
+
+		this.write_table([
+			[ "Radio model", args[0] ],
+			[ "Serial", args[1] ],
+			[ "Code", result["code"] ],
+		]);
+	}
+
+	/**
+	 * Output the info command results
+	 *
+	 * @param object result Web API results
+	 * @param object options Parsed command line options
+	 */
+	output_info(result, options)
+	{
+		const radio_model = result["radioModel"];
+
+		if (options["json"])
+			return this.write_json(RadioCli.describe_radio_model(radio_model));
+
+		this.write_table([
+			[ "Radio model", radio_model.name ],
+			[ "Serial length", String(radio_model.serial_max_len) ],
+			[ "Serial pattern", RadioCli.describe_pattern(radio_model, "serial") ],
+			[ "Extra length", String(radio_model.extra_max_len) ],
+			[ "Extra pattern", radio_model.extra_max_len > 0 ? RadioCli.describe_pattern(radio_model, "extra") : "-" ],
+		]);
+	}
+
+	/**
+	 * Output the list command results
+	 *
+	 * @param object result Web API results
+	 * @param object options Parsed command line options
+	 */
+	output_list(result, options)
+	{
+		const radio_models = result["radioModels"];
+
+		if (options["json"])
+			return this.write_json(radio_models.map(radio_model => RadioCli.describe_radio_model(radio_model)));
+
+		const rows = [ [ "RADIO MODEL", "SERIAL", "PATTERN", "EXTRA" ] ];
+
+		radio_models.forEach(radio_model => {
+			rows.push([ radio_model.name, String(radio_model.serial_max_len), RadioCli.describe_pattern(radio_model, "serial"), String(radio_model.extra_max_len) ]);
+		});
+
+		this.write_table(rows, "  ");
+	}
+
+	/**
+	 * Output the login command results
+	 *
+	 * @param object result Web API results
+	 * @param object options Parsed command line options
+	 */
+	output_login(result, options)
+	{
+		const license = result["license"];
+
+		if (options["json"])
+			return this.write_json(license);
+
+		const days_remaining = new RadioLicenseStatus(license).days_remaining();
+
+		this.write_table([
+			[ "Activation status", license["activationStatus"] ? "Active" : "Inactive" ],
+			[ "License owner", license["userName"] ],
+			[ "License type", RadioLicenseType.describe(license["type"]) ],
+			[ "Expiration date", license["expirationDate"] ],
+			[ "Days remaining", days_remaining === null ? "unknown" : String(days_remaining) ],
+		]);
+	}
+
+	/**
+	 * Describe the radio model parameters as a plain object
+	 *
+	 * @param RadioModel radio_model Radio model
+	 * @return object Radio model parameters
+	 */
+	static describe_radio_model(radio_model)
+	{
+		return {
+			"name": radio_model.name,
+			"serial_max_len": radio_model.serial_max_len,
+			"serial_regex_pattern": RadioCli.describe_pattern(radio_model, "serial"),
+			"extra_max_len": radio_model.extra_max_len,
+			"extra_regex_pattern": radio_model.extra_max_len > 0 ? RadioCli.describe_pattern(radio_model, "extra") : null
+		};
+	}
+
+	/**
+	 * Describe the radio model regex pattern
+	 *
+	 * @param RadioModel radio_model Radio model
+	 * @param string field "serial" or "extra"
+	 * @return string Regex pattern or the reason why it cannot be used
+	 */
+	static describe_pattern(radio_model, field)
+	{
+		try
+		{
+			return String(field === "serial" ? radio_model.serial_regex_pattern() : radio_model.extra_regex_pattern());
+		}
+		catch (error)
+		{
+			if (!(error instanceof RadioPatternError))
+				throw error;
+
+			return "unusable (" + Object.keys(error.reasons).map(language => `${language}: ${error.reasons[language]}`).join("; ") + ")";
+		}
+	}
+
+	/**
+	 * Report the error and return the matching exit code
+	 *
+	 * @param mixed error RadioError or any other error
+	 * @param object options Parsed command line options
+	 * @return int Process exit code
+	 */
+	fail(error, options)
+	{
+		const code = typeof error["error"] === "number" ? error["error"] : RadioErrors.ERROR_CONNECTION;
+		const message = error instanceof Error ? error.message : RadioError.describe(code);
+
+		if (options["json"])
+			this.write_json({ "error": code, "message": message });
+		else
+			this._stderr.write(`Error: ${message} (error code ${code})\n`);
+
+		return RadioCli.exit_code(code);
+	}
+
+	/**
+	 * Write the value as formatted JSON
+	 *
+	 * @param mixed value Value to output
+	 */
+	write_json(value)
+	{
+		this._stdout.write(JSON.stringify(value, null, 2) + "\n");
+	}
+
+	/**
+	 * Write the rows as a table with aligned columns
+	 *
+	 * @param array rows List of rows (lists of strings)
+	 * @param string separator Columns separator
+	 */
+	write_table(rows, separator = " : ")
+	{
+		const widths = [];
+
+		rows.forEach(row => row.forEach((cell, column) => {
+			widths[column] = Math.max(widths[column] === undefined ? 0 : widths[column], String(cell).length);
+		}));
+
+		rows.forEach(row => {
+			this._stdout.write(row.map((cell, column) => column === row.length - 1 ? String(cell) : String(cell).padEnd(widths[column])).join(separator) + "\n");
+		});
+	}
+}
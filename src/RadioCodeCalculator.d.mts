@@ -0,0 +1,330 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrorCode, RadioError, RadioModel, RadioModelParams, RadioResponse, RadioNormalizedInput } from "./RadioValidation.mjs";
+import { RadioTransport } from "./RadioTransport.mjs";
+import { RadioResultCache } from "./RadioResultCache.mjs";
+import { RadioConfigOptions } from "./RadioConfig.mjs";
+import { RadioKeyPool, RadioKeyPoolKey, RadioKeyPoolOptions, RadioKeyStats } from "./RadioKeyPool.mjs";
+import { RadioJob, RadioJobOptions } from "./RadioJob.mjs";
+import { RadioLicenseStatus } from "./RadioLicenseStatus.mjs";
+import { RadioRateLimiter, RadioRateLimiterOptions } from "./RadioRateLimiter.mjs";
+import { RadioAuditLog } from "./RadioAuditLog.mjs";
+import { RadioEvents } from "./RadioEvents.mjs";
+
+export { RadioErrors, RadioError, RadioConnectionError, RadioLicenseError, RadioValidationError, RadioModelError, RadioPatternError, RadioCommandError, RadioModel, RadioModels, RadioPattern } from "./RadioValidation.mjs";
+export { RadioTransport, RadioFetchTransport, RadioMockTransport, RadioReplayTransport } from "./RadioTransport.mjs";
+export { RadioStorage, RadioMemoryStorage, RadioFileStorage } from "./RadioStorage.mjs";
+export { RadioModelRegistry } from "./RadioModelRegistry.mjs";
+export { RadioResultCache } from "./RadioResultCache.mjs";
+export { RadioLicenseType, RadioLicenseStatus } from "./RadioLicenseStatus.mjs";
+export { RadioRateLimiter } from "./RadioRateLimiter.mjs";
+export { RadioAuditLog, RadioMemoryAuditLog, RadioFileAuditLog } from "./RadioAuditLog.mjs";
+export { RadioCsv } from "./RadioCsv.mjs";
+export { RadioBulkImport } from "./RadioBulkImport.mjs";
+export { RadioConfig } from "./RadioConfig.mjs";
+export { RadioKeyPool } from "./RadioKeyPool.mjs";
+export { RadioJob } from "./RadioJob.mjs";
+export { RadioEvents } from "./RadioEvents.mjs";
+export type { RadioErrorCode, RadioRegexPatterns, RadioModelParams, RadioResponse, RadioNormalizedInput, RadioErrorDetails, RadioNormalizationRules, RadioValidateOptions } from "./RadioValidation.mjs";
+export type { RadioInvalidPosition, RadioConfusion, RadioFieldReport, RadioValidationReport, RadioHtmlAttributes, RadioJsonSchema, RadioPatternLanguage } from "./RadioValidation.mjs";
+export type { RadioDetectOptions, RadioDetectCandidate, RadioModelMetadata, RadioModelGroupField } from "./RadioValidation.mjs";
+export type { RadioFetchTransportOptions, RadioMockTransportOptions, RadioReplayMode, RadioRecordedExchange, RadioReplayTransportOptions } from "./RadioTransport.mjs";
+export type { RadioModelRegistryOptions, RadioModelRegistryLoadOptions, RadioModelSource, RadioStoredModels } from "./RadioModelRegistry.mjs";
+export type { RadioResultCacheOptions, RadioCachedResult } from "./RadioResultCache.mjs";
+export type { RadioLicenseTypeCode } from "./RadioLicenseStatus.mjs";
+export type { RadioRateLimiterOptions, RadioScheduleOptions, RadioAdmission, RadioRateLimiterStats } from "./RadioRateLimiter.mjs";
+export type { RadioAuditRecord, RadioAuditLogOptions, RadioAuditFilter } from "./RadioAuditLog.mjs";
+export type { RadioBulkImportOptions, RadioBulkColumns, RadioBulkSummary, RadioBulkFileOptions } from "./RadioBulkImport.mjs";
+export type { RadioConfigSetting, RadioConfigSource, RadioConfigCache, RadioConfigOptions } from "./RadioConfig.mjs";
+export type { RadioKeyPoolStrategy, RadioKeyPoolKey, RadioKeyPoolOptions, RadioKeyStats } from "./RadioKeyPool.mjs";
+export type { RadioJobState, RadioJobOptions, RadioJobProgress, RadioJobEvents } from "./RadioJob.mjs";
+export type { RadioEventArgs } from "./RadioEvents.mjs";
+
+/**
+ * License information returned by the login command
+ */
+export interface RadioLicense
+{
+	/** true if license is active, false on invalid/expired keys */
+	activationStatus: boolean;
+
+	/** user name/company name of the license owner */
+	userName: string;
+
+	/** license type (0 - Personal License, 1 - Company License) */
+	type: number;
+
+	/** license expiration date (in YYYY-MM-DD format) */
+	expirationDate: string;
+}
+
+/**
+ * login command results
+ */
+export interface RadioLoginResponse extends RadioResponse
+{
+	license: RadioLicense;
+}
+
+/**
+ * calc command results
+ */
+export interface RadioCalcResponse extends RadioResponse
+{
+	code: string;
+
+	/** true if the results were taken from the results cache */
+	cached?: boolean;
+
+	/** values actually sent (normalize option) */
+	normalized?: RadioNormalizedInput;
+}
+
+/**
+ * info command results
+ */
+export interface RadioInfoResponse extends RadioResponse, RadioModelParams
+{
+	radioModel: RadioModel;
+}
+
+/**
+ * list command results
+ */
+export interface RadioListResponse extends RadioResponse
+{
+	supportedRadioModels: { [name: string]: RadioModelParams };
+	radioModels: RadioModel[];
+}
+
+/**
+ * Request policy (timeouts & retries)
+ */
+export interface RadioRequestPolicy
+{
+	/** max. time of a single request attempt in milliseconds (0 - no timeout) */
+	timeout: number;
+
+	/** max. number of retries after a transport failure or a 5xx response */
+	retries: number;
+
+	/** delay before the first retry in milliseconds */
+	backoff_delay: number;
+
+	/** delay multiplier for every next retry */
+	backoff_factor: number;
+
+	/** max. delay between the retries in milliseconds */
+	backoff_max_delay: number;
+
+	/** random part of the delay (0 - none, 1 - the whole delay is random) */
+	jitter: number;
+}
+
+/**
+ * License monitoring settings
+ */
+export interface RadioLicensePolicy
+{
+	/** time to live of the cached license status in milliseconds */
+	ttl: number;
+
+	/** emit "license_expiring" when the license expires within this number of days */
+	warning_days: number;
+
+	/** reject the requests early while the cached license status shows the license has expired (on by default) */
+	enforce: boolean;
+}
+
+/**
+ * Optional RadioCodeCalculator settings
+ */
+export interface RadioCodeCalculatorOptions
+{
+	transport?: RadioTransport;
+	api_url?: string;
+	policy?: Partial<RadioRequestPolicy>;
+	cache?: RadioResultCache;
+	license?: Partial<RadioLicensePolicy>;
+
+	/** shared rate limiter or its settings */
+	rate_limit?: RadioRateLimiter | RadioRateLimiterOptions | null;
+
+	/** audit log of the calc() attempts */
+	audit?: RadioAuditLog;
+
+	/** RadioKeyPool settings (when a list of activation keys is given) */
+	key_pool?: RadioKeyPoolOptions;
+}
+
+/**
+ * Request about to be sent ("before_request" event)
+ */
+export interface RadioRequestHook
+{
+	command: string;
+
+	/** request parameters (can be modified, the activation key is redacted) */
+	params: { [param: string]: string | null };
+
+	/** cancellation reason (null if not cancelled) */
+	cancelled: string | null;
+
+	/** cancel the request (rejected with RadioConnectionError) */
+	cancel(reason?: string): void;
+}
+
+/**
+ * Details of the "after_response", "retry" & "error" events
+ */
+export interface RadioRequestEventDetails
+{
+	command: string;
+
+	/** request parameters (the activation key is redacted) */
+	params: { [param: string]: string | null };
+
+	/** retry number (starting from 0) */
+	attempt: number;
+
+	/** time since the request has been started in milliseconds */
+	duration: number;
+
+	/** one of the RadioErrors values */
+	error: RadioErrorCode;
+
+	/** Web API response ("after_response", "key_failover") */
+	response?: RadioResponse;
+
+	/** transport error ("retry") or the rejected RadioError ("error") */
+	cause?: unknown;
+}
+
+/**
+ * RadioCodeCalculator events & their listener arguments
+ */
+export interface RadioCodeCalculatorEvents
+{
+	license: [ status: RadioLicenseStatus ];
+	license_expiring: [ status: RadioLicenseStatus ];
+	license_invalid: [ status: RadioLicenseStatus ];
+	before_request: [ request: RadioRequestHook ];
+	after_response: [ details: RadioRequestEventDetails ];
+	retry: [ details: RadioRequestEventDetails ];
+	key_failover: [ details: RadioRequestEventDetails ];
+	error: [ details: RadioRequestEventDetails ];
+	audit_error: [ error: unknown ];
+}
+
+/**
+ * Optional license_status() settings
+ */
+export interface RadioLicenseStatusOptions extends RadioRequestOptions
+{
+	/** ignore the cached license status */
+	force?: boolean;
+}
+
+/**
+ * Optional request settings
+ */
+export interface RadioRequestOptions
+{
+	signal?: AbortSignal;
+
+	/** rate limiter queue priority (higher priority requests are sent first) */
+	priority?: number;
+}
+
+/**
+ * Optional calc() settings
+ */
+export interface RadioCalcOptions extends RadioRequestOptions
+{
+	/** skip the results cache lookup */
+	bypass_cache?: boolean;
+
+	/** normalize the serial number & extra data first */
+	normalize?: boolean;
+
+	/** user name recorded in the audit log */
+	user?: string;
+}
+
+/**
+ * Single job of the calc_batch()
+ */
+export interface RadioBatchJob
+{
+	radio_model: RadioModel | string;
+	serial: string;
+	extra?: string;
+}
+
+/**
+ * Single result of the calc_batch()
+ */
+export interface RadioBatchResult<Job extends RadioBatchJob = RadioBatchJob>
+{
+	job: Job;
+	error: RadioErrorCode;
+	code: string | null;
+	response: RadioCalcResponse | RadioError | null;
+}
+
+/**
+ * Radio Code Calculator API module
+ */
+export declare class RadioCodeCalculator extends RadioEvents<RadioCodeCalculatorEvents>
+{
+	/** Radio Code Calculator API WebApi endpoint */
+	API_URL: string;
+
+	static DEFAULT_POLICY: RadioRequestPolicy;
+	static DEFAULT_LICENSE_POLICY: RadioLicensePolicy;
+
+	constructor(api_key?: string | (string | RadioKeyPoolKey)[] | RadioKeyPool | null, options?: RadioCodeCalculatorOptions);
+
+	static fromEnvironment(options?: RadioConfigOptions, calculator_options?: RadioCodeCalculatorOptions): RadioCodeCalculator;
+	toJSON(): { api_url: string, key: string | null } | { api_url: string, keys: string[] };
+	key_stats(): RadioKeyStats[] | null;
+
+	login(options?: RadioRequestOptions): Promise<RadioLoginResponse>;
+	license_status(options?: RadioLicenseStatusOptions): Promise<RadioLicenseStatus>;
+	is_license_fresh(): boolean;
+	update_license(status: RadioLicenseStatus): void;
+	report_invalid_license(): void;
+
+	calc(radio_model: RadioModel | string, radio_serial_number: string, radio_extra_data?: string, options?: RadioCalcOptions): Promise<RadioCalcResponse>;
+	calc_request(params: { [param: string]: string }, options?: RadioCalcOptions): Promise<RadioCalcResponse>;
+	cached_request(params: { [param: string]: string }, options?: RadioCalcOptions): Promise<RadioCalcResponse>;
+	audit_calc(params: { [param: string]: string }, result: RadioCalcResponse | RadioError, options?: RadioCalcOptions): Promise<void>;
+	calc_batch<Job extends RadioBatchJob>(jobs: Job[], concurrency?: number, options?: RadioCalcOptions): Promise<RadioBatchResult<Job>[]>;
+	calc_job<Job extends RadioBatchJob>(jobs: Job[], options?: RadioJobOptions): RadioJob<Job>;
+	info(radio_model: RadioModel | string, options?: RadioRequestOptions): Promise<RadioInfoResponse>;
+	list(options?: RadioRequestOptions): Promise<RadioListResponse>;
+
+	post_request(params_array: { [param: string]: string }, options?: RadioRequestOptions): Promise<RadioResponse>;
+	send_request(params: { [param: string]: string }, signal?: AbortSignal | null): Promise<RadioResponse>;
+	backoff(retry: number, signal?: AbortSignal | null): Promise<void>;
+
+	queue_depth(): number;
+	drain(options?: { cancel?: boolean }): Promise<void>;
+
+	static is_retryable(error: unknown): boolean;
+	static redact_key(api_key: string | null | undefined): string | null;
+	static redact_error<ErrorType>(error: ErrorType, api_key: string | null | undefined, depth?: number): ErrorType;
+}
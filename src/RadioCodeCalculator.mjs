@@ -20,337 +20,353 @@
 /*****************************************************************************/
 
 // ES module style imports
-import FormData from 'form-data';
-import fetch from 'node-fetch';
-
-// CommonJS style imports
-//const FormData = require('form-data');
-//const fetch = require('node-fetch');
+import { RadioErrors, RadioError, RadioConnectionError, RadioLicenseError, RadioValidationError, RadioModelError, RadioPatternError, RadioCommandError, RadioModel, RadioModels, RadioPattern } from "./RadioValidation.mjs";
+import { RadioTransport, RadioFetchTransport, RadioMockTransport, RadioReplayTransport } from "./RadioTransport.mjs";
+
+import { RadioStorage, RadioMemoryStorage, RadioFileStorage } from "./RadioStorage.mjs";
+import { RadioModelRegistry } from "./RadioModelRegistry.mjs";
+import { RadioResultCache } from "./RadioResultCache.mjs";
+import { RadioLicenseType, RadioLicenseStatus } from "./RadioLicenseStatus.mjs";
+import { RadioRateLimiter } from "./RadioRateLimiter.mjs";
+import { RadioAuditLog, RadioMemoryAuditLog, RadioFileAuditLog } from "./RadioAuditLog.mjs";
+import { RadioCsv } from "./RadioCsv.mjs";
+import { RadioBulkImport } from "./RadioBulkImport.mjs";
+import { RadioConfig } from "./RadioConfig.mjs";
+import { RadioKeyPool } from "./RadioKeyPool.mjs";
+import { RadioJob } from "./RadioJob.mjs";
+import { RadioEvents } from "./RadioEvents.mjs";
+
+export { RadioErrors, RadioError, RadioConnectionError, RadioLicenseError, RadioValidationError, RadioModelError, RadioPatternError, RadioCommandError, RadioModel, RadioModels, RadioPattern };
+export { RadioTransport, RadioFetchTransport, RadioMockTransport, RadioReplayTransport };
+export { RadioStorage, RadioMemoryStorage, RadioFileStorage };
+export { RadioModelRegistry };
+export { RadioResultCache };
+export { RadioLicenseType, RadioLicenseStatus };
+export { RadioRateLimiter };
+export { RadioAuditLog, RadioMemoryAuditLog, RadioFileAuditLog };
+export { RadioCsv };
+export { RadioBulkImport };
+export { RadioConfig };
+export { RadioKeyPool };
+export { RadioJob };
+export { RadioEvents };
 
 /**
- * Errors returned by the Radio Code Calculator API interface
+ * Radio Code Calculator API module
  *
  * Usage:
  *
- * if (error === RadioErrors.SUCCESS) { ... }
+ * myRadioCodeCalculator = new RadioCodeCalculator("YOUR-WEB-API-KEY");
+ *
+ * // generate radio code (using Web API)
+ * myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "123456").then((result) => { ... })
+ *
+ *     console.log("Radio code is " + result["code"]);
+ *
+ * }).catch((error) => {
+ *
+ *     switch(error["error"]) { ... }
+ *
+ * });
+ *
+ * Events:
+ *
+ * license - (status) the license status has been updated
+ * license_expiring - (status) the license expires within the `warning_days`
+ * license_invalid - (status) the activation key has been rejected or the license has expired
+ * before_request - (request) the request is about to be sent, `request.params` can be modified, `request.cancel(reason)` cancels it
+ * after_response - (details) the Web API response has been received
+ * retry - (details) the failed request attempt is going to be retried
+ * key_failover - (details) the activation key from the pool has been rejected & the request is retried with the next key
+ * error - (details) the request has been rejected
+ * audit_error - (error) the calc() attempt couldn't be recorded in the audit log
+ *
+ * The request events details are { command, params, attempt, duration, error, response|cause },
+ * where `error` is the RadioErrors code and the activation key in `params` is redacted.
  *
  */
-export class RadioErrors
+export class RadioCodeCalculator extends RadioEvents
 {
 	/**
-	 * @var int cannot connect to the Web API interface (network error)
+	 * @var string default Radio Code Calculator API WebApi endpoint
 	 */
-	static ERROR_CONNECTION = -1;
+	API_URL = "https://www.pelock.com/api/radio-code-calculator/v1";
 
 	/**
-	 * @var int successful request
+	 * @var string|null WebApi key for the service (non-enumerable, see the constructor)
 	 */
-	static SUCCESS = 0;
+	_apiKey = null;
 
 	/**
-	 * @var int an error occurred while validating input data (invalid length, format etc.)
+	 * @var RadioKeyPool|null pool of activation keys (used instead of the single activation key)
 	 */
-	static INVALID_INPUT = 1;
+	_key_pool = null;
 
 	/**
-	 * @var int invalid Web API command (not supported)
+	 * @var RadioTransport transport used to send the Web API requests
 	 */
-	static INVALID_COMMAND = 2;
+	_transport = null;
 
 	/**
-	 * @var int radio model is not supported by the calculator
+	 * @var object default request policy
+	 *
+	 * timeout - max. time of a single request attempt in milliseconds (0 - no timeout)
+	 * retries - max. number of retries after a transport failure or a 5xx response
+	 * backoff_delay - delay before the first retry in milliseconds
+	 * backoff_factor - delay multiplier for every next retry
+	 * backoff_max_delay - max. delay between the retries in milliseconds
+	 * jitter - random part of the delay (0 - none, 1 - the whole delay is random)
 	 */
-	static INVALID_RADIO_MODEL = 3;
+	static DEFAULT_POLICY = {
+		"timeout": 30000,
+		"retries": 2,
+		"backoff_delay": 500,
+		"backoff_factor": 2,
+		"backoff_max_delay": 10000,
+		"jitter": 0.5
+	};
 
 	/**
-	 * @var int radio serial number is invalid (invalid format, not matching the expected regex pattern)
+	 * @var object request policy (timeouts & retries)
 	 */
-	static INVALID_SERIAL_LENGTH = 4;
+	_policy = null;
 
 	/**
-	 * @var int radio serial number doesn't match the expected regular expression pattern
+	 * @var RadioResultCache|null cache of the generated radio codes (disabled by default)
 	 */
-	static INVALID_SERIAL_PATTERN = 5;
+	_cache = null;
 
 	/**
-	 * @var int radio serial number is not supported by the selected calculator
+	 * @var RadioRateLimiter|null client-side rate limiter & request queue (disabled by default)
 	 */
-	static INVALID_SERIAL_NOT_SUPPORTED = 6;
+	_rate_limiter = null;
 
 	/**
-	 * @var int extra data is invalid (invalid format, not matching the expected regex pattern)
+	 * @var RadioAuditLog|null audit log of the calc() attempts (disabled by default)
 	 */
-	static INVALID_EXTRA_LENGTH = 7;
+	_audit = null;
 
 	/**
-	 * @var int extra data doesn't match the expected regular expression pattern
+	 * @var object default license monitoring settings
+	 *
+	 * ttl - time to live of the cached license status in milliseconds
+	 * warning_days - emit "license_expiring" when the license expires within this number of days
+	 * enforce - reject the requests early while the cached license status shows the license has expired (false - always send the requests)
 	 */
-	static INVALID_EXTRA_PATTERN = 8;
+	static DEFAULT_LICENSE_POLICY = {
+		"ttl": 60 * 60 * 1000,
+		"warning_days": 14,
+		"enforce": true
+	};
 
 	/**
-	 * @var int license key is invalid or expired
+	 * @var object license monitoring settings
 	 */
-	static INVALID_LICENSE = 100;
-}
+	_license_policy = null;
 
-/**
- * RadioModel class used to calculate the radio code for specified car radio/navigation
- *
- * Usage:
- *
- * // create Radio Code Calculator API class instance (we are using our activation key)
- * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD");
- *
- * // validate the serial number (offline) before sending the Web API request
- * let error = radioModel.validate(serial, extra);
- *
- * ...
- *
- * // generate radio code (using Web API)
- * myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES), "123456").then((result) => { ... })
- *
- *     console.log("Radio code is " + result["code"]);
- *
- * }).catch((error) => {
- *
- *     switch(error["error"]) { ... }
- *
- * });
- *
- */
-export class RadioModel
-{
 	/**
-	 * @var string A single radio model with its parameters
+	 * @var RadioLicenseStatus|null cached license status (from the last login)
 	 */
-	name = "";
+	_license = null;
 
 	/**
-	 * @var int Required, valid length of the radio serial/seed number
+	 * @var bool true if the "license_invalid" event has been emitted since the license was last valid
 	 */
-	serial_max_len = 0;
+	_license_reported = false;
 
 	/**
-	 * @var array PCRE compatible regex patterns for the radio serial/seed number
+	 * Initialize Radio Code Calculator API class
+	 *
+	 * @param string|array|RadioKeyPool|null api_key Activation key for the service (it cannot be empty!), a list of keys or a RadioKeyPool
+	 * @param object options Optional settings { transport, api_url, policy, cache, license, rate_limit, audit, key_pool (RadioKeyPool options for a list of keys) }
 	 */
-	_serial_regex_patterns = [];
+	constructor(api_key = null, options = {})
+	{
+		super();
 
-	/**
-	 * @var int Length of the optional param for radio code generation
-	 */
-	extra_max_len = 0;
+		// keep the activation key out of the console.log() & JSON.stringify() output
+		Object.defineProperty(this, "_apiKey", { "enumerable": false });
 
-	/**
-	 * @var array|null PCRE compatible regex patterns for the optional radio serial/seed number
-	 */
-	_extra_regex_patterns = null;
+		if (api_key instanceof RadioKeyPool)
+			this._key_pool = api_key;
+		else if (Array.isArray(api_key))
+			this._key_pool = new RadioKeyPool(api_key, options["key_pool"] === undefined ? {} : options["key_pool"]);
+		else
+			this._apiKey = api_key;
 
-	/**
-	 * @var string Default programming language used to determine the format of regular expression formats
-	 */
-	default_programming_language = "js";
+		if (options["api_url"] !== undefined)
+			this.API_URL = options["api_url"];
+
+		this._transport = options["transport"] === undefined ? new RadioFetchTransport() : options["transport"];
+
+		this._policy = Object.assign({}, RadioCodeCalculator.DEFAULT_POLICY, options["policy"]);
+
+		if (options["cache"] !== undefined)
+			this._cache = options["cache"];
+
+		this._license_policy = Object.assign({}, RadioCodeCalculator.DEFAULT_LICENSE_POLICY, options["license"]);
+
+		if (options["audit"] !== undefined)
+			this._audit = options["audit"];
+
+		// either a shared RadioRateLimiter or its settings
+		if (options["rate_limit"] !== undefined && options["rate_limit"] !== null)
+			this._rate_limiter = options["rate_limit"] instanceof RadioRateLimiter ? options["rate_limit"] : new RadioRateLimiter(options["rate_limit"]);
+	}
 
 	/**
-	 * In JS you cannot pass the extra parameters for the RegExp in a single string
-	 * This function splits the provided rule into Reg Exp rule & extra params (like case insensitive flag)
+	 * Create the instance configured with the explicit options, environment variables or the config file
+	 *
+	 * Usage:
 	 *
-	 * @return RegExp regular expression
+	 * // RADIO_CODE_CALCULATOR_KEY=ABCD-ABCD-ABCD-ABCD
+	 * let myRadioCodeCalculator = RadioCodeCalculator.fromEnvironment();
+	 *
+	 * @param object options Optional RadioConfig.load() options { key, api_url, timeout, cache, rate_limit, config, env, cwd, home, validate_key }
+	 * @param object calculator_options Extra constructor options (e.g. transport, audit)
+	 * @return RadioCodeCalculator Radio Code Calculator API class instance
+	 * @throws RadioError if the configuration is invalid (RadioLicenseError if the activation key is missing or invalid)
 	 */
-	regex_string_to_rule(regex_string)
+	static fromEnvironment(options = {}, calculator_options = {})
 	{
-		const regexParts = /\/(.*)\/(.*)/.exec(regex_string);
-		const {1: source, 2: flags} = regexParts;
+		const config = RadioConfig.load(options);
+
+		if (config.key === null)
+			throw new RadioLicenseError(RadioErrors.INVALID_LICENSE, `Activation key is not provided (set the ${RadioConfig.ENV["key"]} environment variable or the "key" entry of the config file)`);
 
-		return new RegExp(source, flags);
+		return new RadioCodeCalculator(config.key, Object.assign(config.calculator_options(), calculator_options));
 	}
 
 	/**
-	 * Return the regex pattern for the current programming language only
+	 * Plain object representation with the redacted activation key (for JSON.stringify())
 	 *
-	 * @return RegExp|string PCRE compatible regular expression or an empty string ""
+	 * @return object { api_url, key } or { api_url, keys } with the pool of activation keys
 	 */
-	serial_regex_pattern()
+	toJSON()
 	{
-		if (!(this.default_programming_language in this._serial_regex_patterns))
-			return "";
+		if (this._key_pool !== null)
+			return { "api_url": this.API_URL, "keys": this._key_pool.stats().map(entry => entry["key"]) };
 
-		return this.regex_string_to_rule(this._serial_regex_patterns[this.default_programming_language]);
+		return { "api_url": this.API_URL, "key": RadioCodeCalculator.redact_key(this._apiKey) };
 	}
 
 	/**
-	 * Extra field (if defined) regex pattern for the current programming language only or null
+	 * Health & usage statistics of the activation keys from the pool
 	 *
-	 * @return RegExp|null PCRE compatible regular expression or null if not required
+	 * @return array|null A list of { name, key, priority, healthy, unhealthy_since, requests, succeeded, failed, last_error, last_used } or null without the pool
 	 */
-	extra_regex_pattern()
+	key_stats()
 	{
-		if (this._extra_regex_patterns == null)
-			return null;
-
-		if (!(this.default_programming_language in this._extra_regex_patterns))
-			return null;
-
-		return this.regex_string_to_rule(this._extra_regex_patterns[this.default_programming_language]);
+		return this._key_pool === null ? null : this._key_pool.stats();
 	}
 
 	/**
-	 * Initialize RadioModel class with the radio model name, serial & extra fields max. length and regex pattern
+	 * Login to the service and get the information about the current license limits
 	 *
-	 * @param string name Radio model name
-	 * @param int serial_max_len Max. serial length
-	 * @param string|array serial_regex_pattern Serial number single regex pattern or a dictionary
-	 * @param int extra_max_len Max. extra field length
-	 * @param string|array|null extra_regex_pattern: Extra field single regex pattern or a dictionary
+	 * @param object options Optional request settings { signal, priority }
+	 * @return Promise Login results with the license information (rejected with RadioError on errors)
 	 */
-	constructor(name,
-				serial_max_len,
-				serial_regex_pattern,
-				extra_max_len = 0,
-				extra_regex_pattern = null)
+	login(options = {})
 	{
-		this.name = name;
-		this.serial_max_len = serial_max_len;
-
-		// create an empty dict to prevent Python re-using previous dict from previous object (!)
-		this._serial_regex_patterns = [];
-
-		// store the regex pattern under the key for the default programming language (compatibility)
-		if (typeof serial_regex_pattern === "string")
-			this._serial_regex_patterns[this.default_programming_language] = serial_regex_pattern;
-		else if (typeof serial_regex_pattern === "object")
-			this._serial_regex_patterns = serial_regex_pattern;
-
-		// initialize extra field
-		this.extra_max_len = extra_max_len;
-		this._extra_regex_patterns = null;
-
-		if (extra_max_len != 0)
-			if (typeof extra_regex_pattern == "string")
-				this._extra_regex_patterns[this.default_programming_language] = extra_regex_pattern;
-			else if (typeof extra_regex_pattern === "object")
-				this._extra_regex_patterns = extra_regex_pattern;
+		// parameters
+		const params = [];
+		params["command"] = "login";
+
+		return this.post_request(params, options).then(result =>
+		{
+			this.update_license(new RadioLicenseStatus(result["license"]));
+
+			return result;
+		});
 	}
 
 	/**
-	 * Validate radio serial number and extra data (if provided), check their lenghts and regex patterns
+	 * Get the license status (cached for the license `ttl`, refreshed with the login command)
+	 *
+	 * The returned Promise is resolved with the inactive status when the activation
+	 * key is rejected, it's only rejected on the connection errors.
 	 *
-	 * @param string serial Radio serial number
-	 * @param string|null extra: Extra data (optional)
-	 * @return int one of the RadioErrors values
+	 * @param object options Optional settings { force (ignore the cached status), signal }
+	 * @return Promise RadioLicenseStatus class
 	 */
-	validate(serial, extra = null)
+	license_status(options = {})
 	{
-		 if (serial.length != this.serial_max_len)
-			return RadioErrors.INVALID_SERIAL_LENGTH;
+		if (options["force"] !== true && this.is_license_fresh())
+			return Promise.resolve(this._license);
 
-		if (serial.match(this.serial_regex_pattern()) == null)
-			return RadioErrors.INVALID_SERIAL_PATTERN;
+		const request_options = options["signal"] === undefined ? {} : { "signal": options["signal"] };
 
-		if (extra !== null && extra.length > 0)
+		return this.login(request_options).then(() => this._license, error =>
 		{
-			if (extra.length != this.extra_max_len)
-				return RadioErrors.INVALID_EXTRA_LENGTH;
-			if (extra.match(extra_regex_pattern()) == null)
-				return RadioErrors.INVALID_EXTRA_PATTERN;
-		}
+			if (error instanceof RadioLicenseError && this._license !== null && this._license.error === RadioErrors.INVALID_LICENSE)
+				return this._license;
 
-		return RadioErrors.SUCCESS;
+			throw error;
+		});
 	}
-}
 
-/**
- * Supported radio models with the validation parameters (max. lengths & regex patterns)
- *
- * This helper class can be used to quickly perform offline validation of the radio
- * serial/seed codes before its send to the WebApi.
- *
- * Usage:
- *
- * let radioModel = RadioModels.FORD_M_SERIES
- *
- */
-export class RadioModels
-{
-	static RENAULT_DACIA = new RadioModel("renault-dacia", 4, "/^([A-Z]{1}[0-9]{3})$/");
-	static CHRYSLER_PANASONIC_TM9 = new RadioModel("chrysler-panasonic-tm9", 4, "/^([0-9]{4})$/");
-	static CHRYSLER_DODGE_VP = new RadioModel("chrysler-dodge-vp", 4, "/^([a-zA-Z0-9]{4})$/");
-	static FORD_M_SERIES = new RadioModel("ford-m-series", 6, "/^([0-9]{6})$/");
-	static FORD_V_SERIES = new RadioModel("ford-v-series", 6, "/^([0-9]{6})$/");
-	static FORD_TRAVELPILOT = new RadioModel("ford-travelpilot", 7, "/^([0-9]{7})$/");
-	static FIAT_STILO_BRAVO_VISTEON = new RadioModel("fiat-stilo-bravo-visteon", 6, "/^([a-zA-Z0-9]{6})$/");
-	static FIAT_DAIICHI = new RadioModel("fiat-daiichi", 4, "/^([0-9]{4})$/");
-	static FIAT_VP = new RadioModel("fiat-vp", 4, "/^([0-9]{4})$/");
-	static TOYOTA_ERC = new RadioModel("toyota-erc", 16, "/^([a-zA-Z0-9]{16})$/");
-	static JEEP_CHEROKEE = new RadioModel("jeep-cherokee", 14, "/^([a-zA-Z0-9]{10}[0-9]{4})$/");
-	static NISSAN_GLOVE_BOX = new RadioModel("nissan-glove-box", 12, "/^([a-zA-Z0-9]{12})$/");
-	static ECLIPSE_ESN = new  RadioModel("eclipse-esn", 6, "/^([a-zA-Z0-9]{6})$/");
-	static JAGUAR_ALPINE = new RadioModel("jaguar-alpine", 5, "/^([0-9]{5})$/");
-}
-
-/**
- * Radio Code Calculator API module
- *
- * Usage:
- *
- * myRadioCodeCalculator = new RadioCodeCalculator("YOUR-WEB-API-KEY");
- *
- * // generate radio code (using Web API)
- * myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES), "123456").then((result) => { ... })
- *
- *     console.log("Radio code is " + result["code"]);
- *
- * }).catch((error) => {
- *
- *     switch(error["error"]) { ... }
- *
- * });
- *
- */
-export class RadioCodeCalculator
-{
 	/**
-	 * @var string default Radio Code Calculator API WebApi endpoint
-	 */
-	API_URL = "https://www.pelock.com/api/radio-code-calculator/v1";
-
-	/**
-	 * @var string|null WebApi key for the service
+	 * Check if the cached license status is still within its time to live
+	 *
+	 * @return bool True if there's a cached status & it hasn't expired
 	 */
-	_apiKey = null;
+	is_license_fresh()
+	{
+		return this._license !== null && Date.now() - this._license.checked_at < this._license_policy["ttl"];
+	}
 
 	/**
-	 * Initialize Radio Code Calculator API class
+	 * Replace the cached license status & emit the license events
 	 *
-	 * @param string|null api_key Activation key for the service (it cannot be empty!)
+	 * @param RadioLicenseStatus status New license status
 	 */
-	constructor(api_key = null)
+	update_license(status)
 	{
-		this._apiKey = api_key;
+		this._license = status;
+
+		this.emit("license", status);
+
+		if (!status.is_valid())
+			this.report_invalid_license();
+		else
+		{
+			this._license_reported = false;
+
+			if (status.is_expiring(this._license_policy["warning_days"]))
+				this.emit("license_expiring", status);
+		}
 	}
 
 	/**
-	 * Login to the service and get the information about the current license limits
-	 *
-	 * @return RadioCodeCalculator A list with an error code, and an optional dictionary with the raw results (or null on error)
+	 * Emit the "license_invalid" event (only once until the license becomes valid again)
 	 */
-	login()
+	report_invalid_license()
 	{
-		// parameters
-		const params = [];
-		params["command"] = "login";
+		if (this._license_reported)
+			return;
+
+		this._license_reported = true;
 
-		return this.post_request(params);
+		this.emit("license_invalid", this._license);
 	}
 
 	/**
 	 * Calculate the radio code for the selected radio model
 	 *
+	 * If the results cache is enabled, the cached results are returned with an extra
+	 * `cached` property set to true, `bypass_cache` option forces the Web API request.
+	 *
+	 * With the `normalize` option the serial number & extra data are normalized first,
+	 * the values actually sent are reported in the `normalized` property of the results
+	 * (and of the rejected errors).
+	 *
 	 * @param RadioModel|string radio_model Radio model either as a RadioModel class or a string
 	 * @param string radio_serial_number Radio serial number / pre code
 	 * @param string radio_extra_data Optional extra data (for example - a supplier code) to generate the radio code
-	 * @return array A list with an error code, and an optional dictionary with the raw results (or null)
+	 * @param object options Optional request settings { signal, priority, bypass_cache, normalize, user (recorded in the audit log) }
+	 * @return Promise Results with the generated radio code (rejected with RadioError on errors)
 	 */
-	calc(radio_model, radio_serial_number, radio_extra_data = "")
+	calc(radio_model, radio_serial_number, radio_extra_data = "", options = {})
 	{
 		// parameters
 		const params = [];
@@ -359,16 +375,209 @@ export class RadioCodeCalculator
 		params["serial"] = radio_serial_number;
 		params["extra"] = radio_extra_data;
 
-		return this.post_request(params);
+		if (options["normalize"] !== true)
+			return this.calc_request(params, options);
+
+		// use the predefined normalization rules for the radio models given by their names
+		const model = typeof(radio_model) === "string" ? RadioModels.by_name(radio_model) : radio_model;
+
+		const normalized = model === null
+			? { "serial": RadioModel.normalize_value(radio_serial_number, null, RadioModel.DEFAULT_NORMALIZATION), "extra": RadioModel.normalize_value(radio_extra_data, null, RadioModel.DEFAULT_NORMALIZATION) }
+			: model.normalize(radio_serial_number, radio_extra_data);
+
+		params["serial"] = normalized["serial"];
+		params["extra"] = normalized["extra"];
+
+		return this.calc_request(params, options).then(result => Object.assign(result, { "normalized": normalized }), error =>
+		{
+			error["normalized"] = normalized;
+			throw error;
+		});
+	}
+
+	/**
+	 * Send the calc command (through the results cache if enabled) & record it in the audit log
+	 *
+	 * @param array params Request parameters
+	 * @param object options Optional request settings { signal, priority, bypass_cache, user }
+	 * @return Promise Results with the generated radio code (rejected with RadioError on errors)
+	 */
+	calc_request(params, options = {})
+	{
+		const request = this.cached_request(params, options);
+
+		if (this._audit === null)
+			return request;
+
+		return request.then(result => this.audit_calc(params, result, options).then(() => result), error =>
+		{
+			return this.audit_calc(params, error, options).then(() => { throw error; });
+		});
+	}
+
+	/**
+	 * Send the calc command through the results cache (if enabled)
+	 *
+	 * @param array params Request parameters
+	 * @param object options Optional request settings { signal, priority, bypass_cache }
+	 * @return Promise Results with the generated radio code (rejected with RadioError on errors)
+	 */
+	cached_request(params, options = {})
+	{
+		if (this._cache === null)
+			return this.post_request(params, options);
+
+		const cache = this._cache;
+
+		// cache errors are treated as cache misses
+		const cached = options["bypass_cache"] === true ? Promise.resolve(null) : cache.get(params["radio_model"], params["serial"], params["extra"]).catch(() => null);
+
+		return cached.then(result =>
+		{
+			if (result !== null)
+				return Object.assign(result, { "cached": true });
+
+			return this.post_request(params, options).then(result =>
+			{
+				return cache.set(params["radio_model"], params["serial"], params["extra"], result).catch(() => {}).then(() => result);
+			});
+		});
+	}
+
+	/**
+	 * Record the calc() attempt in the audit log
+	 *
+	 * Audit log errors don't break the calc() requests, they are reported with the "audit_error" event.
+	 *
+	 * @param array params Request parameters
+	 * @param object result Web API results or the rejected RadioError
+	 * @param object options Optional request settings { user }
+	 * @return Promise Resolved when recorded
+	 */
+	audit_calc(params, result, options = {})
+	{
+		const error = result["error"] === undefined ? RadioErrors.ERROR_CONNECTION : result["error"];
+
+		return this._audit.record({
+			"radio_model": params["radio_model"],
+			"serial": params["serial"],
+			"extra": params["extra"],
+			"error": error,
+			"code": error === RadioErrors.SUCCESS ? result["code"] : null,
+			"cached": result["cached"] === true,
+			"user": options["user"]
+		})
+		.then(() => {}, audit_error => { this.emit("audit_error", audit_error); });
+	}
+
+	/**
+	 * Calculate the radio codes for multiple radios at once
+	 *
+	 * Every job is validated offline first (when the radio model is known), only the valid
+	 * jobs are sent to the Web API, with at most `concurrency` requests running at once.
+	 *
+	 * The returned Promise is never rejected because of a single failed job, instead each
+	 * entry of the results list holds its own error code (malformed jobs, e.g. without
+	 * the serial number, are reported with INVALID_INPUT).
+	 *
+	 * With the rate limiter enabled, the batch requests are queued with the low priority
+	 * by default, so the interactive calc() requests are sent first.
+	 *
+	 * @param array jobs A list of jobs in { radio_model, serial, extra } format
+	 * @param int concurrency Max. number of simultaneous Web API requests
+	 * @param object options Optional request settings { signal, priority, bypass_cache, normalize }
+	 * @return Promise A list of results in { job, error, code, response } format (in the same order as jobs)
+	 */
+	calc_batch(jobs, concurrency = 4, options = {})
+	{
+		options = Object.assign({ "priority": RadioRateLimiter.PRIORITY_LOW }, options);
+
+		const results = new Array(jobs.length);
+		const pending = [];
+
+		// malformed jobs (e.g. without the serial number) are reported as invalid input
+		const malformed = (cause) => new RadioValidationError(RadioErrors.INVALID_INPUT, "Malformed batch job", { "cause": cause });
+
+		// validate all the jobs offline first
+		jobs.forEach((job, index) =>
+		{
+			try
+			{
+				if (job === null || typeof job !== "object" || typeof job["serial"] !== "string")
+					throw new TypeError("Batch job requires the radio serial number string");
+
+				const radio_model = typeof(job["radio_model"]) === "string" ? RadioModels.by_name(job["radio_model"]) : job["radio_model"];
+				const extra = job["extra"] === undefined ? "" : job["extra"];
+
+				const error = radio_model === null ? RadioErrors.SUCCESS : radio_model.validate(job["serial"], extra, { "normalize": options["normalize"] === true });
+
+				if (error !== RadioErrors.SUCCESS)
+					results[index] = { "job": job, "error": error, "code": null, "response": null };
+				else
+					pending.push(index);
+			}
+			catch (error)
+			{
+				// the radio model has no usable regex pattern or the job is malformed
+				const rejected = error instanceof RadioPatternError ? error : malformed(error);
+
+				results[index] = { "job": job, "error": rejected.error, "code": null, "response": rejected };
+			}
+		});
+
+		// each worker takes the next pending job until there's nothing left
+		const worker = () =>
+		{
+			if (pending.length === 0)
+				return Promise.resolve();
+
+			const index = pending.shift();
+			const job = jobs[index];
+
+			// exceptions thrown by calc() mustn't stop the worker
+			return new Promise(fulfilled => fulfilled(this.calc(job["radio_model"], job["serial"], job["extra"] === undefined ? "" : job["extra"], options)))
+			.then(response => response, error => error instanceof RadioError ? error : malformed(error))
+			.then(response =>
+			{
+				const error = response["error"];
+
+				results[index] = { "job": job, "error": error, "code": error === RadioErrors.SUCCESS ? response["code"] : null, "response": response };
+
+				return worker();
+			});
+		};
+
+		const workers = [];
+		const workers_count = Math.min(Math.max(1, concurrency), pending.length);
+
+		for (let i = 0; i < workers_count; i++)
+			workers.push(worker());
+
+		return Promise.all(workers).then(() => results);
+	}
+
+	/**
+	 * Create the bulk calculation job with the progress events, pause, resume & cancellation
+	 *
+	 * The job isn't started until start() is called or its results are iterated with `for await`.
+	 *
+	 * @param array jobs A list of jobs in { radio_model, serial, extra } format
+	 * @param object options Optional { concurrency, signal (cancels the job), priority, bypass_cache, normalize, user }
+	 * @return RadioJob Bulk calculation job
+	 */
+	calc_job(jobs, options = {})
+	{
+		return new RadioJob(this, jobs, options);
 	}
 
 	/**
 	 * Get the information about the given radio calculator and its parameters (name, max. len & regex pattern)
 	 *
 	 * @param RadioModel|string radio_model Radio model either as a RadioModel class or a string
-	 * @return array A list with an error code, and an optional RadioModel create from the return values (or null)
+	 * @param object options Optional request settings { signal, priority }
+	 * @return Promise Results with the RadioModel created from the return values (rejected with RadioError on errors)
 	 */
-	info(radio_model)
+	info(radio_model, options = {})
 	{
 		// parameters
 		const params = [];
@@ -376,17 +585,17 @@ export class RadioCodeCalculator
 		params["radio_model"] = typeof(radio_model) === "string" ? radio_model : radio_model.name;
 
 		// send request
-		return this.post_request(params).then((result) => {
+		return this.post_request(params, options).then((result) => {
 
 			return new Promise((fulfilled, rejected) =>
 			{
 				if (result["error"] !== RadioErrors.SUCCESS)
 				{
-					rejected(result);
+					rejected(RadioError.from_response(result, params["radio_model"]));
 					return;
 				}
 
-				let model = new RadioModel(params["radio_model"], result["serialMaxLen"], result["serialRegexPattern"], result["extraMaxLen"], result["extraRegexPattern"]);
+				let model = RadioModel.from_params(params["radio_model"], result);
 
 				result["radioModel"] = model;
 
@@ -398,22 +607,23 @@ export class RadioCodeCalculator
 	/**
 	 * List all the supported radio calculators and their parameters (name, max. len & regex pattern)
 	 *
-	 * @return array A list with an error code, and an optional list of supported RadioModels (or null)
+	 * @param object options Optional request settings { signal, priority }
+	 * @return Promise Results with the list of supported RadioModels (rejected with RadioError on errors)
 	 */
-	list()
+	list(options = {})
 	{
 		// parameters
 		const params = [];
 		params["command"] = "list";
 
 		// send request
-		return this.post_request(params).then((result) => {
+		return this.post_request(params, options).then((result) => {
 
 			return new Promise((fulfilled, rejected) =>
 			{
 				if (result["error"] !== RadioErrors.SUCCESS)
 				{
-					rejected(result);
+					rejected(RadioError.from_response(result));
 					return;
 				}
 
@@ -423,11 +633,7 @@ export class RadioCodeCalculator
 				Object.keys(result["supportedRadioModels"]).forEach(radio_model_name =>
 				{
 					let radio_model = result["supportedRadioModels"][radio_model_name];
-
-					let model = new RadioModel(radio_model_name, radio_model["serialMaxLen"],
-											radio_model["serialRegexPattern"], radio_model["extraMaxLen"],
-											radio_model["extraRegexPattern"]);
-					radio_models.push(model);
+					radio_models.push(RadioModel.from_params(radio_model_name, radio_model));
 				});
 
 				result["radioModels"] = radio_models;
@@ -440,45 +646,344 @@ export class RadioCodeCalculator
 	/**
 	 * Send a POST request to the server & returns a Promise
 	 *
-	 * @param {Array} params_array params_array An array with the parameters
-	 * @param {decodedCallback} callback_ Funkcja callback wywolywana po zdekodowaniu danych
-	 * @returns {Promise} An array with the POST request results (or default error)
+	 * Transport failures (including timeouts) and 5xx responses are retried according
+	 * to the request policy, the Web API error codes are never retried.
+	 *
+	 * The "before_request" listeners can modify the request parameters or cancel the
+	 * request, the "after_response", "retry" & "error" events are emitted as the
+	 * request goes on (the activation key is always redacted).
+	 *
+	 * With the pool of activation keys, the key rejected with INVALID_LICENSE is marked
+	 * unhealthy & the request is sent again with the next healthy key.
+	 *
+	 * @param {Array} params_array An array with the parameters
+	 * @param {Object} options Optional request settings { signal, priority }
+	 * @returns {Promise} An array with the POST request results (rejected with RadioError on errors)
 	 */
-	post_request(params_array)
+	post_request(params_array, options = {})
 	{
-		return new Promise((fulfilled, rejected) =>
+		const signal = options["signal"] === undefined ? null : options["signal"];
+		const priority = options["priority"] === undefined ? RadioRateLimiter.PRIORITY_NORMAL : options["priority"];
+		const started_at = Date.now();
+
+		const pool = this._key_pool;
+		const api_key = pool === null ? this._apiKey : pool.select();
+
+		// activation keys rejected during this request
+		const rejected_keys = [];
+
+		// request parameters visible to the event listeners
+		const request = { "command": params_array["command"], "params": { "key": RadioCodeCalculator.redact_key(api_key) }, "cancelled": null };
+
+		Object.keys(params_array).forEach(param => {
+			request["params"][param] = params_array[param];
+		});
+
+		request["cancel"] = (reason = "Request has been cancelled") => { request["cancelled"] = reason; };
+
+		this.emit("before_request", request);
+
+		const radio_model = request["params"]["radio_model"] === undefined ? null : request["params"]["radio_model"];
+
+		let retries = 0;
+
+		// event details for the request listeners
+		const details = (extra) => Object.assign({
+			"command": request["params"]["command"],
+			"params": Object.assign({}, request["params"]),
+			"attempt": retries,
+			"duration": Date.now() - started_at
+		}, extra);
+
+		const attempt = (retry) =>
+		{
+			retries = retry;
+
+			// the retries & key failovers of the admitted request go through the drained queue
+			const sent = this._rate_limiter === null
+				? this.send_request(params, signal)
+				: this._rate_limiter.schedule(() => this.send_request(params, signal), { "priority": priority, "signal": signal, "admission": admission });
+
+			return sent.then(response =>
+				{
+					this.emit("after_response", details({ "error": response['error'], "response": response }));
+
+					if (pool !== null)
+						pool.record(params["key"], response['error']);
+
+					if (response['error'] == RadioErrors.SUCCESS)
+						return response;
+
+					if (response['error'] == RadioErrors.INVALID_LICENSE && pool !== null)
+					{
+						rejected_keys.push(params["key"]);
+
+						const next_key = pool.select(rejected_keys);
+
+						// fail over to the next healthy key (doesn't count as a retry)
+						if (next_key !== null)
+						{
+							this.emit("key_failover", details({ "error": response['error'], "response": response }));
+
+							params = Object.assign({}, params, { "key": next_key });
+							request["params"]["key"] = RadioCodeCalculator.redact_key(next_key);
+
+							return attempt(retry);
+						}
+					}
+
+					if (response['error'] == RadioErrors.INVALID_LICENSE)
+						this.update_license(RadioLicenseStatus.invalid());
+
+					return Promise.reject(RadioError.from_response(response, radio_model));
+				},
+				error =>
+				{
+					// full or drained request queue isn't the key's fault
+					if (pool !== null && !(error instanceof RadioConnectionError))
+						pool.record(params["key"], RadioErrors.ERROR_CONNECTION);
+
+					if (signal !== null && signal.aborted)
+						throw new RadioConnectionError(RadioErrors.ERROR_CONNECTION, "Request has been aborted", { "radio_model": radio_model, "cause": signal.reason });
+
+					// full or drained request queue
+					if (error instanceof RadioConnectionError)
+						throw new RadioConnectionError(error.error, error.message, { "radio_model": radio_model, "cause": error });
+
+					if (retry < this._policy["retries"] && RadioCodeCalculator.is_retryable(error))
+					{
+						this.emit("retry", details({ "error": RadioErrors.ERROR_CONNECTION, "cause": error }));
+
+						return this.backoff(retry, signal).then(() => attempt(retry + 1), () =>
+						{
+							throw new RadioConnectionError(RadioErrors.ERROR_CONNECTION, "Request has been aborted", { "radio_model": radio_model, "cause": signal.reason });
+						});
+					}
+
+					// default error -> only returned by the SDK
+					throw new RadioConnectionError(RadioErrors.ERROR_CONNECTION, null, { "radio_model": radio_model, "cause": error });
+				});
+		};
+
+		let params = null;
+		let admission = null;
+		let result = null;
+
+		if (request["cancelled"] !== null)
+			result = Promise.reject(new RadioConnectionError(RadioErrors.ERROR_CONNECTION, request["cancelled"], { "radio_model": radio_model }));
+		// add activation key to the parameters array
+		else if (api_key === null)
+		{
+			const message = pool === null ? "Activation key is not provided" : "All the activation keys from the pool have been rejected";
+
+			result = Promise.reject(new RadioLicenseError(RadioErrors.INVALID_LICENSE, message, { "radio_model": radio_model }));
+		}
+		// don't send the requests which are sure to fail (the login command is used to refresh the status, the pool tracks the health of its keys)
+		else if (this._license_policy["enforce"] && pool === null && request["params"]["command"] !== "login" && this.is_license_fresh() && this._license.is_expired())
+		{
+			// the license could have expired since the last check
+			this.report_invalid_license();
+
+			const message = `License has expired on ${this._license.expiration_date.toISOString().slice(0, 10)}`;
+
+			result = Promise.reject(new RadioLicenseError(RadioErrors.INVALID_LICENSE, message, { "radio_model": radio_model }));
+		}
+		else
 		{
-			// default error -> only returned by the SDK
-			let default_error = { "error": RadioErrors.ERROR_CONNECTION };
+			params = Object.assign({}, request["params"], { "key": api_key });
 
-			// add activation key to the parameters array
-			if (this._apiKey === null)
+			// drain() waits for the admitted request (including its retries)
+			if (this._rate_limiter !== null)
+				admission = this._rate_limiter.admit();
+
+			result = attempt(0);
+		}
+
+		const release = () =>
+		{
+			if (admission !== null)
+				this._rate_limiter.release(admission);
+		};
+
+		return result.then(response => { release(); return response; }, error =>
+		{
+			release();
+
+			for (const key of pool === null ? [ this._apiKey ] : pool.keys())
+				RadioCodeCalculator.redact_error(error, key);
+
+			this.emit("error", details({ "error": error["error"], "cause": error }));
+
+			throw error;
+		});
+	}
+
+	/**
+	 * Redact the activation key (only the last 4 characters are left)
+	 *
+	 * @param string|null api_key Activation key
+	 * @return string|null Redacted activation key
+	 */
+	static redact_key(api_key)
+	{
+		return RadioConfig.redact_key(api_key);
+	}
+
+	/**
+	 * Redact the activation key in the error messages & fields (including the causes),
+	 * e.g. when a custom transport includes the request parameters in its errors
+	 *
+	 * @param mixed error Rejected error
+	 * @param string|null api_key Activation key
+	 * @param int depth Current depth of the nested causes
+	 * @return mixed The same error
+	 */
+	static redact_error(error, api_key, depth = 0)
+	{
+		if (api_key === null || api_key === undefined || api_key === "" || error === null || typeof error !== "object" || depth > 4)
+			return error;
+
+		const redacted = RadioCodeCalculator.redact_key(api_key);
+
+		for (const [ field, descriptor ] of Object.entries(Object.getOwnPropertyDescriptors(error)))
+		{
+			const value = descriptor.value;
+
+			if (typeof value === "string" && value.includes(api_key) && descriptor.writable)
+				error[field] = value.split(api_key).join(redacted);
+			else if (value !== null && typeof value === "object" && (field === "cause" || field === "response" || field === "params"))
+				RadioCodeCalculator.redact_error(value, api_key, depth + 1);
+		}
+
+		return error;
+	}
+
+	/**
+	 * Number of the requests waiting in the rate limiter queue
+	 *
+	 * @return int Queue depth (always 0 without the rate limiter)
+	 */
+	queue_depth()
+	{
+		return this._rate_limiter === null ? 0 : this._rate_limiter.size();
+	}
+
+	/**
+	 * Stop accepting new requests & wait for the queued ones (use before the shutdown)
+	 *
+	 * @param object options Optional { cancel (reject the queued requests instead of sending them) }
+	 * @return Promise Resolved when all the queued & running requests are finished
+	 */
+	drain(options = {})
+	{
+		return this._rate_limiter === null ? Promise.resolve() : this._rate_limiter.drain(options);
+	}
+
+	/**
+	 * Send a single request attempt through the transport (with the policy timeout)
+	 *
+	 * @param object params Request parameters (including the activation key)
+	 * @param AbortSignal|null signal Caller's abort signal
+	 * @return Promise Decoded JSON response
+	 */
+	send_request(params, signal = null)
+	{
+		if (signal !== null && signal.aborted)
+			return Promise.reject(signal.reason);
+
+		// AbortController is missing on the old Node.js versions (the timed out requests aren't cancelled there)
+		const controller = typeof AbortController === "function" ? new AbortController() : null;
+		const timeout = this._policy["timeout"];
+
+		let timer = null;
+		let timed_out = false;
+		let reject = null;
+
+		// transports which don't support abort signals still have to time out
+		const aborted = new Promise((fulfilled, rejected) => { reject = rejected; });
+
+		const abort = () => controller === null ? reject(signal.reason) : controller.abort(signal.reason);
+
+		if (signal !== null)
+			signal.addEventListener("abort", abort);
+
+		if (controller !== null)
+			controller.signal.addEventListener("abort", () => reject(controller.signal.reason));
+
+		if (timeout > 0)
+			timer = setTimeout(() => { timed_out = true; controller === null ? reject(new Error("timeout")) : controller.abort(); }, timeout);
+
+		const cleanup = () =>
+		{
+			if (timer !== null)
+				clearTimeout(timer);
+
+			if (signal !== null)
+				signal.removeEventListener("abort", abort);
+		};
+
+		return Promise.race([ this._transport.send(this.API_URL, params, controller === null ? null : controller.signal), aborted ])
+		.then(response => { cleanup(); return response; }, error =>
+		{
+			cleanup();
+
+			throw timed_out ? new Error(`Request timed out after ${timeout} ms`) : error;
+		});
+	}
+
+	/**
+	 * Wait before the next retry (exponential backoff with jitter)
+	 *
+	 * @param int retry Retry number (starting from 0)
+	 * @param AbortSignal|null signal Caller's abort signal
+	 * @return Promise Resolved after the delay, rejected if aborted
+	 */
+	backoff(retry, signal = null)
+	{
+		const policy = this._policy;
+
+		let delay = Math.min(policy["backoff_max_delay"], policy["backoff_delay"] * Math.pow(policy["backoff_factor"], retry));
+
+		delay -= delay * policy["jitter"] * Math.random();
+
+		return new Promise((fulfilled, rejected) =>
+		{
+			if (signal !== null && signal.aborted)
 			{
-				rejected({ "error": RadioErrors.INVALID_LICENSE });
+				rejected(signal.reason);
 				return;
 			}
 
-			// przygotuj forme do zapytania POST
-			const form = new FormData();
+			const abort = () =>
+			{
+				clearTimeout(timer);
+				rejected(signal.reason);
+			};
 
-			// do parametrow dodaj klucz Web API
-			form.append("key", this._apiKey);
+			const timer = setTimeout(() =>
+			{
+				if (signal !== null)
+					signal.removeEventListener("abort", abort);
 
-			Object.keys(params_array).forEach(param => {
-				form.append(param, params_array[param]);
-			});
+				fulfilled();
+			}, delay);
 
-			fetch(this.API_URL, {
-				method: 'POST',
-				body: form,
-				headers: form.getHeaders()
-			})
-			.then(response => response.json())
-			.then(response => response['error'] == RadioErrors.SUCCESS ? fulfilled(response) : rejected(response))
-			.catch(error => {
-				default_error["error_message"] = error;
-				rejected(default_error);
-			});
+			if (signal !== null)
+				signal.addEventListener("abort", abort, { "once": true });
 		});
 	}
+
+	/**
+	 * Check if the failed request can be retried (transport failures & 5xx responses only)
+	 *
+	 * @param mixed error Transport error
+	 * @return bool True if the request can be retried
+	 */
+	static is_retryable(error)
+	{
+		if (error !== null && typeof error === "object" && typeof error["status"] === "number")
+			return error["status"] >= 500;
+
+		return true;
+	}
 }
@@ -0,0 +1,104 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculatorOptions } from "./RadioCodeCalculator.mjs";
+import { RadioRateLimiterOptions } from "./RadioRateLimiter.mjs";
+
+/**
+ * Name of the configuration setting
+ */
+export type RadioConfigSetting = "key" | "api_url" | "timeout" | "cache" | "rate_limit";
+
+/**
+ * Source of the configuration setting
+ */
+export type RadioConfigSource = "options" | "env" | "file";
+
+/**
+ * Results cache settings
+ */
+export interface RadioConfigCache
+{
+	ttl?: number;
+	max_entries?: number;
+
+	/** JSON file storing the results (default in-memory storage) */
+	file?: string;
+}
+
+/**
+ * RadioConfig.load() options
+ */
+export interface RadioConfigOptions
+{
+	key?: string | null;
+	api_url?: string | null;
+	timeout?: number | string | null;
+	cache?: boolean | number | string | RadioConfigCache | null;
+	rate_limit?: number | string | RadioRateLimiterOptions | false | null;
+
+	/** path to the config file or false to skip the config files */
+	config?: string | false;
+
+	/** environment variables (default process.env) */
+	env?: { [name: string]: string | undefined };
+
+	/** project directory (default current working directory) */
+	cwd?: string | null;
+
+	/** home directory */
+	home?: string | null;
+
+	/** validate the activation key format (default true) */
+	validate_key?: boolean;
+}
+
+/**
+ * Resolved configuration
+ */
+export declare class RadioConfig
+{
+	static ENV: { [setting in RadioConfigSetting | "config"]: string };
+	static CONFIG_FILES: string[];
+	static SETTINGS: RadioConfigSetting[];
+	static KEY_PATTERN: RegExp;
+
+	/** activation key (never serialized) */
+	key: string | null;
+
+	api_url: string | null;
+	timeout: number | null;
+	cache: true | RadioConfigCache | null;
+	rate_limit: RadioRateLimiterOptions | null;
+
+	/** path to the config file used */
+	file: string | null;
+
+	sources: { [setting in RadioConfigSetting]: RadioConfigSource | null };
+
+	constructor(settings?: Partial<Pick<RadioConfig, RadioConfigSetting | "file" | "sources">>);
+
+	static load(options?: RadioConfigOptions): RadioConfig;
+	static locate_file(options: RadioConfigOptions, env: { [name: string]: string | undefined }): string | null;
+	static read_file(file_path: string): { [setting: string]: unknown };
+	static parse(contents: string): { [setting: string]: unknown };
+	static parse_setting(name: RadioConfigSetting, value: unknown, origin: string): unknown;
+	static parse_flag(value: unknown): boolean | null;
+	static validate_key(key: string, origin?: string): void;
+	static redact_key(key: string | null | undefined): string | null;
+
+	calculator_options(): RadioCodeCalculatorOptions;
+	toJSON(): object;
+}
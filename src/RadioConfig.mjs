@@ -0,0 +1,456 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - configuration loader
+ *
+ * Resolves the activation key, the Web API endpoint & the default settings
+ * from the explicit options, environment variables and the config files,
+ * so the activation key doesn't have to be written in the source code.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPlatform } from "#radio-platform";
+
+import { RadioErrors, RadioError, RadioLicenseError } from "./RadioValidation.mjs";
+import { RadioFileStorage } from "./RadioStorage.mjs";
+import { RadioResultCache } from "./RadioResultCache.mjs";
+
+/**
+ * Resolved configuration
+ *
+ * Every setting is taken from the first source providing it:
+ *
+ * 1. explicit options
+ * 2. environment variables (RADIO_CODE_CALCULATOR_KEY, RADIO_CODE_CALCULATOR_API_URL etc.)
+ * 3. config file (RADIO_CODE_CALCULATOR_CONFIG or the first .radio-code-calculator.json
+ *    or .radio-code-calculatorrc file found in the project or the home directory)
+ *
+ * The activation key is never serialized or logged in full (see toJSON()).
+ *
+ * Usage:
+ *
+ * let config = RadioConfig.load();
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator(config.key, config.calculator_options());
+ *
+ */
+export class RadioConfig
+{
+	/**
+	 * @var object environment variables by the setting names
+	 */
+	static ENV = {
+		"key": "RADIO_CODE_CALCULATOR_KEY",
+		"api_url": "RADIO_CODE_CALCULATOR_API_URL",
+		"timeout": "RADIO_CODE_CALCULATOR_TIMEOUT",
+		"cache": "RADIO_CODE_CALCULATOR_CACHE",
+		"rate_limit": "RADIO_CODE_CALCULATOR_RATE_LIMIT",
+		"config": "RADIO_CODE_CALCULATOR_CONFIG"
+	};
+
+	/**
+	 * @var array config file names (in the order they are looked for)
+	 */
+	static CONFIG_FILES = [ ".radio-code-calculator.json", ".radio-code-calculatorrc" ];
+
+	/**
+	 * @var array names of the settings
+	 */
+	static SETTINGS = [ "key", "api_url", "timeout", "cache", "rate_limit" ];
+
+	/**
+	 * @var RegExp activation key format
+	 */
+	static KEY_PATTERN = /^[A-Z0-9]{4}(-[A-Z0-9]{4}){3}$/i;
+
+	/**
+	 * @var string|null activation key (non-enumerable, see the constructor)
+	 */
+	key = null;
+
+	/**
+	 * @var string|null Web API endpoint URL (null - default)
+	 */
+	api_url = null;
+
+	/**
+	 * @var int|null max. time of a single request attempt in milliseconds (null - default)
+	 */
+	timeout = null;
+
+	/**
+	 * @var bool|object|null results cache settings { ttl, max_entries, file } (true - default settings, null - disabled)
+	 */
+	cache = null;
+
+	/**
+	 * @var object|null rate limiter settings { requests, interval, burst, max_queue } (null - disabled)
+	 */
+	rate_limit = null;
+
+	/**
+	 * @var string|null path to the config file used
+	 */
+	file = null;
+
+	/**
+	 * @var object source of every setting ("options", "env", "file" or null if not set)
+	 */
+	sources = {};
+
+	/**
+	 * Initialize the configuration with the already resolved settings
+	 *
+	 * @param object settings Settings { key, api_url, timeout, cache, rate_limit, file, sources }
+	 */
+	constructor(settings = {})
+	{
+		// keep the activation key out of the console.log() & JSON.stringify() output
+		Object.defineProperty(this, "key", { "enumerable": false });
+
+		for (const name of RadioConfig.SETTINGS.concat([ "file" ]))
+			if (settings[name] !== undefined)
+				this[name] = settings[name];
+
+		this.sources = Object.assign({}, settings["sources"]);
+	}
+
+	/**
+	 * Resolve the configuration
+	 *
+	 * @param object options Optional { key, api_url, timeout, cache, rate_limit (explicit settings), config (path to the config file or false to skip the config files), env, cwd, home, validate_key (default true) }
+	 * @return RadioConfig Resolved configuration
+	 * @throws RadioError if the config file or a setting is invalid (RadioLicenseError for the invalid activation key format)
+	 */
+	static load(options = {})
+	{
+		const env = options["env"] === undefined ? RadioPlatform.env() : options["env"];
+
+		const file = RadioConfig.locate_file(options, env);
+		const file_settings = file === null ? {} : RadioConfig.read_file(file);
+
+		const settings = { "file": file, "sources": {} };
+
+		for (const name of RadioConfig.SETTINGS)
+		{
+			let value = null;
+			let source = null;
+
+			if (options[name] !== undefined && options[name] !== null)
+				[ value, source ] = [ options[name], "options" ];
+			else if (env[RadioConfig.ENV[name]] !== undefined && env[RadioConfig.ENV[name]] !== "")
+				[ value, source ] = [ env[RadioConfig.ENV[name]], "env" ];
+			else if (file_settings[name] !== undefined && file_settings[name] !== null)
+				[ value, source ] = [ file_settings[name], "file" ];
+
+			const origin = source === "env" ? `the ${RadioConfig.ENV[name]} environment variable` : source === "file" ? `the config file "${file}"` : "the options";
+
+			settings[name] = value === null ? null : RadioConfig.parse_setting(name, value, origin);
+			settings["sources"][name] = settings[name] === null ? null : source;
+		}
+
+		if (settings["key"] !== null && options["validate_key"] !== false)
+			RadioConfig.validate_key(settings["key"], settings["sources"]["key"] === "env" ? `the ${RadioConfig.ENV["key"]} environment variable` : settings["sources"]["key"] === "file" ? `the config file "${file}"` : "the options");
+
+		return new RadioConfig(settings);
+	}
+
+	/**
+	 * Find the config file (explicit path, environment variable, the project directory or the home directory)
+	 *
+	 * @param object options Optional { config, cwd, home }
+	 * @param object env Environment variables
+	 * @return string|null Path to the config file or null if there is none
+	 */
+	static locate_file(options, env)
+	{
+		if (options["config"] === false)
+			return null;
+
+		if (typeof options["config"] === "string")
+			return options["config"];
+
+		if (env[RadioConfig.ENV["config"]] !== undefined && env[RadioConfig.ENV["config"]] !== "")
+			return env[RadioConfig.ENV["config"]];
+
+		const fs = RadioPlatform.fs;
+
+		if (fs === null)
+			return null;
+
+		const directories = [ options["cwd"] === undefined ? fs.cwd() : options["cwd"], options["home"] === undefined ? fs.home_dir() : options["home"] ];
+
+		for (const directory of directories.filter(directory => directory !== null))
+			for (const file_name of RadioConfig.CONFIG_FILES)
+			{
+				const file_path = fs.join(directory, file_name);
+
+				try
+				{
+					fs.read_file_sync(file_path);
+					return file_path;
+				}
+				catch (error)
+				{
+				}
+			}
+
+		return null;
+	}
+
+	/**
+	 * Read the settings from the config file (JSON or RC file with the "name = value" lines)
+	 *
+	 * @param string file_path Path to the config file
+	 * @return object Settings from the config file
+	 * @throws RadioError if the file cannot be read or parsed
+	 */
+	static read_file(file_path)
+	{
+		if (RadioPlatform.fs === null)
+			throw new RadioError(RadioErrors.INVALID_INPUT, `Config files are not supported on the ${RadioPlatform.name} platform`);
+
+		try
+		{
+			return RadioConfig.parse(RadioPlatform.fs.read_file_sync(file_path));
+		}
+		catch (error)
+		{
+			throw new RadioError(RadioErrors.INVALID_INPUT, `Cannot read the config file "${file_path}" (${error.message})`, { "cause": error });
+		}
+	}
+
+	/**
+	 * Parse the config file contents
+	 *
+	 * The RC files contain either JSON or the "name = value" lines (comments start with # or ;).
+	 *
+	 * @param string contents Config file contents
+	 * @return object Settings
+	 * @throws SyntaxError if the contents are invalid
+	 */
+	static parse(contents)
+	{
+		const text = contents.replace(/^\uFEFF/, "");
+
+		if (text.trim().startsWith("{"))
+		{
+			const settings = JSON.parse(text);
+
+			if (settings === null || typeof settings !== "object" || Array.isArray(settings))
+				throw new SyntaxError("JSON object expected");
+
+			return settings;
+		}
+
+		const settings = {};
+
+		text.split(/\r?\n/).forEach((line, index) =>
+		{
+			if (/^\s*([#;].*)?$/.test(line))
+				return;
+
+			const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+
+			if (match === null)
+				throw new SyntaxError(`Invalid line ${index + 1}`);
+
+			// optional quotes
+			settings[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+		});
+
+		return settings;
+	}
+
+	/**
+	 * Convert the setting value (the environment variables & RC files hold the strings)
+	 *
+	 * @param string name Setting name
+	 * @param mixed value Setting value
+	 * @param string origin Description of the setting source (for the error messages)
+	 * @return mixed Parsed value (null - disabled)
+	 * @throws RadioError if the value is invalid
+	 */
+	static parse_setting(name, value, origin)
+	{
+		const invalid = (expected) => new RadioError(RadioErrors.INVALID_INPUT, `Invalid "${name}" setting in ${origin} (${expected})`);
+
+		switch (name)
+		{
+		case "key":
+			return String(value).trim();
+
+		case "api_url":
+			if (typeof value !== "string" || !/^https?:\/\/\S+$/i.test(value.trim()))
+				throw invalid("http:// or https:// URL expected");
+
+			return value.trim();
+
+		case "timeout":
+		{
+			const timeout = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+			if (!Number.isInteger(timeout) || timeout < 0)
+				throw invalid("number of milliseconds expected");
+
+			return timeout;
+		}
+
+		case "cache":
+		{
+			if (value !== null && typeof value === "object" && !Array.isArray(value))
+				return Object.assign({}, value);
+
+			const flag = RadioConfig.parse_flag(value);
+
+			if (flag !== null)
+				return flag ? true : null;
+
+			// time to live in milliseconds
+			const ttl = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+			if (Number.isInteger(ttl) && ttl > 0)
+				return { "ttl": ttl };
+
+			throw invalid("true, false, time to live in milliseconds or { ttl, max_entries, file } expected");
+		}
+
+		case "rate_limit":
+		{
+			if (value !== null && typeof value === "object" && !Array.isArray(value))
+				return Object.assign({}, value);
+
+			if (RadioConfig.parse_flag(value) === false)
+				return null;
+
+			// "requests" per second or "requests/interval"
+			const match = /^\s*(\d+)\s*(?:\/\s*(\d+)\s*)?$/.exec(String(value));
+
+			if (match === null || Number(match[1]) === 0 || (match[2] !== undefined && Number(match[2]) === 0))
+				throw invalid("number of requests per second, \"requests/interval\" or { requests, interval, burst, max_queue } expected");
+
+			return { "requests": Number(match[1]), "interval": match[2] === undefined ? 1000 : Number(match[2]) };
+		}
+		}
+
+		return value;
+	}
+
+	/**
+	 * Parse the boolean flag
+	 *
+	 * @param mixed value Flag value (true, false, "1", "0", "yes", "no", "on", "off")
+	 * @return bool|null Flag or null if it's not a flag
+	 */
+	static parse_flag(value)
+	{
+		if (value === true || value === false)
+			return value;
+
+		if (typeof value !== "string")
+			return null;
+
+		switch (value.trim().toLowerCase())
+		{
+		case "1": case "true": case "yes": case "on": return true;
+		case "0": case "false": case "no": case "off": return false;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Validate the activation key format
+	 *
+	 * @param string key Activation key
+	 * @param string origin Description of the key source (for the error messages)
+	 * @throws RadioLicenseError if the format is invalid (the key itself isn't included in the message)
+	 */
+	static validate_key(key, origin = "the options")
+	{
+		if (!RadioConfig.KEY_PATTERN.test(key))
+			throw new RadioLicenseError(RadioErrors.INVALID_LICENSE, `Invalid activation key format in ${origin} (expected XXXX-XXXX-XXXX-XXXX)`);
+	}
+
+	/**
+	 * Redact the activation key (only the last 4 characters are left)
+	 *
+	 * @param string|null key Activation key
+	 * @return string|null Redacted activation key
+	 */
+	static redact_key(key)
+	{
+		if (key === null || key === undefined)
+			return null;
+
+		const value = String(key);
+		const visible = value.length > 8 ? 4 : 0;
+
+		return value.slice(0, value.length - visible).replace(/[^-]/g, "*") + value.slice(value.length - visible);
+	}
+
+	/**
+	 * Options for the RadioCodeCalculator constructor
+	 *
+	 * @return object Options { api_url, policy, cache, rate_limit } (only the configured ones)
+	 */
+	calculator_options()
+	{
+		const options = {};
+
+		if (this.api_url !== null)
+			options["api_url"] = this.api_url;
+
+		if (this.timeout !== null)
+			options["policy"] = { "timeout": this.timeout };
+
+		if (this.cache !== null)
+		{
+			const settings = this.cache === true ? {} : Object.assign({}, this.cache);
+
+			// results stored in a JSON file
+			if (settings["file"] !== undefined)
+			{
+				settings["storage"] = new RadioFileStorage(settings["file"]);
+				delete settings["file"];
+			}
+
+			options["cache"] = new RadioResultCache(settings);
+		}
+
+		if (this.rate_limit !== null)
+			options["rate_limit"] = Object.assign({}, this.rate_limit);
+
+		return options;
+	}
+
+	/**
+	 * Plain object representation with the redacted activation key (for JSON.stringify())
+	 *
+	 * @return object Configuration
+	 */
+	toJSON()
+	{
+		return {
+			"key": RadioConfig.redact_key(this.key),
+			"api_url": this.api_url,
+			"timeout": this.timeout,
+			"cache": this.cache,
+			"rate_limit": this.rate_limit,
+			"file": this.file,
+			"sources": Object.assign({}, this.sources)
+		};
+	}
+}
@@ -0,0 +1,29 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * CSV parsing & formatting (RFC 4180)
+ */
+export declare class RadioCsv
+{
+	static DELIMITERS: string[];
+	static FORMULA_PREFIXES: string[];
+
+	static detect_delimiter(text: string): string;
+	static parse(text: string, delimiter?: string | null): string[][];
+	static escape(value: unknown, delimiter?: string): string;
+	static format_row(values: unknown[], delimiter?: string): string;
+	static format(rows: { [column: string]: unknown }[], columns: string[], delimiter?: string): string;
+}
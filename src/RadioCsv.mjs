@@ -0,0 +1,205 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - CSV helpers
+ *
+ * Minimal RFC 4180 CSV parsing & formatting used by the imports & exports.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * CSV parsing & formatting (RFC 4180)
+ */
+export class RadioCsv
+{
+	/**
+	 * @var array delimiters recognized by detect_delimiter()
+	 */
+	static DELIMITERS = [ ",", ";", "\t" ];
+
+	/**
+	 * @var array first characters of the values run as formulas by the spreadsheets
+	 */
+	static FORMULA_PREFIXES = [ "=", "+", "-", "@" ];
+
+	/**
+	 * Detect the values delimiter from the first line (spreadsheets often use semicolons or tabs)
+	 *
+	 * @param string text CSV contents
+	 * @return string The most frequent delimiter outside the quoted values (comma by default)
+	 */
+	static detect_delimiter(text)
+	{
+		const counts = new Map(RadioCsv.DELIMITERS.map(delimiter => [ delimiter, 0 ]));
+
+		let quoted = false;
+
+		for (const character of text)
+		{
+			if (character === '"')
+				quoted = !quoted;
+			else if (!quoted && (character === "\n" || character === "\r"))
+				break;
+			else if (!quoted && counts.has(character))
+				counts.set(character, counts.get(character) + 1);
+		}
+
+		let detected = ",";
+
+		counts.forEach((count, delimiter) => {
+			if (count > counts.get(detected))
+				detected = delimiter;
+		});
+
+		return detected;
+	}
+
+	/**
+	 * Parse the CSV contents
+	 *
+	 * Quoted values can contain delimiters, quotes ("") and line breaks, the UTF-8
+	 * BOM and the empty lines are skipped.
+	 *
+	 * @param string text CSV contents
+	 * @param string|null delimiter Values delimiter (null - detect)
+	 * @return array List of rows (arrays of strings)
+	 */
+	static parse(text, delimiter = null)
+	{
+		if (text.charCodeAt(0) === 0xFEFF)
+			text = text.slice(1);
+
+		if (delimiter === null)
+			delimiter = RadioCsv.detect_delimiter(text);
+
+		const rows = [];
+
+		let row = [];
+		let value = "";
+		let quoted = false;
+		let empty = true;
+
+		const end_row = () =>
+		{
+			row.push(value);
+
+			if (!empty)
+				rows.push(row);
+
+			row = [];
+			value = "";
+			empty = true;
+		};
+
+		for (let i = 0; i < text.length; i++)
+		{
+			const character = text[i];
+
+			if (quoted)
+			{
+				if (character !== '"')
+					value += character;
+				else if (text[i + 1] === '"')
+					value += text[++i];
+				else
+					quoted = false;
+
+				continue;
+			}
+
+			if (character === '"')
+			{
+				quoted = true;
+				empty = false;
+			}
+			else if (character === delimiter)
+			{
+				row.push(value);
+				value = "";
+				empty = false;
+			}
+			else if (character === "\n" || character === "\r")
+			{
+				if (character === "\r" && text[i + 1] === "\n")
+					i++;
+
+				end_row();
+			}
+			else
+			{
+				value += character;
+				empty = false;
+			}
+		}
+
+		end_row();
+
+		return rows;
+	}
+
+	/**
+	 * Escape a single CSV value (quoted only when needed)
+	 *
+	 * The values which could be run as formulas by the spreadsheets (CSV injection)
+	 * are prefixed with an apostrophe, so they're displayed as text (the numbers like
+	 * the negative error codes are left as they are).
+	 *
+	 * @param mixed value Value (null & undefined are written as empty values)
+	 * @param string delimiter Values delimiter
+	 * @return string Escaped value
+	 */
+	static escape(value, delimiter = ",")
+	{
+		let text = value === null || value === undefined ? "" : String(value);
+
+		if (RadioCsv.FORMULA_PREFIXES.includes(text.charAt(0)) && !/^[+-]?[0-9]+(\.[0-9]+)?$/.test(text))
+			text = "'" + text;
+
+		if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim())
+			return '"' + text.replace(/"/g, '""') + '"';
+
+		return text;
+	}
+
+	/**
+	 * Format a single CSV row
+	 *
+	 * @param array values Row values
+	 * @param string delimiter Values delimiter
+	 * @return string CSV row (without the line ending)
+	 */
+	static format_row(values, delimiter = ",")
+	{
+		return values.map(value => RadioCsv.escape(value, delimiter)).join(delimiter);
+	}
+
+	/**
+	 * Format the objects as CSV with a header row
+	 *
+	 * @param array rows List of objects
+	 * @param array columns Column names (object properties)
+	 * @param string delimiter Values delimiter
+	 * @return string CSV contents
+	 */
+	static format(rows, columns, delimiter = ",")
+	{
+		const lines = [ RadioCsv.format_row(columns, delimiter) ];
+
+		for (const row of rows)
+			lines.push(RadioCsv.format_row(columns.map(column => row[column]), delimiter));
+
+		return lines.join("\r\n") + "\r\n";
+	}
+}
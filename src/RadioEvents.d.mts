@@ -0,0 +1,29 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * Listener arguments of the event
+ */
+export type RadioEventArgs<Events, Event extends keyof Events> = Events[Event] extends unknown[] ? Events[Event] : never;
+
+/**
+ * Event emitter base class (Events maps the event names to their listener arguments)
+ */
+export declare class RadioEvents<Events extends object = Record<string, unknown[]>>
+{
+	on<Event extends keyof Events>(event: Event, listener: (...args: RadioEventArgs<Events, Event>) => void): this;
+	off<Event extends keyof Events>(event: Event, listener: (...args: RadioEventArgs<Events, Event>) => void): this;
+	emit<Event extends keyof Events>(event: Event, ...args: RadioEventArgs<Events, Event>): boolean;
+}
@@ -0,0 +1,92 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - event emitter
+ *
+ * Minimal event emitter shared by the classes reporting their events
+ * (it works the same way in Node.js, the browsers & the edge runtimes).
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * Event emitter base class
+ *
+ * The listeners are called synchronously in the registration order, the errors
+ * thrown by the listeners are ignored (they mustn't break the emitting class).
+ */
+export class RadioEvents
+{
+	/**
+	 * @var object event listeners by the event names
+	 */
+	_listeners = {};
+
+	/**
+	 * Add the event listener
+	 *
+	 * @param string event Event name
+	 * @param function listener Event listener
+	 * @return RadioEvents This instance (for chaining)
+	 */
+	on(event, listener)
+	{
+		if (this._listeners[event] === undefined)
+			this._listeners[event] = [];
+
+		this._listeners[event].push(listener);
+
+		return this;
+	}
+
+	/**
+	 * Remove the event listener
+	 *
+	 * @param string event Event name
+	 * @param function listener Event listener
+	 * @return RadioEvents This instance (for chaining)
+	 */
+	off(event, listener)
+	{
+		if (this._listeners[event] !== undefined)
+			this._listeners[event] = this._listeners[event].filter(registered => registered !== listener);
+
+		return this;
+	}
+
+	/**
+	 * Call the event listeners
+	 *
+	 * @param string event Event name
+	 * @param array args Event arguments
+	 * @return bool True if there were any listeners
+	 */
+	emit(event, ...args)
+	{
+		const listeners = this._listeners[event] === undefined ? [] : this._listeners[event].slice();
+
+		for (const listener of listeners)
+		{
+			try
+			{
+				listener(...args);
+			}
+			catch (error)
+			{
+			}
+		}
+
+		return listeners.length > 0;
+	}
+}
@@ -0,0 +1,103 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioCalcOptions, RadioBatchJob, RadioBatchResult } from "./RadioCodeCalculator.mjs";
+import { RadioEvents } from "./RadioEvents.mjs";
+
+/**
+ * State of the bulk calculation job
+ */
+export type RadioJobState = "pending" | "running" | "paused" | "cancelled" | "done";
+
+/**
+ * Optional RadioJob settings
+ */
+export interface RadioJobOptions extends RadioCalcOptions
+{
+	/** max. number of simultaneous Web API requests */
+	concurrency?: number;
+
+	/** cancels the job when aborted */
+	signal?: AbortSignal;
+}
+
+/**
+ * Progress of the bulk calculation job
+ */
+export interface RadioJobProgress
+{
+	state: RadioJobState;
+	total: number;
+
+	/** number of the processed jobs (succeeded & failed) */
+	done: number;
+	succeeded: number;
+	failed: number;
+	remaining: number;
+
+	/** number of the running requests */
+	running: number;
+
+	/** time spent processing in milliseconds (without the pauses) */
+	elapsed: number;
+
+	/** estimated time remaining in milliseconds (null if unknown) */
+	eta: number | null;
+}
+
+/**
+ * RadioJob events & their listener arguments
+ */
+export interface RadioJobEvents<Job extends RadioBatchJob = RadioBatchJob>
+{
+	progress: [ progress: RadioJobProgress ];
+	result: [ result: RadioBatchResult<Job> ];
+	paused: [ progress: RadioJobProgress ];
+	resumed: [ progress: RadioJobProgress ];
+	cancelled: [ progress: RadioJobProgress ];
+	done: [ progress: RadioJobProgress ];
+}
+
+/**
+ * Bulk calculation job
+ */
+export declare class RadioJob<Job extends RadioBatchJob = RadioBatchJob> extends RadioEvents<RadioJobEvents<Job>> implements AsyncIterable<RadioBatchResult<Job>>
+{
+	static STATE_PENDING: "pending";
+	static STATE_RUNNING: "running";
+	static STATE_PAUSED: "paused";
+	static STATE_CANCELLED: "cancelled";
+	static STATE_DONE: "done";
+
+	constructor(calculator: RadioCodeCalculator, jobs: Job[], options?: RadioJobOptions);
+
+	state(): RadioJobState;
+	is_finished(): boolean;
+	progress(): RadioJobProgress;
+	results(): (RadioBatchResult<Job> | null)[];
+
+	start(): Promise<(RadioBatchResult<Job> | null)[]>;
+	worker(): Promise<void>;
+	complete(index: number, result: RadioBatchResult<Job>): void;
+	finish(): (RadioBatchResult<Job> | null)[];
+	notify(): void;
+
+	pause(): this;
+	resume(): this;
+	cancel(reason?: unknown): this;
+	release(): void;
+
+	[Symbol.asyncIterator](): AsyncIterableIterator<RadioBatchResult<Job>>;
+}
@@ -0,0 +1,537 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - bulk calculation jobs
+ *
+ * Long-running calculation of multiple radio codes with the progress events,
+ * pause, resume & cancellation, consumable as an async iterator of results.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrors, RadioConnectionError } from "./RadioValidation.mjs";
+import { RadioEvents } from "./RadioEvents.mjs";
+
+/**
+ * Bulk calculation job
+ *
+ * The radio codes are calculated with at most `concurrency` requests running at once
+ * (every job is validated offline first, just like in calc_batch()). The failed jobs
+ * don't stop the processing, each result holds its own error code.
+ *
+ * Pausing lets the running requests finish & doesn't start the new ones, cancelling
+ * (with cancel() or the `signal` option) aborts the running requests as well. The
+ * jobs interrupted by the cancellation are not reported.
+ *
+ * Usage:
+ *
+ * let job = myRadioCodeCalculator.calc_job([ { "radio_model": RadioModels.FORD_M_SERIES, "serial": "123456" }, ... ]);
+ *
+ * job.on("progress", (progress) => console.log(`${progress.done} / ${progress.total}, ETA ${progress.eta} ms`));
+ *
+ * for await (const result of job)
+ *     console.log(result["job"]["serial"] + " - " + result["code"]);
+ *
+ * Events:
+ *
+ * progress - (progress) a job has been processed (see progress())
+ * result - (result) a job has been processed, in { job, error, code, response } format
+ * paused - (progress) the job has been paused
+ * resumed - (progress) the job has been resumed
+ * cancelled - (progress) the job has been cancelled
+ * done - (progress) the job has finished (all the jobs processed or cancelled)
+ *
+ */
+export class RadioJob extends RadioEvents
+{
+	/**
+	 * @var string job has not been started yet
+	 */
+	static STATE_PENDING = "pending";
+
+	/**
+	 * @var string job is running
+	 */
+	static STATE_RUNNING = "running";
+
+	/**
+	 * @var string job has been paused (the running requests can still finish)
+	 */
+	static STATE_PAUSED = "paused";
+
+	/**
+	 * @var string job has been cancelled
+	 */
+	static STATE_CANCELLED = "cancelled";
+
+	/**
+	 * @var string all the jobs have been processed
+	 */
+	static STATE_DONE = "done";
+
+	/**
+	 * @var RadioCodeCalculator Radio Code Calculator API class instance
+	 */
+	_calculator = null;
+
+	/**
+	 * @var array jobs in { radio_model, serial, extra } format
+	 */
+	_jobs = [];
+
+	/**
+	 * @var int max. number of simultaneous Web API requests
+	 */
+	_concurrency = 4;
+
+	/**
+	 * @var object calc() settings { priority, bypass_cache, normalize, user }
+	 */
+	_calc_options = {};
+
+	/**
+	 * @var AbortSignal|null caller's abort signal (cancels the job)
+	 */
+	_signal = null;
+
+	/**
+	 * @var AbortController|null controller aborting the running requests on cancellation (null if AbortController isn't supported)
+	 */
+	_controller = null;
+
+	/**
+	 * @var string current state
+	 */
+	_state = RadioJob.STATE_PENDING;
+
+	/**
+	 * @var array results in the jobs order (null - not processed)
+	 */
+	_results = [];
+
+	/**
+	 * @var array results in the order they were completed
+	 */
+	_completed = [];
+
+	/**
+	 * @var array indexes of the jobs waiting to be processed
+	 */
+	_queue = [];
+
+	/**
+	 * @var int number of the running requests
+	 */
+	_running = 0;
+
+	/**
+	 * @var int number of the failed jobs
+	 */
+	_failed = 0;
+
+	/**
+	 * @var int|null start time (milliseconds since epoch)
+	 */
+	_started_at = null;
+
+	/**
+	 * @var int|null end time (milliseconds since epoch)
+	 */
+	_finished_at = null;
+
+	/**
+	 * @var int|null time the job has been paused at
+	 */
+	_paused_at = null;
+
+	/**
+	 * @var int total time spent paused in milliseconds
+	 */
+	_paused_time = 0;
+
+	/**
+	 * @var Promise|null job results (once started)
+	 */
+	_finished = null;
+
+	/**
+	 * @var array callbacks waiting for the resume() or cancel()
+	 */
+	_resumers = [];
+
+	/**
+	 * @var array callbacks waiting for the next result (async iterators)
+	 */
+	_waiters = [];
+
+	/**
+	 * @var function|null abort signal listener
+	 */
+	_abort = null;
+
+	/**
+	 * Initialize the job
+	 *
+	 * @param RadioCodeCalculator calculator Radio Code Calculator API class instance
+	 * @param array jobs A list of jobs in { radio_model, serial, extra } format
+	 * @param object options Optional { concurrency, signal (cancels the job), priority, bypass_cache, normalize, user }
+	 */
+	constructor(calculator, jobs, options = {})
+	{
+		super();
+
+		this._calculator = calculator;
+		this._jobs = jobs.slice();
+
+		if (options["concurrency"] !== undefined)
+			this._concurrency = Math.max(1, options["concurrency"]);
+
+		if (options["signal"] !== undefined && options["signal"] !== null)
+			this._signal = options["signal"];
+
+		this._calc_options = Object.assign({}, options);
+
+		delete this._calc_options["concurrency"];
+		delete this._calc_options["signal"];
+
+		this._controller = typeof AbortController === "function" ? new AbortController() : null;
+		this._results = new Array(this._jobs.length).fill(null);
+	}
+
+	/**
+	 * Current state of the job
+	 *
+	 * @return string One of the RadioJob.STATE_* values
+	 */
+	state()
+	{
+		return this._state;
+	}
+
+	/**
+	 * Check if the job has finished (done or cancelled)
+	 *
+	 * @return bool True if finished
+	 */
+	is_finished()
+	{
+		return this._finished_at !== null;
+	}
+
+	/**
+	 * Current progress of the job
+	 *
+	 * The estimated time is based on the average time per job so far (the time spent
+	 * paused isn't counted).
+	 *
+	 * @return object { state, total, done, succeeded, failed, remaining, running, elapsed (ms), eta (ms, null if unknown) }
+	 */
+	progress()
+	{
+		const total = this._jobs.length;
+		const done = this._completed.length;
+		const remaining = total - done;
+
+		let elapsed = 0;
+
+		if (this._started_at !== null)
+		{
+			const now = this._finished_at === null ? Date.now() : this._finished_at;
+
+			elapsed = now - this._started_at - this._paused_time - (this._paused_at === null ? 0 : now - this._paused_at);
+		}
+
+		let eta = null;
+
+		if (remaining === 0)
+			eta = 0;
+		else if (done > 0 && !this.is_finished())
+			eta = Math.round(elapsed / done * remaining);
+
+		return {
+			"state": this._state,
+			"total": total,
+			"done": done,
+			"succeeded": done - this._failed,
+			"failed": this._failed,
+			"remaining": remaining,
+			"running": this._running,
+			"elapsed": elapsed,
+			"eta": eta
+		};
+	}
+
+	/**
+	 * Results processed so far
+	 *
+	 * @return array Results in { job, error, code, response } format, in the jobs order (null - not processed)
+	 */
+	results()
+	{
+		return this._results.slice();
+	}
+
+	/**
+	 * Start processing the jobs (subsequent calls return the same Promise)
+	 *
+	 * The returned Promise is never rejected because of a failed job or the cancellation.
+	 *
+	 * @return Promise Results in { job, error, code, response } format, in the jobs order (null - not processed because of the cancellation)
+	 */
+	start()
+	{
+		if (this._finished !== null)
+			return this._finished;
+
+		this._started_at = Date.now();
+		this._queue = this._jobs.map((job, index) => index);
+
+		if (this._state === RadioJob.STATE_PENDING)
+			this._state = RadioJob.STATE_RUNNING;
+
+		if (this._signal !== null)
+		{
+			if (this._signal.aborted)
+				this.cancel(this._signal.reason);
+			else
+			{
+				this._abort = () => this.cancel(this._signal.reason);
+				this._signal.addEventListener("abort", this._abort, { "once": true });
+			}
+		}
+
+		const workers = [];
+		const workers_count = Math.min(this._concurrency, this._jobs.length);
+
+		for (let i = 0; i < workers_count; i++)
+			workers.push(this.worker());
+
+		this._finished = Promise.all(workers).then(() => this.finish());
+
+		return this._finished;
+	}
+
+	/**
+	 * Take the next job from the queue until there's nothing left or the job is cancelled
+	 *
+	 * @return Promise Resolved when the worker has finished
+	 */
+	worker()
+	{
+		if (this._state === RadioJob.STATE_CANCELLED || this._queue.length === 0)
+			return Promise.resolve();
+
+		if (this._state === RadioJob.STATE_PAUSED)
+			return new Promise(fulfilled => this._resumers.push(fulfilled)).then(() => this.worker());
+
+		const index = this._queue.shift();
+		const options = Object.assign({}, this._calc_options);
+
+		if (this._controller !== null)
+			options["signal"] = this._controller.signal;
+
+		this._running++;
+
+		// calc_batch() validates the job offline & is never rejected
+		return this._calculator.calc_batch([ this._jobs[index] ], 1, options).then(([ result ]) =>
+		{
+			this._running--;
+
+			// the requests aborted by the cancellation are not reported
+			if (this._state === RadioJob.STATE_CANCELLED && result["error"] === RadioErrors.ERROR_CONNECTION)
+				return;
+
+			this.complete(index, result);
+
+			return this.worker();
+		});
+	}
+
+	/**
+	 * Record the processed job & notify the listeners
+	 *
+	 * @param int index Job index
+	 * @param object result Result in { job, error, code, response } format
+	 */
+	complete(index, result)
+	{
+		this._results[index] = result;
+		this._completed.push(result);
+
+		if (result["error"] !== RadioErrors.SUCCESS)
+			this._failed++;
+
+		this.emit("result", result);
+		this.emit("progress", this.progress());
+
+		this.notify();
+	}
+
+	/**
+	 * Finish the job (all the workers are done)
+	 *
+	 * @return array Results in the jobs order
+	 */
+	finish()
+	{
+		if (this._state !== RadioJob.STATE_CANCELLED)
+			this._state = RadioJob.STATE_DONE;
+
+		if (this._abort !== null)
+			this._signal.removeEventListener("abort", this._abort);
+
+		this._finished_at = Date.now();
+
+		this.emit("done", this.progress());
+
+		this.notify();
+
+		return this.results();
+	}
+
+	/**
+	 * Wake up the async iterators waiting for the next result
+	 */
+	notify()
+	{
+		const waiters = this._waiters;
+
+		this._waiters = [];
+
+		waiters.forEach(waiter => waiter());
+	}
+
+	/**
+	 * Pause the job (the running requests finish, no new requests are sent)
+	 *
+	 * @return RadioJob This instance (for chaining)
+	 */
+	pause()
+	{
+		if (this._state !== RadioJob.STATE_RUNNING && this._state !== RadioJob.STATE_PENDING)
+			return this;
+
+		this._state = RadioJob.STATE_PAUSED;
+		this._paused_at = Date.now();
+
+		this.emit("paused", this.progress());
+
+		return this;
+	}
+
+	/**
+	 * Resume the paused job
+	 *
+	 * @return RadioJob This instance (for chaining)
+	 */
+	resume()
+	{
+		if (this._state !== RadioJob.STATE_PAUSED)
+			return this;
+
+		this._state = this._started_at === null ? RadioJob.STATE_PENDING : RadioJob.STATE_RUNNING;
+		this._paused_time += Date.now() - this._paused_at;
+		this._paused_at = null;
+
+		this.release();
+
+		this.emit("resumed", this.progress());
+
+		return this;
+	}
+
+	/**
+	 * Cancel the job & abort the running requests
+	 *
+	 * @param mixed reason Cancellation reason (passed to the aborted requests)
+	 * @return RadioJob This instance (for chaining)
+	 */
+	cancel(reason = undefined)
+	{
+		if (this._state === RadioJob.STATE_CANCELLED || this.is_finished())
+			return this;
+
+		if (this._paused_at !== null)
+		{
+			this._paused_time += Date.now() - this._paused_at;
+			this._paused_at = null;
+		}
+
+		this._state = RadioJob.STATE_CANCELLED;
+
+		if (this._controller !== null)
+			this._controller.abort(reason === undefined ? new RadioConnectionError(RadioErrors.ERROR_CONNECTION, "Job has been cancelled") : reason);
+
+		// the paused workers have to finish
+		this.release();
+
+		this.emit("cancelled", this.progress());
+
+		// not started yet
+		if (this._started_at === null)
+			this.start();
+
+		return this;
+	}
+
+	/**
+	 * Let the paused workers continue
+	 */
+	release()
+	{
+		const resumers = this._resumers;
+
+		this._resumers = [];
+
+		resumers.forEach(resumer => resumer());
+	}
+
+	/**
+	 * Async iterator of the results in the order they are completed (starts the job)
+	 *
+	 * Leaving the `for await` loop early cancels the job.
+	 *
+	 * @return object Async iterator
+	 */
+	[Symbol.asyncIterator]()
+	{
+		let position = 0;
+
+		this.start();
+
+		const iterator = {
+			"next": () =>
+			{
+				if (position < this._completed.length)
+					return Promise.resolve({ "value": this._completed[position++], "done": false });
+
+				if (this.is_finished())
+					return Promise.resolve({ "value": undefined, "done": true });
+
+				return new Promise(fulfilled => this._waiters.push(fulfilled)).then(() => iterator.next());
+			},
+
+			"return": () =>
+			{
+				this.cancel();
+
+				return Promise.resolve({ "value": undefined, "done": true });
+			},
+
+			[Symbol.asyncIterator]: () => iterator
+		};
+
+		return iterator;
+	}
+}
@@ -0,0 +1,87 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrorCode } from "./RadioValidation.mjs";
+
+/**
+ * Key selection strategy
+ */
+export type RadioKeyPoolStrategy = "round_robin" | "priority";
+
+/**
+ * Activation key of the pool with its settings
+ */
+export interface RadioKeyPoolKey
+{
+	key: string;
+
+	/** name shown in the statistics (defaults to the redacted key) */
+	name?: string;
+
+	/** keys with the higher priority are used first (the "priority" strategy) */
+	priority?: number;
+}
+
+/**
+ * RadioKeyPool settings
+ */
+export interface RadioKeyPoolOptions
+{
+	strategy?: RadioKeyPoolStrategy;
+
+	/** time after which the unhealthy keys are tried again in milliseconds (0 - never) */
+	recheck_after?: number;
+}
+
+/**
+ * Health & usage statistics of a single activation key
+ */
+export interface RadioKeyStats
+{
+	/** redacted activation key */
+	key: string;
+	name: string;
+	priority: number;
+	healthy: boolean;
+	unhealthy_since: Date | null;
+	requests: number;
+	succeeded: number;
+	failed: number;
+	last_error: RadioErrorCode | null;
+	last_used: Date | null;
+}
+
+/**
+ * Pool of activation keys with the health & usage statistics
+ */
+export declare class RadioKeyPool
+{
+	static STRATEGY_ROUND_ROBIN: "round_robin";
+	static STRATEGY_PRIORITY: "priority";
+	static DEFAULT_RECHECK_AFTER: number;
+
+	constructor(keys: (string | RadioKeyPoolKey)[], options?: RadioKeyPoolOptions);
+
+	size(): number;
+	keys(): string[];
+	entry(key: string): RadioKeyStats | null;
+	is_available(entry: RadioKeyStats, now?: number): boolean;
+	select(exclude?: string[]): string | null;
+	record(key: string, error: RadioErrorCode): void;
+	mark_unhealthy(key: string): this;
+	mark_healthy(key: string): this;
+	stats(): RadioKeyStats[];
+	toJSON(): { strategy: RadioKeyPoolStrategy, recheck_after: number, keys: RadioKeyStats[] };
+}
@@ -0,0 +1,299 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - pool of activation keys
+ *
+ * Distributes the requests between multiple activation keys (round-robin or
+ * by priority) & keeps track of the keys rejected by the Web API.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrors } from "./RadioValidation.mjs";
+import { RadioConfig } from "./RadioConfig.mjs";
+
+/**
+ * Pool of activation keys with the health & usage statistics
+ *
+ * A key rejected with INVALID_LICENSE is marked unhealthy & skipped, the
+ * RadioCodeCalculator retries the request with the next healthy key. The
+ * unhealthy keys are tried again after `recheck_after` milliseconds (e.g.
+ * when the license has been renewed) and any accepted request makes the
+ * key healthy again.
+ *
+ * Usage:
+ *
+ * let pool = new RadioKeyPool([
+ *     { "key": "ABCD-ABCD-ABCD-ABCD", "name": "company", "priority": 10 },
+ *     { "key": "EFGH-EFGH-EFGH-EFGH", "name": "personal" }
+ * ], { "strategy": RadioKeyPool.STRATEGY_PRIORITY });
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator(pool);
+ *
+ * console.log(pool.stats());
+ *
+ */
+export class RadioKeyPool
+{
+	/**
+	 * @var string use the healthy keys in turns
+	 */
+	static STRATEGY_ROUND_ROBIN = "round_robin";
+
+	/**
+	 * @var string use the healthy keys with the highest priority (in turns if there are more)
+	 */
+	static STRATEGY_PRIORITY = "priority";
+
+	/**
+	 * @var int default time after which the unhealthy keys are tried again in milliseconds
+	 */
+	static DEFAULT_RECHECK_AFTER = 60 * 60 * 1000;
+
+	/**
+	 * @var array keys with their statistics (non-enumerable, see the constructor)
+	 */
+	_entries = [];
+
+	/**
+	 * @var string key selection strategy
+	 */
+	_strategy = RadioKeyPool.STRATEGY_ROUND_ROBIN;
+
+	/**
+	 * @var int time after which the unhealthy keys are tried again in milliseconds (0 - never)
+	 */
+	_recheck_after = RadioKeyPool.DEFAULT_RECHECK_AFTER;
+
+	/**
+	 * @var int index of the entry the next selection starts from
+	 */
+	_next = 0;
+
+	/**
+	 * Initialize the pool of activation keys
+	 *
+	 * @param array keys Activation keys either as strings or { key, name, priority } objects
+	 * @param object options Optional { strategy, recheck_after }
+	 */
+	constructor(keys, options = {})
+	{
+		// keep the activation keys out of the console.log() & JSON.stringify() output
+		Object.defineProperty(this, "_entries", { "enumerable": false });
+
+		if (options["strategy"] !== undefined)
+			this._strategy = options["strategy"];
+
+		if (options["recheck_after"] !== undefined)
+			this._recheck_after = options["recheck_after"];
+
+		if (this._strategy !== RadioKeyPool.STRATEGY_ROUND_ROBIN && this._strategy !== RadioKeyPool.STRATEGY_PRIORITY)
+			throw new RangeError(`Unknown key pool strategy "${this._strategy}"`);
+
+		if (!Array.isArray(keys) || keys.length === 0)
+			throw new RangeError("Key pool requires at least one activation key");
+
+		this._entries = keys.map(entry =>
+		{
+			const settings = typeof entry === "string" ? { "key": entry } : entry;
+
+			if (settings === null || typeof settings !== "object" || typeof settings["key"] !== "string" || settings["key"] === "")
+				throw new RangeError("Key pool entries have to be activation keys or { key, name, priority } objects");
+
+			return {
+				"key": settings["key"],
+				"name": settings["name"] === undefined ? RadioConfig.redact_key(settings["key"]) : settings["name"],
+				"priority": settings["priority"] === undefined ? 0 : settings["priority"],
+				"healthy": true,
+				"unhealthy_since": null,
+				"requests": 0,
+				"succeeded": 0,
+				"failed": 0,
+				"last_error": null,
+				"last_used": null
+			};
+		});
+
+		if (new Set(this.keys()).size !== this._entries.length)
+			throw new RangeError("Key pool contains duplicated activation keys");
+	}
+
+	/**
+	 * Number of the activation keys in the pool
+	 *
+	 * @return int Number of the keys
+	 */
+	size()
+	{
+		return this._entries.length;
+	}
+
+	/**
+	 * List the activation keys
+	 *
+	 * @return array Activation keys (in the pool order)
+	 */
+	keys()
+	{
+		return this._entries.map(entry => entry["key"]);
+	}
+
+	/**
+	 * Find the pool entry of the activation key
+	 *
+	 * @param string key Activation key
+	 * @return object|null Pool entry or null if the key is not in the pool
+	 */
+	entry(key)
+	{
+		return this._entries.find(entry => entry["key"] === key) || null;
+	}
+
+	/**
+	 * Check if the key can be used (healthy or its recheck time has come)
+	 *
+	 * @param object entry Pool entry
+	 * @param int now Current time (milliseconds since epoch)
+	 * @return bool True if the key can be used
+	 */
+	is_available(entry, now = Date.now())
+	{
+		if (entry["healthy"])
+			return true;
+
+		return this._recheck_after > 0 && now - entry["unhealthy_since"].getTime() >= this._recheck_after;
+	}
+
+	/**
+	 * Select the activation key for the next request
+	 *
+	 * @param array exclude Activation keys to skip (e.g. already rejected during the current request)
+	 * @return string|null Activation key or null if there are no usable keys left
+	 */
+	select(exclude = [])
+	{
+		const now = Date.now();
+		const candidates = this._entries.filter(entry => !exclude.includes(entry["key"]) && this.is_available(entry, now));
+
+		if (candidates.length === 0)
+			return null;
+
+		const top = this._strategy === RadioKeyPool.STRATEGY_PRIORITY ? Math.max(...candidates.map(entry => entry["priority"])) : null;
+
+		// take the keys in turns, starting after the last selected one
+		for (let i = 0; i < this._entries.length; i++)
+		{
+			const index = (this._next + i) % this._entries.length;
+			const entry = this._entries[index];
+
+			if (candidates.includes(entry) && (top === null || entry["priority"] === top))
+			{
+				this._next = index + 1;
+
+				return entry["key"];
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Record the request result of the activation key & update its health
+	 *
+	 * INVALID_LICENSE marks the key unhealthy, the other Web API results mean the
+	 * key has been accepted, the connection errors don't change the key health.
+	 *
+	 * @param string key Activation key
+	 * @param int error One of the RadioErrors values
+	 */
+	record(key, error)
+	{
+		const entry = this.entry(key);
+
+		if (entry === null)
+			return;
+
+		entry["requests"]++;
+		entry["last_used"] = new Date();
+		entry["last_error"] = error;
+
+		if (error === RadioErrors.SUCCESS)
+			entry["succeeded"]++;
+		else
+			entry["failed"]++;
+
+		if (error === RadioErrors.INVALID_LICENSE)
+			this.mark_unhealthy(key);
+		else if (error !== RadioErrors.ERROR_CONNECTION)
+			this.mark_healthy(key);
+	}
+
+	/**
+	 * Mark the activation key as unhealthy (it's skipped until the recheck time)
+	 *
+	 * @param string key Activation key
+	 * @return RadioKeyPool This instance (for chaining)
+	 */
+	mark_unhealthy(key)
+	{
+		const entry = this.entry(key);
+
+		if (entry !== null)
+		{
+			entry["healthy"] = false;
+			entry["unhealthy_since"] = new Date();
+		}
+
+		return this;
+	}
+
+	/**
+	 * Mark the activation key as healthy
+	 *
+	 * @param string key Activation key
+	 * @return RadioKeyPool This instance (for chaining)
+	 */
+	mark_healthy(key)
+	{
+		const entry = this.entry(key);
+
+		if (entry !== null)
+		{
+			entry["healthy"] = true;
+			entry["unhealthy_since"] = null;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Health & usage statistics of the activation keys (the keys are redacted)
+	 *
+	 * @return array A list of { name, key, priority, healthy, unhealthy_since, requests, succeeded, failed, last_error, last_used }
+	 */
+	stats()
+	{
+		return this._entries.map(entry => Object.assign({}, entry, { "key": RadioConfig.redact_key(entry["key"]) }));
+	}
+
+	/**
+	 * Plain object representation with the redacted activation keys (for JSON.stringify())
+	 *
+	 * @return object { strategy, recheck_after, keys }
+	 */
+	toJSON()
+	{
+		return { "strategy": this._strategy, "recheck_after": this._recheck_after, "keys": this.stats() };
+	}
+}
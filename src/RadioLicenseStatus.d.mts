@@ -0,0 +1,85 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrorCode } from "./RadioValidation.mjs";
+import { RadioLicense } from "./RadioCodeCalculator.mjs";
+
+/**
+ * One of the RadioLicenseType values
+ */
+export type RadioLicenseTypeCode = 0 | 1;
+
+/**
+ * License types returned by the login command
+ */
+export declare class RadioLicenseType
+{
+	/** Personal License */
+	static readonly PERSONAL: 0;
+
+	/** Company License */
+	static readonly COMPANY: 1;
+
+	static describe(type: number | null | undefined): "Personal" | "Company" | "Unknown";
+}
+
+/**
+ * License status at the time of the last check
+ */
+export declare class RadioLicenseStatus
+{
+	static DAY: number;
+
+	/** true if the license is active */
+	active: boolean;
+
+	/** user name/company name of the license owner */
+	user_name: string | null;
+
+	/** one of the RadioLicenseType values */
+	type: number | null;
+
+	/** license type name */
+	type_name: "Personal" | "Company" | "Unknown";
+
+	/** license expiration date (midnight UTC) */
+	expiration_date: Date | null;
+
+	/** time of the check (milliseconds since epoch) */
+	checked_at: number;
+
+	/** SUCCESS or INVALID_LICENSE */
+	error: RadioErrorCode;
+
+	constructor(license?: Partial<RadioLicense>, checked_at?: number);
+
+	static invalid(checked_at?: number): RadioLicenseStatus;
+	static parse_date(date: string | null | undefined): Date | null;
+
+	days_remaining(now?: number): number | null;
+	is_expired(now?: number): boolean;
+	is_valid(now?: number): boolean;
+	is_expiring(days: number, now?: number): boolean;
+
+	toJSON(): {
+		active: boolean;
+		user_name: string | null;
+		type: number | null;
+		type_name: string;
+		expiration_date: string | null;
+		days_remaining: number | null;
+		checked_at: number;
+	};
+}
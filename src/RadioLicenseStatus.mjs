@@ -0,0 +1,238 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - license status
+ *
+ * Parsed license information returned by the login command (license type,
+ * expiration date & the number of days remaining).
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrors } from "./RadioValidation.mjs";
+
+/**
+ * License types returned by the login command
+ */
+export class RadioLicenseType
+{
+	/**
+	 * @var integer Personal License
+	 */
+	static PERSONAL = 0;
+
+	/**
+	 * @var integer Company License
+	 */
+	static COMPANY = 1;
+
+	/**
+	 * Describe the license type
+	 *
+	 * @param integer type One of the RadioLicenseType values
+	 * @return string License type name ("Personal", "Company" or "Unknown")
+	 */
+	static describe(type)
+	{
+		if (type === null || type === undefined)
+			return "Unknown";
+
+		switch (Number(type))
+		{
+		case RadioLicenseType.PERSONAL: return "Personal";
+		case RadioLicenseType.COMPANY: return "Company";
+		}
+
+		return "Unknown";
+	}
+}
+
+/**
+ * License status at the time of the last check
+ *
+ * The license is valid until the end of its expiration day (UTC).
+ *
+ * Usage:
+ *
+ * myRadioCodeCalculator.license_status().then((status) => {
+ *
+ *     console.log(status.type_name + " license expires in " + status.days_remaining() + " days");
+ *
+ * });
+ *
+ */
+export class RadioLicenseStatus
+{
+	/**
+	 * @var int one day in milliseconds
+	 */
+	static DAY = 24 * 60 * 60 * 1000;
+
+	/**
+	 * @var bool true if the license is active
+	 */
+	active = false;
+
+	/**
+	 * @var string|null user name/company name of the license owner
+	 */
+	user_name = null;
+
+	/**
+	 * @var int|null one of the RadioLicenseType values
+	 */
+	type = null;
+
+	/**
+	 * @var string license type name ("Personal", "Company" or "Unknown")
+	 */
+	type_name = "Unknown";
+
+	/**
+	 * @var Date|null license expiration date (midnight UTC, null if unknown)
+	 */
+	expiration_date = null;
+
+	/**
+	 * @var int time of the check (milliseconds since epoch)
+	 */
+	checked_at = 0;
+
+	/**
+	 * @var int SUCCESS if the license information was returned, INVALID_LICENSE if the key was rejected
+	 */
+	error = RadioErrors.SUCCESS;
+
+	/**
+	 * Initialize the license status
+	 *
+	 * @param object license License information from the login command { activationStatus, userName, type, expirationDate }
+	 * @param int checked_at Time of the check (milliseconds since epoch)
+	 */
+	constructor(license = {}, checked_at = Date.now())
+	{
+		this.active = license["activationStatus"] === true;
+		this.user_name = license["userName"] === undefined ? null : license["userName"];
+		this.type = license["type"] === undefined || license["type"] === null ? null : Number(license["type"]);
+		this.type_name = RadioLicenseType.describe(this.type);
+		this.expiration_date = RadioLicenseStatus.parse_date(license["expirationDate"]);
+		this.checked_at = checked_at;
+
+		if (!this.active)
+			this.error = RadioErrors.INVALID_LICENSE;
+	}
+
+	/**
+	 * Status of the activation key rejected by the Web API
+	 *
+	 * @param int checked_at Time of the check (milliseconds since epoch)
+	 * @return RadioLicenseStatus Inactive license status
+	 */
+	static invalid(checked_at = Date.now())
+	{
+		return new RadioLicenseStatus({ "activationStatus": false }, checked_at);
+	}
+
+	/**
+	 * Parse the expiration date in YYYY-MM-DD format
+	 *
+	 * @param string date Expiration date
+	 * @return Date|null Date (midnight UTC) or null if invalid
+	 */
+	static parse_date(date)
+	{
+		const match = typeof date === "string" ? /^\s*(\d{4})-(\d{1,2})-(\d{1,2})/.exec(date) : null;
+
+		if (match === null)
+			return null;
+
+		const year = Number(match[1]), month = Number(match[2]) - 1, day = Number(match[3]);
+		const parsed = new Date(Date.UTC(year, month, day));
+
+		// reject overflowing dates like 2024-02-31
+		if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month || parsed.getUTCDate() !== day)
+			return null;
+
+		return parsed;
+	}
+
+	/**
+	 * Number of full days remaining until the license expires
+	 *
+	 * @param int now Current time (milliseconds since epoch)
+	 * @return int|null Days remaining (0 on the expiration day, negative if expired, null if unknown)
+	 */
+	days_remaining(now = Date.now())
+	{
+		if (this.expiration_date === null)
+			return null;
+
+		// the license is still valid on its expiration day
+		return Math.floor((this.expiration_date.getTime() + RadioLicenseStatus.DAY - 1 - now) / RadioLicenseStatus.DAY);
+	}
+
+	/**
+	 * Check if the license has expired (after the end of its expiration day)
+	 *
+	 * @param int now Current time (milliseconds since epoch)
+	 * @return bool True if expired
+	 */
+	is_expired(now = Date.now())
+	{
+		return this.expiration_date !== null && now >= this.expiration_date.getTime() + RadioLicenseStatus.DAY;
+	}
+
+	/**
+	 * Check if the license is active & not expired
+	 *
+	 * @param int now Current time (milliseconds since epoch)
+	 * @return bool True if the license can be used
+	 */
+	is_valid(now = Date.now())
+	{
+		return this.active && !this.is_expired(now);
+	}
+
+	/**
+	 * Check if the valid license expires within the given number of days
+	 *
+	 * @param int days Number of days
+	 * @param int now Current time (milliseconds since epoch)
+	 * @return bool True if expiring soon
+	 */
+	is_expiring(days, now = Date.now())
+	{
+		const days_remaining = this.days_remaining(now);
+
+		return this.is_valid(now) && days_remaining !== null && days_remaining <= days;
+	}
+
+	/**
+	 * Plain object representation (for JSON.stringify())
+	 *
+	 * @return object License status
+	 */
+	toJSON()
+	{
+		return {
+			"active": this.active,
+			"user_name": this.user_name,
+			"type": this.type,
+			"type_name": this.type_name,
+			"expiration_date": this.expiration_date === null ? null : this.expiration_date.toISOString().slice(0, 10),
+			"days_remaining": this.days_remaining(),
+			"checked_at": this.checked_at
+		};
+	}
+}
@@ -0,0 +1,87 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioModel, RadioModelParams, RadioRequestOptions } from "./RadioCodeCalculator.mjs";
+import { RadioStorage } from "./RadioStorage.mjs";
+import { RadioDetectOptions, RadioDetectCandidate, RadioModelGroupField } from "./RadioValidation.mjs";
+
+/**
+ * Source of the current list of radio models
+ */
+export type RadioModelSource = "static" | "server" | "cache" | "stale";
+
+/**
+ * Optional RadioModelRegistry settings
+ */
+export interface RadioModelRegistryOptions
+{
+	storage?: RadioStorage;
+
+	/** time to live of the stored list in milliseconds */
+	ttl?: number;
+
+	/** storage key */
+	key?: string;
+}
+
+/**
+ * Optional load settings
+ */
+export interface RadioModelRegistryLoadOptions extends RadioRequestOptions
+{
+	/** ignore the stored list */
+	force?: boolean;
+}
+
+/**
+ * Stored list of the supported radio models
+ */
+export interface RadioStoredModels
+{
+	updated_at: number;
+	supportedRadioModels: { [name: string]: RadioModelParams };
+}
+
+/**
+ * Registry of the supported radio models
+ */
+export declare class RadioModelRegistry
+{
+	static DEFAULT_TTL: number;
+	static DEFAULT_KEY: string;
+
+	/** source of the current list */
+	source: RadioModelSource;
+
+	/** time when the current list was downloaded (milliseconds since epoch) */
+	updated_at: number | null;
+
+	constructor(calculator: RadioCodeCalculator | null, options?: RadioModelRegistryOptions);
+
+	static static_radio_models(): RadioModel[];
+	static build_radio_models(supported_radio_models: { [name: string]: RadioModelParams }): RadioModel[];
+
+	load(options?: RadioModelRegistryLoadOptions): Promise<RadioModel[]>;
+	download(options?: RadioRequestOptions): Promise<RadioStoredModels>;
+	use(stored: RadioStoredModels | null, source: RadioModelSource): RadioModel[];
+	find(name: string): RadioModel | null;
+	get(name: string, options?: RadioModelRegistryLoadOptions): Promise<RadioModel | null>;
+	detect(serial: string, options?: RadioDetectOptions & RadioModelRegistryLoadOptions): Promise<RadioDetectCandidate[]>;
+	by_brand(brand: string, options?: RadioModelRegistryLoadOptions): Promise<RadioModel[]>;
+	by_manufacturer(manufacturer: string, options?: RadioModelRegistryLoadOptions): Promise<RadioModel[]>;
+	group_by(field: RadioModelGroupField, options?: RadioModelRegistryLoadOptions): Promise<{ [name: string]: RadioModel[] }>;
+	radio_models(): RadioModel[];
+	clear(): Promise<void>;
+}
@@ -0,0 +1,333 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - supported radio models registry
+ *
+ * Cached catalog of the supported radio models downloaded with the list
+ * command, with a fallback to the predefined RadioModels when offline.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioModel, RadioModels } from "./RadioValidation.mjs";
+import { RadioMemoryStorage } from "./RadioStorage.mjs";
+
+/**
+ * Registry of the supported radio models
+ *
+ * The list of the supported radio models is downloaded once and stored in the
+ * storage for the given time (TTL). If the Web API cannot be reached, the
+ * expired copy from the storage or the predefined RadioModels are used instead.
+ *
+ * Usage:
+ *
+ * let registry = new RadioModelRegistry(myRadioCodeCalculator, { "storage": new RadioFileStorage("radio-models.json") });
+ *
+ * registry.get("ford-m-series").then((radio_model) => {
+ *
+ *     let error = radio_model.validate("123456");
+ *
+ * });
+ *
+ */
+export class RadioModelRegistry
+{
+	/**
+	 * @var int default time to live of the stored list in milliseconds (24 hours)
+	 */
+	static DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+	/**
+	 * @var string default storage key
+	 */
+	static DEFAULT_KEY = "radio-models";
+
+	/**
+	 * @var RadioCodeCalculator Radio Code Calculator API class instance used to download the list
+	 */
+	_calculator = null;
+
+	/**
+	 * @var RadioStorage storage for the downloaded list
+	 */
+	_storage = null;
+
+	/**
+	 * @var int time to live of the stored list in milliseconds
+	 */
+	_ttl = RadioModelRegistry.DEFAULT_TTL;
+
+	/**
+	 * @var string storage key
+	 */
+	_key = RadioModelRegistry.DEFAULT_KEY;
+
+	/**
+	 * @var array currently known RadioModel classes
+	 */
+	_radio_models = [];
+
+	/**
+	 * @var string source of the current list ("static", "server", "cache" or "stale")
+	 */
+	source = "static";
+
+	/**
+	 * @var int|null time when the current list was downloaded (milliseconds since epoch)
+	 */
+	updated_at = null;
+
+	/**
+	 * @var Promise|null pending load (concurrent loads share a single request)
+	 */
+	_loading = null;
+
+	/**
+	 * Initialize the registry
+	 *
+	 * @param RadioCodeCalculator|null calculator Radio Code Calculator API class instance (null - offline only)
+	 * @param object options Optional { storage, ttl, key }
+	 */
+	constructor(calculator, options = {})
+	{
+		this._calculator = calculator;
+		this._storage = options["storage"] === undefined ? new RadioMemoryStorage() : options["storage"];
+
+		if (options["ttl"] !== undefined)
+			this._ttl = options["ttl"];
+
+		if (options["key"] !== undefined)
+			this._key = options["key"];
+
+		this._radio_models = RadioModelRegistry.static_radio_models();
+	}
+
+	/**
+	 * Predefined radio models from the RadioModels class
+	 *
+	 * @return array List of RadioModel classes
+	 */
+	static static_radio_models()
+	{
+		return RadioModels.all();
+	}
+
+	/**
+	 * Build the list of RadioModel classes from the list command results
+	 *
+	 * @param object supported_radio_models Radio models parameters by their names
+	 * @return array List of RadioModel classes
+	 */
+	static build_radio_models(supported_radio_models)
+	{
+		return Object.keys(supported_radio_models).map(name => RadioModel.from_params(name, supported_radio_models[name]));
+	}
+
+	/**
+	 * Load the list of the supported radio models (from the storage or the Web API)
+	 *
+	 * The returned Promise is never rejected, when the list cannot be downloaded
+	 * the expired stored list or the predefined RadioModels are used.
+	 *
+	 * @param object options Optional { force (ignore the stored list), signal }
+	 * @return Promise List of RadioModel classes
+	 */
+	load(options = {})
+	{
+		const force = options["force"] === true;
+
+		if (this._loading !== null)
+			return this._loading;
+
+		// already loaded & still valid
+		if (!force && (this.source === "server" || this.source === "cache") && Date.now() - this.updated_at < this._ttl)
+			return Promise.resolve(this.radio_models());
+
+		this._loading = this._storage.get(this._key).catch(() => null).then(stored =>
+		{
+			if (!force && stored !== null && Date.now() - stored["updated_at"] < this._ttl)
+				return this.use(stored, "cache");
+
+			return this.download(options).then(downloaded => this.use(downloaded, "server"), () =>
+			{
+				// offline -> use the expired copy if there is any
+				if (stored !== null)
+					return this.use(stored, "stale");
+
+				return this.use(null, "static");
+			});
+		})
+		.catch(() => this.use(null, "static"))
+		.then(radio_models =>
+		{
+			this._loading = null;
+			return radio_models.slice();
+		});
+
+		return this._loading;
+	}
+
+	/**
+	 * Download the list from the Web API and put it into the storage
+	 *
+	 * @param object options Optional { signal }
+	 * @return Promise Stored list in { updated_at, supportedRadioModels } format
+	 */
+	download(options = {})
+	{
+		if (this._calculator === null)
+			return Promise.reject(new Error("Radio Code Calculator API instance is not provided"));
+
+		const request_options = options["signal"] === undefined ? {} : { "signal": options["signal"] };
+
+		return this._calculator.list(request_options).then(result =>
+		{
+			const stored = { "updated_at": Date.now(), "supportedRadioModels": result["supportedRadioModels"] };
+
+			// storage errors shouldn't hide the downloaded list
+			return this._storage.set(this._key, stored).catch(() => {}).then(() => stored);
+		});
+	}
+
+	/**
+	 * Replace the current list of radio models
+	 *
+	 * @param object|null stored Stored list in { updated_at, supportedRadioModels } format (null - predefined RadioModels)
+	 * @param string source Source of the list
+	 * @return array List of RadioModel classes
+	 */
+	use(stored, source)
+	{
+		if (stored === null)
+		{
+			this._radio_models = RadioModelRegistry.static_radio_models();
+			this.updated_at = null;
+		}
+		else
+		{
+			this._radio_models = RadioModelRegistry.build_radio_models(stored["supportedRadioModels"]);
+			this.updated_at = stored["updated_at"];
+		}
+
+		this.source = source;
+
+		return this._radio_models;
+	}
+
+	/**
+	 * Find the radio model in the currently known list (without loading it)
+	 *
+	 * @param string name Radio model name (e.g. "ford-m-series") or RadioModels key (e.g. "FORD_M_SERIES")
+	 * @return RadioModel|null RadioModel class or null if not found
+	 */
+	find(name)
+	{
+		let found = this._radio_models.find(radio_model => radio_model.name === name);
+
+		// RadioModels keys (FORD_M_SERIES -> ford-m-series)
+		if (found === undefined && RadioModels[name] instanceof RadioModel)
+			found = this._radio_models.find(radio_model => radio_model.name === RadioModels[name].name);
+
+		return found === undefined ? null : found;
+	}
+
+	/**
+	 * Load the list (if needed) and find the radio model by its name
+	 *
+	 * @param string name Radio model name (e.g. "ford-m-series") or RadioModels key (e.g. "FORD_M_SERIES")
+	 * @param object options Optional { force, signal }
+	 * @return Promise RadioModel class or null if not found
+	 */
+	get(name, options = {})
+	{
+		return this.load(options).then(() => this.find(name));
+	}
+
+	/**
+	 * Load the list (if needed) and detect the radio models accepting the serial number
+	 *
+	 * Both the downloaded list and the predefined RadioModels missing from it are checked,
+	 * see RadioModels.detect() for the results format.
+	 *
+	 * @param string serial Radio serial number
+	 * @param object options Optional { brand, extra, normalize, force, signal }
+	 * @return Promise List of { radio_model, matched, error, serial, entropy, reasons } (the best matches first)
+	 */
+	detect(serial, options = {})
+	{
+		return this.load(options).then(radio_models =>
+		{
+			const names = new Set(radio_models.map(radio_model => radio_model.name));
+			const predefined = RadioModelRegistry.static_radio_models().filter(radio_model => !names.has(radio_model.name));
+
+			return RadioModels.detect(serial, Object.assign({}, options, { "radio_models": radio_models.concat(predefined) }));
+		});
+	}
+
+	/**
+	 * Load the list (if needed) and find the radio models used in the given vehicle brand
+	 *
+	 * @param string brand Brand name (e.g. "Ford", "dodge")
+	 * @param object options Optional { force, signal }
+	 * @return Promise List of RadioModel classes
+	 */
+	by_brand(brand, options = {})
+	{
+		return this.load(options).then(radio_models => RadioModels.by_brand(brand, radio_models));
+	}
+
+	/**
+	 * Load the list (if needed) and find the radio models made by the given radio manufacturer
+	 *
+	 * @param string manufacturer Radio manufacturer (case insensitive, e.g. "visteon")
+	 * @param object options Optional { force, signal }
+	 * @return Promise List of RadioModel classes
+	 */
+	by_manufacturer(manufacturer, options = {})
+	{
+		return this.load(options).then(radio_models => RadioModels.by_manufacturer(manufacturer, radio_models));
+	}
+
+	/**
+	 * Load the list (if needed) and group the radio models by the vehicle brands or the radio manufacturers
+	 *
+	 * @param string field "brand" or "manufacturer"
+	 * @param object options Optional { force, signal }
+	 * @return Promise Lists of RadioModel classes by the brand or manufacturer names (see RadioModels.group_by())
+	 */
+	group_by(field, options = {})
+	{
+		return this.load(options).then(radio_models => RadioModels.group_by(field, radio_models));
+	}
+
+	/**
+	 * Currently known radio models (the predefined RadioModels until loaded)
+	 *
+	 * @return array List of RadioModel classes
+	 */
+	radio_models()
+	{
+		return this._radio_models.slice();
+	}
+
+	/**
+	 * Remove the stored list (the next load() downloads it again)
+	 *
+	 * @return Promise Resolved when removed
+	 */
+	clear()
+	{
+		return this._storage.delete(this._key);
+	}
+}
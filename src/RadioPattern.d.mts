@@ -0,0 +1,40 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * Programming languages of the regex patterns
+ */
+export type RadioPatternLanguage = "js" | "php" | "python";
+
+/**
+ * Regular expression patterns in the different programming languages
+ */
+export declare class RadioPattern
+{
+	static LANGUAGES: RadioPatternLanguage[];
+	static POSIX_CLASSES: { [name: string]: string };
+	static PCRE_TYPES: { [type: string]: string };
+	static SYNTAX_CHARACTERS: string;
+
+	static is_supported(language: string): language is RadioPatternLanguage;
+
+	static parse(pattern: string, language?: string): RegExp;
+	static split_delimiters(pattern: string): { source: string, modifiers: string };
+	static pcre_to_js(source: string, modifiers: string, language: "php" | "python"): RegExp;
+	static escape_character(character: string, in_class?: boolean): string;
+
+	static format(rule: RegExp, language?: string): string;
+	static js_to_pcre(source: string, flags: string, language: "php" | "python"): { source: string, end_anchor: boolean, ascii: boolean };
+}
@@ -0,0 +1,599 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - regular expression dialects
+ *
+ * Conversion of the radio serial number & extra data regex patterns between
+ * the JavaScript, PHP (PCRE) and Python regular expression dialects.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * Regular expression patterns in the different programming languages
+ *
+ * The Web API returns the patterns as a dictionary keyed by the programming
+ * language, each in its own format:
+ *
+ * js     - "/^([0-9]{6})$/i" JavaScript RegExp literal
+ * php    - "/^([0-9]{6})$/i" PCRE pattern with the delimiters & modifiers (preg_match())
+ * python - "^([0-9]{6})$" pattern with the optional leading inline flags, e.g. "(?i)" (re.match())
+ *
+ * Only the constructs with the same meaning in both dialects are converted, the
+ * others (possessive quantifiers, atomic groups, recursion etc.) are rejected
+ * with a SyntaxError, so they never silently match the wrong values.
+ *
+ * Usage:
+ *
+ * let rule = RadioPattern.parse("/\\A[[:digit:]]{6}\\z/", "php"); // /^[0-9]{6}$/
+ *
+ * let python_pattern = RadioPattern.format(rule, "python"); // "^[0-9]{6}\\Z"
+ *
+ */
+export class RadioPattern
+{
+	/**
+	 * @var array supported programming languages (in the order of preference)
+	 */
+	static LANGUAGES = [ "js", "php", "python" ];
+
+	/**
+	 * @var object POSIX character classes (used in the PCRE bracket expressions)
+	 */
+	static POSIX_CLASSES = {
+		"alpha": "a-zA-Z",
+		"digit": "0-9",
+		"alnum": "a-zA-Z0-9",
+		"upper": "A-Z",
+		"lower": "a-z",
+		"xdigit": "0-9A-Fa-f",
+		"word": "\\w",
+		"space": "\\s",
+		"blank": " \\t",
+		"punct": "!-\\/:-@\\[-`{-~",
+		"cntrl": "\\x00-\\x1f\\x7f",
+		"print": "\\x20-\\x7e",
+		"graph": "\\x21-\\x7e",
+		"ascii": "\\x00-\\x7f",
+	};
+
+	/**
+	 * @var object PCRE character types without a JavaScript equivalent (only outside of the character classes)
+	 */
+	static PCRE_TYPES = {
+		"h": "[\\t \\xa0\\u1680\\u180e\\u2000-\\u200a\\u202f\\u205f\\u3000]",
+		"H": "[^\\t \\xa0\\u1680\\u180e\\u2000-\\u200a\\u202f\\u205f\\u3000]",
+		"v": "[\\n-\\r\\x85\\u2028\\u2029]",
+		"V": "[^\\n-\\r\\x85\\u2028\\u2029]",
+		"R": "(?:\\r\\n|[\\n-\\r\\x85\\u2028\\u2029])",
+	};
+
+	/**
+	 * @var string characters which can be escaped in the JavaScript unicode mode
+	 */
+	static SYNTAX_CHARACTERS = "^$\\.*+?()[]{}|/-";
+
+	/**
+	 * Check if the language is supported
+	 *
+	 * @param string language Programming language
+	 * @return bool True if supported
+	 */
+	static is_supported(language)
+	{
+		return RadioPattern.LANGUAGES.includes(language);
+	}
+
+	/**
+	 * Parse the pattern in the given language into the JavaScript regular expression
+	 *
+	 * @param string pattern Regex pattern in the language format
+	 * @param string language Programming language ("js", "php" or "python")
+	 * @return RegExp JavaScript regular expression
+	 * @throws SyntaxError if the pattern is invalid or cannot be safely converted
+	 */
+	static parse(pattern, language = "js")
+	{
+		if (typeof pattern !== "string" || pattern === "")
+			throw new SyntaxError("Empty regex pattern");
+
+		switch (language)
+		{
+		case "js":
+		{
+			const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+
+			return literal === null ? new RegExp(pattern) : new RegExp(literal[1], literal[2]);
+		}
+
+		case "php":
+		{
+			const { source, modifiers } = RadioPattern.split_delimiters(pattern);
+
+			return RadioPattern.pcre_to_js(source, modifiers, "php");
+		}
+
+		case "python":
+			return RadioPattern.pcre_to_js(pattern, "", "python");
+
+		default:
+			throw new SyntaxError(`Regex patterns in "${language}" language are not supported`);
+		}
+	}
+
+	/**
+	 * Split the PCRE pattern into the source & modifiers (e.g. "#^[a-z]+$#i")
+	 *
+	 * @param string pattern PCRE pattern with the delimiters
+	 * @return object { source, modifiers }
+	 */
+	static split_delimiters(pattern)
+	{
+		const trimmed = pattern.trimStart();
+		const delimiter = trimmed[0];
+
+		if (/[a-zA-Z0-9\\\s]/.test(delimiter))
+			throw new SyntaxError(`Invalid PCRE delimiter "${delimiter}"`);
+
+		const closing = { "(": ")", "[": "]", "{": "}", "<": ">" }[delimiter] || delimiter;
+		const end = trimmed.lastIndexOf(closing);
+
+		if (end < 1)
+			throw new SyntaxError(`No ending PCRE delimiter "${closing}" found`);
+
+		return { "source": trimmed.substring(1, end), "modifiers": trimmed.substring(end + 1) };
+	}
+
+	/**
+	 * Convert the PCRE (PHP) or Python regular expression into the JavaScript one
+	 *
+	 * @param string source Pattern source (without the delimiters)
+	 * @param string modifiers PCRE modifiers (after the ending delimiter)
+	 * @param string language "php" or "python"
+	 * @return RegExp JavaScript regular expression
+	 * @throws SyntaxError if the pattern cannot be safely converted
+	 */
+	static pcre_to_js(source, modifiers, language)
+	{
+		const flags = new Set();
+		const unsupported = (construct) => new SyntaxError(`${construct} is not supported in JavaScript regular expressions`);
+
+		let extended = false;
+
+		const add_flag = (flag) =>
+		{
+			switch (flag)
+			{
+			case "i": case "m": case "s": flags.add(flag); break;
+			case "u": if (language === "php") flags.add("u"); break; // Unicode strings are the Python 3 default
+			case "x": extended = true; break;
+
+			// PCRE "$" matches the final new line without the D modifier, JavaScript never (stricter, but safe)
+			case "D": case "S": case "X": break;
+
+			default:
+				// ASCII matching is the JavaScript default
+				if (language === "python" && flag === "a")
+					break;
+
+				throw unsupported(`"${flag}" modifier`);
+			}
+		};
+
+		for (const modifier of modifiers.trim())
+			add_flag(modifier);
+
+		// leading inline flags (?i), (?im) etc.
+		let i = 0;
+		let inline;
+
+		while ((inline = /^\(\?([a-zA-Z]+)\)/.exec(source.substring(i))) !== null)
+		{
+			for (const flag of inline[1])
+				add_flag(flag);
+
+			i += inline[0].length;
+		}
+
+		let result = "";
+		let in_class = false;
+
+		while (i < source.length)
+		{
+			const c = source[i];
+			const rest = source.substring(i);
+
+			// extended mode - whitespace & comments are ignored outside of the character classes
+			if (extended && !in_class && /\s/.test(c))
+			{
+				i++;
+				continue;
+			}
+
+			if (extended && !in_class && c === "#")
+			{
+				const end = source.indexOf("\n", i);
+
+				i = end === -1 ? source.length : end + 1;
+				continue;
+			}
+
+			if (c === "\\")
+			{
+				const next = source[i + 1];
+				let match;
+
+				if (next === undefined)
+					throw new SyntaxError("Pattern ends with a backslash");
+
+				// \Q...\E quoted literal text
+				if (next === "Q")
+				{
+					const end = source.indexOf("\\E", i + 2);
+					const literal = source.substring(i + 2, end === -1 ? source.length : end);
+
+					result += Array.from(literal).map(character => RadioPattern.escape_character(character, in_class)).join("");
+					i = end === -1 ? source.length : end + 2;
+					continue;
+				}
+
+				if (next === "E")
+				{
+					i += 2;
+					continue;
+				}
+
+				// \x{263A} & \N{U+263A}
+				if ((match = /^\\x\{([0-9a-fA-F]+)\}/.exec(rest)) !== null || (match = /^\\N\{U\+([0-9a-fA-F]+)\}/.exec(rest)) !== null)
+				{
+					flags.add("u");
+					result += "\\u{" + match[1] + "}";
+					i += match[0].length;
+					continue;
+				}
+
+				// Python \U0001F600
+				if (language === "python" && (match = /^\\U([0-9a-fA-F]{8})/.exec(rest)) !== null)
+				{
+					flags.add("u");
+					result += "\\u{" + match[1].replace(/^0+(?=.)/, "") + "}";
+					i += match[0].length;
+					continue;
+				}
+
+				// unicode properties \p{L}, \pL
+				if ((match = /^\\([pP])(\{\^?[\w&]+\}|[A-Z])/.exec(rest)) !== null)
+				{
+					if (match[2].startsWith("{^"))
+						throw unsupported(`"${match[0]}" negated unicode property`);
+
+					flags.add("u");
+					result += "\\" + match[1] + (match[2].length === 1 ? "{" + match[2] + "}" : match[2]);
+					i += match[0].length;
+					continue;
+				}
+
+				// back references \g1, \g{1}, \g{-1}, \g{name}, \k{name}, \k'name'
+				if ((match = /^\\g\{?([0-9]+)\}?/.exec(rest)) !== null)
+				{
+					result += "\\" + match[1];
+					i += match[0].length;
+					continue;
+				}
+
+				if ((match = /^\\[gk](\{([a-zA-Z_]\w*)\}|'([a-zA-Z_]\w*)')/.exec(rest)) !== null)
+				{
+					result += "\\k<" + (match[2] || match[3]) + ">";
+					i += match[0].length;
+					continue;
+				}
+
+				if (next === "g")
+					throw unsupported(`"${rest.substring(0, 3)}" relative back reference or subroutine call`);
+
+				if (!in_class && next === "A")
+					result += "^";
+				else if (!in_class && next === "z")
+					result += "$";
+				else if (!in_class && next === "Z")
+					result += language === "python" ? "$" : "(?=\\n?$)";
+				else if (!in_class && next in RadioPattern.PCRE_TYPES && language === "php")
+					result += RadioPattern.PCRE_TYPES[next];
+				else if (next === "e")
+					result += "\\x1b";
+				else if (next === "a")
+					result += "\\x07";
+				else if ((language === "php" ? "GKXCRhHvVN" : "GKXCRhHVN").includes(next) || next === "A" || next === "z" || next === "Z")
+					throw unsupported(`"\\${next}" escape sequence` + (in_class ? " in the character class" : ""));
+				else if (/[0-9a-zA-Z]/.test(next))
+				{
+					// \d, \w, \s, \b, \n, \t, \x41, A, \1, \cM etc. have the same meaning
+					const sequence = /^\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|c[a-zA-Z]|[0-9]+|.)/.exec(rest)[0];
+
+					result += sequence;
+					i += sequence.length;
+					continue;
+				}
+				else
+					result += RadioPattern.escape_character(next, in_class);
+
+				i += 2;
+				continue;
+			}
+
+			if (in_class)
+			{
+				// POSIX character classes [:alpha:]
+				const posix = /^\[:(\^?)([a-z]+):\]/.exec(rest);
+
+				if (posix !== null)
+				{
+					if (posix[1] === "^" || !(posix[2] in RadioPattern.POSIX_CLASSES))
+						throw unsupported(`"${posix[0]}" POSIX character class`);
+
+					result += RadioPattern.POSIX_CLASSES[posix[2]];
+					i += posix[0].length;
+					continue;
+				}
+
+				if (c === "]")
+					in_class = false;
+				else if (c === "[")
+				{
+					result += "\\[";
+					i++;
+					continue;
+				}
+
+				result += c;
+				i++;
+				continue;
+			}
+
+			if (c === "[")
+			{
+				// "]" right after the opening bracket is a literal in PCRE & Python
+				const opening = /^\[\^?\]?/.exec(rest)[0];
+
+				result += opening.endsWith("]") ? opening.substring(0, opening.length - 1) + "\\]" : opening;
+				in_class = true;
+				i += opening.length;
+				continue;
+			}
+
+			if (c === "(" && source[i + 1] === "?")
+			{
+				let group;
+
+				if ((group = /^\(\?(:|=|!|<=|<!)/.exec(rest)) !== null)
+					result += group[0];
+				else if ((group = /^\(\?P?<([a-zA-Z_]\w*)>/.exec(rest)) !== null || (group = /^\(\?'([a-zA-Z_]\w*)'/.exec(rest)) !== null)
+					result += "(?<" + group[1] + ">";
+				else if ((group = /^\(\?P=([a-zA-Z_]\w*)\)/.exec(rest)) !== null)
+					result += "\\k<" + group[1] + ">";
+				else if ((group = /^\(\?#[^)]*\)/.exec(rest)) !== null)
+					result += "";
+				else
+					throw unsupported(`"${rest.substring(0, 3)}" group`);
+
+				i += group[0].length;
+				continue;
+			}
+
+			// possessive quantifiers a++, a*+, a?+, a{2}+
+			if ("+*?}".includes(c) && source[i + 1] === "+")
+				throw unsupported(`"${c}+" possessive quantifier`);
+
+			result += c;
+			i++;
+		}
+
+		if (in_class)
+			throw new SyntaxError("Missing terminating ] for the character class");
+
+		return new RegExp(result, Array.from(flags).join(""));
+	}
+
+	/**
+	 * Escape a single character so it's always matched literally (in any JavaScript mode)
+	 *
+	 * @param string character Character
+	 * @param bool in_class Inside of the character class
+	 * @return string Escaped character
+	 */
+	static escape_character(character, in_class = false)
+	{
+		if (/[a-zA-Z0-9_]/.test(character))
+			return character;
+
+		if (RadioPattern.SYNTAX_CHARACTERS.includes(character))
+			return "\\" + character;
+
+		const code = character.codePointAt(0);
+
+		if (code <= 0xff)
+			return "\\x" + code.toString(16).padStart(2, "0");
+
+		return code <= 0xffff ? "\\u" + code.toString(16).padStart(4, "0") : character;
+	}
+
+	/**
+	 * Format the JavaScript regular expression as a pattern for the given language
+	 *
+	 * @param RegExp rule JavaScript regular expression
+	 * @param string language Programming language ("js", "php" or "python")
+	 * @return string Regex pattern in the language format
+	 * @throws SyntaxError if the pattern cannot be safely converted
+	 */
+	static format(rule, language = "js")
+	{
+		const flags = rule.flags.replace(/[dgy]/g, "");
+
+		switch (language)
+		{
+		case "js":
+			return "/" + rule.source + "/" + flags;
+
+		case "php":
+		{
+			const { source, end_anchor } = RadioPattern.js_to_pcre(rule.source, flags, "php");
+
+			// "$" matches only at the very end (like in JavaScript) with the D modifier
+			return "/" + source + "/" + flags.replace("v", "") + (end_anchor && !flags.includes("m") ? "D" : "");
+		}
+
+		case "python":
+		{
+			const { source, ascii } = RadioPattern.js_to_pcre(rule.source, flags, "python");
+			const inline = flags.replace(/[uv]/g, "") + (ascii ? "a" : "");
+
+			return (inline === "" ? "" : "(?" + inline + ")") + source;
+		}
+
+		default:
+			throw new SyntaxError(`Regex patterns in "${language}" language are not supported`);
+		}
+	}
+
+	/**
+	 * Convert the JavaScript regular expression source into the PCRE (PHP) or Python one
+	 *
+	 * @param string source JavaScript regular expression source
+	 * @param string flags JavaScript regular expression flags
+	 * @param string language "php" or "python"
+	 * @return object { source, end_anchor (uses "$" outside of the class), ascii (uses \d, \w or \b) }
+	 * @throws SyntaxError if the pattern cannot be safely converted
+	 */
+	static js_to_pcre(source, flags, language)
+	{
+		if (flags.includes("v"))
+			throw new SyntaxError(`JavaScript "v" flag is not supported in ${language} regular expressions`);
+
+		let result = "";
+		let in_class = false;
+		let end_anchor = false;
+		let ascii = false;
+		let i = 0;
+
+		while (i < source.length)
+		{
+			const c = source[i];
+			const rest = source.substring(i);
+			let match;
+
+			if (c === "\\")
+			{
+				if ((match = /^\\u\{([0-9a-fA-F]+)\}/.exec(rest)) !== null || (match = /^\\u([0-9a-fA-F]{4})/.exec(rest)) !== null)
+				{
+					const code = match[1].replace(/^0+(?=.)/, "");
+
+					result += language === "php" ? "\\x{" + code + "}" : (code.length <= 4 ? "\\u" + code.padStart(4, "0") : "\\U" + code.padStart(8, "0"));
+				}
+				else if ((match = /^\\k<([a-zA-Z_]\w*)>/.exec(rest)) !== null)
+					result += language === "php" ? match[0] : "(?P=" + match[1] + ")";
+				else if ((match = /^\\c([a-zA-Z])/.exec(rest)) !== null)
+					result += "\\x" + (match[1].toUpperCase().charCodeAt(0) % 32).toString(16).padStart(2, "0");
+				else if ((match = /^\\0(?![0-9])/.exec(rest)) !== null)
+					result += "\\x00";
+				else if ((match = /^\\\//.exec(rest)) !== null)
+					result += language === "php" ? "\\/" : "/";
+				else
+				{
+					match = /^\\(x[0-9a-fA-F]{2}|[0-9]+|p\{[^}]*\}|P\{[^}]*\}|[^])/.exec(rest);
+
+					if (language === "python" && /^\\[pP]\{/.test(match[0]))
+						throw new SyntaxError(`"${match[0]}" unicode property is not supported in python regular expressions`);
+
+					if (/^\\[dDwWbB]$/.test(match[0]))
+						ascii = true;
+
+					result += match[0];
+				}
+
+				i += match[0].length;
+				continue;
+			}
+
+			if (in_class)
+			{
+				if (c === "]")
+					in_class = false;
+				else if (c === "[" || (c === ":" && result.endsWith("[")))
+				{
+					// avoid the POSIX classes syntax in PCRE & nested sets in Python
+					result += "\\" + c;
+					i++;
+					continue;
+				}
+
+				result += c;
+				i++;
+				continue;
+			}
+
+			if (c === "[")
+			{
+				// [^] matches everything, [] nothing, both are invalid in PCRE & Python
+				if (rest.startsWith("[^]"))
+				{
+					result += "[\\s\\S]";
+					i += 3;
+					continue;
+				}
+
+				if (rest.startsWith("[]"))
+				{
+					result += "(?!)";
+					i += 2;
+					continue;
+				}
+
+				in_class = true;
+				result += c;
+				i++;
+				continue;
+			}
+
+			if ((match = /^\(\?<([a-zA-Z_$][\w$]*)>/.exec(rest)) !== null)
+			{
+				if (match[1].includes("$"))
+					throw new SyntaxError(`Group name "${match[1]}" is not supported in ${language} regular expressions`);
+
+				result += language === "php" ? match[0] : "(?P<" + match[1] + ">";
+				i += match[0].length;
+				continue;
+			}
+
+			if (c === "$")
+			{
+				end_anchor = true;
+				result += language === "python" && !flags.includes("m") ? "\\Z" : "$";
+				i++;
+				continue;
+			}
+
+			if (c === "/" && language === "php")
+			{
+				result += "\\/";
+				i++;
+				continue;
+			}
+
+			result += c;
+			i++;
+		}
+
+		return { "source": result, "end_anchor": end_anchor, "ascii": ascii };
+	}
+}
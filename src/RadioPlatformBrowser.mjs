@@ -0,0 +1,89 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - browser & edge runtimes platform bindings
+ *
+ * Platform specific functions used by the transports and storages when
+ * running in the browsers, Deno, Bun or edge runtimes (selected with the
+ * "#radio-platform" import), only the global fetch & FormData are used.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * Browser & edge runtimes platform bindings
+ */
+export const RadioPlatform = {
+
+	/**
+	 * @var string platform name
+	 */
+	name: "browser",
+
+	/**
+	 * @var function FormData class used to build the POST requests (read when used, so it can be polyfilled later)
+	 */
+	get FormData()
+	{
+		return globalThis.FormData;
+	},
+
+	/**
+	 * Send the HTTP request with the global fetch()
+	 *
+	 * @param string url Request URL
+	 * @param object init Request options
+	 * @return Promise Response
+	 */
+	fetch(url, init)
+	{
+		return globalThis.fetch(url, init);
+	},
+
+	/**
+	 * Environment variables (only available in the runtimes emulating the Node.js process object, like Bun)
+	 *
+	 * @return object Environment variables by their names
+	 */
+	env()
+	{
+		const process = globalThis.process;
+
+		return process !== undefined && process !== null && typeof process.env === "object" && process.env !== null ? process.env : {};
+	},
+
+	/**
+	 * SHA-256 hash of the text (with the Web Crypto API)
+	 *
+	 * @param string text Text to hash (UTF-8 encoded)
+	 * @return Promise Hash as a hex string (rejected if the Web Crypto API isn't available, e.g. outside the secure contexts)
+	 */
+	sha256(text)
+	{
+		const crypto = globalThis.crypto;
+
+		if (crypto === undefined || crypto === null || crypto.subtle === undefined)
+			return Promise.reject(new Error("SHA-256 hashing requires the Web Crypto API"));
+
+		return crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)).then(digest =>
+		{
+			return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+		});
+	},
+
+	/**
+	 * @var object|null file system functions (null if not available)
+	 */
+	fs: null,
+};
@@ -0,0 +1,94 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - Node.js platform bindings
+ *
+ * Platform specific functions used by the transports and storages when
+ * running under Node.js (selected with the "#radio-platform" import).
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FormData from 'form-data';
+
+/**
+ * Node.js platform bindings
+ */
+export const RadioPlatform = {
+
+	/**
+	 * @var string platform name
+	 */
+	name: "node",
+
+	/**
+	 * @var function FormData class used to build the POST requests
+	 */
+	FormData: FormData,
+
+	/**
+	 * Send the HTTP request with node-fetch (an ES module only package, loaded
+	 * on the first use, so the CommonJS build can use it too)
+	 *
+	 * @param string url Request URL
+	 * @param object init Request options
+	 * @return Promise Response
+	 */
+	fetch(url, init)
+	{
+		return import("node-fetch").then(module => module.default(url, init));
+	},
+
+	/**
+	 * Environment variables
+	 *
+	 * @return object Environment variables by their names
+	 */
+	env()
+	{
+		return process.env;
+	},
+
+	/**
+	 * SHA-256 hash of the text (with node:crypto, available on every Node.js version)
+	 *
+	 * @param string text Text to hash (UTF-8 encoded)
+	 * @return Promise Hash as a hex string
+	 */
+	sha256(text)
+	{
+		return Promise.resolve(crypto.createHash("sha256").update(text, "utf8").digest("hex"));
+	},
+
+	/**
+	 * @var object|null file system functions (null if not available)
+	 */
+	fs: {
+		read_file: (file_path) => fs.promises.readFile(file_path, "utf8"),
+		write_file: (file_path, contents) => fs.promises.writeFile(file_path, contents),
+		append_file: (file_path, contents) => fs.promises.appendFile(file_path, contents),
+		rename: (old_path, new_path) => fs.promises.rename(old_path, new_path),
+		mkdir: (dir_path) => fs.promises.mkdir(dir_path, { "recursive": true }),
+		dirname: (file_path) => path.dirname(file_path),
+		temp_suffix: () => "." + process.pid + ".tmp",
+		read_file_sync: (file_path) => fs.readFileSync(file_path, "utf8"),
+		join: (...parts) => path.join(...parts),
+		cwd: () => process.cwd(),
+		home_dir: () => os.homedir(),
+	},
+};
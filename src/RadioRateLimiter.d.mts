@@ -0,0 +1,88 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * RadioRateLimiter settings
+ */
+export interface RadioRateLimiterOptions
+{
+	/** number of requests allowed per interval */
+	requests?: number;
+
+	/** interval in milliseconds */
+	interval?: number;
+
+	/** max. number of requests sent at once (defaults to requests) */
+	burst?: number;
+
+	/** max. number of the queued requests (0 - unlimited) */
+	max_queue?: number;
+}
+
+/**
+ * Optional schedule() settings
+ */
+export interface RadioScheduleOptions
+{
+	/** higher priority requests are sent first */
+	priority?: number;
+
+	signal?: AbortSignal | null;
+
+	/** admission of the request (its tasks are accepted after drain()) */
+	admission?: RadioAdmission | null;
+}
+
+/**
+ * Admission of the request made of multiple tasks (returned by admit())
+ */
+export interface RadioAdmission
+{
+	released: boolean;
+}
+
+/**
+ * Current state of the rate limiter
+ */
+export interface RadioRateLimiterStats
+{
+	queued: number;
+	running: number;
+	tokens: number;
+	closed: boolean;
+}
+
+/**
+ * Token bucket rate limiter with a FIFO queue ordered by the priorities
+ */
+export declare class RadioRateLimiter
+{
+	static PRIORITY_HIGH: number;
+	static PRIORITY_NORMAL: number;
+	static PRIORITY_LOW: number;
+
+	constructor(options?: RadioRateLimiterOptions);
+
+	admit(): RadioAdmission | null;
+	release(admission: RadioAdmission | null): void;
+	schedule<T>(task: () => T | PromiseLike<T>, options?: RadioScheduleOptions): Promise<T>;
+	remove(entry: object): void;
+	refill(): void;
+	process(): void;
+	settle(): void;
+	size(): number;
+	stats(): RadioRateLimiterStats;
+	drain(options?: { cancel?: boolean }): Promise<void>;
+}
@@ -0,0 +1,354 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - client-side rate limiter
+ *
+ * Token bucket rate limiter with a priority queue of the pending requests,
+ * so several services can share a single activation key without bursts.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrors, RadioConnectionError } from "./RadioValidation.mjs";
+
+/**
+ * Token bucket rate limiter with a FIFO queue ordered by the priorities
+ *
+ * Every request takes a single token from the bucket, the bucket is refilled with
+ * `requests` tokens per `interval` (up to `burst` tokens). Requests without a free
+ * token wait in the queue, the higher priority requests are sent first and the
+ * requests with the same priority are sent in the order they were queued.
+ *
+ * Usage:
+ *
+ * let limiter = new RadioRateLimiter({ "requests": 5, "interval": 1000, "max_queue": 100 });
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { "rate_limit": limiter });
+ *
+ */
+export class RadioRateLimiter
+{
+	/**
+	 * @var int priority of the interactive requests
+	 */
+	static PRIORITY_HIGH = 10;
+
+	/**
+	 * @var int default priority
+	 */
+	static PRIORITY_NORMAL = 0;
+
+	/**
+	 * @var int priority of the background jobs (calc_batch() default)
+	 */
+	static PRIORITY_LOW = -10;
+
+	/**
+	 * @var int number of requests allowed per interval
+	 */
+	_requests = 10;
+
+	/**
+	 * @var int interval in milliseconds
+	 */
+	_interval = 1000;
+
+	/**
+	 * @var int max. number of tokens in the bucket (max. burst of requests)
+	 */
+	_burst = 10;
+
+	/**
+	 * @var int max. number of the queued requests (0 - unlimited)
+	 */
+	_max_queue = 0;
+
+	/**
+	 * @var float tokens currently available
+	 */
+	_tokens = 0;
+
+	/**
+	 * @var int time of the last refill (milliseconds since epoch)
+	 */
+	_refilled_at = 0;
+
+	/**
+	 * @var array queued requests in the order they are going to be sent
+	 */
+	_queue = [];
+
+	/**
+	 * @var int number of the requests already sent & not finished yet
+	 */
+	_running = 0;
+
+	/**
+	 * @var int number of the admitted requests not released yet (they can be scheduled again, e.g. retried)
+	 */
+	_admitted = 0;
+
+	/**
+	 * @var mixed timer waiting for the next token
+	 */
+	_timer = null;
+
+	/**
+	 * @var bool true once drain() has been called (new requests are rejected)
+	 */
+	_closed = false;
+
+	/**
+	 * @var array callbacks resolving the pending drain() calls
+	 */
+	_drained = [];
+
+	/**
+	 * Initialize the rate limiter
+	 *
+	 * @param object options Optional { requests, interval, burst (defaults to requests), max_queue }
+	 */
+	constructor(options = {})
+	{
+		if (options["requests"] !== undefined)
+			this._requests = options["requests"];
+
+		if (options["interval"] !== undefined)
+			this._interval = options["interval"];
+
+		this._burst = options["burst"] === undefined ? this._requests : options["burst"];
+
+		if (options["max_queue"] !== undefined)
+			this._max_queue = options["max_queue"];
+
+		if (!(this._requests > 0) || !(this._interval > 0) || !(this._burst >= 1))
+			throw new RangeError("Rate limit requires positive requests, interval & burst values");
+
+		this._tokens = this._burst;
+		this._refilled_at = Date.now();
+	}
+
+	/**
+	 * Admit the request made of multiple tasks (e.g. the retries), drain() waits until it's released
+	 *
+	 * @return object|null Admission for schedule() & release() or null if the queue has been drained
+	 */
+	admit()
+	{
+		if (this._closed)
+			return null;
+
+		this._admitted++;
+
+		return { "released": false };
+	}
+
+	/**
+	 * Release the admitted request once it's finished
+	 *
+	 * @param object admission Admission returned by admit()
+	 */
+	release(admission)
+	{
+		if (admission === null || admission["released"])
+			return;
+
+		admission["released"] = true;
+
+		this._admitted--;
+		this.settle();
+	}
+
+	/**
+	 * Queue the task & run it when there's a free token
+	 *
+	 * The tasks of the admitted requests are accepted after drain() as well.
+	 *
+	 * @param function task Task returning a Promise
+	 * @param object options Optional { priority, signal, admission (returned by admit()) }
+	 * @return Promise Task results (rejected with RadioConnectionError if the queue is full or drained)
+	 */
+	schedule(task, options = {})
+	{
+		const priority = options["priority"] === undefined ? RadioRateLimiter.PRIORITY_NORMAL : options["priority"];
+		const signal = options["signal"] === undefined ? null : options["signal"];
+		const admitted = options["admission"] !== undefined && options["admission"] !== null && !options["admission"]["released"];
+
+		if (this._closed && !admitted)
+			return Promise.reject(new RadioConnectionError(RadioErrors.ERROR_CONNECTION, "Request queue has been drained"));
+
+		if (signal !== null && signal.aborted)
+			return Promise.reject(signal.reason);
+
+		if (this._max_queue > 0 && this._queue.length >= this._max_queue)
+			return Promise.reject(new RadioConnectionError(RadioErrors.ERROR_CONNECTION, `Request queue is full (${this._max_queue} requests)`));
+
+		return new Promise((fulfilled, rejected) =>
+		{
+			const entry = { "task": task, "priority": priority, "signal": signal, "abort": null, "fulfilled": fulfilled, "rejected": rejected };
+
+			if (signal !== null)
+			{
+				entry["abort"] = () =>
+				{
+					this.remove(entry);
+					rejected(signal.reason);
+				};
+
+				signal.addEventListener("abort", entry["abort"], { "once": true });
+			}
+
+			// after all the requests with the same or higher priority
+			const index = this._queue.findIndex(queued => queued["priority"] < priority);
+
+			this._queue.splice(index === -1 ? this._queue.length : index, 0, entry);
+
+			this.process();
+		});
+	}
+
+	/**
+	 * Remove the entry from the queue
+	 *
+	 * @param object entry Queued entry
+	 */
+	remove(entry)
+	{
+		const index = this._queue.indexOf(entry);
+
+		if (index !== -1)
+			this._queue.splice(index, 1);
+
+		if (entry["abort"] !== null)
+			entry["signal"].removeEventListener("abort", entry["abort"]);
+
+		this.settle();
+	}
+
+	/**
+	 * Add the tokens for the time elapsed since the last refill
+	 */
+	refill()
+	{
+		const now = Date.now();
+
+		this._tokens = Math.min(this._burst, this._tokens + (now - this._refilled_at) * this._requests / this._interval);
+		this._refilled_at = now;
+	}
+
+	/**
+	 * Run the queued tasks while there are free tokens (or wait for the next token)
+	 */
+	process()
+	{
+		this.refill();
+
+		while (this._queue.length > 0 && this._tokens >= 1)
+		{
+			const entry = this._queue.shift();
+
+			this._tokens -= 1;
+
+			if (entry["abort"] !== null)
+				entry["signal"].removeEventListener("abort", entry["abort"]);
+
+			this._running++;
+
+			new Promise(fulfilled => fulfilled(entry["task"]())).then(entry["fulfilled"], entry["rejected"]).then(() =>
+			{
+				this._running--;
+				this.settle();
+			});
+		}
+
+		if (this._queue.length > 0 && this._timer === null)
+		{
+			const delay = Math.ceil((1 - this._tokens) * this._interval / this._requests);
+
+			this._timer = setTimeout(() =>
+			{
+				this._timer = null;
+				this.process();
+			}, delay);
+		}
+	}
+
+	/**
+	 * Resolve the pending drain() calls once there's nothing left to do
+	 */
+	settle()
+	{
+		if (this._queue.length > 0)
+			return;
+
+		if (this._timer !== null)
+		{
+			clearTimeout(this._timer);
+			this._timer = null;
+		}
+
+		if (this._running === 0 && this._admitted === 0)
+			this._drained.splice(0).forEach(fulfilled => fulfilled());
+	}
+
+	/**
+	 * Number of the requests waiting in the queue
+	 *
+	 * @return int Queue depth
+	 */
+	size()
+	{
+		return this._queue.length;
+	}
+
+	/**
+	 * Current state of the rate limiter
+	 *
+	 * @return object { queued, running, tokens, closed }
+	 */
+	stats()
+	{
+		this.refill();
+
+		return { "queued": this._queue.length, "running": this._running, "tokens": Math.floor(this._tokens), "closed": this._closed };
+	}
+
+	/**
+	 * Stop accepting new requests & wait until the queued, running and admitted requests are finished
+	 *
+	 * @param object options Optional { cancel (reject the queued requests instead of sending them) }
+	 * @return Promise Resolved when there are no queued, running or admitted requests
+	 */
+	drain(options = {})
+	{
+		this._closed = true;
+
+		if (options["cancel"] === true)
+		{
+			for (const entry of this._queue.splice(0))
+			{
+				if (entry["abort"] !== null)
+					entry["signal"].removeEventListener("abort", entry["abort"]);
+
+				entry["rejected"](new RadioConnectionError(RadioErrors.ERROR_CONNECTION, "Request has been cancelled"));
+			}
+		}
+
+		return new Promise(fulfilled =>
+		{
+			this._drained.push(fulfilled);
+			this.settle();
+		});
+	}
+}
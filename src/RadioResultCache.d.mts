@@ -0,0 +1,66 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCalcResponse, RadioResponse } from "./RadioCodeCalculator.mjs";
+import { RadioStorage } from "./RadioStorage.mjs";
+
+/**
+ * Optional RadioResultCache settings
+ */
+export interface RadioResultCacheOptions
+{
+	storage?: RadioStorage;
+
+	/** time to live of the cached results in milliseconds (0 - never expire) */
+	ttl?: number;
+
+	/** max. number of the cached results */
+	max_entries?: number;
+
+	/** storage key */
+	key?: string;
+}
+
+/**
+ * Cached calc() result
+ */
+export interface RadioCachedResult
+{
+	stored_at: number;
+	response: RadioCalcResponse;
+}
+
+/**
+ * Cache of the successful calc() results keyed by the radio model name, serial number & extra data
+ */
+export declare class RadioResultCache
+{
+	static DEFAULT_TTL: number;
+	static DEFAULT_MAX_ENTRIES: number;
+	static DEFAULT_KEY: string;
+
+	constructor(options?: RadioResultCacheOptions);
+
+	static file(file_path: string, options?: Omit<RadioResultCacheOptions, "storage">): RadioResultCache;
+	static cache_key(radio_model: string, serial: string, extra?: string | null): string;
+
+	entries(): Promise<Map<string, RadioCachedResult>>;
+	save(entries: Map<string, RadioCachedResult>): Promise<void>;
+	is_expired(entry: RadioCachedResult): boolean;
+	get(radio_model: string, serial: string, extra?: string | null): Promise<RadioCalcResponse | null>;
+	set(radio_model: string, serial: string, extra: string | null, response: RadioResponse | null): Promise<void>;
+	size(): Promise<number>;
+	clear(): Promise<void>;
+}
@@ -0,0 +1,246 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - radio code results cache
+ *
+ * Local cache of the generated radio codes, so the repeated requests for the
+ * same radio serial number don't have to be sent to the Web API.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioErrors } from "./RadioValidation.mjs";
+import { RadioMemoryStorage, RadioFileStorage } from "./RadioStorage.mjs";
+
+/**
+ * Cache of the successful calc() results keyed by the radio model name, serial number & extra data
+ *
+ * Only the successful results are ever stored, the least recently used entries
+ * are evicted when the cache is full.
+ *
+ * Usage:
+ *
+ * let cache = new RadioResultCache({ "storage": new RadioFileStorage("cache/radio-codes.json") });
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { "cache": cache });
+ *
+ */
+export class RadioResultCache
+{
+	/**
+	 * @var int default time to live of the cached results in milliseconds (30 days)
+	 */
+	static DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000;
+
+	/**
+	 * @var int default max. number of the cached results
+	 */
+	static DEFAULT_MAX_ENTRIES = 1000;
+
+	/**
+	 * @var string default storage key
+	 */
+	static DEFAULT_KEY = "calc-results";
+
+	/**
+	 * @var RadioStorage storage for the cached results
+	 */
+	_storage = null;
+
+	/**
+	 * @var int time to live of the cached results in milliseconds (0 - never expire)
+	 */
+	_ttl = RadioResultCache.DEFAULT_TTL;
+
+	/**
+	 * @var int max. number of the cached results
+	 */
+	_max_entries = RadioResultCache.DEFAULT_MAX_ENTRIES;
+
+	/**
+	 * @var string storage key
+	 */
+	_key = RadioResultCache.DEFAULT_KEY;
+
+	/**
+	 * @var Promise|null cached entries (Map in the least recently used order), loaded from the storage on the first use
+	 */
+	_entries = null;
+
+	/**
+	 * Initialize the results cache
+	 *
+	 * @param object options Optional { storage, ttl, max_entries, key }
+	 */
+	constructor(options = {})
+	{
+		this._storage = options["storage"] === undefined ? new RadioMemoryStorage() : options["storage"];
+
+		if (options["ttl"] !== undefined)
+			this._ttl = options["ttl"];
+
+		if (options["max_entries"] !== undefined)
+			this._max_entries = options["max_entries"];
+
+		if (options["key"] !== undefined)
+			this._key = options["key"];
+	}
+
+	/**
+	 * Create the results cache stored in a JSON file
+	 *
+	 * @param string file_path Path to the JSON file
+	 * @param object options Optional { ttl, max_entries, key }
+	 * @return RadioResultCache Results cache
+	 */
+	static file(file_path, options = {})
+	{
+		return new RadioResultCache(Object.assign({}, options, { "storage": new RadioFileStorage(file_path) }));
+	}
+
+	/**
+	 * Build the cache key
+	 *
+	 * @param string radio_model Radio model name
+	 * @param string serial Radio serial number
+	 * @param string extra Extra data
+	 * @return string Cache key
+	 */
+	static cache_key(radio_model, serial, extra = "")
+	{
+		return JSON.stringify([ radio_model, serial, extra === null || extra === undefined ? "" : extra ]);
+	}
+
+	/**
+	 * Load the cached entries from the storage (only once)
+	 *
+	 * @return Promise Map of the cached entries
+	 */
+	entries()
+	{
+		if (this._entries === null)
+		{
+			this._entries = this._storage.get(this._key).then(stored => new Map(stored === null ? [] : stored));
+
+			// allow to retry when the storage cannot be read
+			this._entries.catch(() => { this._entries = null; });
+		}
+
+		return this._entries;
+	}
+
+	/**
+	 * Write the cached entries to the storage
+	 *
+	 * @param Map entries Cached entries
+	 * @return Promise Resolved when stored
+	 */
+	save(entries)
+	{
+		return this._storage.set(this._key, Array.from(entries.entries()));
+	}
+
+	/**
+	 * Check if the cached entry has expired
+	 *
+	 * @param object entry Cached entry { stored_at, response }
+	 * @return bool True if expired
+	 */
+	is_expired(entry)
+	{
+		return this._ttl > 0 && Date.now() - entry["stored_at"] >= this._ttl;
+	}
+
+	/**
+	 * Find the cached result
+	 *
+	 * @param string radio_model Radio model name
+	 * @param string serial Radio serial number
+	 * @param string extra Extra data
+	 * @return Promise Cached Web API response or null if not found (or expired)
+	 */
+	get(radio_model, serial, extra = "")
+	{
+		const key = RadioResultCache.cache_key(radio_model, serial, extra);
+
+		return this.entries().then(entries =>
+		{
+			if (!entries.has(key))
+				return null;
+
+			const entry = entries.get(key);
+
+			entries.delete(key);
+
+			if (this.is_expired(entry))
+				return this.save(entries).then(() => null);
+
+			// mark as the most recently used
+			entries.set(key, entry);
+
+			return Object.assign({}, entry["response"]);
+		});
+	}
+
+	/**
+	 * Store the successful result (other results are ignored)
+	 *
+	 * @param string radio_model Radio model name
+	 * @param string serial Radio serial number
+	 * @param string extra Extra data
+	 * @param object response Web API response
+	 * @return Promise Resolved when stored
+	 */
+	set(radio_model, serial, extra, response)
+	{
+		if (response === null || response["error"] !== RadioErrors.SUCCESS)
+			return Promise.resolve();
+
+		const key = RadioResultCache.cache_key(radio_model, serial, extra);
+
+		return this.entries().then(entries =>
+		{
+			entries.delete(key);
+			entries.set(key, { "stored_at": Date.now(), "response": Object.assign({}, response) });
+
+			// evict the least recently used entries
+			while (entries.size > this._max_entries)
+				entries.delete(entries.keys().next().value);
+
+			return this.save(entries);
+		});
+	}
+
+	/**
+	 * Number of the cached results (including the expired ones)
+	 *
+	 * @return Promise Number of the cached results
+	 */
+	size()
+	{
+		return this.entries().then(entries => entries.size);
+	}
+
+	/**
+	 * Remove all the cached results
+	 *
+	 * @return Promise Resolved when removed
+	 */
+	clear()
+	{
+		this._entries = Promise.resolve(new Map());
+
+		return this._storage.delete(this._key);
+	}
+}
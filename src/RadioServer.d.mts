@@ -0,0 +1,147 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioCodeCalculator, RadioErrorCode, RadioModelRegistry } from "./RadioCodeCalculator.mjs";
+
+/**
+ * Request headers (lower case names, http.IncomingHttpHeaders compatible)
+ */
+export type RadioServerHeaders = { [name: string]: string | string[] | undefined };
+
+/**
+ * HTTP request (http.RadioServerRequest compatible)
+ */
+export interface RadioServerRequest
+{
+	method?: string;
+	url?: string;
+	headers: RadioServerHeaders;
+	on(event: string, listener: (...args: any[]) => void): unknown;
+	removeAllListeners(event?: string): unknown;
+	resume(): unknown;
+}
+
+/**
+ * HTTP response (http.ServerResponse compatible)
+ */
+export interface RadioServerResponseStream
+{
+	destroyed: boolean;
+	writableFinished: boolean;
+	on(event: string, listener: (...args: any[]) => void): unknown;
+	writeHead(status: number, headers: { [name: string]: string | number }): unknown;
+	end(chunk?: string): unknown;
+}
+
+/**
+ * Request log entry
+ */
+export interface RadioServerLogEntry
+{
+	/** time the request was received (ISO 8601 string) */
+	timestamp: string;
+
+	/** client name matching the API token (null without the authentication) */
+	client: string | null;
+
+	method: string | undefined;
+	path: string;
+	status: number;
+	error: RadioErrorCode;
+
+	/** time to respond in milliseconds */
+	duration: number;
+}
+
+/**
+ * Optional RadioServer settings
+ */
+export interface RadioServerOptions
+{
+	/** client names by their API tokens (every request is accepted without the tokens) */
+	tokens?: { [token: string]: string } | null;
+
+	/** function called with every request log entry */
+	logger?: ((entry: RadioServerLogEntry) => void) | null;
+
+	/** registry used to find & list the radio models */
+	registry?: RadioModelRegistry;
+
+	/** max. size of the request body in bytes */
+	max_body?: number;
+}
+
+/**
+ * Route handler response
+ */
+export interface RadioServerResponse
+{
+	status: number;
+	body: { error: RadioErrorCode, [field: string]: unknown };
+	headers: { [name: string]: string };
+}
+
+/**
+ * Route handler context
+ */
+export interface RadioServerContext
+{
+	client: string | null;
+
+	/** cancelled when the client disconnects (null if AbortController isn't supported) */
+	signal: AbortSignal | null;
+}
+
+/**
+ * Listening address
+ */
+export interface RadioServerAddress
+{
+	address: string;
+	port: number;
+}
+
+/**
+ * HTTP REST server wrapping the RadioCodeCalculator
+ */
+export declare class RadioServer
+{
+	static DEFAULT_PORT: number;
+	static DEFAULT_HOST: string;
+	static DEFAULT_MAX_BODY: number;
+
+	constructor(calculator: RadioCodeCalculator, options?: RadioServerOptions);
+
+	static http_status(error: RadioErrorCode | number): number;
+	static error_response(status: number, error: RadioErrorCode, message?: string | null): RadioServerResponse;
+	static radio_error_response(error: unknown): RadioServerResponse;
+	static safe_equal(a: string, b: string): boolean;
+
+	authenticate(headers: RadioServerHeaders): string | null;
+	read_body(request: RadioServerRequest): Promise<{ [field: string]: unknown }>;
+
+	route_calc(body: { [field: string]: unknown }, context: RadioServerContext): Promise<RadioServerResponse>;
+	route_models(): Promise<RadioServerResponse>;
+	route_model(name: string): Promise<RadioServerResponse>;
+	route_license(context: RadioServerContext): Promise<RadioServerResponse>;
+	route(request: RadioServerRequest, pathname: string, context: RadioServerContext): Promise<RadioServerResponse>;
+
+	handle(request: RadioServerRequest, response: RadioServerResponseStream): Promise<void>;
+	log(entry: RadioServerLogEntry): void;
+
+	listen(port?: number, host?: string): Promise<RadioServerAddress | null>;
+	address(): RadioServerAddress | null;
+	close(): Promise<void>;
+}
@@ -0,0 +1,584 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - HTTP REST server
+ *
+ * Embeddable HTTP server exposing the calculator to the applications written
+ * in other programming languages, the activation key is kept server-side.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import crypto from 'crypto';
+import http from 'http';
+
+import { RadioErrors, RadioError, RadioModelRegistry } from "./RadioCodeCalculator.mjs";
+
+/**
+ * HTTP REST server wrapping the RadioCodeCalculator
+ *
+ * Routes:
+ *
+ * POST /calc            - generate the radio code, JSON body { radio_model, serial, extra, normalize }
+ * GET  /models          - list of the supported radio models (list command format)
+ * GET  /models/:name    - radio model parameters (info command format & the radio model metadata)
+ * GET  /license         - license status (without the activation key)
+ *
+ * Every response is a JSON object with the `error` field (one of the RadioErrors
+ * values) and the matching HTTP status code (see http_status()).
+ *
+ * Usage:
+ *
+ * let server = new RadioServer(new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD"), {
+ *     "tokens": { "0c5e5d0f5b2e4a7c": "crm", "9a1b7e3c2d4f6a8b": "shop" },
+ *     "logger": entry => console.log(JSON.stringify(entry))
+ * });
+ *
+ * server.listen(8080).then(() => console.log("Listening on port 8080"));
+ *
+ */
+export class RadioServer
+{
+	/**
+	 * @var int default port
+	 */
+	static DEFAULT_PORT = 8080;
+
+	/**
+	 * @var string default host (local connections only)
+	 */
+	static DEFAULT_HOST = "127.0.0.1";
+
+	/**
+	 * @var int default max. size of the request body in bytes
+	 */
+	static DEFAULT_MAX_BODY = 16 * 1024;
+
+	/**
+	 * @var RadioCodeCalculator Radio Code Calculator API class instance (holding the activation key)
+	 */
+	_calculator = null;
+
+	/**
+	 * @var RadioModelRegistry registry used to find & list the radio models
+	 */
+	_registry = null;
+
+	/**
+	 * @var object|null client names by their API tokens (null - no authentication)
+	 */
+	_tokens = null;
+
+	/**
+	 * @var function|null request logger
+	 */
+	_logger = null;
+
+	/**
+	 * @var int max. size of the request body in bytes
+	 */
+	_max_body = RadioServer.DEFAULT_MAX_BODY;
+
+	/**
+	 * @var http.Server|null running HTTP server
+	 */
+	_server = null;
+
+	/**
+	 * Initialize the HTTP server
+	 *
+	 * Without the API tokens every request is accepted, so the server should only be
+	 * available on the local interface in that case.
+	 *
+	 * @param RadioCodeCalculator calculator Radio Code Calculator API class instance
+	 * @param object options Optional { tokens (client names by the API tokens), logger (function called with every request log entry), registry, max_body }
+	 */
+	constructor(calculator, options = {})
+	{
+		this._calculator = calculator;
+		this._registry = options["registry"] === undefined ? new RadioModelRegistry(calculator) : options["registry"];
+
+		if (options["tokens"] !== undefined && options["tokens"] !== null)
+			this._tokens = Object.assign({}, options["tokens"]);
+
+		if (options["logger"] !== undefined)
+			this._logger = options["logger"];
+
+		if (options["max_body"] !== undefined)
+			this._max_body = options["max_body"];
+	}
+
+	/**
+	 * HTTP status code matching the RadioErrors value
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @return int HTTP status code
+	 */
+	static http_status(error)
+	{
+		switch (error)
+		{
+		case RadioErrors.SUCCESS: return 200;
+		case RadioErrors.INVALID_INPUT: return 400;
+		case RadioErrors.INVALID_RADIO_MODEL: return 404;
+		case RadioErrors.INVALID_SERIAL_LENGTH:
+		case RadioErrors.INVALID_SERIAL_PATTERN:
+		case RadioErrors.INVALID_SERIAL_NOT_SUPPORTED:
+		case RadioErrors.INVALID_EXTRA_LENGTH:
+		case RadioErrors.INVALID_EXTRA_PATTERN: return 422;
+		case RadioErrors.INVALID_LICENSE: return 503;
+		case RadioErrors.ERROR_CONNECTION:
+		case RadioErrors.INVALID_COMMAND:
+		default: return 502;
+		}
+	}
+
+	/**
+	 * Error response
+	 *
+	 * @param int status HTTP status code
+	 * @param int error One of the RadioErrors values
+	 * @param string|null message Error message (default description of the error code)
+	 * @return object Response { status, body, headers }
+	 */
+	static error_response(status, error, message = null)
+	{
+		return { "status": status, "body": { "error": error, "error_message": message === null ? RadioError.describe(error) : message }, "headers": {} };
+	}
+
+	/**
+	 * Response for the rejected RadioError (other errors are reported as internal errors without the details)
+	 *
+	 * @param Error error Rejected error
+	 * @return object Response { status, body, headers }
+	 */
+	static radio_error_response(error)
+	{
+		if (!(error instanceof RadioError))
+			return RadioServer.error_response(500, RadioErrors.ERROR_CONNECTION, "Internal server error");
+
+		const response = RadioServer.error_response(RadioServer.http_status(error.error), error.error, error.message);
+
+		if (error.radio_model !== null)
+			response["body"]["radio_model"] = error.radio_model;
+
+		return response;
+	}
+
+	/**
+	 * Compare the strings in a constant time
+	 *
+	 * @param string a First string
+	 * @param string b Second string
+	 * @return bool True if equal
+	 */
+	static safe_equal(a, b)
+	{
+		const hash = value => crypto.createHash("sha256").update(value).digest();
+
+		return crypto.timingSafeEqual(hash(a), hash(b));
+	}
+
+	/**
+	 * Find the client by the API token sent in the "Authorization: Bearer <token>" or "X-Api-Token" header
+	 *
+	 * @param object headers Request headers (lower case names)
+	 * @return string|null Client name, null if the token is missing or invalid
+	 */
+	authenticate(headers)
+	{
+		let token = headers["x-api-token"] === undefined ? null : String(headers["x-api-token"]);
+
+		const match = /^Bearer\s+(\S+)\s*$/i.exec(headers["authorization"] === undefined ? "" : headers["authorization"]);
+
+		if (match !== null)
+			token = match[1];
+
+		if (token === null)
+			return null;
+
+		// check every token, so the time doesn't depend on the matching one
+		let client = null;
+
+		for (const [ known_token, name ] of Object.entries(this._tokens))
+			if (RadioServer.safe_equal(known_token, token))
+				client = name;
+
+		return client;
+	}
+
+	/**
+	 * Read the JSON request body
+	 *
+	 * @param http.IncomingMessage request HTTP request
+	 * @return Promise Parsed body, rejected with the error response if it's too large or invalid
+	 */
+	read_body(request)
+	{
+		return new Promise((fulfilled, rejected) =>
+		{
+			const chunks = [];
+			let size = 0;
+
+			request.on("data", chunk =>
+			{
+				size += chunk.length;
+
+				if (size > this._max_body)
+				{
+					request.removeAllListeners("data");
+					request.resume();
+					rejected(RadioServer.error_response(413, RadioErrors.INVALID_INPUT, `Request body is too large (max. ${this._max_body} bytes)`));
+					return;
+				}
+
+				chunks.push(chunk);
+			});
+
+			request.on("end", () =>
+			{
+				if (size > this._max_body)
+					return;
+
+				try
+				{
+					const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+
+					if (body === null || typeof body !== "object" || Array.isArray(body))
+						throw new SyntaxError("JSON object expected");
+
+					fulfilled(body);
+				}
+				catch (error)
+				{
+					rejected(RadioServer.error_response(400, RadioErrors.INVALID_INPUT, "Invalid JSON body"));
+				}
+			});
+
+			request.on("error", () => rejected(RadioServer.error_response(400, RadioErrors.INVALID_INPUT, "Cannot read the request body")));
+		});
+	}
+
+	/**
+	 * Generate the radio code (the input is validated before it's sent to the Web API)
+	 *
+	 * @param object body Request body { radio_model, serial, extra, normalize }
+	 * @param object context Request context { client, signal }
+	 * @return Promise Response { status, body, headers }
+	 */
+	route_calc(body, context)
+	{
+		const serial = body["serial"];
+		const extra = body["extra"] === undefined || body["extra"] === null ? "" : body["extra"];
+
+		if (typeof body["radio_model"] !== "string" || typeof serial !== "string" || typeof extra !== "string")
+			return Promise.resolve(RadioServer.error_response(400, RadioErrors.INVALID_INPUT, "The radio_model & serial strings are required"));
+
+		const normalize = body["normalize"] === true;
+
+		return this._registry.get(body["radio_model"]).then(radio_model =>
+		{
+			if (radio_model === null)
+				return RadioServer.error_response(404, RadioErrors.INVALID_RADIO_MODEL, `Unknown radio model "${body["radio_model"]}"`);
+
+			const error = radio_model.validate(serial, extra, { "normalize": normalize });
+
+			if (error !== RadioErrors.SUCCESS)
+			{
+				const response = RadioServer.error_response(RadioServer.http_status(error), error);
+
+				response["body"]["radio_model"] = radio_model.name;
+
+				return response;
+			}
+
+			const options = { "normalize": normalize, "signal": context["signal"] };
+
+			if (context["client"] !== null)
+				options["user"] = context["client"];
+
+			return this._calculator.calc(radio_model, serial, extra, options).then(result =>
+			{
+				const response_body = { "error": RadioErrors.SUCCESS, "radio_model": radio_model.name, "code": result["code"] };
+
+				if (result["normalized"] !== undefined)
+					response_body["normalized"] = result["normalized"];
+
+				return { "status": 200, "body": response_body, "headers": {} };
+			});
+		});
+	}
+
+	/**
+	 * List the supported radio models
+	 *
+	 * @return Promise Response { status, body, headers }
+	 */
+	route_models()
+	{
+		return this._registry.load().then(radio_models =>
+		{
+			const supported_radio_models = {};
+
+			radio_models.forEach(radio_model => supported_radio_models[radio_model.name] = radio_model.to_params());
+
+			return { "status": 200, "body": { "error": RadioErrors.SUCCESS, "supportedRadioModels": supported_radio_models }, "headers": {} };
+		});
+	}
+
+	/**
+	 * Radio model parameters
+	 *
+	 * @param string name Radio model name (or RadioModels key)
+	 * @return Promise Response { status, body, headers }
+	 */
+	route_model(name)
+	{
+		return this._registry.get(name).then(radio_model =>
+		{
+			if (radio_model === null)
+				return RadioServer.error_response(404, RadioErrors.INVALID_RADIO_MODEL, `Unknown radio model "${name}"`);
+
+			// the metadata is predefined by the SDK (it's not a part of the info command response)
+			const body = Object.assign({ "error": RadioErrors.SUCCESS, "name": radio_model.name }, radio_model.to_params(), { "metadata": radio_model.metadata() });
+
+			return { "status": 200, "body": body, "headers": {} };
+		});
+	}
+
+	/**
+	 * License status (the activation key itself is never returned)
+	 *
+	 * @param object context Request context { client, signal }
+	 * @return Promise Response { status, body, headers }
+	 */
+	route_license(context)
+	{
+		return this._calculator.license_status({ "signal": context["signal"] }).then(status =>
+		{
+			const error = status.is_valid() ? RadioErrors.SUCCESS : RadioErrors.INVALID_LICENSE;
+
+			return { "status": RadioServer.http_status(error), "body": { "error": error, "license": status.toJSON() }, "headers": {} };
+		});
+	}
+
+	/**
+	 * Dispatch the request to the route handler
+	 *
+	 * @param http.IncomingMessage request HTTP request
+	 * @param string pathname Request path
+	 * @param object context Request context { client, signal }
+	 * @return Promise Response { status, body, headers }
+	 */
+	route(request, pathname, context)
+	{
+		const method = request.method;
+		const models = /^\/models\/([^\/]+)\/?$/.exec(pathname);
+
+		let allowed = null;
+
+		if (pathname === "/calc" || pathname === "/calc/")
+		{
+			if (method === "POST")
+				return this.read_body(request).then(body => this.route_calc(body, context), response => response);
+
+			allowed = "POST";
+		}
+		else if (pathname === "/models" || pathname === "/models/" || pathname === "/license" || pathname === "/license/" || models !== null)
+		{
+			if (method === "GET" || method === "HEAD")
+			{
+				if (models !== null)
+				{
+					let name;
+
+					try
+					{
+						name = decodeURIComponent(models[1]);
+					}
+					catch (error)
+					{
+						return Promise.resolve(RadioServer.error_response(400, RadioErrors.INVALID_INPUT, "Malformed radio model name encoding"));
+					}
+
+					return this.route_model(name);
+				}
+
+				return pathname.startsWith("/models") ? this.route_models() : this.route_license(context);
+			}
+
+			allowed = "GET, HEAD";
+		}
+
+		if (allowed === null)
+			return Promise.resolve(RadioServer.error_response(404, RadioErrors.INVALID_COMMAND, `Unknown route ${pathname}`));
+
+		const response = RadioServer.error_response(405, RadioErrors.INVALID_COMMAND, `Method ${method} is not allowed`);
+
+		response["headers"]["Allow"] = allowed;
+
+		return Promise.resolve(response);
+	}
+
+	/**
+	 * Handle the HTTP request (the http.Server "request" listener)
+	 *
+	 * @param http.IncomingMessage request HTTP request
+	 * @param http.ServerResponse response HTTP response
+	 * @return Promise Resolved when the response is sent
+	 */
+	handle(request, response)
+	{
+		const started = Date.now();
+
+		let pathname = "/";
+
+		try
+		{
+			pathname = new URL(request.url, "http://localhost").pathname;
+		}
+		catch (error)
+		{
+		}
+
+		// cancel the Web API requests when the client disconnects (if AbortController is supported)
+		const controller = typeof AbortController === "function" ? new AbortController() : null;
+
+		response.on("close", () =>
+		{
+			if (controller !== null && !response.writableFinished)
+				controller.abort(new RadioError(RadioErrors.ERROR_CONNECTION, "Client has disconnected"));
+		});
+
+		const context = { "client": null, "signal": controller === null ? null : controller.signal };
+
+		if (this._tokens !== null)
+			context["client"] = this.authenticate(request.headers);
+
+		let result;
+
+		if (this._tokens !== null && context["client"] === null)
+		{
+			const unauthorized = RadioServer.error_response(401, RadioErrors.INVALID_INPUT, "Missing or invalid API token");
+
+			unauthorized["headers"]["WWW-Authenticate"] = "Bearer";
+
+			result = Promise.resolve(unauthorized);
+		}
+		else
+			result = new Promise(fulfilled => fulfilled(this.route(request, pathname, context)));
+
+		return result.catch(error => RadioServer.radio_error_response(error)).then(reply =>
+		{
+			const json = JSON.stringify(reply["body"]);
+
+			if (!response.destroyed)
+			{
+				response.writeHead(reply["status"], Object.assign({ "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json), "Cache-Control": "no-store" }, reply["headers"]));
+				response.end(request.method === "HEAD" ? undefined : json);
+			}
+
+			this.log({
+				"timestamp": new Date(started).toISOString(),
+				"client": context["client"],
+				"method": request.method,
+				"path": pathname,
+				"status": reply["status"],
+				"error": reply["body"]["error"],
+				"duration": Date.now() - started
+			});
+		});
+	}
+
+	/**
+	 * Pass the entry to the request logger (logger errors are ignored)
+	 *
+	 * @param object entry Log entry { timestamp, client, method, path, status, error, duration }
+	 */
+	log(entry)
+	{
+		if (this._logger === null)
+			return;
+
+		try
+		{
+			this._logger(entry);
+		}
+		catch (error)
+		{
+		}
+	}
+
+	/**
+	 * Start the HTTP server
+	 *
+	 * @param int port Port number (0 - any free port)
+	 * @param string host Host name or IP address
+	 * @return Promise Resolved with the listening address { address, port }
+	 */
+	listen(port = RadioServer.DEFAULT_PORT, host = RadioServer.DEFAULT_HOST)
+	{
+		if (this._server !== null)
+			return Promise.reject(new Error("The server is already running"));
+
+		this._server = http.createServer((request, response) => { this.handle(request, response); });
+
+		return new Promise((fulfilled, rejected) =>
+		{
+			this._server.once("error", error =>
+			{
+				this._server = null;
+				rejected(error);
+			});
+
+			this._server.listen(port, host, () => fulfilled(this.address()));
+		});
+	}
+
+	/**
+	 * Listening address of the running server
+	 *
+	 * @return object|null { address, port } or null if not running
+	 */
+	address()
+	{
+		const address = this._server === null ? null : this._server.address();
+
+		return address === null || typeof address === "string" ? null : { "address": address.address, "port": address.port };
+	}
+
+	/**
+	 * Stop the HTTP server
+	 *
+	 * @return Promise Resolved when all the connections are closed
+	 */
+	close()
+	{
+		if (this._server === null)
+			return Promise.resolve();
+
+		const server = this._server;
+
+		this._server = null;
+
+		return new Promise((fulfilled, rejected) =>
+		{
+			server.close(error => error ? rejected(error) : fulfilled());
+
+			// the idle keep-alive connections are closed by Node.js 18.2+ only (they time out on the older versions)
+			if (typeof server.closeIdleConnections === "function")
+				server.closeIdleConnections();
+		});
+	}
+}
@@ -0,0 +1,44 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+/**
+ * Base class for the key-value storages (the values must be JSON serializable)
+ */
+export declare class RadioStorage
+{
+	get(key: string): Promise<any>;
+	set(key: string, value: any): Promise<void>;
+	delete(key: string): Promise<void>;
+}
+
+/**
+ * In-memory storage (lost when the application exits)
+ */
+export declare class RadioMemoryStorage extends RadioStorage {}
+
+/**
+ * Storage backed by a single JSON file (not available in the browsers & edge runtimes)
+ */
+export declare class RadioFileStorage extends RadioStorage
+{
+	/** path to the JSON file */
+	file_path: string;
+
+	constructor(file_path: string);
+
+	read_all(): Promise<{ [key: string]: any }>;
+	write_all(values: { [key: string]: any }): Promise<void>;
+	update(modify: (values: { [key: string]: any }) => void): Promise<void>;
+}
@@ -0,0 +1,205 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - storage backends
+ *
+ * Key-value storages used to persist the cached data (e.g. the list of the
+ * supported radio models) between the application runs.
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPlatform } from "#radio-platform";
+
+/**
+ * Base class for the key-value storages
+ *
+ * All the methods return Promises, so the storage can be backed by anything
+ * (files, browser localStorage, Redis etc.), the values must be JSON serializable.
+ *
+ */
+export class RadioStorage
+{
+	/**
+	 * Read the value
+	 *
+	 * @param string key Value key
+	 * @return Promise Stored value or null if not found
+	 */
+	get(key)
+	{
+		return Promise.reject(new Error("RadioStorage.get() is not implemented"));
+	}
+
+	/**
+	 * Store the value
+	 *
+	 * @param string key Value key
+	 * @param mixed value JSON serializable value
+	 * @return Promise Resolved when stored
+	 */
+	set(key, value)
+	{
+		return Promise.reject(new Error("RadioStorage.set() is not implemented"));
+	}
+
+	/**
+	 * Remove the value
+	 *
+	 * @param string key Value key
+	 * @return Promise Resolved when removed
+	 */
+	delete(key)
+	{
+		return Promise.reject(new Error("RadioStorage.delete() is not implemented"));
+	}
+}
+
+/**
+ * In-memory storage (lost when the application exits)
+ */
+export class RadioMemoryStorage extends RadioStorage
+{
+	/**
+	 * @var Map stored values
+	 */
+	_values = new Map();
+
+	get(key)
+	{
+		return Promise.resolve(this._values.has(key) ? this._values.get(key) : null);
+	}
+
+	set(key, value)
+	{
+		this._values.set(key, value);
+
+		return Promise.resolve();
+	}
+
+	delete(key)
+	{
+		this._values.delete(key);
+
+		return Promise.resolve();
+	}
+}
+
+/**
+ * Storage backed by a single JSON file (not available in the browsers & edge runtimes)
+ *
+ * Usage:
+ *
+ * let storage = new RadioFileStorage("/var/cache/radio-code-calculator.json");
+ *
+ */
+export class RadioFileStorage extends RadioStorage
+{
+	/**
+	 * @var string path to the JSON file
+	 */
+	file_path = "";
+
+	/**
+	 * @var Promise last pending write (the writes are serialized)
+	 */
+	_pending = Promise.resolve();
+
+	/**
+	 * Initialize the file storage
+	 *
+	 * @param string file_path Path to the JSON file (created on the first write)
+	 */
+	constructor(file_path)
+	{
+		super();
+
+		this.file_path = file_path;
+	}
+
+	/**
+	 * Read all the values from the file
+	 *
+	 * @return Promise Object with all the stored values ({} if the file doesn't exist)
+	 */
+	read_all()
+	{
+		if (RadioPlatform.fs === null)
+			return Promise.reject(new Error(`RadioFileStorage is not supported on the ${RadioPlatform.name} platform`));
+
+		return RadioPlatform.fs.read_file(this.file_path)
+		.then(contents => JSON.parse(contents), error =>
+		{
+			if (error.code === "ENOENT")
+				return {};
+
+			throw error;
+		});
+	}
+
+	/**
+	 * Replace all the values in the file (written to a temporary file first)
+	 *
+	 * @param object values Object with all the values
+	 * @return Promise Resolved when written
+	 */
+	write_all(values)
+	{
+		if (RadioPlatform.fs === null)
+			return Promise.reject(new Error(`RadioFileStorage is not supported on the ${RadioPlatform.name} platform`));
+
+		const fs = RadioPlatform.fs;
+		const temp_path = this.file_path + fs.temp_suffix();
+
+		return fs.mkdir(fs.dirname(this.file_path))
+		.then(() => fs.write_file(temp_path, JSON.stringify(values)))
+		.then(() => fs.rename(temp_path, this.file_path));
+	}
+
+	/**
+	 * Modify the file contents (one modification at a time)
+	 *
+	 * @param function modify Function modifying the values object
+	 * @return Promise Resolved when written
+	 */
+	update(modify)
+	{
+		const update = this._pending.then(() => this.read_all()).then(values =>
+		{
+			modify(values);
+
+			return this.write_all(values);
+		});
+
+		// the next update must wait for this one even if it fails
+		this._pending = update.catch(() => {});
+
+		return update;
+	}
+
+	get(key)
+	{
+		return this._pending.then(() => this.read_all()).then(values => key in values ? values[key] : null);
+	}
+
+	set(key, value)
+	{
+		return this.update(values => { values[key] = value; });
+	}
+
+	delete(key)
+	{
+		return this.update(values => { delete values[key]; });
+	}
+}
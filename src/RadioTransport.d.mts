@@ -0,0 +1,150 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioModel, RadioLicense, RadioResponse } from "./RadioCodeCalculator.mjs";
+
+/**
+ * Base class for the Web API transports
+ */
+export declare class RadioTransport
+{
+	send(url: string, params: { [param: string]: string }, signal?: AbortSignal | null): Promise<RadioResponse>;
+}
+
+/**
+ * Optional RadioFetchTransport settings
+ */
+export interface RadioFetchTransportOptions
+{
+	/** fetch() implementation (node-fetch under Node.js, the global fetch() elsewhere) */
+	fetch?: (url: string, init: { method: string, body: any, headers?: { [header: string]: string }, signal?: AbortSignal }) => Promise<{ ok: boolean, status: number, statusText: string, json(): Promise<any> }>;
+
+	/** FormData class (form-data package under Node.js, the global FormData elsewhere) */
+	FormData?: new () => { append(name: string, value: string): void };
+}
+
+/**
+ * Default transport, sends the requests as multipart POST forms using fetch()
+ */
+export declare class RadioFetchTransport extends RadioTransport
+{
+	constructor(options?: RadioFetchTransportOptions);
+}
+
+/**
+ * Optional RadioMockTransport settings
+ */
+export interface RadioMockTransportOptions
+{
+	/** accepted activation keys (null accepts any key) */
+	keys?: string[] | null;
+
+	/** license information returned by the login command */
+	license?: Partial<RadioLicense>;
+
+	/** supported radio models */
+	radio_models?: RadioModel[];
+
+	/** radio codes for the known serial numbers (by radio model name) */
+	codes?: { [radio_model: string]: { [serial: string]: string } };
+}
+
+/**
+ * In-memory transport emulating the Web API commands (login, calc, info & list)
+ */
+export declare class RadioMockTransport extends RadioTransport
+{
+	static DEFAULT_CODES: { [radio_model: string]: { [serial: string]: string } };
+
+	keys: string[] | null;
+	license: RadioLicense;
+	radio_models: RadioModel[];
+	codes: { [radio_model: string]: { [serial: string]: string } };
+
+	/** all the requests sent through this transport */
+	requests: { [param: string]: string }[];
+
+	constructor(options?: RadioMockTransportOptions);
+
+	handle(params: { [param: string]: string }): RadioResponse;
+	find_radio_model(name: string): RadioModel | null;
+	handle_calc(params: { [param: string]: string }): RadioResponse;
+	handle_info(params: { [param: string]: string }): RadioResponse;
+	handle_list(): RadioResponse;
+}
+
+/**
+ * RadioReplayTransport mode
+ */
+export type RadioReplayMode = "replay" | "record";
+
+/**
+ * Recorded Web API exchange
+ */
+export interface RadioRecordedExchange
+{
+	/** request parameters (the activation key is redacted) */
+	request: { [param: string]: string };
+
+	/** Web API response */
+	response?: RadioResponse;
+
+	/** transport error */
+	error?: { message: string, status?: number };
+}
+
+/**
+ * Optional RadioReplayTransport settings
+ */
+export interface RadioReplayTransportOptions
+{
+	/** defaults to "record" if the RADIO_CODE_CALCULATOR_RECORD environment variable is set, "replay" otherwise */
+	mode?: RadioReplayMode;
+
+	/** transport used in the record mode (RadioFetchTransport by default) */
+	transport?: RadioTransport;
+
+	/** exchanges replayed without the fixture file */
+	exchanges?: RadioRecordedExchange[];
+
+	/** activation keys recorded as other keys ({ key: alias }) */
+	key_aliases?: { [key: string]: string };
+
+	/** environment variables (defaults to the process environment) */
+	env?: { [name: string]: string | undefined };
+}
+
+/**
+ * Transport recording the Web API exchanges to a fixture file & replaying them
+ */
+export declare class RadioReplayTransport extends RadioTransport
+{
+	static MODE_REPLAY: "replay";
+	static MODE_RECORD: "record";
+	static RECORD_ENV: string;
+
+	file_path: string | null;
+	mode: RadioReplayMode;
+	exchanges: RadioRecordedExchange[];
+
+	constructor(file_path?: string | null, options?: RadioReplayTransportOptions);
+
+	scrub(params: { [param: string]: string }): { [param: string]: string };
+	static signature(params: { [param: string]: string }): string;
+	load(): Promise<RadioRecordedExchange[]>;
+	record(url: string, params: { [param: string]: string }, signal?: AbortSignal | null): Promise<RadioResponse>;
+	replay(params: { [param: string]: string }): Promise<RadioResponse>;
+	save(exchange: RadioRecordedExchange): Promise<void>;
+}
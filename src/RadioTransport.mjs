@@ -0,0 +1,623 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - WebApi transports
+ *
+ * HTTP transports used to deliver the Web API requests, including an
+ * in-memory mock transport that emulates the Web API for offline testing
+ * and a transport recording & replaying the Web API exchanges (fixtures).
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : form-data, node-fetch (Node.js only)
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPlatform } from "#radio-platform";
+
+import { RadioErrors, RadioModel, RadioModels } from "./RadioValidation.mjs";
+import { RadioConfig } from "./RadioConfig.mjs";
+
+/**
+ * Base class for the Web API transports
+ *
+ * A transport sends the request parameters to the Web API endpoint and resolves
+ * with the decoded JSON response (whatever error code it holds), it should only
+ * reject when the request cannot be delivered at all (network errors etc.)
+ *
+ * Usage:
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { "transport": new MyTransport() });
+ *
+ */
+export class RadioTransport
+{
+	/**
+	 * Send the request parameters to the Web API endpoint
+	 *
+	 * @param string url Web API endpoint URL
+	 * @param object params Request parameters (including the activation key)
+	 * @param AbortSignal|null signal Abort signal (timeouts & cancellation)
+	 * @return Promise Decoded JSON response (rejected with an error having `status` property on HTTP errors)
+	 */
+	send(url, params, signal = null)
+	{
+		return Promise.reject(new Error("RadioTransport.send() is not implemented"));
+	}
+}
+
+/**
+ * Default transport, sends the requests as multipart POST forms using fetch()
+ *
+ * Under Node.js node-fetch & form-data are used, in the browsers & edge runtimes
+ * the global fetch() & FormData, both can be replaced with the options.
+ *
+ * Usage:
+ *
+ * let transport = new RadioFetchTransport({ "fetch": myFetch });
+ *
+ */
+export class RadioFetchTransport extends RadioTransport
+{
+	/**
+	 * @var function|null fetch() implementation (null - platform default)
+	 */
+	_fetch = null;
+
+	/**
+	 * @var function|null FormData class (null - platform default)
+	 */
+	_FormData = null;
+
+	/**
+	 * Initialize the transport
+	 *
+	 * @param object options Optional { fetch, FormData }
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		if (options["fetch"] !== undefined)
+			this._fetch = options["fetch"];
+
+		if (options["FormData"] !== undefined)
+			this._FormData = options["FormData"];
+	}
+
+	/**
+	 * Send the request parameters to the Web API endpoint
+	 *
+	 * @param string url Web API endpoint URL
+	 * @param object params Request parameters (including the activation key)
+	 * @param AbortSignal|null signal Abort signal (timeouts & cancellation)
+	 * @return Promise Decoded JSON response
+	 */
+	send(url, params, signal = null)
+	{
+		const FormDataClass = this._FormData === null ? RadioPlatform.FormData : this._FormData;
+		const fetch = this._fetch === null ? (url, init) => RadioPlatform.fetch(url, init) : this._fetch;
+
+		// prepare the POST request form
+		const form = new FormDataClass();
+
+		Object.keys(params).forEach(param => {
+			form.append(param, params[param]);
+		});
+
+		// form-data package needs its multipart headers, the native FormData sets them by itself
+		const init = { method: 'POST', body: form, signal: signal === null ? undefined : signal };
+
+		if (typeof form.getHeaders === "function")
+			init.headers = form.getHeaders();
+
+		return fetch(url, init)
+		.then(response =>
+		{
+			if (!response.ok)
+			{
+				const error = new Error(`HTTP error ${response.status} ${response.statusText}`);
+				error.status = response.status;
+
+				throw error;
+			}
+
+			return response.json();
+		});
+	}
+}
+
+/**
+ * In-memory transport emulating the Web API commands (login, calc, info & list)
+ *
+ * It returns the same JSON responses and RadioErrors codes as the Web API, the
+ * radio codes are taken from the provided table of known serial numbers.
+ *
+ * Usage:
+ *
+ * let transport = new RadioMockTransport({ "keys": ["ABCD-ABCD-ABCD-ABCD"] });
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { "transport": transport });
+ *
+ */
+export class RadioMockTransport extends RadioTransport
+{
+	/**
+	 * @var object default radio codes for the known serial numbers (by radio model name)
+	 */
+	static DEFAULT_CODES = {
+		"renault-dacia": { "Z999": "0060" },
+		"chrysler-panasonic-tm9": { "1234": "8865" },
+		"chrysler-dodge-vp": { "E3NE": "5635" },
+		"ford-m-series": { "123456": "2487" },
+		"ford-v-series": { "123456": "3067" },
+		"ford-travelpilot": { "1234567": "3982" },
+		"fiat-stilo-bravo-visteon": { "999999": "4968" },
+		"fiat-daiichi": { "6461": "8354" },
+		"fiat-vp": { "2063": "1341" },
+		"toyota-erc": { "10211376ab8e0d25": "A6905892" },
+		"jeep-cherokee": { "TQ1AA1500E2884": "1315" },
+		"nissan-glove-box": { "D4CDDC568498": "55B7AB0BAB6F" },
+		"eclipse-esn": { "7D4046": "15E0ED" },
+		"jaguar-alpine": { "99999": "6125" },
+	};
+
+	/**
+	 * @var array activation keys accepted by the mock (null accepts any key)
+	 */
+	keys = null;
+
+	/**
+	 * @var object license information returned by the login command
+	 */
+	license = null;
+
+	/**
+	 * @var array supported RadioModel classes
+	 */
+	radio_models = [];
+
+	/**
+	 * @var object radio codes for the known serial numbers (by radio model name)
+	 */
+	codes = {};
+
+	/**
+	 * @var array all the requests sent through this transport
+	 */
+	requests = [];
+
+	/**
+	 * Initialize the mock transport
+	 *
+	 * @param object options { keys, license, radio_models, codes } all optional
+	 */
+	constructor(options = {})
+	{
+		super();
+
+		this.keys = options["keys"] === undefined ? null : options["keys"];
+
+		this.license = Object.assign({
+			"activationStatus": true,
+			"userName": "Radio Code Calculator",
+			"type": 0,
+			"expirationDate": "2099-12-31"
+		}, options["license"]);
+
+		this.radio_models = options["radio_models"] === undefined ? Object.values(RadioModels).filter(radio_model => radio_model instanceof RadioModel) : options["radio_models"];
+
+		this.codes = options["codes"] === undefined ? RadioMockTransport.DEFAULT_CODES : options["codes"];
+	}
+
+	/**
+	 * Emulate the Web API request
+	 *
+	 * @param string url Web API endpoint URL (ignored)
+	 * @param object params Request parameters (including the activation key)
+	 * @param AbortSignal|null signal Abort signal (ignored, the responses are immediate)
+	 * @return Promise Decoded JSON response
+	 */
+	send(url, params, signal = null)
+	{
+		this.requests.push(Object.assign({}, params));
+
+		// errors thrown while building the response reject the returned Promise
+		return new Promise(fulfilled => fulfilled(this.handle(params)));
+	}
+
+	/**
+	 * Build the Web API response for the given request parameters
+	 *
+	 * @param object params Request parameters (including the activation key)
+	 * @return object Web API response
+	 */
+	handle(params)
+	{
+		if (this.keys !== null && !this.keys.includes(params["key"]))
+			return { "error": RadioErrors.INVALID_LICENSE };
+
+		// required parameters of the commands
+		const required = { "calc": [ "radio_model", "serial" ], "info": [ "radio_model" ] }[params["command"]];
+
+		if (required !== undefined && required.some(param => params[param] === undefined))
+			return { "error": RadioErrors.INVALID_INPUT };
+
+		switch (params["command"])
+		{
+		case "login": return { "error": RadioErrors.SUCCESS, "license": Object.assign({}, this.license) };
+		case "calc": return this.handle_calc(params);
+		case "info": return this.handle_info(params);
+		case "list": return this.handle_list();
+		default: return { "error": RadioErrors.INVALID_COMMAND };
+		}
+	}
+
+	/**
+	 * Find the supported radio model by its name
+	 *
+	 * @param string name Radio model name
+	 * @return RadioModel|null RadioModel class or null if not supported
+	 */
+	find_radio_model(name)
+	{
+		const found = this.radio_models.find(radio_model => radio_model.name === name);
+
+		return found === undefined ? null : found;
+	}
+
+	/**
+	 * Emulate the calc command
+	 *
+	 * @param object params Request parameters
+	 * @return object Web API response
+	 */
+	handle_calc(params)
+	{
+		const radio_model = this.find_radio_model(params["radio_model"]);
+
+		if (radio_model === null)
+			return { "error": RadioErrors.INVALID_RADIO_MODEL };
+
+		const serial = params["serial"] === undefined ? "" : String(params["serial"]);
+		const extra = params["extra"] === undefined ? "" : String(params["extra"]);
+
+		const error = radio_model.validate(serial, extra);
+
+		if (error !== RadioErrors.SUCCESS)
+			return Object.assign({ "error": error }, radio_model.to_params());
+
+		const codes = this.codes[radio_model.name];
+
+		if (codes === undefined || !(serial in codes))
+			return { "error": RadioErrors.INVALID_SERIAL_NOT_SUPPORTED };
+
+		return { "error": RadioErrors.SUCCESS, "code": codes[serial] };
+	}
+
+	/**
+	 * Emulate the info command
+	 *
+	 * @param object params Request parameters
+	 * @return object Web API response
+	 */
+	handle_info(params)
+	{
+		const radio_model = this.find_radio_model(params["radio_model"]);
+
+		if (radio_model === null)
+			return { "error": RadioErrors.INVALID_RADIO_MODEL };
+
+		return Object.assign({ "error": RadioErrors.SUCCESS }, radio_model.to_params());
+	}
+
+	/**
+	 * Emulate the list command
+	 *
+	 * @return object Web API response
+	 */
+	handle_list()
+	{
+		const supported_radio_models = {};
+
+		this.radio_models.forEach(radio_model => {
+			supported_radio_models[radio_model.name] = radio_model.to_params();
+		});
+
+		return { "error": RadioErrors.SUCCESS, "supportedRadioModels": supported_radio_models };
+	}
+}
+
+/**
+ * Transport recording the Web API exchanges to a fixture file & replaying them
+ *
+ * In the record mode the requests are sent through the wrapped transport (the
+ * live Web API by default) and every exchange is saved to the fixture file
+ * with the activation key scrubbed. In the replay mode the recorded responses
+ * are served without any network access, the requests are matched by their
+ * parameters and repeated requests get the recorded responses in order.
+ *
+ * The record mode is selected with the option or the RADIO_CODE_CALCULATOR_RECORD
+ * environment variable, so the same tests can refresh their fixtures.
+ *
+ * The activation keys are stored redacted (only the last 4 characters are left),
+ * use `key_aliases` to record the real key under the key used in the replay mode.
+ *
+ * Usage:
+ *
+ * let transport = new RadioReplayTransport("__tests__/fixtures/calc.json");
+ *
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD", { "transport": transport });
+ *
+ */
+export class RadioReplayTransport extends RadioTransport
+{
+	/**
+	 * @var string serve the recorded responses
+	 */
+	static MODE_REPLAY = "replay";
+
+	/**
+	 * @var string send the requests & record the responses
+	 */
+	static MODE_RECORD = "record";
+
+	/**
+	 * @var string environment variable enabling the record mode
+	 */
+	static RECORD_ENV = "RADIO_CODE_CALCULATOR_RECORD";
+
+	/**
+	 * @var string|null path to the fixture file (null - in-memory exchanges only)
+	 */
+	file_path = null;
+
+	/**
+	 * @var string transport mode
+	 */
+	mode = RadioReplayTransport.MODE_REPLAY;
+
+	/**
+	 * @var array recorded exchanges in { request, response } or { request, error } format
+	 */
+	exchanges = [];
+
+	/**
+	 * @var RadioTransport transport used in the record mode
+	 */
+	_transport = null;
+
+	/**
+	 * @var object aliases of the activation keys (non-enumerable, see the constructor)
+	 */
+	_key_aliases = {};
+
+	/**
+	 * @var Promise|null fixture file being loaded (replay mode)
+	 */
+	_loaded = null;
+
+	/**
+	 * @var object number of the served responses by the request signatures
+	 */
+	_served = {};
+
+	/**
+	 * @var Promise last pending write of the fixture file (the writes are serialized)
+	 */
+	_pending = Promise.resolve();
+
+	/**
+	 * Initialize the transport
+	 *
+	 * @param string|null file_path Path to the fixture file
+	 * @param object options Optional { mode, transport (record mode, defaults to RadioFetchTransport), exchanges (replay without the file), key_aliases ({ key: alias }), env }
+	 */
+	constructor(file_path = null, options = {})
+	{
+		super();
+
+		// keep the activation keys out of the console.log() & JSON.stringify() output
+		Object.defineProperty(this, "_key_aliases", { "enumerable": false });
+
+		this.file_path = file_path;
+
+		const env = options["env"] === undefined ? RadioPlatform.env() : options["env"];
+
+		if (options["mode"] !== undefined)
+			this.mode = options["mode"];
+		else if (RadioConfig.parse_flag(env[RadioReplayTransport.RECORD_ENV]) === true)
+			this.mode = RadioReplayTransport.MODE_RECORD;
+
+		if (this.mode !== RadioReplayTransport.MODE_REPLAY && this.mode !== RadioReplayTransport.MODE_RECORD)
+			throw new RangeError(`Unknown replay transport mode "${this.mode}"`);
+
+		this._transport = options["transport"] === undefined ? new RadioFetchTransport() : options["transport"];
+
+		if (options["key_aliases"] !== undefined)
+			this._key_aliases = Object.assign({}, options["key_aliases"]);
+
+		// the recording always starts with an empty fixture
+		if (options["exchanges"] !== undefined && this.mode === RadioReplayTransport.MODE_REPLAY)
+		{
+			this.exchanges = options["exchanges"].slice();
+			this._loaded = Promise.resolve(this.exchanges);
+		}
+	}
+
+	/**
+	 * Copy of the request parameters with the activation key scrubbed
+	 *
+	 * @param object params Request parameters (including the activation key)
+	 * @return object Request parameters safe to store
+	 */
+	scrub(params)
+	{
+		const scrubbed = Object.assign({}, params);
+
+		if (typeof scrubbed["key"] === "string")
+		{
+			const key = scrubbed["key"] in this._key_aliases ? this._key_aliases[scrubbed["key"]] : scrubbed["key"];
+
+			scrubbed["key"] = RadioConfig.redact_key(key);
+		}
+
+		return scrubbed;
+	}
+
+	/**
+	 * Signature used to match the requests (scrubbed parameters in a stable order)
+	 *
+	 * @param object params Scrubbed request parameters
+	 * @return string Request signature
+	 */
+	static signature(params)
+	{
+		return JSON.stringify(Object.keys(params).sort().map(param => [ param, String(params[param]) ]));
+	}
+
+	/**
+	 * Load the recorded exchanges from the fixture file (once)
+	 *
+	 * @return Promise A list of the recorded exchanges
+	 */
+	load()
+	{
+		if (this._loaded !== null)
+			return this._loaded;
+
+		if (this.file_path === null)
+			this._loaded = Promise.resolve(this.exchanges);
+		else if (RadioPlatform.fs === null)
+			this._loaded = Promise.reject(new Error(`RadioReplayTransport fixture files are not supported on the ${RadioPlatform.name} platform`));
+		else
+		{
+			this._loaded = RadioPlatform.fs.read_file(this.file_path).then(contents =>
+			{
+				this.exchanges = JSON.parse(contents)["exchanges"];
+
+				return this.exchanges;
+			});
+		}
+
+		return this._loaded;
+	}
+
+	/**
+	 * Send the request through the wrapped transport (record mode) or serve the recorded response
+	 *
+	 * @param string url Web API endpoint URL
+	 * @param object params Request parameters (including the activation key)
+	 * @param AbortSignal|null signal Abort signal
+	 * @return Promise Decoded JSON response (rejected with the recorded error or if there's no recorded response)
+	 */
+	send(url, params, signal = null)
+	{
+		return this.mode === RadioReplayTransport.MODE_RECORD ? this.record(url, params, signal) : this.replay(params);
+	}
+
+	/**
+	 * Send the request through the wrapped transport & record the exchange
+	 *
+	 * @param string url Web API endpoint URL
+	 * @param object params Request parameters (including the activation key)
+	 * @param AbortSignal|null signal Abort signal
+	 * @return Promise Decoded JSON response
+	 */
+	record(url, params, signal = null)
+	{
+		const request = this.scrub(params);
+
+		return this._transport.send(url, params, signal).then(response =>
+		{
+			// record a copy, the returned response is extended by the caller (e.g. with the RadioModel)
+			return this.save({ "request": request, "response": JSON.parse(JSON.stringify(response)) }).then(() => response);
+		},
+		error =>
+		{
+			// the cancelled requests are not recorded
+			if (signal !== null && signal.aborted)
+				throw error;
+
+			const recorded = { "message": String(error !== null && typeof error === "object" ? error.message : error).split(params["key"]).join(request["key"]) };
+
+			if (error !== null && typeof error === "object" && typeof error["status"] === "number")
+				recorded["status"] = error["status"];
+
+			return this.save({ "request": request, "error": recorded }).then(() => { throw error; });
+		});
+	}
+
+	/**
+	 * Serve the recorded response of the request
+	 *
+	 * @param object params Request parameters (including the activation key)
+	 * @return Promise Recorded JSON response (rejected with the recorded error or if there's no recorded response)
+	 */
+	replay(params)
+	{
+		const request = this.scrub(params);
+		const signature = RadioReplayTransport.signature(request);
+
+		return this.load().then(exchanges =>
+		{
+			const recorded = exchanges.filter(exchange => RadioReplayTransport.signature(exchange["request"]) === signature);
+
+			if (recorded.length === 0)
+				throw new Error(`No recorded response for the "${request["command"]}" request ${signature}`);
+
+			// repeated requests get the recorded responses in order, the last one is repeated
+			const served = this._served[signature] === undefined ? 0 : this._served[signature];
+			const exchange = recorded[Math.min(served, recorded.length - 1)];
+
+			this._served[signature] = served + 1;
+
+			if (exchange["error"] !== undefined)
+			{
+				const error = new Error(exchange["error"]["message"]);
+
+				if (exchange["error"]["status"] !== undefined)
+					error.status = exchange["error"]["status"];
+
+				throw error;
+			}
+
+			return JSON.parse(JSON.stringify(exchange["response"]));
+		});
+	}
+
+	/**
+	 * Append the exchange & write the fixture file
+	 *
+	 * @param object exchange Exchange in { request, response } or { request, error } format
+	 * @return Promise Resolved when written
+	 */
+	save(exchange)
+	{
+		this.exchanges.push(exchange);
+
+		if (this.file_path === null)
+			return Promise.resolve();
+
+		if (RadioPlatform.fs === null)
+			return Promise.reject(new Error(`RadioReplayTransport fixture files are not supported on the ${RadioPlatform.name} platform`));
+
+		const fs = RadioPlatform.fs;
+		const contents = JSON.stringify({ "exchanges": this.exchanges }, null, "\t") + "\n";
+
+		const write = this._pending.then(() => fs.mkdir(fs.dirname(this.file_path))).then(() => fs.write_file(this.file_path, contents));
+
+		// the next write must wait for this one even if it fails
+		this._pending = write.catch(() => {});
+
+		return write;
+	}
+}
@@ -0,0 +1,474 @@
+/******************************************************************************
+ *
+ * Radio Code Calculator API - TypeScript declarations
+ *
+ * Version      : v.1.1.6
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPatternLanguage } from "./RadioPattern.mjs";
+
+export { RadioPattern } from "./RadioPattern.mjs";
+export type { RadioPatternLanguage } from "./RadioPattern.mjs";
+
+/**
+ * One of the RadioErrors values
+ */
+export type RadioErrorCode = -1 | 0 | 1 | 2 | 3 | 4 | 5 | 6 | 7 | 8 | 100;
+
+/**
+ * Errors returned by the Radio Code Calculator API interface
+ */
+export declare class RadioErrors
+{
+	/** cannot connect to the Web API interface (network error) */
+	static readonly ERROR_CONNECTION: -1;
+
+	/** successful request */
+	static readonly SUCCESS: 0;
+
+	/** an error occurred while validating input data (invalid length, format etc.) */
+	static readonly INVALID_INPUT: 1;
+
+	/** invalid Web API command (not supported) */
+	static readonly INVALID_COMMAND: 2;
+
+	/** radio model is not supported by the calculator */
+	static readonly INVALID_RADIO_MODEL: 3;
+
+	/** radio serial number is invalid (invalid format, not matching the expected regex pattern) */
+	static readonly INVALID_SERIAL_LENGTH: 4;
+
+	/** radio serial number doesn't match the expected regular expression pattern */
+	static readonly INVALID_SERIAL_PATTERN: 5;
+
+	/** radio serial number is not supported by the selected calculator */
+	static readonly INVALID_SERIAL_NOT_SUPPORTED: 6;
+
+	/** extra data is invalid (invalid format, not matching the expected regex pattern) */
+	static readonly INVALID_EXTRA_LENGTH: 7;
+
+	/** extra data doesn't match the expected regular expression pattern */
+	static readonly INVALID_EXTRA_PATTERN: 8;
+
+	/** license key is invalid or expired */
+	static readonly INVALID_LICENSE: 100;
+}
+
+/**
+ * Regex patterns keyed by the programming language (e.g. { js: "/^([0-9]{6})$/", php: "/^([0-9]{6})$/" })
+ */
+export type RadioRegexPatterns = { [language: string]: string };
+
+/**
+ * Radio model parameters returned by the info & list commands
+ */
+export interface RadioModelParams
+{
+	serialMaxLen: number;
+	serialRegexPattern: RadioRegexPatterns;
+	extraMaxLen: number;
+	extraRegexPattern: RadioRegexPatterns | null;
+
+	/** optional metadata (used when the Web API provides it) */
+	displayName?: string;
+	brands?: string[] | string;
+	manufacturer?: string;
+	serialLocation?: string;
+	serialExample?: string;
+}
+
+/**
+ * Radio model metadata
+ */
+export interface RadioModelMetadata
+{
+	/** human readable radio model name (e.g. "Ford M Serial") */
+	display_name: string;
+
+	/** vehicle brands using this radio model */
+	brands: string[];
+
+	/** radio manufacturer (null if unknown) */
+	manufacturer: string | null;
+
+	/** where to find the serial number on the radio (null if unknown) */
+	serial_location: string | null;
+
+	/** example of a valid serial number (null if unknown) */
+	serial_example: string | null;
+}
+
+/**
+ * Field used to group the radio models
+ */
+export type RadioModelGroupField = "brand" | "manufacturer";
+
+/**
+ * Base Web API response
+ */
+export interface RadioResponse
+{
+	error: RadioErrorCode;
+	[field: string]: unknown;
+}
+
+/**
+ * Normalized values actually sent to the Web API
+ */
+export interface RadioNormalizedInput
+{
+	serial: string;
+	extra: string | null;
+}
+
+/**
+ * Optional details of the RadioError
+ */
+export interface RadioErrorDetails
+{
+	radio_model?: string | null;
+	response?: RadioResponse | null;
+	cause?: unknown;
+}
+
+/**
+ * Base class for the errors returned (rejected) by the Radio Code Calculator API interface
+ */
+export declare class RadioError extends Error
+{
+	/** one of the RadioErrors values */
+	error: RadioErrorCode;
+
+	/** radio model name the request was made for */
+	radio_model: string | null;
+
+	/** expected length of the radio serial number (if returned by the Web API) */
+	serial_max_len: number | null;
+
+	/** expected regex patterns of the radio serial number (if returned by the Web API) */
+	serial_regex_pattern: RadioRegexPatterns | null;
+
+	/** expected length of the extra data (if returned by the Web API) */
+	extra_max_len: number | null;
+
+	/** expected regex patterns of the extra data (if returned by the Web API) */
+	extra_regex_pattern: RadioRegexPatterns | null;
+
+	/** raw Web API response (null if the request wasn't sent) */
+	response: RadioResponse | null;
+
+	/** values actually sent (calc() with the normalize option) */
+	normalized?: RadioNormalizedInput;
+
+	/** raw Web API response fields */
+	[field: string]: unknown;
+
+	constructor(error: RadioErrorCode, message?: string | null, details?: RadioErrorDetails);
+
+	static describe(error: number): string;
+	static from_code(error: number, details?: RadioErrorDetails): RadioError;
+	static from_response(response: RadioResponse, radio_model?: string | null): RadioError;
+}
+
+/**
+ * Cannot connect to the Web API interface (network error, invalid response)
+ */
+export declare class RadioConnectionError extends RadioError
+{
+	/** the underlying transport error */
+	error_message: unknown;
+
+	constructor(error?: RadioErrorCode, message?: string | null, details?: RadioErrorDetails);
+}
+
+/**
+ * License key is invalid, expired or not provided
+ */
+export declare class RadioLicenseError extends RadioError {}
+
+/**
+ * Radio serial number or extra data are invalid (length, pattern) or not supported
+ */
+export declare class RadioValidationError extends RadioError {}
+
+/**
+ * Radio model is not supported by the calculator
+ */
+export declare class RadioModelError extends RadioError {}
+
+/**
+ * None of the radio model regex patterns can be used (missing, invalid or not convertible to JavaScript)
+ */
+export declare class RadioPatternError extends RadioModelError
+{
+	/** field with the unusable patterns */
+	field: "serial" | "extra";
+
+	/** why the patterns couldn't be used (by the programming language) */
+	reasons: { [language: string]: string };
+
+	constructor(field: "serial" | "extra", reasons?: { [language: string]: string }, details?: RadioErrorDetails);
+}
+
+/**
+ * Invalid Web API command (not supported)
+ */
+export declare class RadioCommandError extends RadioError {}
+
+/**
+ * Input normalization rules
+ */
+export interface RadioNormalizationRules
+{
+	/** characters to remove (null - keep all) */
+	separators: RegExp | null;
+
+	/** case folding (null - keep the case) */
+	case: "upper" | "lower" | null;
+
+	/** known label prefixes removed from the serial number if it's too long */
+	prefixes: string[];
+}
+
+/**
+ * Optional validation settings
+ */
+export interface RadioValidateOptions
+{
+	/** normalize the input before the validation */
+	normalize?: boolean;
+}
+
+/**
+ * Character not matching the expected character class
+ */
+export interface RadioInvalidPosition
+{
+	position: number;
+	character: string;
+
+	/** expected character class (null if the value is too long) */
+	expected: string | null;
+}
+
+/**
+ * Commonly confused character replaced in the suggested value
+ */
+export interface RadioConfusion
+{
+	position: number;
+	character: string;
+	replacement: string;
+}
+
+/**
+ * Validation report of a single field (serial number or extra data)
+ */
+export interface RadioFieldReport
+{
+	value: string;
+	error: RadioErrorCode;
+	valid: boolean;
+	expected_length: number;
+	actual_length: number;
+	pattern: string | null;
+	invalid_positions: RadioInvalidPosition[];
+	suggestion: string | null;
+	confusions: RadioConfusion[];
+}
+
+/**
+ * Detailed validation report
+ */
+export interface RadioValidationReport
+{
+	error: RadioErrorCode;
+	valid: boolean;
+	serial: RadioFieldReport;
+	extra: RadioFieldReport | null;
+	normalized: RadioNormalizedInput | null;
+}
+
+/**
+ * HTML input attributes enforcing the same rules as RadioModel.validate()
+ */
+export interface RadioHtmlAttributes
+{
+	pattern?: string;
+	minlength: number;
+	maxlength: number;
+
+	/** only set for the serial number (the extra data is optional) */
+	required?: true;
+}
+
+/**
+ * JSON Schema fragment (the subset of the keywords used by RadioModel.json_schema())
+ */
+export interface RadioJsonSchema
+{
+	type?: string | string[];
+	const?: string;
+	minLength?: number;
+	maxLength?: number;
+	pattern?: string;
+	anyOf?: RadioJsonSchema[];
+	properties?: { [property: string]: RadioJsonSchema };
+	required?: string[];
+}
+
+/**
+ * RadioModel class used to calculate the radio code for specified car radio/navigation
+ */
+export declare class RadioModel
+{
+	/** radio model name */
+	name: string;
+
+	/** required, valid length of the radio serial/seed number */
+	serial_max_len: number;
+
+	/** length of the optional param for radio code generation */
+	extra_max_len: number;
+
+	/** default programming language used to determine the format of regular expression formats */
+	default_programming_language: string;
+
+	/** input normalization rules for this radio model */
+	normalization: RadioNormalizationRules;
+
+	/** human readable radio model name (the radio model name if unknown) */
+	display_name: string;
+
+	/** vehicle brands using this radio model */
+	brands: string[];
+
+	/** radio manufacturer (null if unknown) */
+	manufacturer: string | null;
+
+	/** where to find the serial number on the radio (null if unknown) */
+	serial_location: string | null;
+
+	/** example of a valid serial number (null if unknown) */
+	serial_example: string | null;
+
+	_serial_regex_patterns: RadioRegexPatterns;
+	_extra_regex_patterns: RadioRegexPatterns | null;
+
+	static DEFAULT_NORMALIZATION: RadioNormalizationRules;
+	static CONFUSED_CHARACTERS: { [character: string]: string };
+	static METADATA_PARAMS: { [field in keyof RadioModelMetadata]: string };
+
+	constructor(name: string,
+				serial_max_len: number,
+				serial_regex_pattern: string | RadioRegexPatterns,
+				extra_max_len?: number,
+				extra_regex_pattern?: string | RadioRegexPatterns | null,
+				normalization?: Partial<RadioNormalizationRules> | null,
+				metadata?: Partial<RadioModelMetadata> | null);
+
+	set_metadata(metadata: Partial<RadioModelMetadata>): this;
+	metadata(): RadioModelMetadata;
+	static metadata_from_params(params: Partial<RadioModelParams>): Partial<RadioModelMetadata>;
+
+	regex_string_to_rule(regex_string: string, language?: string): RegExp;
+	select_regex_pattern(patterns: RadioRegexPatterns, field: "serial" | "extra"): { language: string, pattern: string, rule: RegExp };
+	serial_regex_pattern(): RegExp;
+	extra_regex_pattern(): RegExp | null;
+	export_patterns(language: RadioPatternLanguage): { serial: string, extra: string | null };
+
+	static from_params(name: string, params: RadioModelParams): RadioModel;
+	to_params(): RadioModelParams;
+
+	static normalize_value(value: string, max_len: number | null, rules: RadioNormalizationRules): string;
+	static normalize_value(value: string | null, max_len: number | null, rules: RadioNormalizationRules): string | null;
+	normalize(serial: string, extra?: string | null): RadioNormalizedInput;
+
+	validate(serial: string, extra?: string | null, options?: RadioValidateOptions): RadioErrorCode;
+
+	static regex_positions(rule: RegExp | string | null): RegExp[] | null;
+	serial_entropy(): number | null;
+	static field_report(value: string, max_len: number, rule: RegExp | string | null, length_error: RadioErrorCode, pattern_error: RadioErrorCode): RadioFieldReport;
+	validate_report(serial: string, extra?: string | null, options?: RadioValidateOptions): RadioValidationReport;
+
+	static portable_pattern(rule: RegExp | string | null): string | null;
+	html_attributes(field?: "serial" | "extra"): RadioHtmlAttributes | null;
+	json_schema(): RadioJsonSchema;
+}
+
+/**
+ * Optional RadioModels.detect() settings
+ */
+export interface RadioDetectOptions
+{
+	/** vehicle brand hint (e.g. "Ford") */
+	brand?: string | null;
+
+	extra?: string | null;
+
+	/** normalize the serial number for every radio model first */
+	normalize?: boolean;
+
+	/** radio models to check (default predefined RadioModels) */
+	radio_models?: RadioModel[];
+}
+
+/**
+ * Single result of the radio model detection
+ */
+export interface RadioDetectCandidate
+{
+	radio_model: RadioModel;
+
+	/** true if the radio model accepts the serial number */
+	matched: boolean;
+
+	/** validation result (one of the RadioErrors values) */
+	error: RadioErrorCode;
+
+	/** serial number checked (normalized if requested) */
+	serial: string;
+
+	/** specificity of the serial number pattern in bits (lower is more specific, null if unknown) */
+	entropy: number | null;
+
+	/** why the radio model was matched or ruled out */
+	reasons: string[];
+}
+
+/**
+ * Supported radio models with the validation parameters (max. lengths & regex patterns)
+ */
+export declare class RadioModels
+{
+	static RENAULT_DACIA: RadioModel;
+	static CHRYSLER_PANASONIC_TM9: RadioModel;
+	static CHRYSLER_DODGE_VP: RadioModel;
+	static FORD_M_SERIES: RadioModel;
+	static FORD_V_SERIES: RadioModel;
+	static FORD_TRAVELPILOT: RadioModel;
+	static FIAT_STILO_BRAVO_VISTEON: RadioModel;
+	static FIAT_DAIICHI: RadioModel;
+	static FIAT_VP: RadioModel;
+	static TOYOTA_ERC: RadioModel;
+	static JEEP_CHEROKEE: RadioModel;
+	static NISSAN_GLOVE_BOX: RadioModel;
+	static ECLIPSE_ESN: RadioModel;
+	static JAGUAR_ALPINE: RadioModel;
+
+	static by_name(name: string): RadioModel | null;
+	static matches_brand(radio_model: RadioModel, brand: string): boolean;
+	static all(): RadioModel[];
+	static by_brand(brand: string, radio_models?: RadioModel[] | null): RadioModel[];
+	static by_manufacturer(manufacturer: string, radio_models?: RadioModel[] | null): RadioModel[];
+	static group_by(field: RadioModelGroupField, radio_models?: RadioModel[] | null): { [name: string]: RadioModel[] };
+	static detect(serial: string, options?: RadioDetectOptions): RadioDetectCandidate[];
+}
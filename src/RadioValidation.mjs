@@ -0,0 +1,1480 @@
+"use strict";
+
+/******************************************************************************
+ *
+ * Radio Code Calculator API - offline validation
+ *
+ * Radio models, their validation rules & error codes, usable without the
+ * activation key or any dependencies (e.g. in the web browser forms).
+ *
+ * Version      : v.1.1.6
+ * JS           : ES6
+ * Dependencies : -
+ * Author       : Bartosz Wójcik (support@pelock.com)
+ * Project      : https://www.pelock.com/products/radio-code-calculator
+ * Homepage     : https://www.pelock.com
+ *
+ * @link https://www.pelock.com/products/radio-code-calculator
+ * @copyright Copyright (c) 2021-2024 PELock LLC
+ * @license Apache-2.0
+ *
+/*****************************************************************************/
+
+import { RadioPattern } from "./RadioPattern.mjs";
+
+export { RadioPattern };
+
+/**
+ * Errors returned by the Radio Code Calculator API interface
+ *
+ * Usage:
+ *
+ * if (error === RadioErrors.SUCCESS) { ... }
+ *
+ */
+export class RadioErrors
+{
+	/**
+	 * @var int cannot connect to the Web API interface (network error)
+	 */
+	static ERROR_CONNECTION = -1;
+
+	/**
+	 * @var int successful request
+	 */
+	static SUCCESS = 0;
+
+	/**
+	 * @var int an error occurred while validating input data (invalid length, format etc.)
+	 */
+	static INVALID_INPUT = 1;
+
+	/**
+	 * @var int invalid Web API command (not supported)
+	 */
+	static INVALID_COMMAND = 2;
+
+	/**
+	 * @var int radio model is not supported by the calculator
+	 */
+	static INVALID_RADIO_MODEL = 3;
+
+	/**
+	 * @var int radio serial number is invalid (invalid format, not matching the expected regex pattern)
+	 */
+	static INVALID_SERIAL_LENGTH = 4;
+
+	/**
+	 * @var int radio serial number doesn't match the expected regular expression pattern
+	 */
+	static INVALID_SERIAL_PATTERN = 5;
+
+	/**
+	 * @var int radio serial number is not supported by the selected calculator
+	 */
+	static INVALID_SERIAL_NOT_SUPPORTED = 6;
+
+	/**
+	 * @var int extra data is invalid (invalid format, not matching the expected regex pattern)
+	 */
+	static INVALID_EXTRA_LENGTH = 7;
+
+	/**
+	 * @var int extra data doesn't match the expected regular expression pattern
+	 */
+	static INVALID_EXTRA_PATTERN = 8;
+
+	/**
+	 * @var int license key is invalid or expired
+	 */
+	static INVALID_LICENSE = 100;
+}
+
+/**
+ * Base class for the errors returned (rejected) by the Radio Code Calculator API interface
+ *
+ * The numeric error code (one of the RadioErrors values) is available in the `error`
+ * property, the raw Web API response fields are also copied to the error object.
+ *
+ * Usage:
+ *
+ * myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "123456").then((result) => { ... })
+ *
+ * }).catch((error) => {
+ *
+ *     if (error instanceof RadioValidationError)
+ *         console.log(error.message + " (expected " + error.serial_max_len + " characters)");
+ *
+ * });
+ *
+ */
+export class RadioError extends Error
+{
+	/**
+	 * @var int one of the RadioErrors values
+	 */
+	error = RadioErrors.ERROR_CONNECTION;
+
+	/**
+	 * @var string|null radio model name the request was made for
+	 */
+	radio_model = null;
+
+	/**
+	 * @var int|null expected length of the radio serial number (if returned by the Web API)
+	 */
+	serial_max_len = null;
+
+	/**
+	 * @var object|null expected regex patterns of the radio serial number (if returned by the Web API)
+	 */
+	serial_regex_pattern = null;
+
+	/**
+	 * @var int|null expected length of the extra data (if returned by the Web API)
+	 */
+	extra_max_len = null;
+
+	/**
+	 * @var object|null expected regex patterns of the extra data (if returned by the Web API)
+	 */
+	extra_regex_pattern = null;
+
+	/**
+	 * @var object|null raw Web API response (null if the request wasn't sent)
+	 */
+	response = null;
+
+	/**
+	 * Initialize the error
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @param string|null message Human-readable message (default description of the error code if not provided)
+	 * @param object details Optional { radio_model, response, cause }
+	 */
+	constructor(error, message = null, details = {})
+	{
+		super(message === null ? RadioError.describe(error) : message, details["cause"] === undefined ? undefined : { "cause": details["cause"] });
+
+		this.name = new.target.name;
+		this.error = error;
+
+		if (details["radio_model"] !== undefined)
+			this.radio_model = details["radio_model"];
+
+		if (details["response"] !== undefined && details["response"] !== null)
+		{
+			const response = details["response"];
+
+			this.response = response;
+
+			// keep the raw response fields (compatibility with the plain error objects)
+			Object.keys(response).forEach(key => {
+				if (!(key in this))
+					this[key] = response[key];
+			});
+
+			if ("serialMaxLen" in response) this.serial_max_len = response["serialMaxLen"];
+			if ("serialRegexPattern" in response) this.serial_regex_pattern = response["serialRegexPattern"];
+			if ("extraMaxLen" in response) this.extra_max_len = response["extraMaxLen"];
+			if ("extraRegexPattern" in response) this.extra_regex_pattern = response["extraRegexPattern"];
+		}
+	}
+
+	/**
+	 * Human-readable description of the error code
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @return string Error description
+	 */
+	static describe(error)
+	{
+		switch (error)
+		{
+		case RadioErrors.ERROR_CONNECTION: return "Cannot connect to the Web API interface";
+		case RadioErrors.SUCCESS: return "Successful request";
+		case RadioErrors.INVALID_INPUT: return "Invalid input data";
+		case RadioErrors.INVALID_COMMAND: return "Invalid command sent to the Web API interface";
+		case RadioErrors.INVALID_RADIO_MODEL: return "Invalid radio model (not supported)";
+		case RadioErrors.INVALID_SERIAL_LENGTH: return "Invalid serial number length";
+		case RadioErrors.INVALID_SERIAL_PATTERN: return "Invalid serial number regular expression pattern";
+		case RadioErrors.INVALID_SERIAL_NOT_SUPPORTED: return "This serial number is not supported";
+		case RadioErrors.INVALID_EXTRA_LENGTH: return "Invalid extra data length";
+		case RadioErrors.INVALID_EXTRA_PATTERN: return "Invalid extra data regular expression pattern";
+		case RadioErrors.INVALID_LICENSE: return "Invalid license key";
+		default: return `Unknown error (error code ${error})`;
+		}
+	}
+
+	/**
+	 * Create the error class instance matching the error code
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @param object details Optional { radio_model, response, cause }
+	 * @return RadioError Error class instance
+	 */
+	static from_code(error, details = {})
+	{
+		switch (error)
+		{
+		case RadioErrors.ERROR_CONNECTION:
+			return new RadioConnectionError(error, null, details);
+
+		case RadioErrors.INVALID_LICENSE:
+			return new RadioLicenseError(error, null, details);
+
+		case RadioErrors.INVALID_INPUT:
+		case RadioErrors.INVALID_SERIAL_LENGTH:
+		case RadioErrors.INVALID_SERIAL_PATTERN:
+		case RadioErrors.INVALID_SERIAL_NOT_SUPPORTED:
+		case RadioErrors.INVALID_EXTRA_LENGTH:
+		case RadioErrors.INVALID_EXTRA_PATTERN:
+			return new RadioValidationError(error, null, details);
+
+		case RadioErrors.INVALID_RADIO_MODEL:
+			return new RadioModelError(error, null, details);
+
+		case RadioErrors.INVALID_COMMAND:
+			return new RadioCommandError(error, null, details);
+
+		default:
+			return new RadioError(error, null, details);
+		}
+	}
+
+	/**
+	 * Create the error class instance from the Web API error response
+	 *
+	 * @param object response Web API response
+	 * @param string|null radio_model Radio model name the request was made for
+	 * @return RadioError Error class instance
+	 */
+	static from_response(response, radio_model = null)
+	{
+		return RadioError.from_code(response["error"], { "radio_model": radio_model, "response": response });
+	}
+}
+
+/**
+ * Cannot connect to the Web API interface (network error, invalid response)
+ */
+export class RadioConnectionError extends RadioError
+{
+	/**
+	 * @var mixed the underlying transport error (compatibility with the plain error objects)
+	 */
+	error_message = null;
+
+	/**
+	 * Initialize the error
+	 *
+	 * @param int error One of the RadioErrors values
+	 * @param string|null message Human-readable message (default description of the error code if not provided)
+	 * @param object details Optional { radio_model, response, cause }
+	 */
+	constructor(error = RadioErrors.ERROR_CONNECTION, message = null, details = {})
+	{
+		super(error, message, details);
+
+		if (details["cause"] !== undefined)
+			this.error_message = details["cause"];
+	}
+}
+
+/**
+ * License key is invalid, expired or not provided
+ */
+export class RadioLicenseError extends RadioError
+{
+}
+
+/**
+ * Radio serial number or extra data are invalid (length, pattern) or not supported
+ */
+export class RadioValidationError extends RadioError
+{
+}
+
+/**
+ * Radio model is not supported by the calculator
+ */
+export class RadioModelError extends RadioError
+{
+}
+
+/**
+ * None of the radio model regex patterns can be used (missing, invalid or not convertible to JavaScript)
+ *
+ * Thrown by the RadioModel methods instead of silently accepting any value.
+ */
+export class RadioPatternError extends RadioModelError
+{
+	/**
+	 * @var string field with the unusable patterns ("serial" or "extra")
+	 */
+	field = "serial";
+
+	/**
+	 * @var object why the patterns couldn't be used (by the programming language)
+	 */
+	reasons = {};
+
+	/**
+	 * Initialize the error
+	 *
+	 * @param string field "serial" or "extra"
+	 * @param object reasons Why the patterns couldn't be used (by the programming language)
+	 * @param object details Optional { radio_model, cause }
+	 */
+	constructor(field, reasons = {}, details = {})
+	{
+		const languages = Object.keys(reasons);
+		const explanation = languages.length === 0 ? "no patterns provided" : languages.map(language => `${language}: ${reasons[language]}`).join("; ");
+
+		super(RadioErrors.INVALID_RADIO_MODEL, `No usable ${field} regex pattern` + (details["radio_model"] ? ` for the "${details["radio_model"]}" radio model` : "") + ` (${explanation})`, details);
+
+		this.field = field;
+		this.reasons = reasons;
+	}
+}
+
+/**
+ * Invalid Web API command (not supported)
+ */
+export class RadioCommandError extends RadioError
+{
+}
+
+/**
+ * RadioModel class used to calculate the radio code for specified car radio/navigation
+ *
+ * Usage:
+ *
+ * // create Radio Code Calculator API class instance (we are using our activation key)
+ * let myRadioCodeCalculator = new RadioCodeCalculator("ABCD-ABCD-ABCD-ABCD");
+ *
+ * // validate the serial number (offline) before sending the Web API request
+ * let error = radioModel.validate(serial, extra);
+ *
+ * ...
+ *
+ * // generate radio code (using Web API)
+ * myRadioCodeCalculator.calc(RadioModels.FORD_M_SERIES, "123456").then((result) => { ... })
+ *
+ *     console.log("Radio code is " + result["code"]);
+ *
+ * }).catch((error) => {
+ *
+ *     switch(error["error"]) { ... }
+ *
+ * });
+ *
+ */
+export class RadioModel
+{
+	/**
+	 * @var string A single radio model with its parameters
+	 */
+	name = "";
+
+	/**
+	 * @var int Required, valid length of the radio serial/seed number
+	 */
+	serial_max_len = 0;
+
+	/**
+	 * @var array PCRE compatible regex patterns for the radio serial/seed number
+	 */
+	_serial_regex_patterns = [];
+
+	/**
+	 * @var int Length of the optional param for radio code generation
+	 */
+	extra_max_len = 0;
+
+	/**
+	 * @var array|null PCRE compatible regex patterns for the optional radio serial/seed number
+	 */
+	_extra_regex_patterns = null;
+
+	/**
+	 * @var string Default programming language used to determine the format of regular expression formats
+	 */
+	default_programming_language = "js";
+
+	/**
+	 * @var object default input normalization rules
+	 *
+	 * separators - RegExp matching the characters to remove (null - keep all)
+	 * case - "upper", "lower" or null (keep the case)
+	 * prefixes - known label prefixes removed from the serial number if it's too long (e.g. "M" for M123456)
+	 */
+	static DEFAULT_NORMALIZATION = { "separators": /[\s\-_.\/]/g, "case": null, "prefixes": [] };
+
+	/**
+	 * @var object Input normalization rules for this radio model
+	 */
+	normalization = null;
+
+	/**
+	 * @var string human readable radio model name (e.g. "Ford M Serial")
+	 */
+	display_name = "";
+
+	/**
+	 * @var array vehicle brands using this radio model (e.g. [ "Chrysler", "Dodge" ])
+	 */
+	brands = [];
+
+	/**
+	 * @var string|null radio manufacturer (null if unknown)
+	 */
+	manufacturer = null;
+
+	/**
+	 * @var string|null where to find the serial number on the radio (null if unknown)
+	 */
+	serial_location = null;
+
+	/**
+	 * @var string|null example of a valid serial number (null if unknown)
+	 */
+	serial_example = null;
+
+	/**
+	 * @var object names of the optional metadata fields in the Web API responses (info & list commands)
+	 */
+	static METADATA_PARAMS = {
+		"display_name": "displayName",
+		"brands": "brands",
+		"manufacturer": "manufacturer",
+		"serial_location": "serialLocation",
+		"serial_example": "serialExample"
+	};
+
+	/**
+	 * In JS you cannot pass the extra parameters for the RegExp in a single string
+	 * This function splits the provided rule into Reg Exp rule & extra params (like case insensitive flag)
+	 *
+	 * The patterns in the other languages are converted to the JavaScript ones (see RadioPattern).
+	 *
+	 * @param string regex_string Regex pattern in the language format
+	 * @param string language Programming language of the pattern ("js", "php" or "python")
+	 * @return RegExp regular expression
+	 * @throws SyntaxError if the pattern is invalid or cannot be safely converted
+	 */
+	regex_string_to_rule(regex_string, language = this.default_programming_language)
+	{
+		return RadioPattern.parse(regex_string, language);
+	}
+
+	/**
+	 * Pick the best usable regex pattern, the default programming language is
+	 * preferred, then the other languages in RadioPattern.LANGUAGES order
+	 *
+	 * @param object patterns Regex patterns by the programming language
+	 * @param string field "serial" or "extra" (for the error reporting)
+	 * @return object Selected pattern { language, pattern, rule }
+	 * @throws RadioPatternError if none of the patterns can be used
+	 */
+	select_regex_pattern(patterns, field)
+	{
+		const languages = new Set([ this.default_programming_language ].concat(RadioPattern.LANGUAGES, Object.keys(patterns)));
+		const reasons = {};
+
+		for (const language of languages)
+		{
+			if (!(language in patterns))
+				continue;
+
+			try
+			{
+				return { "language": language, "pattern": patterns[language], "rule": this.regex_string_to_rule(patterns[language], language) };
+			}
+			catch (error)
+			{
+				reasons[language] = error.message;
+			}
+		}
+
+		throw new RadioPatternError(field, reasons, { "radio_model": this.name });
+	}
+
+	/**
+	 * Return the regex pattern for the current programming language (or the best available one)
+	 *
+	 * @return RegExp PCRE compatible regular expression
+	 * @throws RadioPatternError if there is no usable pattern
+	 */
+	serial_regex_pattern()
+	{
+		return this.select_regex_pattern(this._serial_regex_patterns, "serial")["rule"];
+	}
+
+	/**
+	 * Extra field (if defined) regex pattern for the current programming language (or the best available one) or null
+	 *
+	 * @return RegExp|null PCRE compatible regular expression or null if not required
+	 * @throws RadioPatternError if there is no usable pattern
+	 */
+	extra_regex_pattern()
+	{
+		if (this._extra_regex_patterns == null)
+			return null;
+
+		return this.select_regex_pattern(this._extra_regex_patterns, "extra")["rule"];
+	}
+
+	/**
+	 * Regex patterns in the format of the given programming language (e.g. for the PHP or Python services)
+	 *
+	 * The pattern provided for that language is returned as it is, otherwise
+	 * the best available one is converted.
+	 *
+	 * Usage:
+	 *
+	 * RadioModels.FORD_M_SERIES.export_patterns("python") // { serial: "^([0-9]{6})\\Z", extra: null }
+	 *
+	 * @param string language Programming language ("js", "php" or "python")
+	 * @return object Regex patterns { serial, extra (null if not used) }
+	 * @throws RadioPatternError if the patterns cannot be converted
+	 */
+	export_patterns(language)
+	{
+		const export_pattern = (patterns, field) =>
+		{
+			if (language in patterns)
+				return patterns[language];
+
+			try
+			{
+				return RadioPattern.format(this.select_regex_pattern(patterns, field)["rule"], language);
+			}
+			catch (error)
+			{
+				if (error instanceof RadioPatternError)
+					throw error;
+
+				throw new RadioPatternError(field, { [language]: error.message }, { "radio_model": this.name, "cause": error });
+			}
+		};
+
+		return {
+			"serial": export_pattern(this._serial_regex_patterns, "serial"),
+			"extra": this._extra_regex_patterns === null ? null : export_pattern(this._extra_regex_patterns, "extra")
+		};
+	}
+
+	/**
+	 * Initialize RadioModel class with the radio model name, serial & extra fields max. length and regex pattern
+	 *
+	 * @param string name Radio model name
+	 * @param int serial_max_len Max. serial length
+	 * @param string|array serial_regex_pattern Serial number single regex pattern or a dictionary
+	 * @param int extra_max_len Max. extra field length
+	 * @param string|array|null extra_regex_pattern: Extra field single regex pattern or a dictionary
+	 * @param object|null normalization Input normalization rules { separators, case, prefixes } (merged with the defaults)
+	 * @param object|null metadata Radio model metadata { display_name, brands, manufacturer, serial_location, serial_example }
+	 */
+	constructor(name,
+				serial_max_len,
+				serial_regex_pattern,
+				extra_max_len = 0,
+				extra_regex_pattern = null,
+				normalization = null,
+				metadata = null)
+	{
+		this.name = name;
+		this.serial_max_len = serial_max_len;
+
+		// create an empty dict to prevent Python re-using previous dict from previous object (!)
+		this._serial_regex_patterns = [];
+
+		// store the regex pattern under the key for the default programming language (compatibility)
+		if (typeof serial_regex_pattern === "string")
+			this._serial_regex_patterns[this.default_programming_language] = serial_regex_pattern;
+		else if (typeof serial_regex_pattern === "object")
+			this._serial_regex_patterns = serial_regex_pattern;
+
+		// initialize extra field
+		this.extra_max_len = extra_max_len;
+		this._extra_regex_patterns = null;
+
+		if (extra_max_len != 0)
+			if (typeof extra_regex_pattern == "string")
+			{
+				this._extra_regex_patterns = [];
+				this._extra_regex_patterns[this.default_programming_language] = extra_regex_pattern;
+			}
+			else if (typeof extra_regex_pattern === "object")
+				this._extra_regex_patterns = extra_regex_pattern;
+
+		this.normalization = Object.assign({}, RadioModel.DEFAULT_NORMALIZATION, normalization);
+
+		// the radio model name is used until the display name is known
+		this.display_name = name;
+
+		if (metadata !== null)
+			this.set_metadata(metadata);
+	}
+
+	/**
+	 * Update the radio model metadata (only the provided fields are changed)
+	 *
+	 * @param object metadata Radio model metadata { display_name, brands, manufacturer, serial_location, serial_example }
+	 * @return RadioModel This instance
+	 */
+	set_metadata(metadata)
+	{
+		for (const field of Object.keys(RadioModel.METADATA_PARAMS))
+		{
+			if (metadata[field] === undefined || metadata[field] === null)
+				continue;
+
+			this[field] = field === "brands" ? [].concat(metadata[field]) : metadata[field];
+		}
+
+		return this;
+	}
+
+	/**
+	 * Radio model metadata
+	 *
+	 * @return object Metadata { display_name, brands, manufacturer, serial_location, serial_example }
+	 */
+	metadata()
+	{
+		return {
+			"display_name": this.display_name,
+			"brands": this.brands.slice(),
+			"manufacturer": this.manufacturer,
+			"serial_location": this.serial_location,
+			"serial_example": this.serial_example
+		};
+	}
+
+	/**
+	 * Read the optional metadata fields from the radio model parameters returned by the Web API
+	 *
+	 * @param object params Radio model parameters { displayName, brands, manufacturer, serialLocation, serialExample }
+	 * @return object Metadata with the fields provided by the Web API only
+	 */
+	static metadata_from_params(params)
+	{
+		const metadata = {};
+
+		for (const [ field, param ] of Object.entries(RadioModel.METADATA_PARAMS))
+		{
+			if (params[param] !== undefined && params[param] !== null && params[param] !== "")
+				metadata[field] = params[param];
+		}
+
+		// a single string with the brand names
+		if (typeof metadata["brands"] === "string")
+			metadata["brands"] = metadata["brands"].split(/\s*[,\/&]\s*/).filter(brand => brand !== "");
+
+		return metadata;
+	}
+
+	/**
+	 * Create RadioModel class from the radio model parameters returned by the Web API (info & list commands)
+	 *
+	 * The Web API doesn't return the normalization rules, the ones of the predefined radio
+	 * model are used (if any). The metadata fields are optional, the ones provided by the
+	 * Web API are used & the missing ones are taken from the predefined radio model.
+	 *
+	 * @param string name Radio model name
+	 * @param object params Radio model parameters { serialMaxLen, serialRegexPattern, extraMaxLen, extraRegexPattern, displayName, brands, manufacturer, serialLocation, serialExample }
+	 * @return RadioModel RadioModel class
+	 */
+	static from_params(name, params)
+	{
+		const predefined = RadioModels.by_name(name);
+		const metadata = Object.assign({}, predefined === null ? null : predefined.metadata(), RadioModel.metadata_from_params(params));
+
+		return new RadioModel(name, params["serialMaxLen"], params["serialRegexPattern"], params["extraMaxLen"], params["extraRegexPattern"],
+							predefined === null ? null : predefined.normalization, metadata);
+	}
+
+	/**
+	 * Radio model parameters in the Web API format (info & list commands)
+	 *
+	 * @return object Radio model parameters { serialMaxLen, serialRegexPattern, extraMaxLen, extraRegexPattern }
+	 */
+	to_params()
+	{
+		return {
+			"serialMaxLen": this.serial_max_len,
+			"serialRegexPattern": Object.assign({}, this._serial_regex_patterns),
+			"extraMaxLen": this.extra_max_len,
+			"extraRegexPattern": this._extra_regex_patterns === null ? null : Object.assign({}, this._extra_regex_patterns)
+		};
+	}
+
+	/**
+	 * Normalize a single value (serial number or extra data) using the given rules
+	 *
+	 * @param string|null value Input value
+	 * @param int|null max_len Expected length (null - don't remove the prefixes)
+	 * @param object rules Normalization rules { separators, case, prefixes }
+	 * @return string|null Normalized value
+	 */
+	static normalize_value(value, max_len, rules)
+	{
+		if (value === null || value === undefined)
+			return value;
+
+		let normalized = String(value).trim();
+
+		if (rules["separators"] !== null)
+			normalized = normalized.replace(rules["separators"], "");
+
+		if (rules["case"] === "upper")
+			normalized = normalized.toUpperCase();
+		else if (rules["case"] === "lower")
+			normalized = normalized.toLowerCase();
+
+		// remove the label prefix only if the value is too long by the prefix length
+		if (max_len !== null)
+		{
+			const prefix = rules["prefixes"].find(prefix => normalized.length - prefix.length == max_len && normalized.toUpperCase().startsWith(prefix.toUpperCase()));
+
+			if (prefix !== undefined)
+				normalized = normalized.substring(prefix.length);
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Normalize the radio serial number and extra data (remove separators, fold the case & remove label prefixes)
+	 *
+	 * Usage:
+	 *
+	 * RadioModels.FORD_M_SERIES.normalize(" M-123 456 ") // { serial: "123456", extra: null }
+	 *
+	 * @param string serial Radio serial number
+	 * @param string|null extra Extra data (optional)
+	 * @return object Normalized values { serial, extra }
+	 */
+	normalize(serial, extra = null)
+	{
+		return {
+			"serial": RadioModel.normalize_value(serial, this.serial_max_len, this.normalization),
+			"extra": RadioModel.normalize_value(extra, null, this.normalization)
+		};
+	}
+
+	/**
+	 * Validate radio serial number and extra data (if provided), check their lenghts and regex patterns
+	 *
+	 * @param string serial Radio serial number
+	 * @param string|null extra Extra data (optional)
+	 * @param object options Optional { normalize } - normalize the input before the validation
+	 * @return int one of the RadioErrors values
+	 */
+	validate(serial, extra = null, options = {})
+	{
+		if (options["normalize"] === true)
+			({ serial, extra } = this.normalize(serial, extra));
+
+		 if (serial.length != this.serial_max_len)
+			return RadioErrors.INVALID_SERIAL_LENGTH;
+
+		if (serial.match(this.serial_regex_pattern()) == null)
+			return RadioErrors.INVALID_SERIAL_PATTERN;
+
+		if (extra !== null && extra.length > 0)
+		{
+			if (extra.length != this.extra_max_len)
+				return RadioErrors.INVALID_EXTRA_LENGTH;
+			if (extra.match(this.extra_regex_pattern()) == null)
+				return RadioErrors.INVALID_EXTRA_PATTERN;
+		}
+
+		return RadioErrors.SUCCESS;
+	}
+
+	/**
+	 * @var object commonly confused characters (suggested replacements)
+	 */
+	static CONFUSED_CHARACTERS = { "O": "0", "0": "O", "I": "1", "1": "I" };
+
+	/**
+	 * Split the regular expression into the rules for every single character
+	 *
+	 * Only the fixed length patterns are supported, e.g. /^([A-Z]{1}[0-9]{3})$/
+	 * gives [A-Z], [0-9], [0-9], [0-9] rules.
+	 *
+	 * @param RegExp|string rule Regular expression
+	 * @return array|null List of RegExp rules (one per character) or null if the pattern is not supported
+	 */
+	static regex_positions(rule)
+	{
+		if (!(rule instanceof RegExp))
+			return null;
+
+		const source = rule.source;
+		const flags = rule.flags.replace(/[gy]/g, "");
+		const positions = [];
+
+		let i = 0;
+
+		while (i < source.length)
+		{
+			let token;
+			let c = source[i];
+
+			// anchors & groups don't match any characters
+			if (c === "^" || c === "$" || c === ")")
+			{
+				i++;
+				continue;
+			}
+
+			if (c === "(")
+			{
+				i += source.startsWith("(?:", i) ? 3 : 1;
+				continue;
+			}
+
+			if (c === "[")
+			{
+				let end = i + 1;
+
+				while (end < source.length && source[end] !== "]")
+					end += source[end] === "\\" ? 2 : 1;
+
+				if (end >= source.length)
+					return null;
+
+				token = source.substring(i, end + 1);
+				i = end + 1;
+			}
+			else if (c === "\\")
+			{
+				token = source.substring(i, i + 2);
+				i += 2;
+			}
+			else if ("|+*?{".includes(c))
+			{
+				// alternatives & variable length quantifiers
+				return null;
+			}
+			else
+			{
+				token = c;
+				i++;
+			}
+
+			let count = 1;
+
+			// fixed quantifier {n}
+			if (source[i] === "{")
+			{
+				const quantifier = /^\{([0-9]+)\}/.exec(source.substring(i));
+
+				if (quantifier === null)
+					return null;
+
+				count = parseInt(quantifier[1], 10);
+				i += quantifier[0].length;
+			}
+			else if (i < source.length && "+*?".includes(source[i]))
+				return null;
+
+			const position = new RegExp("^" + token + "$", flags);
+
+			for (let n = 0; n < count; n++)
+				positions.push(position);
+		}
+
+		return positions;
+	}
+
+	/**
+	 * Estimate how many different serial numbers the regex pattern accepts
+	 *
+	 * The sum of log2(number of printable ASCII characters accepted at every position),
+	 * e.g. /^([A-Z]{1}[0-9]{3})$/ gives 14.7 bits and /^([a-zA-Z0-9]{4})$/ gives 23.8 bits,
+	 * so the lower values mean the more specific patterns.
+	 *
+	 * @return float|null Number of bits or null if the pattern isn't a fixed length pattern (or it's unusable)
+	 */
+	serial_entropy()
+	{
+		let positions = null;
+
+		try
+		{
+			positions = RadioModel.regex_positions(this.serial_regex_pattern());
+		}
+		catch (error)
+		{
+			if (!(error instanceof RadioPatternError))
+				throw error;
+		}
+
+		if (positions === null)
+			return null;
+
+		let bits = 0;
+
+		for (const position of positions)
+		{
+			let accepted = 0;
+
+			for (let code = 0x20; code < 0x7F; code++)
+				if (position.test(String.fromCharCode(code)))
+					accepted++;
+
+			if (accepted === 0)
+				return null;
+
+			bits += Math.log2(accepted);
+		}
+
+		return bits;
+	}
+
+	/**
+	 * Detailed validation report of a single field (serial number or extra data)
+	 *
+	 * @param string value Field value
+	 * @param int max_len Expected length
+	 * @param RegExp|string|null rule Regular expression
+	 * @param int length_error Error code for invalid length
+	 * @param int pattern_error Error code for invalid pattern
+	 * @return object Field report (the confusions positions refer to the trimmed value)
+	 */
+	static field_report(value, max_len, rule, length_error, pattern_error)
+	{
+		const positions = RadioModel.regex_positions(rule);
+		const matches = (text) => text.length == max_len && (rule === null || text.match(rule) !== null);
+
+		const report = {
+			"value": value,
+			"error": RadioErrors.SUCCESS,
+			"valid": true,
+			"expected_length": max_len,
+			"actual_length": value.length,
+			"pattern": rule === null ? null : String(rule),
+			"invalid_positions": [],
+			"suggestion": null,
+			"confusions": []
+		};
+
+		// positions of the characters not matching the expected character classes
+		if (positions !== null)
+			for (let i = 0; i < value.length; i++)
+				if (i >= positions.length || !positions[i].test(value[i]))
+					report["invalid_positions"].push({ "position": i, "character": value[i], "expected": i >= positions.length ? null : positions[i].source.replace(/^\^|\$$/g, "") });
+
+		if (value.length != max_len)
+			report["error"] = length_error;
+		else if (!matches(value))
+			report["error"] = pattern_error;
+
+		if (report["error"] === RadioErrors.SUCCESS)
+			return report;
+
+		report["valid"] = false;
+
+		// try to normalize the value (trim, upper case & commonly confused characters)
+		let suggestion = value.trim();
+
+		if (!matches(suggestion) && positions !== null && suggestion.length == positions.length)
+		{
+			const characters = suggestion.split("");
+
+			characters.forEach((character, i) =>
+			{
+				if (positions[i].test(character))
+					return;
+
+				if (positions[i].test(character.toUpperCase()))
+				{
+					characters[i] = character.toUpperCase();
+					return;
+				}
+
+				const replacement = RadioModel.CONFUSED_CHARACTERS[character.toUpperCase()];
+
+				if (replacement !== undefined && positions[i].test(replacement))
+				{
+					report["confusions"].push({ "position": i, "character": character, "replacement": replacement });
+					characters[i] = replacement;
+				}
+			});
+
+			suggestion = characters.join("");
+		}
+
+		if (suggestion !== value && matches(suggestion))
+			report["suggestion"] = suggestion;
+		else
+			report["confusions"] = [];
+
+		return report;
+	}
+
+	/**
+	 * Validate radio serial number and extra data (if provided) and return a detailed report
+	 *
+	 * Unlike validate() it doesn't stop at the first error, both fields are always
+	 * checked and the report holds the expected & actual lengths, the positions of
+	 * the invalid characters and the suggested normalized value (if there is one).
+	 *
+	 * Usage:
+	 *
+	 * let report = RadioModels.FORD_M_SERIES.validate_report("12345O");
+	 *
+	 * // report["error"] == RadioErrors.INVALID_SERIAL_PATTERN
+	 * // report["serial"]["invalid_positions"] == [ { position: 5, character: "O", expected: "[0-9]" } ]
+	 * // report["serial"]["suggestion"] == "123450"
+	 *
+	 * @param string serial Radio serial number
+	 * @param string|null extra Extra data (optional)
+	 * @param object options Optional { normalize } - normalize the input before the validation
+	 * @return object Validation report { error, valid, serial, extra, normalized }
+	 */
+	validate_report(serial, extra = null, options = {})
+	{
+		let normalized = null;
+
+		if (options["normalize"] === true)
+		{
+			normalized = this.normalize(serial, extra);
+			({ serial, extra } = normalized);
+		}
+
+		const report = {
+			"error": this.validate(serial, extra),
+			"valid": false,
+			"serial": RadioModel.field_report(serial, this.serial_max_len, this.serial_regex_pattern(), RadioErrors.INVALID_SERIAL_LENGTH, RadioErrors.INVALID_SERIAL_PATTERN),
+			"extra": null
+		};
+
+		if (extra !== null && extra.length > 0)
+			report["extra"] = RadioModel.field_report(extra, this.extra_max_len, this.extra_regex_pattern(), RadioErrors.INVALID_EXTRA_LENGTH, RadioErrors.INVALID_EXTRA_PATTERN);
+
+		report["valid"] = report["error"] === RadioErrors.SUCCESS;
+		report["normalized"] = normalized;
+
+		return report;
+	}
+
+	/**
+	 * Regular expression source usable without the flags (HTML pattern attribute, JSON Schema etc.)
+	 *
+	 * The case insensitive flag is replaced with both letter cases in the pattern
+	 * itself, e.g. /^([a-z]{4})$/i gives ^([a-zA-Z]{4})$
+	 *
+	 * @param RegExp|string|null rule Regular expression
+	 * @return string|null Regular expression source or null if there is no rule
+	 */
+	static portable_pattern(rule)
+	{
+		if (!(rule instanceof RegExp))
+			return null;
+
+		const source = rule.source;
+
+		if (!rule.flags.includes("i"))
+			return source;
+
+		const both_cases = (c) => c.toLowerCase() + c.toUpperCase();
+		const is_letter = (c) => c !== undefined && c.toLowerCase() !== c.toUpperCase();
+
+		let pattern = "";
+		let in_class = false;
+
+		for (let i = 0; i < source.length; i++)
+		{
+			const c = source[i];
+
+			// escape sequences are copied as they are (\d, \x41, \u0041, \p{L}, \k<name> etc.)
+			if (c === "\\")
+			{
+				const escape = /^\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|u\{[0-9a-fA-F]+\}|[pP]\{[^}]*\}|k<[^>]*>|c[a-zA-Z]|[^])/.exec(source.substring(i));
+
+				pattern += escape[0];
+				i += escape[0].length - 1;
+			}
+			else if (in_class)
+			{
+				const range = /^([a-zA-Z])-([a-zA-Z])/.exec(source.substring(i));
+
+				// a-z -> a-zA-Z (only the ranges of the same letter case)
+				if (range !== null && (range[1] === range[1].toLowerCase()) === (range[2] === range[2].toLowerCase()))
+				{
+					const other = (c) => range[1] === range[1].toLowerCase() ? c.toUpperCase() : c.toLowerCase();
+
+					pattern += range[0] + other(range[1]) + "-" + other(range[2]);
+					i += 2;
+				}
+				else
+				{
+					pattern += is_letter(c) ? both_cases(c) : c;
+					in_class = c !== "]";
+				}
+			}
+			else if (c === "[")
+			{
+				pattern += source[i + 1] === "^" ? "[^" : "[";
+				i += source[i + 1] === "^" ? 1 : 0;
+				in_class = true;
+			}
+			else if (c === "(" && source[i + 1] === "?")
+			{
+				// group prefixes (?:, (?=, (?<name> etc.
+				const group = /^\(\?(<[a-zA-Z_$][\w$]*>|<[=!]|[:=!])/.exec(source.substring(i));
+				const prefix = group === null ? "(?" : group[0];
+
+				pattern += prefix;
+				i += prefix.length - 1;
+			}
+			else if (c === "{")
+			{
+				// quantifiers
+				const end = source.indexOf("}", i);
+				const quantifier = end === -1 ? c : source.substring(i, end + 1);
+
+				pattern += quantifier;
+				i += quantifier.length - 1;
+			}
+			else
+				pattern += is_letter(c) ? "[" + both_cases(c) + "]" : c;
+		}
+
+		return pattern;
+	}
+
+	/**
+	 * HTML input attributes enforcing the same rules as validate() (without the input normalization)
+	 *
+	 * Usage:
+	 *
+	 * const attributes = RadioModels.FORD_M_SERIES.html_attributes();
+	 *
+	 * // { pattern: "^([0-9]{6})$", minlength: 6, maxlength: 6, required: true }
+	 * Object.keys(attributes).forEach(name => input.setAttribute(name, attributes[name]));
+	 *
+	 * @param string field "serial" or "extra"
+	 * @return object|null HTML attributes { pattern, minlength, maxlength, required } or null if the extra field is not used
+	 */
+	html_attributes(field = "serial")
+	{
+		if (field !== "serial" && field !== "extra")
+			throw new Error(`Unknown field "${field}", use "serial" or "extra"`);
+
+		const max_len = field === "serial" ? this.serial_max_len : this.extra_max_len;
+
+		if (field === "extra" && max_len == 0)
+			return null;
+
+		const attributes = {};
+		const pattern = RadioModel.portable_pattern(field === "serial" ? this.serial_regex_pattern() : this.extra_regex_pattern());
+
+		if (pattern !== null)
+			attributes["pattern"] = pattern;
+
+		attributes["minlength"] = max_len;
+		attributes["maxlength"] = max_len;
+
+		// the extra data is optional
+		if (field === "serial")
+			attributes["required"] = true;
+
+		return attributes;
+	}
+
+	/**
+	 * JSON Schema fragment of the calc command input enforcing the same rules as validate()
+	 *
+	 * Usage:
+	 *
+	 * const schema = { "oneOf": Object.values(RadioModels).map(radio_model => radio_model.json_schema()) };
+	 *
+	 * @return object JSON Schema of the { radio_model, serial, extra } object
+	 */
+	json_schema()
+	{
+		const serial = { "type": "string", "minLength": this.serial_max_len, "maxLength": this.serial_max_len };
+		const serial_pattern = RadioModel.portable_pattern(this.serial_regex_pattern());
+
+		if (serial_pattern !== null)
+			serial["pattern"] = serial_pattern;
+
+		// the extra data can be omitted, empty or exactly extra_max_len long
+		let extra = { "type": [ "string", "null" ], "maxLength": 0 };
+
+		if (this.extra_max_len != 0)
+		{
+			const filled = { "minLength": this.extra_max_len, "maxLength": this.extra_max_len };
+			const extra_pattern = RadioModel.portable_pattern(this.extra_regex_pattern());
+
+			if (extra_pattern !== null)
+				filled["pattern"] = extra_pattern;
+
+			extra = { "type": [ "string", "null" ], "anyOf": [ { "maxLength": 0 }, filled ] };
+		}
+
+		return {
+			"type": "object",
+			"properties": {
+				"radio_model": { "const": this.name },
+				"serial": serial,
+				"extra": extra
+			},
+			"required": [ "radio_model", "serial" ]
+		};
+	}
+}
+
+/**
+ * Supported radio models with the validation parameters (max. lengths & regex patterns)
+ *
+ * This helper class can be used to quickly perform offline validation of the radio
+ * serial/seed codes before its send to the WebApi.
+ *
+ * Usage:
+ *
+ * let radioModel = RadioModels.FORD_M_SERIES
+ *
+ */
+export class RadioModels
+{
+	static RENAULT_DACIA = new RadioModel("renault-dacia", 4, "/^([A-Z]{1}[0-9]{3})$/", 0, null, { "case": "upper" }, {
+		"display_name": "Renault & Dacia", "brands": [ "Renault", "Dacia" ],
+		"serial_location": "Precode (a letter & 3 digits) on the label on the radio casing, some radios show it after holding the 1 & 6 buttons", "serial_example": "Z999" });
+	static CHRYSLER_PANASONIC_TM9 = new RadioModel("chrysler-panasonic-tm9", 4, "/^([0-9]{4})$/", 0, null, null, {
+		"display_name": "Chrysler Panasonic TM9", "brands": [ "Chrysler", "Dodge", "Jeep" ], "manufacturer": "Panasonic",
+		"serial_location": "Last 4 digits of the serial number on the label on the radio casing", "serial_example": "1234" });
+	static CHRYSLER_DODGE_VP = new RadioModel("chrysler-dodge-vp", 4, "/^([a-zA-Z0-9]{4})$/", 0, null, null, {
+		"display_name": "Chrysler Dodge Ram VP2", "brands": [ "Chrysler", "Dodge", "Ram" ], "manufacturer": "Harman Kardon",
+		"serial_location": "Last 4 characters of the serial number on the label on the radio casing", "serial_example": "A1B2" });
+	static FORD_M_SERIES = new RadioModel("ford-m-series", 6, "/^([0-9]{6})$/", 0, null, { "prefixes": [ "M" ] }, {
+		"display_name": "Ford M Serial", "brands": [ "Ford" ], "manufacturer": "Visteon",
+		"serial_location": "Serial number starting with the letter M on the label on the radio casing (enter the 6 digits after M)", "serial_example": "123456" });
+	static FORD_V_SERIES = new RadioModel("ford-v-series", 6, "/^([0-9]{6})$/", 0, null, { "prefixes": [ "V" ] }, {
+		"display_name": "Ford V Serial", "brands": [ "Ford" ], "manufacturer": "Visteon",
+		"serial_location": "Serial number starting with the letter V on the label on the radio casing (enter the 6 digits after V)", "serial_example": "654321" });
+	static FORD_TRAVELPILOT = new RadioModel("ford-travelpilot", 7, "/^([0-9]{7})$/", 0, null, null, {
+		"display_name": "Ford TravelPilot EX, FX & NX", "brands": [ "Ford" ], "manufacturer": "Blaupunkt",
+		"serial_location": "Last 7 digits of the serial number on the label on the radio casing", "serial_example": "1234567" });
+	static FIAT_STILO_BRAVO_VISTEON = new RadioModel("fiat-stilo-bravo-visteon", 6, "/^([a-zA-Z0-9]{6})$/", 0, null, null, {
+		"display_name": "Fiat Stilo & Bravo Visteon", "brands": [ "Fiat" ], "manufacturer": "Visteon",
+		"serial_location": "Last 6 characters of the serial number on the label on the radio casing", "serial_example": "A12B34" });
+	static FIAT_DAIICHI = new RadioModel("fiat-daiichi", 4, "/^([0-9]{4})$/", 0, null, null, {
+		"display_name": "Fiat DAIICHI MOPAR", "brands": [ "Fiat" ], "manufacturer": "Daiichi",
+		"serial_location": "Last 4 digits of the serial number on the label on the radio casing", "serial_example": "4321" });
+	static FIAT_VP = new RadioModel("fiat-vp", 4, "/^([0-9]{4})$/", 0, null, null, {
+		"display_name": "Fiat Continental 250 & 500 VP1/VP2", "brands": [ "Fiat" ], "manufacturer": "Continental",
+		"serial_location": "Last 4 digits of the serial number on the label on the radio casing", "serial_example": "5678" });
+	static TOYOTA_ERC = new RadioModel("toyota-erc", 16, "/^([a-zA-Z0-9]{16})$/", 0, null, null, {
+		"display_name": "Toyota ERC", "brands": [ "Toyota" ],
+		"serial_location": "16 character ERC code shown on the radio display", "serial_example": "10211376AB8E0D25" });
+	static JEEP_CHEROKEE = new RadioModel("jeep-cherokee", 14, "/^([a-zA-Z0-9]{10}[0-9]{4})$/", 0, null, null, {
+		"display_name": "Jeep Cherokee", "brands": [ "Jeep" ],
+		"serial_location": "14 character serial number on the label on the radio casing", "serial_example": "TQ1AA1500E2884" });
+	static NISSAN_GLOVE_BOX = new RadioModel("nissan-glove-box", 12, "/^([a-zA-Z0-9]{12})$/", 0, null, null, {
+		"display_name": "Nissan Glove Box Immobiliser PIN", "brands": [ "Nissan" ],
+		"serial_location": "12 character code on the sticker in the glove box", "serial_example": "D4CDDC568498" });
+	static ECLIPSE_ESN = new  RadioModel("eclipse-esn", 6, "/^([a-zA-Z0-9]{6})$/", 0, null, null, {
+		"display_name": "Eclipse ESN", "brands": [ "Toyota", "Mitsubishi" ], "manufacturer": "Eclipse",
+		"serial_location": "6 character ESN code shown on the radio display", "serial_example": "4B2C9D" });
+	static JAGUAR_ALPINE = new RadioModel("jaguar-alpine", 5, "/^([0-9]{5})$/", 0, null, null, {
+		"display_name": "Jaguar Alpine", "brands": [ "Jaguar" ], "manufacturer": "Alpine",
+		"serial_location": "Last 5 digits of the serial number on the label on the radio casing", "serial_example": "12345" });
+
+	/**
+	 * Find the predefined radio model by its Web API name (e.g. "ford-m-series")
+	 *
+	 * @param string name Radio model name
+	 * @return RadioModel|null RadioModel class or null if it's not defined
+	 */
+	static by_name(name)
+	{
+		const found = Object.values(RadioModels).find(radio_model => radio_model instanceof RadioModel && radio_model.name === name);
+
+		return found === undefined ? null : found;
+	}
+
+	/**
+	 * Check if the radio model belongs to the given vehicle brand (by its brands metadata or its name)
+	 *
+	 * @param RadioModel radio_model Radio model
+	 * @param string brand Brand name (e.g. "Ford", "dodge")
+	 * @return bool True if matching
+	 */
+	static matches_brand(radio_model, brand)
+	{
+		const tokens = [ radio_model.name ].concat(radio_model.brands).join(" ").toLowerCase().split(/[^a-z0-9]+/);
+
+		return brand.toLowerCase().split(/[^a-z0-9]+/).filter(token => token !== "").every(token => tokens.includes(token));
+	}
+
+	/**
+	 * Predefined radio models
+	 *
+	 * @return array List of RadioModel classes
+	 */
+	static all()
+	{
+		return Object.values(RadioModels).filter(radio_model => radio_model instanceof RadioModel);
+	}
+
+	/**
+	 * Find the radio models used in the given vehicle brand
+	 *
+	 * @param string brand Brand name (e.g. "Ford", "dodge")
+	 * @param array|null radio_models List of radio models (null - predefined RadioModels)
+	 * @return array List of RadioModel classes
+	 */
+	static by_brand(brand, radio_models = null)
+	{
+		return (radio_models === null ? RadioModels.all() : radio_models).filter(radio_model => RadioModels.matches_brand(radio_model, brand));
+	}
+
+	/**
+	 * Find the radio models made by the given radio manufacturer
+	 *
+	 * @param string manufacturer Radio manufacturer (case insensitive, e.g. "visteon")
+	 * @param array|null radio_models List of radio models (null - predefined RadioModels)
+	 * @return array List of RadioModel classes
+	 */
+	static by_manufacturer(manufacturer, radio_models = null)
+	{
+		return (radio_models === null ? RadioModels.all() : radio_models).filter(radio_model =>
+			radio_model.manufacturer !== null && radio_model.manufacturer.toLowerCase() === manufacturer.toLowerCase());
+	}
+
+	/**
+	 * Group the radio models by the vehicle brands or the radio manufacturers (e.g. for the UI dropdowns)
+	 *
+	 * Radio models used in several brands are listed under each of them, the radio models
+	 * without the metadata are not grouped.
+	 *
+	 * @param string field "brand" or "manufacturer"
+	 * @param array|null radio_models List of radio models (null - predefined RadioModels)
+	 * @return object Lists of RadioModel classes by the brand or manufacturer names (sorted alphabetically)
+	 */
+	static group_by(field, radio_models = null)
+	{
+		if (field !== "brand" && field !== "manufacturer")
+			throw new RangeError(`Unknown field "${field}"`);
+
+		const groups = {};
+
+		for (const radio_model of (radio_models === null ? RadioModels.all() : radio_models))
+		{
+			const names = field === "brand" ? radio_model.brands : radio_model.manufacturer === null ? [] : [ radio_model.manufacturer ];
+
+			for (const name of names)
+				(groups[name] = groups[name] || []).push(radio_model);
+		}
+
+		const sorted = {};
+
+		Object.keys(groups).sort((a, b) => a.localeCompare(b)).forEach(name => sorted[name] = groups[name]);
+
+		return sorted;
+	}
+
+	/**
+	 * Detect the radio models accepting the given serial number
+	 *
+	 * Every radio model is checked & the results explain why it was matched or ruled out.
+	 * The matching radio models come first, the most specific patterns first (see
+	 * RadioModel.serial_entropy()), followed by the radio models ruled out.
+	 *
+	 * Usage:
+	 *
+	 * let candidates = RadioModels.detect("Z999").filter(candidate => candidate["matched"]);
+	 *
+	 * // candidates[0]["radio_model"] == RadioModels.RENAULT_DACIA
+	 *
+	 * @param string serial Radio serial number
+	 * @param object options Optional { brand (vehicle brand hint), extra, normalize, radio_models (default predefined RadioModels) }
+	 * @return array List of { radio_model, matched, error, serial, entropy, reasons }
+	 */
+	static detect(serial, options = {})
+	{
+		const radio_models = options["radio_models"] === undefined ? RadioModels.all() : options["radio_models"];
+		const brand = options["brand"] === undefined || options["brand"] === null || options["brand"] === "" ? null : options["brand"];
+		const extra = options["extra"] === undefined ? null : options["extra"];
+
+		const candidates = radio_models.map(radio_model =>
+		{
+			const candidate = { "radio_model": radio_model, "matched": false, "error": RadioErrors.SUCCESS, "serial": serial, "entropy": null, "reasons": [] };
+			const reasons = candidate["reasons"];
+
+			if (brand !== null)
+			{
+				if (!RadioModels.matches_brand(radio_model, brand))
+				{
+					candidate["error"] = RadioErrors.INVALID_RADIO_MODEL;
+					reasons.push(`brand "${brand}" doesn't match`);
+					return candidate;
+				}
+
+				reasons.push(`brand "${brand}" matches`);
+			}
+
+			let checked = serial;
+
+			if (options["normalize"] === true)
+			{
+				checked = radio_model.normalize(serial, extra)["serial"];
+				candidate["serial"] = checked;
+
+				if (checked !== serial)
+					reasons.push(`serial number normalized to "${checked}"`);
+			}
+
+			let error = RadioErrors.SUCCESS;
+
+			try
+			{
+				error = radio_model.validate(serial, extra, { "normalize": options["normalize"] === true });
+			}
+			catch (exception)
+			{
+				if (!(exception instanceof RadioPatternError))
+					throw exception;
+
+				candidate["error"] = exception.error;
+				reasons.push("no usable regex pattern");
+				return candidate;
+			}
+
+			const pattern = String(radio_model.serial_regex_pattern());
+
+			if (checked.length != radio_model.serial_max_len)
+				reasons.push(`expected ${radio_model.serial_max_len} characters, got ${checked.length}`);
+			else
+			{
+				reasons.push(`length ${checked.length} matches`);
+				reasons.push(error === RadioErrors.INVALID_SERIAL_PATTERN ? `doesn't match the pattern ${pattern}` : `matches the pattern ${pattern}`);
+			}
+
+			if (error === RadioErrors.INVALID_EXTRA_LENGTH || error === RadioErrors.INVALID_EXTRA_PATTERN)
+				reasons.push(radio_model.extra_max_len > 0 ? `extra data doesn't match (expected ${radio_model.extra_max_len} characters)` : "extra data isn't used by this radio model");
+			else if (radio_model.extra_max_len > 0 && (extra === null || extra.length === 0))
+				reasons.push(`requires extra data (${radio_model.extra_max_len} characters)`);
+
+			candidate["error"] = error;
+			candidate["matched"] = error === RadioErrors.SUCCESS;
+			candidate["entropy"] = radio_model.serial_entropy();
+
+			return candidate;
+		});
+
+		// unknown entropy (variable length patterns) goes after the known ones
+		const rank = (candidate) => candidate["entropy"] === null ? Infinity : candidate["entropy"];
+
+		return candidates.filter(candidate => candidate["matched"]).sort((a, b) => rank(a) - rank(b))
+			.concat(candidates.filter(candidate => !candidate["matched"]));
+	}
+}